@@ -0,0 +1,536 @@
+/**
+ * Aegis Crypto-Watch - Alert Manager
+ *
+ * Responsibilities:
+ * - User-defined per-symbol alerts (persisted per browser):
+ *   price crosses a level, % move within N minutes, metric (volatility, volume, RSI, 24h change) crosses a threshold
+ * - Evaluate alerts on every analysis cycle (EngineHost)
+ * - One-shot or repeating alerts (with cooldown), snoozing
+ * - Deliver through the Notification API and an optional sound, and announce
+ *   'alertTriggered' (the signal log listens to it)
+ *
+ * Alerts fire when their condition becomes true, not while it stays true.
+ * Price alerts need an actual cross: a level already passed when the alert is
+ * created fires only after the price comes back and crosses it again.
+ */
+
+const AlertManager = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        STORAGE_KEY: 'aegis.alerts',
+        MAX_ALERTS: 100,
+        DEFAULT_COOLDOWN_MS: 5 * 60 * 1000,   // Repeating alerts: min. time between triggers
+        MAX_WINDOW_MINUTES: 24 * 60,          // Longest % move window
+        SOUND_DURATION_MS: 300
+    };
+    
+    const KINDS = {
+        PRICE: 'price',       // Price crosses threshold
+        CHANGE: 'change',     // Price moves threshold % within windowMinutes
+        METRIC: 'metric'      // Metric field crosses threshold
+    };
+    
+    const MODES = ['once', 'repeat'];
+    
+    // Valid directions per kind
+    const DIRECTIONS = {
+        price: ['above', 'below'],
+        change: ['up', 'down', 'both'],
+        metric: ['above', 'below']
+    };
+    
+    // Metric fields an alert can watch
+    const METRICS = {
+        volatility: { label: 'Volatility Score', value: item => item.volatility ? item.volatility.score : null },
+        volume: { label: 'Hacim (USDT)', value: item => item.volumeRef !== null && item.volumeRef !== undefined ? item.volumeRef : item.quoteVolume },
+        rsi: { label: 'RSI', value: item => item.indicators ? item.indicators.rsi : null },
+        change24h: { label: '24h Değişim (%)', value: item => item.priceChangePercent }
+    };
+    
+    // State
+    let alerts = [];
+    const conditionState = new Map();   // alert id -> condition result of the last cycle
+    const priceHistory = new Map();     // symbol -> [{ time, price }] (symbols with % move alerts only)
+    let audioContext = null;
+    
+    /**
+     * Validate and normalise an alert definition
+     * @param {Object} definition - Alert fields (see add())
+     * @returns {Object} Alert
+     */
+    function normalizeAlert(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Alert must be an object');
+        }
+        
+        const symbol = String(definition.symbol || '').toUpperCase().trim();
+        if (!/^[A-Z0-9]{2,30}$/.test(symbol)) {
+            throw new Error(`Invalid symbol: ${definition.symbol}`);
+        }
+        
+        const kind = definition.kind;
+        if (!DIRECTIONS[kind]) {
+            throw new Error(`Alert kind must be one of: ${Object.keys(DIRECTIONS).join(', ')}`);
+        }
+        
+        const direction = definition.direction || DIRECTIONS[kind][0];
+        if (!DIRECTIONS[kind].includes(direction)) {
+            throw new Error(`Direction must be one of: ${DIRECTIONS[kind].join(', ')}`);
+        }
+        
+        const threshold = Number(definition.threshold);
+        if (!Number.isFinite(threshold)) {
+            throw new Error('Threshold must be a number');
+        }
+        if ((kind === KINDS.PRICE || kind === KINDS.CHANGE) && threshold <= 0) {
+            throw new Error('Threshold must be greater than 0');
+        }
+        
+        let windowMinutes = null;
+        if (kind === KINDS.CHANGE) {
+            windowMinutes = Number(definition.windowMinutes);
+            if (!Number.isFinite(windowMinutes) || windowMinutes <= 0 || windowMinutes > CONFIG.MAX_WINDOW_MINUTES) {
+                throw new Error(`Window must be between 1 and ${CONFIG.MAX_WINDOW_MINUTES} minutes`);
+            }
+        }
+        
+        let field = null;
+        if (kind === KINDS.METRIC) {
+            field = definition.field;
+            if (!METRICS[field]) {
+                throw new Error(`Metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+            }
+        }
+        
+        const mode = definition.mode || 'once';
+        if (!MODES.includes(mode)) {
+            throw new Error(`Mode must be one of: ${MODES.join(', ')}`);
+        }
+        
+        const cooldownMs = definition.cooldownMs === undefined || definition.cooldownMs === null || definition.cooldownMs === ''
+            ? CONFIG.DEFAULT_COOLDOWN_MS
+            : Number(definition.cooldownMs);
+        if (!Number.isFinite(cooldownMs) || cooldownMs < 0) {
+            throw new Error('Cooldown must be a non-negative number of milliseconds');
+        }
+        
+        return {
+            id: definition.id || `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            symbol: symbol,
+            kind: kind,
+            direction: direction,
+            threshold: threshold,
+            windowMinutes: windowMinutes,
+            field: field,
+            mode: mode,
+            cooldownMs: cooldownMs,
+            notify: definition.notify !== false,
+            sound: definition.sound === true,
+            enabled: definition.enabled !== false,
+            snoozedUntil: Number(definition.snoozedUntil) || null,
+            createdAt: Number(definition.createdAt) || Date.now(),
+            lastTriggeredAt: Number(definition.lastTriggeredAt) || null,
+            triggerCount: Number(definition.triggerCount) || 0
+        };
+    }
+    
+    /**
+     * Persist alerts and announce the change
+     */
+    function saveAlerts() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(alerts));
+        } catch (error) {
+            console.warn('Could not persist alerts:', error);
+        }
+        
+        $(document).trigger('alertsChanged', [getAlerts()]);
+    }
+    
+    /**
+     * Load persisted alerts (invalid entries are dropped)
+     */
+    function loadAlerts() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Stored alerts are invalid, starting empty:', error);
+        }
+        
+        alerts = (Array.isArray(stored) ? stored : []).reduce((valid, definition) => {
+            try {
+                valid.push(normalizeAlert(definition));
+            } catch (error) {
+                console.warn('Dropping invalid stored alert:', error.message);
+            }
+            return valid;
+        }, []);
+    }
+    
+    /**
+     * Human-readable alert condition
+     * @param {Object} alert - Alert
+     * @returns {string}
+     */
+    function describe(alert) {
+        const value = formatValue(alert.threshold);
+        
+        switch (alert.kind) {
+            case KINDS.PRICE:
+                return `${alert.symbol} ${value} ${alert.direction === 'above' ? 'üstüne çıkarsa' : 'altına inerse'}`;
+            case KINDS.CHANGE: {
+                const sign = { up: '+', down: '-', both: '±' }[alert.direction];
+                return `${alert.symbol} ${alert.windowMinutes} dk içinde ${sign}${value}% hareket ederse`;
+            }
+            case KINDS.METRIC:
+                return `${alert.symbol} ${METRICS[alert.field].label} ${value} ${alert.direction === 'above' ? 'üstüne çıkarsa' : 'altına inerse'}`;
+        }
+        return alert.symbol;
+    }
+    
+    /**
+     * Format a number for alert messages
+     * @param {number} value - Value
+     * @returns {string}
+     */
+    function formatValue(value) {
+        const abs = Math.abs(value);
+        const digits = abs >= 1 || abs === 0 ? 2 : (abs >= 0.01 ? 4 : 8);
+        return value.toLocaleString('tr-TR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+    
+    /**
+     * Record a price sample for % move alerts
+     * @param {string} symbol - Symbol
+     * @param {number} price - Price
+     * @param {number} timestamp - Sample time (ms)
+     * @param {number} windowMs - Longest window needed for the symbol
+     */
+    function recordPrice(symbol, price, timestamp, windowMs) {
+        if (!priceHistory.has(symbol)) priceHistory.set(symbol, []);
+        
+        const points = priceHistory.get(symbol);
+        if (points.length > 0 && timestamp < points[points.length - 1].time) {
+            // Time went backwards (e.g. a replay started): start over
+            points.length = 0;
+        }
+        points.push({ time: timestamp, price: price });
+        
+        const cutoff = timestamp - windowMs;
+        while (points.length > 1 && points[0].time < cutoff) {
+            points.shift();
+        }
+    }
+    
+    /**
+     * Largest move (%) into the latest price within a window
+     * @param {string} symbol - Symbol
+     * @param {number} windowMs - Window length
+     * @returns {Object|null} { up, down } in percent (both >= 0), null without history
+     */
+    function getWindowMove(symbol, windowMs) {
+        const points = priceHistory.get(symbol) || [];
+        if (points.length < 2) return null;
+        
+        const last = points[points.length - 1];
+        const cutoff = last.time - windowMs;
+        let low = last.price;
+        let high = last.price;
+        
+        points.forEach(point => {
+            if (point.time < cutoff) return;
+            low = Math.min(low, point.price);
+            high = Math.max(high, point.price);
+        });
+        
+        return {
+            up: low > 0 ? ((last.price - low) / low) * 100 : 0,
+            down: high > 0 ? ((high - last.price) / high) * 100 : 0
+        };
+    }
+    
+    /**
+     * Evaluate one alert condition
+     * @param {Object} alert - Alert
+     * @param {Object} item - Analyzed ticker data
+     * @returns {Object|null} { met, value } or null when the value is unknown
+     */
+    function evaluateCondition(alert, item) {
+        switch (alert.kind) {
+            case KINDS.PRICE:
+                return {
+                    met: alert.direction === 'above' ? item.price >= alert.threshold : item.price <= alert.threshold,
+                    value: item.price
+                };
+            case KINDS.CHANGE: {
+                const move = getWindowMove(alert.symbol, alert.windowMinutes * 60 * 1000);
+                if (!move) return null;
+                const value = alert.direction === 'up' ? move.up
+                    : (alert.direction === 'down' ? -move.down : (move.up >= move.down ? move.up : -move.down));
+                return { met: Math.abs(value) >= alert.threshold, value: value };
+            }
+            case KINDS.METRIC: {
+                const value = METRICS[alert.field].value(item);
+                if (value === null || value === undefined || !Number.isFinite(value)) return null;
+                return {
+                    met: alert.direction === 'above' ? value >= alert.threshold : value <= alert.threshold,
+                    value: value
+                };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Play a short tone (Web Audio)
+     * @param {boolean} rising - Higher tone for upward moves
+     */
+    function playSound(rising) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        try {
+            audioContext = audioContext || new AudioContextClass();
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const end = audioContext.currentTime + CONFIG.SOUND_DURATION_MS / 1000;
+            
+            oscillator.frequency.value = rising ? 880 : 440;
+            gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, end);
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start();
+            oscillator.stop(end);
+        } catch (error) {
+            console.warn('Alert sound failed:', error);
+        }
+    }
+    
+    /**
+     * Deliver a triggered alert (notification, sound, 'alertTriggered' event)
+     * @param {Object} event - { alert, value, time, message }
+     */
+    function deliver(event) {
+        if (event.alert.notify && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            try {
+                new Notification(`🔔 ${event.alert.symbol}`, {
+                    body: event.message,
+                    tag: event.alert.id
+                });
+            } catch (error) {
+                console.warn('Notification failed:', error);
+            }
+        }
+        
+        if (event.alert.sound) {
+            const direction = event.alert.direction;
+            playSound(direction === 'above' || direction === 'up' || (direction === 'both' && event.value >= 0));
+        }
+        
+        $(document).trigger('alertTriggered', [event]);
+    }
+    
+    /**
+     * Evaluate every alert against one analysis cycle
+     * @param {Array} analyzedData - Analyzed ticker data
+     * @param {number} timestamp - Cycle time (ms)
+     * @returns {Array} Triggered events [{ alert, value, time, message }]
+     */
+    function evaluate(analyzedData, timestamp = Date.now()) {
+        if (alerts.length === 0) return [];
+        
+        const items = new Map(analyzedData.map(item => [item.symbol, item]));
+        
+        // Price samples for % move alerts
+        const windows = new Map();
+        alerts.forEach(alert => {
+            if (alert.kind === KINDS.CHANGE && alert.enabled) {
+                windows.set(alert.symbol, Math.max(windows.get(alert.symbol) || 0, alert.windowMinutes * 60 * 1000));
+            }
+        });
+        windows.forEach((windowMs, symbol) => {
+            const item = items.get(symbol);
+            if (item) recordPrice(symbol, item.price, timestamp, windowMs);
+        });
+        
+        const triggered = [];
+        let changed = false;
+        
+        alerts.forEach(alert => {
+            if (!alert.enabled) return;
+            
+            const item = items.get(alert.symbol);
+            if (!item) return;
+            
+            const result = evaluateCondition(alert, item);
+            if (!result) return;
+            
+            // Price alerts arm on the first sample; the others may fire right away
+            const previous = conditionState.has(alert.id)
+                ? conditionState.get(alert.id)
+                : (alert.kind === KINDS.PRICE ? result.met : false);
+            conditionState.set(alert.id, result.met);
+            
+            if (!result.met || previous) return;
+            if (alert.snoozedUntil && timestamp < alert.snoozedUntil) return;
+            if (alert.mode === 'repeat' && alert.lastTriggeredAt && timestamp - alert.lastTriggeredAt < alert.cooldownMs) return;
+            
+            alert.lastTriggeredAt = timestamp;
+            alert.triggerCount++;
+            alert.snoozedUntil = null;
+            if (alert.mode === 'once') {
+                alert.enabled = false;
+            }
+            changed = true;
+            
+            const valueText = alert.kind === KINDS.CHANGE
+                ? `${result.value > 0 ? '+' : ''}${formatValue(result.value)}%`
+                : formatValue(result.value);
+            triggered.push({
+                alert: { ...alert },
+                value: result.value,
+                time: timestamp,
+                message: `${describe(alert)} → ${valueText}`
+            });
+        });
+        
+        if (changed) {
+            saveAlerts();
+        }
+        
+        triggered.forEach(deliver);
+        return triggered;
+    }
+    
+    /**
+     * Add an alert
+     * @param {Object} definition - { symbol, kind, direction, threshold, windowMinutes (change),
+     *   field (metric), mode ('once' | 'repeat'), cooldownMs, notify, sound }
+     * @returns {Object} Created alert
+     */
+    function add(definition) {
+        if (alerts.length >= CONFIG.MAX_ALERTS) {
+            throw new Error(`At most ${CONFIG.MAX_ALERTS} alerts are supported`);
+        }
+        
+        const { id, ...fields } = definition || {};
+        const alert = normalizeAlert(fields);
+        alerts.push(alert);
+        saveAlerts();
+        return { ...alert };
+    }
+    
+    /**
+     * Find an alert by id
+     * @param {string} id - Alert id
+     * @returns {Object}
+     */
+    function findAlert(id) {
+        const alert = alerts.find(entry => entry.id === id);
+        if (!alert) {
+            throw new Error(`Unknown alert: ${id}`);
+        }
+        return alert;
+    }
+    
+    /**
+     * Remove an alert
+     * @param {string} id - Alert id
+     */
+    function remove(id) {
+        findAlert(id);
+        alerts = alerts.filter(alert => alert.id !== id);
+        conditionState.delete(id);
+        saveAlerts();
+    }
+    
+    /**
+     * Enable / disable an alert (re-enabling re-arms it)
+     * @param {string} id - Alert id
+     * @param {boolean} enabled - New state
+     */
+    function setEnabled(id, enabled) {
+        const alert = findAlert(id);
+        alert.enabled = Boolean(enabled);
+        conditionState.delete(id);
+        saveAlerts();
+    }
+    
+    /**
+     * Snooze an alert
+     * @param {string} id - Alert id
+     * @param {number} durationMs - Snooze length (0 clears the snooze)
+     */
+    function snooze(id, durationMs) {
+        const alert = findAlert(id);
+        const duration = Number(durationMs);
+        if (!Number.isFinite(duration) || duration < 0) {
+            throw new Error('Snooze duration must be a non-negative number of milliseconds');
+        }
+        
+        alert.snoozedUntil = duration > 0 ? Date.now() + duration : null;
+        saveAlerts();
+    }
+    
+    /**
+     * Get alerts
+     * @returns {Array}
+     */
+    function getAlerts() {
+        return alerts.map(alert => ({ ...alert }));
+    }
+    
+    /**
+     * Ask for notification permission (call from a user gesture)
+     * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+     */
+    function requestPermission() {
+        if (typeof Notification === 'undefined') {
+            return Promise.resolve('unsupported');
+        }
+        if (Notification.permission !== 'default') {
+            return Promise.resolve(Notification.permission);
+        }
+        return Notification.requestPermission();
+    }
+    
+    /**
+     * Get metric fields
+     * @returns {Object} { field: label }
+     */
+    function getMetrics() {
+        const metrics = {};
+        Object.keys(METRICS).forEach(field => {
+            metrics[field] = METRICS[field].label;
+        });
+        return metrics;
+    }
+    
+    loadAlerts();
+    
+    // Evaluate on every analysis cycle (replayed data does not raise alerts)
+    EngineHost.subscribe(function(message) {
+        if (message.source === 'replay') return;
+        evaluate(message.analyzedData, message.timestamp);
+    });
+    
+    // Public API
+    return {
+        add,
+        remove,
+        setEnabled,
+        snooze,
+        evaluate,
+        describe,
+        getAlerts,
+        getMetrics,
+        requestPermission
+    };
+})();
+
+// Make AlertManager available globally
+window.AlertManager = AlertManager;
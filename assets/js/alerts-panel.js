@@ -0,0 +1,214 @@
+/**
+ * Aegis Crypto-Watch - Alerts Panel
+ *
+ * Responsibilities:
+ * - Create price / % move / metric alerts for a symbol
+ * - List alerts with enable, snooze and remove controls
+ * - Ask for notification permission when an alert wants notifications
+ */
+
+const AlertsPanel = (function() {
+    'use strict';
+    
+    const escapeHtml = UIStream.escapeHtml;
+    
+    // Snooze choices (ms)
+    const SNOOZE_OPTIONS = [
+        { label: '15 dk', ms: 15 * 60 * 1000 },
+        { label: '1 saat', ms: 60 * 60 * 1000 },
+        { label: '24 saat', ms: 24 * 60 * 60 * 1000 }
+    ];
+    
+    // Direction choices per alert kind
+    const DIRECTION_LABELS = {
+        price: { above: 'üstüne çıkarsa', below: 'altına inerse' },
+        change: { both: '± (iki yön)', up: '+ (yükseliş)', down: '- (düşüş)' },
+        metric: { above: 'üstüne çıkarsa', below: 'altına inerse' }
+    };
+    
+    /**
+     * Render alerts table
+     */
+    function renderAlerts() {
+        const now = Date.now();
+        const rows = AlertManager.getAlerts().map(alert => {
+            const snoozed = alert.snoozedUntil && alert.snoozedUntil > now;
+            const lastText = alert.lastTriggeredAt
+                ? `${new Date(alert.lastTriggeredAt).toLocaleString('tr-TR')} (${alert.triggerCount}×)`
+                : '—';
+            
+            return `
+                <tr class="${alert.enabled ? '' : 'rule-row-disabled'}" data-alert-id="${escapeHtml(alert.id)}">
+                    <td>
+                        <input type="checkbox" class="form-check-input alert-toggle" ${alert.enabled ? 'checked' : ''}>
+                    </td>
+                    <td>
+                        ${escapeHtml(AlertManager.describe(alert))}
+                        ${snoozed ? `<br><small class="text-warning">💤 ${new Date(alert.snoozedUntil).toLocaleTimeString('tr-TR')} kadar ertelendi</small>` : ''}
+                    </td>
+                    <td>
+                        ${alert.mode === 'once' ? 'Tek sefer' : `Tekrarlı (${UIStream.formatDuration(alert.cooldownMs)})`}
+                        <br><small class="text-muted">${alert.notify ? '🔔' : ''} ${alert.sound ? '🔊' : ''}</small>
+                    </td>
+                    <td><small>${lastText}</small></td>
+                    <td class="text-end text-nowrap">
+                        <select class="form-select form-select-sm bg-dark border-neon text-light d-inline-block w-auto alert-snooze" title="Ertele">
+                            <option value="">💤</option>
+                            ${SNOOZE_OPTIONS.map(option => `<option value="${option.ms}">${option.label}</option>`).join('')}
+                            ${snoozed ? '<option value="0">Ertelemeyi kaldır</option>' : ''}
+                        </select>
+                        <button class="btn btn-sm btn-outline-danger alert-remove" title="Sil">✕</button>
+                    </td>
+                </tr>
+            `;
+        });
+        
+        $('#alertsTableBody').html(rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="5" class="text-center text-muted">Alarm yok</td></tr>');
+    }
+    
+    /**
+     * Show fields of the selected alert kind
+     */
+    function renderKindFields() {
+        const kind = $('#alertKind').val();
+        
+        $('#alertDirection').html(Object.keys(DIRECTION_LABELS[kind])
+            .map(direction => `<option value="${direction}">${DIRECTION_LABELS[kind][direction]}</option>`)
+            .join(''));
+        $('#alertWindowGroup').toggleClass('d-none', kind !== 'change');
+        $('#alertFieldGroup').toggleClass('d-none', kind !== 'metric');
+        $('#alertThreshold').attr('placeholder', {
+            price: 'Fiyat (örn: 70000)',
+            change: 'Hareket % (örn: 2)',
+            metric: 'Eşik değer'
+        }[kind]);
+    }
+    
+    /**
+     * Show or clear form error
+     * @param {string|null} message - Error message
+     */
+    function showError(message) {
+        $('#alertError').text(message || '').toggleClass('d-none', !message);
+    }
+    
+    /**
+     * Pair symbol from the form (a bare base asset gets the selected quote asset)
+     * @param {string} value - e.g. 'BTC' or 'BTCUSDT'
+     * @returns {string}
+     */
+    function readSymbol(value) {
+        const symbol = String(value || '').toUpperCase().trim();
+        const info = SymbolRegistry.parse(symbol);
+        if (symbol && !info.quoteAsset) {
+            const quote = APIClient.getQuoteAsset();
+            return symbol + (quote === 'ALL' ? 'USDT' : quote);
+        }
+        return symbol;
+    }
+    
+    /**
+     * Add alert from form values
+     */
+    function submitAlert() {
+        try {
+            const notify = $('#alertNotify').is(':checked');
+            
+            AlertManager.add({
+                symbol: readSymbol($('#alertSymbol').val()),
+                kind: $('#alertKind').val(),
+                direction: $('#alertDirection').val(),
+                threshold: $('#alertThreshold').val(),
+                windowMinutes: $('#alertWindow').val(),
+                field: $('#alertField').val(),
+                mode: $('#alertMode').val(),
+                cooldownMs: $('#alertCooldown').val() === '' ? null : Number($('#alertCooldown').val()) * 60 * 1000,
+                notify: notify,
+                sound: $('#alertSound').is(':checked')
+            });
+            
+            if (notify) {
+                AlertManager.requestPermission().then(permission => {
+                    if (permission === 'denied' || permission === 'unsupported') {
+                        showError('Tarayıcı bildirimleri kapalı; alarm yalnızca sinyal logunda ve sesle bildirilecek.');
+                    }
+                });
+            }
+            
+            $('#alertThreshold').val('');
+            showError(null);
+            renderAlerts();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+    
+    /**
+     * Open the panel with the symbol pre-filled
+     * @param {string} symbol - Trading pair symbol
+     */
+    function openFor(symbol) {
+        $('#alertSymbol').val(symbol);
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('alertsModal')).show();
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        const metrics = AlertManager.getMetrics();
+        $('#alertField').html(Object.keys(metrics)
+            .map(field => `<option value="${field}">${escapeHtml(metrics[field])}</option>`)
+            .join(''));
+        
+        renderKindFields();
+        $('#alertKind').on('change', renderKindFields);
+        $('#alertMode').on('change', function() {
+            $('#alertCooldownGroup').toggleClass('d-none', $(this).val() !== 'repeat');
+        });
+        
+        $('#alertForm').on('submit', function(event) {
+            event.preventDefault();
+            submitAlert();
+        });
+        
+        $('#alertsTableBody').on('change', '.alert-toggle', function() {
+            AlertManager.setEnabled(String($(this).closest('tr').data('alert-id')), this.checked);
+        });
+        
+        $('#alertsTableBody').on('change', '.alert-snooze', function() {
+            if ($(this).val() === '') return;
+            AlertManager.snooze(String($(this).closest('tr').data('alert-id')), Number($(this).val()));
+        });
+        
+        $('#alertsTableBody').on('click', '.alert-remove', function() {
+            AlertManager.remove(String($(this).closest('tr').data('alert-id')));
+        });
+        
+        $(document).on('alertsChanged', function() {
+            if ($('#alertsModal').hasClass('show')) renderAlerts();
+        });
+        
+        $('#alertsModal').on('show.bs.modal', function() {
+            showError(null);
+            renderAlerts();
+        });
+    }
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        renderAlerts,
+        openFor,
+        initialize
+    };
+})();
+
+// Make AlertsPanel available globally
+window.AlertsPanel = AlertsPanel;
@@ -4,8 +4,16 @@
  * 
  * Responsibilities:
  * - Fetch 24hr ticker data from Binance
- * - Handle API errors and retries
- * - Emit data events for other modules
+ * - Select the top pairs of the chosen quote asset (USDT, FDUSD, BTC, TRY, ... or all)
+ *   plus every watchlist symbol
+ * - Normalise them into the internal ticker schema via the Binance exchange adapter
+ * - Stream all-market ticker updates over WebSocket (with polling fallback)
+ * - Schedule requests without overlap (timeouts, jittered exponential backoff)
+ * - Honour Binance rate limits (429/418, Retry-After, X-MBX-USED-WEIGHT-1M)
+ * - Detect stale data and reflect it in the connection status
+ * - Emit data and connection events for other modules (EventBus)
+ *
+ * DOM-free: the page renders the connection status from 'connectionStatusChanged'.
  */
 
 const APIClient = (function() {
@@ -14,103 +22,772 @@ const APIClient = (function() {
     // Configuration
     const CONFIG = {
         API_URL: 'https://api.binance.com/api/v3/ticker/24hr',
+        KLINES_URL: 'https://api.binance.com/api/v3/klines',
+        DEPTH_URL: 'https://api.binance.com/api/v3/depth',
+        STREAM_URL: 'wss://stream.binance.com:9443/ws/!ticker@arr',
         POLL_INTERVAL: 5000, // 5 seconds
-        RETRY_DELAY: 3000,   // 3 seconds
-        MAX_RETRIES: 3
+        REQUEST_TIMEOUT: 10000,            // Abort requests after 10s
+        RETRY_DELAY: 3000,                 // Backoff base delay
+        RETRY_MAX_DELAY: 60000,            // Backoff cap
+        MAX_RETRIES: 3,                    // Retries per request (timeouts, network, 5xx)
+        RATE_LIMIT_DELAY: 60000,           // 429 without Retry-After
+        BAN_DELAY: 120000,                 // 418 (IP ban) without Retry-After
+        WEIGHT_LIMIT: 6000,                // Binance request weight per minute
+        WEIGHT_THROTTLE_RATIO: 0.8,        // Slow down above 80% of the weight limit
+        STALE_AFTER: 20000,                // No fresh data for 20s = stale
+        STALE_CHECK_INTERVAL: 1000,        // Staleness watchdog interval
+        TOP_LIMIT: 100,      // Symbols kept after volume sort
+        QUOTE_ASSET: 'USDT', // Quote asset filter ('ALL' for every market)
+        STREAM_IDLE_TIMEOUT: 15000,        // No message for 15s = dead socket
+        STREAM_HEARTBEAT_INTERVAL: 5000,   // Watchdog check interval
+        STREAM_RECONNECT_DELAY: 1000,      // Initial reconnect delay
+        STREAM_RECONNECT_MAX_DELAY: 30000, // Reconnect backoff cap
+        STREAM_MAX_RECONNECTS: 5           // Fall back to polling after this
     };
     
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Editable settings and their valid ranges
+    const CONFIG_SCHEMA = {
+        POLL_INTERVAL: { label: 'Poll interval (ms)', min: 1000, max: 600000, integer: true },
+        TOP_LIMIT: { label: 'Top N by volume', min: 1, max: 5000, integer: true },
+        REQUEST_TIMEOUT: { label: 'Request timeout (ms)', min: 1000, max: 120000, integer: true },
+        RETRY_DELAY: { label: 'Retry delay (ms)', min: 100, max: 60000, integer: true },
+        RETRY_MAX_DELAY: { label: 'Max. backoff delay (ms)', min: 1000, max: 600000, integer: true },
+        MAX_RETRIES: { label: 'Max retries', min: 0, max: 10, integer: true },
+        STALE_AFTER: { label: 'Stale after (ms)', min: 2000, max: 600000, integer: true },
+        STREAM_IDLE_TIMEOUT: { label: 'Stream idle timeout (ms)', min: 2000, max: 120000, integer: true },
+        STREAM_MAX_RECONNECTS: { label: 'Stream reconnect attempts', min: 0, max: 50, integer: true }
+    };
+    
+    const ALL_QUOTES = 'ALL';
+    
+    // Transport modes
+    const TRANSPORTS = {
+        POLLING: 'polling',
+        STREAM: 'stream'
+    };
+    
+    /**
+     * Request failure with scheduling hints
+     */
+    class ApiError extends Error {
+        /**
+         * @param {string} message - Human readable reason
+         * @param {Object} details - { status, retryable, retryAfter (ms), aborted }
+         */
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = details.status || 0;
+            this.retryable = Boolean(details.retryable);
+            this.retryAfter = details.retryAfter || 0;
+            this.aborted = Boolean(details.aborted);
+        }
+    }
+    
     // State
-    let pollingInterval = null;
-    let retryCount = 0;
+    let pollTimer = null;
+    let pollController = null;     // AbortController of the in-flight poll cycle
+    let consecutiveFailures = 0;
     let isPolling = false;
+    let lastMarketTickers = null;  // Last full REST response (re-filtered on quote change)
+    
+    // Rate limit state
+    let blockedUntil = 0;          // No requests before this time (429 / 418)
+    let usedWeight = null;         // Last X-MBX-USED-WEIGHT-1M
+    let weightUpdatedAt = 0;
+    
+    // Freshness state
+    let connectionStatus = null;
+    let lastDataAt = 0;
+    let staleTimer = null;
+    
+    // Streaming state
+    let socket = null;
+    let isStreaming = false;
+    let streamOptions = {};
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let heartbeatTimer = null;
+    let lastMessageAt = 0;
+    const streamSnapshot = new Map(); // symbol -> REST-shaped ticker
     
     /**
-     * Fetch ticker data from Binance API
-     * @returns {Promise<Array>} Array of ticker data
+     * Keep pairs of the selected quote asset, sorted by reference volume (Top N)
+     * Watchlist symbols are always kept (appended after the top N, on any quote asset).
+     * Selected tickers are normalised into the internal ticker schema (see
+     * ExchangeAdapters) and carry prices from other exchanges (`venues`), the
+     * order book analysis (`depth`) and buy/sell pressure (`tape`) when known.
+     * @param {Array} data - Full market ticker array (Binance REST shape)
+     * @returns {Array} Selected tickers (internal schema)
      */
-    async function fetchTickerData() {
-        try {
-            const response = await fetch(CONFIG.API_URL);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    function selectTopPairs(data) {
+        SymbolRegistry.updateRates(data);
+        
+        const binance = ExchangeAdapters.get('binance');
+        const selected = [];
+        const watched = [];
+        data.forEach(item => {
+            const ticker = binance.normalizeTicker(item);
+            if (Watchlist.has(ticker.symbol)) {
+                watched.push(ticker);
             }
+            if (CONFIG.QUOTE_ASSET !== ALL_QUOTES && ticker.quoteAsset !== CONFIG.QUOTE_ASSET) return;
             
-            const data = await response.json();
+            selected.push(ticker);
+        });
+        
+        const top = selected
+            .sort((a, b) => (b.volumeRef || 0) - (a.volumeRef || 0))
+            .slice(0, CONFIG.TOP_LIMIT); // Top N by volume
+        
+        // Watched symbols outside the cutoff or the selected quote asset
+        const included = new Set(top.map(ticker => ticker.symbol));
+        watched.forEach(ticker => {
+            if (!included.has(ticker.symbol)) top.push(ticker);
+        });
+        
+        return TradeTape.annotate(DepthMonitor.annotate(VenueMonitor.annotate(top)));
+    }
+    
+    /**
+     * Jittered exponential backoff delay
+     * @param {number} failures - Consecutive failures (1 = first retry)
+     * @returns {number} Delay in ms, between half and all of the capped exponential delay
+     */
+    function getBackoffDelay(failures) {
+        const delay = Math.min(
+            CONFIG.RETRY_MAX_DELAY,
+            CONFIG.RETRY_DELAY * Math.pow(2, Math.max(0, failures - 1))
+        );
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+    }
+    
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in ms or null when absent / invalid
+     */
+    function parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') return null;
+        
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    /**
+     * Read used request weight from Binance response headers
+     * @param {Headers} headers - Response headers
+     */
+    function readUsedWeight(headers) {
+        if (!headers || typeof headers.get !== 'function') return;
+        
+        const weight = parseInt(headers.get('X-MBX-USED-WEIGHT-1M') || headers.get('X-MBX-USED-WEIGHT'), 10);
+        if (Number.isFinite(weight)) {
+            usedWeight = weight;
+            weightUpdatedAt = Date.now();
+        }
+    }
+    
+    /**
+     * Time to hold back before the next request
+     * Covers an active 429/418 block and a nearly exhausted weight budget
+     * (held until the weight window resets at the next minute).
+     * @returns {number} Delay in ms (0 = free to request)
+     */
+    function getThrottleDelay() {
+        const now = Date.now();
+        if (blockedUntil > now) return blockedUntil - now;
+        
+        const sameWindow = Math.floor(weightUpdatedAt / 60000) === Math.floor(now / 60000);
+        if (sameWindow && usedWeight !== null && usedWeight >= CONFIG.WEIGHT_LIMIT * CONFIG.WEIGHT_THROTTLE_RATIO) {
+            return 60000 - (now % 60000);
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Wait, unless cancelled
+     * @param {number} ms - Delay
+     * @param {AbortSignal} signal - Cancels the wait, optional
+     * @returns {Promise}
+     */
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new ApiError('Request cancelled', { aborted: true }));
+                return;
+            }
             
-            // Filter only USDT pairs and sort by volume
-            const usdtPairs = data
-                .filter(item => item.symbol.endsWith('USDT'))
-                .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
-                .slice(0, 100); // Top 100 by volume
+            const timer = setTimeout(done, ms);
             
-            retryCount = 0; // Reset retry count on success
-            updateConnectionStatus('connected');
+            function done() {
+                if (signal) signal.removeEventListener('abort', cancel);
+                resolve();
+            }
             
-            return usdtPairs;
+            function cancel() {
+                clearTimeout(timer);
+                reject(new ApiError('Request cancelled', { aborted: true }));
+            }
             
+            if (signal) signal.addEventListener('abort', cancel);
+        });
+    }
+    
+    /**
+     * Single Binance request with timeout and rate-limit handling
+     * @param {string} url - Endpoint
+     * @param {Object} options - { signal } to cancel from outside
+     * @returns {Promise<*>} Parsed JSON
+     * @throws {ApiError} retryable for timeouts, network and 5xx errors; retryAfter for 429/418
+     */
+    async function request(url, options = {}) {
+        if (blockedUntil > Date.now()) {
+            const remaining = blockedUntil - Date.now();
+            throw new ApiError(`Rate limited, retry in ${Math.ceil(remaining / 1000)}s`, {
+                status: 429,
+                retryAfter: remaining
+            });
+        }
+        
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+        const cancel = () => controller.abort();
+        if (options.signal) options.signal.addEventListener('abort', cancel);
+        
+        let response;
+        try {
+            response = await fetch(url, { signal: controller.signal });
         } catch (error) {
-            console.error('API fetch error:', error);
-            retryCount++;
-            updateConnectionStatus('error');
-            
-            if (retryCount < CONFIG.MAX_RETRIES) {
-                setTimeout(() => {
-                    console.log(`Retrying API call (${retryCount}/${CONFIG.MAX_RETRIES})...`);
-                    fetchTickerData();
-                }, CONFIG.RETRY_DELAY);
+            if (options.signal && options.signal.aborted) {
+                throw new ApiError('Request cancelled', { aborted: true });
+            }
+            if (controller.signal.aborted) {
+                throw new ApiError(`Request timed out after ${CONFIG.REQUEST_TIMEOUT}ms`, { retryable: true });
             }
+            throw new ApiError(`Network error: ${error.message}`, { retryable: true });
+        } finally {
+            clearTimeout(timeout);
+            if (options.signal) options.signal.removeEventListener('abort', cancel);
+        }
+        
+        readUsedWeight(response.headers);
+        
+        if (response.status === 429 || response.status === 418) {
+            const header = response.headers && typeof response.headers.get === 'function'
+                ? response.headers.get('Retry-After')
+                : null;
+            const retryAfter = parseRetryAfter(header);
+            const delay = retryAfter !== null
+                ? retryAfter
+                : (response.status === 418 ? CONFIG.BAN_DELAY : CONFIG.RATE_LIMIT_DELAY);
+            
+            blockedUntil = Date.now() + delay;
+            EventBus.emit('apiRateLimited', getRateLimitState());
             
-            throw error;
+            throw new ApiError(
+                `${response.status === 418 ? 'IP banned' : 'Rate limited'} (HTTP ${response.status}), retry in ${Math.ceil(delay / 1000)}s`,
+                { status: response.status, retryAfter: delay }
+            );
         }
+        
+        if (!response.ok) {
+            throw new ApiError(`HTTP error! status: ${response.status}`, {
+                status: response.status,
+                retryable: response.status >= 500
+            });
+        }
+        
+        return response.json();
     }
     
     /**
-     * Update connection status indicator
-     * @param {string} status - 'connected', 'connecting', 'error'
+     * Fetch full market 24hr ticker array from Binance API
+     * @param {Object} options - { signal }
+     * @returns {Promise<Array>} Unfiltered ticker data
      */
-    function updateConnectionStatus(status) {
-        const $status = $('#connectionStatus');
-        const $indicator = $('#statusIndicator');
+    function fetchMarketTickers(options = {}) {
+        return request(CONFIG.API_URL, options);
+    }
+    
+    /**
+     * Fetch ticker data from Binance API
+     * Transient failures are retried (up to MAX_RETRIES) with jittered exponential
+     * backoff; rate-limit responses are not retried here (see getThrottleDelay).
+     * @param {Object} options - { signal } to cancel the request and pending retries
+     * @returns {Promise<Array>} Array of ticker data
+     */
+    async function fetchTickerData(options = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const data = await fetchMarketTickers(options);
+                consecutiveFailures = 0;
+                lastMarketTickers = data;
+                
+                // Filter by quote asset and sort by volume
+                return selectTopPairs(data);
+            
+            } catch (error) {
+                if (error.aborted) throw error;
+                
+                consecutiveFailures++;
+                if (!error.retryable || attempt >= CONFIG.MAX_RETRIES) throw error;
+                
+                const delay = getBackoffDelay(consecutiveFailures);
+                console.warn(`${error.message}; retrying API call (${attempt + 1}/${CONFIG.MAX_RETRIES}) in ${delay}ms...`);
+                await wait(delay, options.signal);
+            }
+        }
+    }
+    
+    /**
+     * Fetch historical candles from Binance
+     * @param {string} symbol - Trading pair symbol (e.g. BTCUSDT)
+     * @param {string} interval - Kline interval (1m, 5m, 15m, 1h, 4h, 1d, ...)
+     * @param {Object} options - { limit (max 1000), startTime, endTime }
+     * @returns {Promise<Array>} Raw Binance kline arrays
+     */
+    async function fetchKlines(symbol, interval, options = {}) {
+        const params = new URLSearchParams({
+            symbol: symbol.toUpperCase(),
+            interval: interval,
+            limit: String(options.limit || 500)
+        });
+        if (options.startTime) params.set('startTime', String(options.startTime));
+        if (options.endTime) params.set('endTime', String(options.endTime));
         
-        $status.removeClass('status-connected status-connecting status-error');
+        return request(`${CONFIG.KLINES_URL}?${params}`);
+    }
+    
+    /**
+     * Fetch an order book snapshot from Binance
+     * @param {string} symbol - Trading pair symbol (e.g. BTCUSDT)
+     * @param {Object} options - { limit (levels per side, max 5000) }
+     * @returns {Promise<Object>} Raw Binance depth { lastUpdateId, bids, asks }
+     */
+    async function fetchDepth(symbol, options = {}) {
+        const params = new URLSearchParams({
+            symbol: symbol.toUpperCase(),
+            limit: String(options.limit || 100)
+        });
         
-        switch(status) {
-            case 'connected':
-                $status.addClass('status-connected');
-                $status.html('<span id="statusIndicator">●</span> Connected');
-                break;
-            case 'connecting':
-                $status.addClass('status-connecting');
-                $status.html('<span id="statusIndicator">●</span> Connecting...');
-                break;
-            case 'error':
-                $status.addClass('status-error');
-                $status.html('<span id="statusIndicator">●</span> Connection Error');
-                break;
-        }
+        return request(`${CONFIG.DEPTH_URL}?${params}`);
     }
     
     /**
-     * Process and emit ticker data
+     * Set and announce the connection status ('connectionStatusChanged')
+     * @param {string} status - 'connected', 'streaming', 'connecting', 'stale', 'limited', 'error', 'replay'
+     */
+    function updateConnectionStatus(status) {
+        connectionStatus = status;
+        EventBus.emit('connectionStatusChanged', status, {
+            staleFor: status === 'stale' ? Date.now() - lastDataAt : 0
+        });
+    }
+    
+    /**
+     * Process and emit ticker data (one poll cycle, never overlapping)
+     * @returns {Promise}
      */
     async function processTickerData() {
+        if (pollController) return; // Previous cycle still in flight
+        
+        const controller = new AbortController();
+        pollController = controller;
+        
         try {
-            const tickerData = await fetchTickerData();
+            const tickerData = await fetchTickerData({ signal: controller.signal });
             
-            // Update last update time
-            const now = new Date();
-            $('#lastUpdate').text(now.toLocaleTimeString('tr-TR'));
+            // Polling may have been stopped while the request was in flight
+            if (controller.signal.aborted) return;
             
-            // Emit custom event with data
-            $(document).trigger('tickerDataReceived', [tickerData]);
+            updateConnectionStatus('connected');
             
+            // Update last update time and emit custom event with data
+            emitTickerData(tickerData);
+        
         } catch (error) {
+            if (error.aborted || controller.signal.aborted) return;
+            
             console.error('Error processing ticker data:', error);
-            $(document).trigger('tickerDataError', [error]);
+            updateConnectionStatus(error.retryAfter ? 'limited' : 'error');
+            EventBus.emit('tickerDataError', error);
+        } finally {
+            if (pollController === controller) {
+                pollController = null;
+            }
+        }
+    }
+    
+    /**
+     * Delay before the next poll cycle
+     * @returns {number} Poll interval, stretched by backoff and rate limits
+     */
+    function getNextPollDelay() {
+        const backoff = consecutiveFailures > 0 ? getBackoffDelay(consecutiveFailures) : 0;
+        return Math.max(CONFIG.POLL_INTERVAL, backoff, getThrottleDelay());
+    }
+    
+    /**
+     * Run one poll cycle, then schedule the next one
+     */
+    async function runPollCycle() {
+        pollTimer = null;
+        await processTickerData();
+        
+        if (isPolling && !pollTimer) {
+            pollTimer = setTimeout(runPollCycle, getNextPollDelay());
         }
     }
     
+    /**
+     * Staleness watchdog: flag the connection when no live data has arrived in time
+     */
+    function checkStaleness() {
+        if (!getTransport()) return;
+        
+        // Polling is waiting out a 429/418 Retry-After: keep showing Rate Limited
+        const now = Date.now();
+        if (connectionStatus === 'limited' && blockedUntil > now) return;
+        
+        const threshold = isPolling
+            ? Math.max(CONFIG.STALE_AFTER, CONFIG.POLL_INTERVAL * 2)
+            : CONFIG.STALE_AFTER;
+        // A poll backoff counts from its end, so the next poll gets its chance
+        const age = now - (isPolling ? Math.max(lastDataAt, blockedUntil) : lastDataAt);
+        
+        if (age > threshold) {
+            if (connectionStatus !== 'stale') {
+                EventBus.emit('tickerDataStale', age);
+            }
+            updateConnectionStatus('stale'); // Refreshes the age shown
+        }
+    }
+    
+    function startStaleWatch() {
+        // Every transport start (including a fallback) gets a full STALE_AFTER
+        lastDataAt = Date.now();
+        
+        if (staleTimer) return;
+        staleTimer = setInterval(checkStaleness, CONFIG.STALE_CHECK_INTERVAL);
+    }
+    
+    function stopStaleWatch() {
+        if (staleTimer) {
+            clearInterval(staleTimer);
+            staleTimer = null;
+        }
+    }
+    
+    /**
+     * Emit ticker data to the rest of the pipeline
+     * @param {Array} tickerData - Selected ticker data
+     * @param {Object} meta - { timestamp, source }; defaults to now / active transport
+     */
+    function emitTickerData(tickerData, meta = {}) {
+        const frameMeta = {
+            timestamp: meta.timestamp !== undefined ? meta.timestamp : Date.now(),
+            source: meta.source || getTransport()
+        };
+        
+        if (frameMeta.source !== 'replay') {
+            lastDataAt = Date.now();
+            if (connectionStatus === 'stale') {
+                updateConnectionStatus(isStreaming ? 'streaming' : 'connected');
+            }
+        }
+        
+        EventBus.emit('tickerDataReceived', tickerData, frameMeta);
+    }
+    
+    /**
+     * Convert a stream ticker payload to the REST 24hr ticker shape
+     * @param {Object} t - Binance 24hrTicker stream event
+     * @returns {Object} REST-shaped ticker
+     */
+    function streamTickerToRest(t) {
+        return {
+            symbol: t.s,
+            priceChange: t.p,
+            priceChangePercent: t.P,
+            weightedAvgPrice: t.w,
+            prevClosePrice: t.x,
+            lastPrice: t.c,
+            lastQty: t.Q,
+            bidPrice: t.b,
+            bidQty: t.B,
+            askPrice: t.a,
+            askQty: t.A,
+            openPrice: t.o,
+            highPrice: t.h,
+            lowPrice: t.l,
+            volume: t.v,
+            quoteVolume: t.q,
+            openTime: t.O,
+            closeTime: t.C,
+            firstId: t.F,
+            lastId: t.L,
+            count: t.n
+        };
+    }
+    
+    /**
+     * Merge partial stream updates into the snapshot and emit it
+     * @param {string} rawMessage - WebSocket message payload
+     */
+    function handleStreamMessage(rawMessage) {
+        lastMessageAt = Date.now();
+        
+        let payload;
+        try {
+            payload = JSON.parse(rawMessage);
+        } catch (error) {
+            console.error('Invalid stream payload:', error);
+            return;
+        }
+        
+        // Combined streams wrap the payload as { stream, data }
+        if (payload && !Array.isArray(payload) && payload.data) {
+            payload = payload.data;
+        }
+        
+        const updates = Array.isArray(payload) ? payload : [payload];
+        updates.forEach(update => {
+            if (update && update.e === '24hrTicker') {
+                streamSnapshot.set(update.s, streamTickerToRest(update));
+            }
+        });
+        
+        if (streamSnapshot.size > 0) {
+            emitTickerData(selectTopPairs(Array.from(streamSnapshot.values())));
+        }
+    }
+    
+    /**
+     * Seed the stream snapshot with one REST call.
+     * The stream only pushes symbols that changed in the last second.
+     */
+    function seedSnapshot() {
+        fetchMarketTickers()
+            .then(data => {
+                data.forEach(ticker => {
+                    if (!streamSnapshot.has(ticker.symbol)) {
+                        streamSnapshot.set(ticker.symbol, ticker);
+                    }
+                });
+                if (isStreaming) {
+                    emitTickerData(selectTopPairs(Array.from(streamSnapshot.values())));
+                }
+            })
+            .catch(error => {
+                console.warn('Stream snapshot seed failed:', error);
+            });
+    }
+    
+    /**
+     * Open the ticker WebSocket
+     */
+    function openSocket() {
+        const SocketImpl = streamOptions.WebSocket || globalThis.WebSocket;
+        const url = streamOptions.url || CONFIG.STREAM_URL;
+        
+        reconnectTimer = null;
+        
+        try {
+            socket = new SocketImpl(url);
+        } catch (error) {
+            console.error('Ticker stream open failed:', error);
+            scheduleReconnect();
+            return;
+        }
+        
+        socket.onopen = function() {
+            lastMessageAt = Date.now();
+            startHeartbeat();
+            updateConnectionStatus('streaming');
+            console.log('Ticker stream connected');
+        };
+        
+        socket.onmessage = function(event) {
+            // Only a socket that delivers data counts as recovered; one that
+            // opens and drops at once keeps using up the reconnect budget
+            reconnectAttempts = 0;
+            handleStreamMessage(event.data);
+        };
+        
+        socket.onerror = function(event) {
+            console.error('Ticker stream error:', event);
+        };
+        
+        socket.onclose = function() {
+            detachSocket();
+            if (isStreaming) {
+                scheduleReconnect();
+            }
+        };
+    }
+    
+    /**
+     * Detach handlers and close the current socket
+     */
+    function detachSocket() {
+        stopHeartbeat();
+        
+        if (!socket) return;
+        
+        socket.onopen = null;
+        socket.onmessage = null;
+        socket.onerror = null;
+        socket.onclose = null;
+        
+        try {
+            socket.close();
+        } catch (error) {
+            // Socket already closed
+        }
+        socket = null;
+    }
+    
+    /**
+     * Watchdog: reconnect when the stream goes silent
+     */
+    function startHeartbeat() {
+        stopHeartbeat();
+        heartbeatTimer = setInterval(() => {
+            if (Date.now() - lastMessageAt > CONFIG.STREAM_IDLE_TIMEOUT) {
+                console.warn('Ticker stream idle, reconnecting...');
+                detachSocket();
+                scheduleReconnect();
+            }
+        }, CONFIG.STREAM_HEARTBEAT_INTERVAL);
+    }
+    
+    function stopHeartbeat() {
+        if (heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+    }
+    
+    /**
+     * Reconnect with exponential backoff, fall back to polling when exhausted
+     */
+    function scheduleReconnect() {
+        if (!isStreaming || reconnectTimer) return;
+        
+        reconnectAttempts++;
+        
+        if (reconnectAttempts > CONFIG.STREAM_MAX_RECONNECTS) {
+            console.warn('Ticker stream unavailable, falling back to polling');
+            stopStreaming();
+            EventBus.emit('transportFallback', TRANSPORTS.POLLING);
+            startPolling();
+            return;
+        }
+        
+        const delay = Math.min(
+            CONFIG.STREAM_RECONNECT_MAX_DELAY,
+            CONFIG.STREAM_RECONNECT_DELAY * Math.pow(2, reconnectAttempts - 1)
+        );
+        
+        updateConnectionStatus('connecting');
+        console.log(`Reconnecting ticker stream (${reconnectAttempts}/${CONFIG.STREAM_MAX_RECONNECTS}) in ${delay}ms...`);
+        reconnectTimer = setTimeout(openSocket, delay);
+    }
+    
+    /**
+     * Start streaming ticker data over WebSocket
+     * @param {Object} options - { url, WebSocket, seed }
+     *   url: stream endpoint (e.g. local stand-in), WebSocket: constructor override,
+     *   seed: fetch a REST snapshot first (default true)
+     */
+    function startStreaming(options = {}) {
+        if (isStreaming) {
+            console.warn('Streaming already started');
+            return;
+        }
+        
+        const SocketImpl = options.WebSocket || globalThis.WebSocket;
+        if (typeof SocketImpl !== 'function') {
+            console.warn('WebSocket not supported, falling back to polling');
+            startPolling();
+            return;
+        }
+        
+        if (isPolling) {
+            stopPolling();
+        }
+        
+        streamOptions = options;
+        isStreaming = true;
+        startStaleWatch();
+        reconnectAttempts = 0;
+        streamSnapshot.clear();
+        updateConnectionStatus('connecting');
+        
+        if (options.seed !== false) {
+            seedSnapshot();
+        }
+        
+        openSocket();
+        console.log('API streaming started');
+    }
+    
+    /**
+     * Stop streaming
+     */
+    function stopStreaming() {
+        isStreaming = false;
+        
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        
+        detachSocket();
+        console.log('API streaming stopped');
+    }
+    
+    /**
+     * Start data flow with the selected transport
+     * @param {string} transport - 'stream' or 'polling'
+     * @param {Object} options - Stream options (see startStreaming)
+     */
+    function start(transport = TRANSPORTS.STREAM, options = {}) {
+        SymbolRegistry.load();
+        
+        if (transport === TRANSPORTS.STREAM) {
+            startStreaming(options);
+        } else {
+            startPolling();
+        }
+    }
+    
+    /**
+     * Stop whichever transport is active
+     */
+    function stop() {
+        if (isStreaming) stopStreaming();
+        if (isPolling) stopPolling();
+        stopStaleWatch();
+    }
+    
+    /**
+     * Get active transport
+     * @returns {string|null} 'stream', 'polling' or null
+     */
+    function getTransport() {
+        if (isStreaming) return TRANSPORTS.STREAM;
+        if (isPolling) return TRANSPORTS.POLLING;
+        return null;
+    }
+    
     /**
      * Start polling for ticker data
      */
@@ -121,15 +798,12 @@ const APIClient = (function() {
         }
         
         isPolling = true;
+        consecutiveFailures = 0;
         updateConnectionStatus('connecting');
+        startStaleWatch();
         
-        // Initial fetch
-        processTickerData();
-        
-        // Set up interval
-        pollingInterval = setInterval(() => {
-            processTickerData();
-        }, CONFIG.POLL_INTERVAL);
+        // Initial fetch; each cycle schedules the next once it has finished
+        runPollCycle();
         
         console.log('API polling started');
     }
@@ -138,9 +812,13 @@ const APIClient = (function() {
      * Stop polling
      */
     function stopPolling() {
-        if (pollingInterval) {
-            clearInterval(pollingInterval);
-            pollingInterval = null;
+        if (pollTimer) {
+            clearTimeout(pollTimer);
+            pollTimer = null;
+        }
+        if (pollController) {
+            pollController.abort();
+            pollController = null;
         }
         isPolling = false;
         console.log('API polling stopped');
@@ -154,6 +832,63 @@ const APIClient = (function() {
         return isPolling;
     }
     
+    /**
+     * Select quote asset (applied immediately when data is flowing)
+     * @param {string} quoteAsset - e.g. 'USDT', 'FDUSD', 'BTC', 'TRY' or 'ALL'
+     * @returns {string} Selected quote asset
+     */
+    function setQuoteAsset(quoteAsset) {
+        const next = String(quoteAsset || '').toUpperCase().trim();
+        if (!/^[A-Z0-9]+$/.test(next)) {
+            throw new Error(`Invalid quote asset: ${quoteAsset}`);
+        }
+        
+        CONFIG.QUOTE_ASSET = next;
+        reselect();
+        
+        return next;
+    }
+    
+    /**
+     * Re-run pair selection on the latest market data (when the selection criteria change)
+     */
+    function reselect() {
+        if (isStreaming && streamSnapshot.size > 0) {
+            emitTickerData(selectTopPairs(Array.from(streamSnapshot.values())));
+        } else if (isPolling && lastMarketTickers) {
+            emitTickerData(selectTopPairs(lastMarketTickers));
+        }
+    }
+    
+    /**
+     * Get selected quote asset
+     * @returns {string}
+     */
+    function getQuoteAsset() {
+        return CONFIG.QUOTE_ASSET;
+    }
+    
+    /**
+     * Get rate limit state
+     * @returns {Object} { usedWeight, weightLimit, blockedUntil, throttleDelay }
+     */
+    function getRateLimitState() {
+        return {
+            usedWeight: usedWeight,
+            weightLimit: CONFIG.WEIGHT_LIMIT,
+            blockedUntil: blockedUntil,
+            throttleDelay: getThrottleDelay()
+        };
+    }
+    
+    /**
+     * Get current connection status
+     * @returns {string|null} Last status passed to updateConnectionStatus
+     */
+    function getConnectionStatus() {
+        return connectionStatus;
+    }
+    
     /**
      * Get API configuration
      * @returns {Object}
@@ -162,15 +897,80 @@ const APIClient = (function() {
         return { ...CONFIG };
     }
     
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update configuration (takes effect on the next cycle)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        const next = ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'API');
+        
+        const intervalChanged = next.POLL_INTERVAL !== CONFIG.POLL_INTERVAL;
+        Object.assign(CONFIG, next);
+        
+        // Reschedule a waiting poll so the new interval applies from the next cycle
+        if (intervalChanged && pollTimer) {
+            clearTimeout(pollTimer);
+            pollTimer = setTimeout(runPollCycle, getNextPollDelay());
+        }
+        
+        return getConfig();
+    }
+    
+    /**
+     * Restore default configuration
+     * @returns {Object} Default configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
+    // Track newly watched symbols without waiting for the next cycle
+    EventBus.on('watchlistChanged', function() {
+        reselect();
+    });
+    
     // Public API
     return {
+        start,
+        stop,
         startPolling,
         stopPolling,
+        startStreaming,
+        stopStreaming,
+        getTransport,
         isPollingActive,
         fetchTickerData,
-        getConfig
+        fetchKlines,
+        fetchDepth,
+        emitTickerData,
+        updateConnectionStatus,
+        getConnectionStatus,
+        getRateLimitState,
+        setQuoteAsset,
+        getQuoteAsset,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig
     };
 })();
 
-// Make APIClient available globally
-window.APIClient = APIClient;
\ No newline at end of file
+// Make APIClient available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = APIClient;
+} else {
+    window.APIClient = APIClient;
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Aegis Crypto-Watch - Backtest Panel
+ *
+ * Responsibilities:
+ * - Load candles from Binance or a local JSON / CSV file
+ * - Run Backtester and show per-type forward returns, hit rate and drawdown
+ * - Export backtest results as CSV / JSON
+ */
+
+const BacktestPanel = (function() {
+    'use strict';
+    
+    const MAX_EVENT_ROWS = 200; // Signal rows rendered (exports contain all)
+    
+    const escapeHtml = UIStream.escapeHtml;
+    
+    // State
+    let loadedFile = null;   // { symbol, interval, candles } from the file input
+    let currentResults = null;
+    
+    /**
+     * Show status line
+     * @param {string} message - Message text
+     * @param {boolean} isError - Render as error
+     */
+    function showStatus(message, isError) {
+        $('#backtestStatus')
+            .toggleClass('text-danger', !!isError)
+            .toggleClass('text-muted', !isError)
+            .text(message);
+    }
+    
+    /**
+     * Format a percentage cell
+     * @param {number|null} value - Percentage
+     * @param {boolean} colored - Color by sign
+     * @returns {string} HTML
+     */
+    function formatPercent(value, colored) {
+        if (value === null || value === undefined) return '—';
+        
+        const text = `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+        return colored ? `<span class="${value >= 0 ? 'price-up' : 'price-down'}">${text}</span>` : text;
+    }
+    
+    /**
+     * Render summary and signal tables
+     * @param {Object} results - Backtest results
+     */
+    function renderResults(results) {
+        const headers = results.horizons.map(label => `<th class="text-center">${escapeHtml(label)}</th>`).join('');
+        $('#backtestSummaryHead').html(`<tr><th>Tip</th><th>Sinyal</th>${headers}</tr>`);
+        
+        const summaryRows = Object.keys(results.summary).sort().map(type => {
+            const entry = results.summary[type];
+            const cells = results.horizons.map(label => {
+                const stats = entry.horizons[label];
+                if (stats.samples === 0) return '<td class="text-center text-muted">—</td>';
+                
+                return `
+                    <td class="text-center">
+                        <div>İsabet <strong>${stats.hitRate.toFixed(0)}%</strong> <small class="text-muted">(${stats.samples})</small></div>
+                        <div><small>Ort. getiri ${formatPercent(stats.avgReturn, true)}</small></div>
+                        <div><small class="text-muted">Ort. düşüş ${formatPercent(-stats.avgDrawdown, false)}</small></div>
+                    </td>
+                `;
+            }).join('');
+            
+            return `<tr><td><strong>${escapeHtml(type)}</strong></td><td>${entry.count}</td>${cells}</tr>`;
+        });
+        
+        $('#backtestSummaryBody').html(summaryRows.length > 0
+            ? summaryRows.join('')
+            : `<tr><td colspan="${results.horizons.length + 2}" class="text-center text-muted">Sinyal oluşmadı</td></tr>`);
+        
+        const eventRows = results.events.slice(-MAX_EVENT_ROWS).reverse().map(event => `
+            <tr>
+                <td class="signal-log-time">${new Date(event.time).toLocaleString('tr-TR')}</td>
+                <td>${escapeHtml(event.type)}</td>
+                <td><small>${escapeHtml(event.message)}</small></td>
+                <td>${event.price}</td>
+                ${results.horizons.map(label => {
+                    const outcome = event.outcomes[label];
+                    return `<td>${outcome ? formatPercent(outcome.return, true) : '—'}</td>`;
+                }).join('')}
+            </tr>
+        `);
+        
+        $('#backtestEventsHead').html(
+            `<tr><th>Zaman</th><th>Tip</th><th>Mesaj</th><th>Fiyat</th>${headers}</tr>`
+        );
+        $('#backtestEventsBody').html(eventRows.join(''));
+        
+        const range = `${new Date(results.from).toLocaleString('tr-TR')} – ${new Date(results.to).toLocaleString('tr-TR')}`;
+        showStatus(`${results.symbol} · ${results.candles} mum · ${results.events.length} sinyal · ${range}`);
+        $('#backtestResults').removeClass('d-none');
+    }
+    
+    /**
+     * Load candles from the selected source
+     * @returns {Promise<Object>} { symbol, interval, candles }
+     */
+    async function loadCandles() {
+        if ($('#backtestSource').val() === 'file') {
+            if (!loadedFile) {
+                throw new Error('Önce bir mum dosyası seçin');
+            }
+            const symbol = ($('#backtestSymbol').val().trim() || loadedFile.symbol || '').toUpperCase();
+            return { ...loadedFile, symbol: symbol };
+        }
+        
+        const symbol = $('#backtestSymbol').val().trim().toUpperCase();
+        const interval = $('#backtestInterval').val();
+        if (!symbol) {
+            throw new Error('Sembol gerekli (örn: BTCUSDT)');
+        }
+        
+        const candles = await Backtester.loadFromBinance(symbol, interval, Number($('#backtestCount').val()));
+        return { symbol, interval, candles };
+    }
+    
+    /**
+     * Load candles and run the backtest
+     * @returns {Promise}
+     */
+    async function runBacktest() {
+        $('#runBacktestBtn').prop('disabled', true);
+        showStatus('Çalışıyor...');
+        
+        try {
+            const data = await loadCandles();
+            const horizons = $('#backtestHorizons').val().split(',').map(value => value.trim()).filter(Boolean);
+            
+            // Let the status repaint before the synchronous replay
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            currentResults = Backtester.run({
+                symbol: data.symbol,
+                interval: data.interval,
+                candles: data.candles,
+                horizons: horizons.length > 0 ? horizons : undefined
+            });
+            renderResults(currentResults);
+        } catch (error) {
+            showStatus(error.message, true);
+        } finally {
+            $('#runBacktestBtn').prop('disabled', false);
+        }
+    }
+    
+    /**
+     * Read a candle file into state
+     * @param {File} file - Selected file
+     */
+    function readFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            try {
+                loadedFile = Backtester.parseFile(reader.result, file.name);
+                if (loadedFile.symbol && !$('#backtestSymbol').val().trim()) {
+                    $('#backtestSymbol').val(loadedFile.symbol);
+                }
+                showStatus(`${file.name}: ${loadedFile.candles.length} mum yüklendi`);
+            } catch (error) {
+                loadedFile = null;
+                showStatus(`${file.name}: ${error.message}`, true);
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Toggle Binance / file inputs
+     */
+    function updateSourceFields() {
+        const fromFile = $('#backtestSource').val() === 'file';
+        $('.backtest-binance-field').toggleClass('d-none', fromFile);
+        $('.backtest-file-field').toggleClass('d-none', !fromFile);
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        $('#backtestHorizons').val(Backtester.getConfig().HORIZONS.join(', '));
+        updateSourceFields();
+        
+        $('#backtestSource').on('change', updateSourceFields);
+        
+        $('#backtestFileInput').on('change', function() {
+            if (this.files && this.files[0]) {
+                readFile(this.files[0]);
+            }
+            this.value = '';
+        });
+        
+        $('#backtestForm').on('submit', function(event) {
+            event.preventDefault();
+            runBacktest();
+        });
+        
+        $('#exportBacktestCsvBtn').on('click', function() {
+            if (currentResults) {
+                UIStream.downloadFile(Backtester.toCSV(currentResults), `aegis-backtest-${currentResults.symbol}.csv`, 'text/csv');
+            }
+        });
+        
+        $('#exportBacktestJsonBtn').on('click', function() {
+            if (currentResults) {
+                UIStream.downloadFile(Backtester.toJSON(currentResults), `aegis-backtest-${currentResults.symbol}.json`, 'application/json');
+            }
+        });
+    }
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        runBacktest,
+        initialize
+    };
+})();
+
+// Make BacktestPanel available globally
+window.BacktestPanel = BacktestPanel;
@@ -0,0 +1,580 @@
+/**
+ * Aegis Crypto-Watch - Backtester
+ *
+ * Responsibilities:
+ * - Load historical candles (Binance klines or local JSON / CSV files)
+ * - Rebuild rolling 24h ticker objects from candles
+ * - Replay them through LogicEngine.analyzeTicker (live history is untouched)
+ * - Measure forward returns, hit rate and drawdown per signal type
+ *
+ * Pure data in, data out: no DOM access, so it runs fully offline from files.
+ */
+
+const Backtester = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        WINDOW_MS: 24 * 60 * 60 * 1000,   // Rolling ticker window (matches /ticker/24hr)
+        INDICATOR_LOOKBACK: 200,          // Candles fed to indicators per step
+        HORIZONS: ['1h', '4h', '24h'],    // Default forward-return horizons
+        KLINES_PAGE_LIMIT: 1000,          // Binance max candles per request
+        MAX_CANDLES: 5000                 // Upper bound for one Binance download
+    };
+    
+    const DURATION_UNITS = {
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000
+    };
+    
+    // Expected price direction per signal type (+1 long, -1 short).
+    // MACD_CROSS follows the cross; custom rule types count as long.
+    const SIGNAL_DIRECTIONS = {
+        WHALE_ACTIVITY: 1,
+        BREAKOUT_UP: 1,
+        OVERSOLD: 1,
+        BUY_WALL: 1,
+        WHALE_BUYING: 1,
+        PANIC_SELL: -1,
+        BREAKOUT_DOWN: -1,
+        OVERBOUGHT: -1,
+        SELL_WALL: -1,
+        WHALE_SELLING: -1
+    };
+    
+    // Header aliases accepted in CSV / JSON object candles
+    const FIELD_ALIASES = {
+        openTime: ['opentime', 'open_time', 'time', 'timestamp', 'date'],
+        open: ['open', 'o'],
+        high: ['high', 'h'],
+        low: ['low', 'l'],
+        close: ['close', 'c'],
+        volume: ['volume', 'v'],
+        closeTime: ['closetime', 'close_time'],
+        quoteVolume: ['quotevolume', 'quote_volume', 'quoteassetvolume', 'quote_asset_volume', 'qv']
+    };
+    
+    const CSV_COLUMNS = [
+        'symbol', 'type', 'message', 'direction', 'time', 'price', 'priceChangePercent', 'quoteVolume'
+    ];
+    
+    /**
+     * Parse a duration like '15m', '4h', '1d'
+     * @param {string|number} value - Duration string or ms
+     * @returns {number} Duration in ms
+     */
+    function parseDuration(value) {
+        if (typeof value === 'number' && value > 0) return value;
+        
+        const match = /^\s*(\d+(?:\.\d+)?)\s*([mhdw])\s*$/i.exec(String(value));
+        if (!match || Number(match[1]) <= 0) {
+            throw new Error(`Invalid duration: "${value}" (use e.g. 15m, 4h, 1d)`);
+        }
+        
+        return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+    }
+    
+    /**
+     * Timestamps in data dumps may be seconds, ms or µs; normalise to ms
+     * @param {number} value - Timestamp
+     * @returns {number} Timestamp in ms
+     */
+    function toMillis(value) {
+        if (value > 1e14) return Math.floor(value / 1000);
+        if (value < 1e11) return value * 1000;
+        return value;
+    }
+    
+    /**
+     * Read a timestamp cell (number or date string)
+     * @param {*} value - Raw cell
+     * @returns {number} Timestamp in ms (NaN if unreadable)
+     */
+    function readTime(value) {
+        const number = Number(value);
+        if (value !== '' && value !== null && Number.isFinite(number)) {
+            return toMillis(number);
+        }
+        return Date.parse(value);
+    }
+    
+    /**
+     * Pick the first aliased field present on an object
+     * @param {Object} source - Lower-cased key map
+     * @param {string} field - Canonical field name
+     * @returns {*} Value or undefined
+     */
+    function pickField(source, field) {
+        const key = FIELD_ALIASES[field].find(alias => source[alias] !== undefined && source[alias] !== '');
+        return key !== undefined ? source[key] : undefined;
+    }
+    
+    /**
+     * Normalise one candle
+     * Accepts Binance kline arrays [openTime, open, high, low, close, volume, closeTime, quoteVolume, ...]
+     * or objects with (aliased) field names.
+     * @param {Array|Object} row - Raw candle
+     * @param {number} index - Row index (for error messages)
+     * @returns {Object} { openTime, closeTime, open, high, low, close, volume, quoteVolume }
+     */
+    function normalizeCandle(row, index) {
+        let raw;
+        
+        if (Array.isArray(row)) {
+            raw = {
+                openTime: row[0], open: row[1], high: row[2], low: row[3],
+                close: row[4], volume: row[5], closeTime: row[6], quoteVolume: row[7]
+            };
+        } else if (row && typeof row === 'object') {
+            const lower = {};
+            Object.keys(row).forEach(key => {
+                lower[key.toLowerCase()] = row[key];
+            });
+            raw = {};
+            Object.keys(FIELD_ALIASES).forEach(field => {
+                raw[field] = pickField(lower, field);
+            });
+        } else {
+            throw new Error(`Invalid candle at row ${index + 1}`);
+        }
+        
+        const candle = {
+            openTime: readTime(raw.openTime),
+            closeTime: raw.closeTime !== undefined && raw.closeTime !== '' ? readTime(raw.closeTime) : null,
+            open: Number(raw.open),
+            high: Number(raw.high),
+            low: Number(raw.low),
+            close: Number(raw.close),
+            volume: raw.volume !== undefined && raw.volume !== '' ? Number(raw.volume) : 0,
+            quoteVolume: raw.quoteVolume !== undefined && raw.quoteVolume !== '' ? Number(raw.quoteVolume) : null
+        };
+        
+        const required = ['openTime', 'open', 'high', 'low', 'close', 'volume'];
+        const invalid = required.find(field => !Number.isFinite(candle[field]));
+        if (invalid) {
+            throw new Error(`Invalid candle at row ${index + 1}: ${invalid} is not a number`);
+        }
+        
+        return candle;
+    }
+    
+    /**
+     * Normalise, sort and de-duplicate candles; fill missing closeTime / quoteVolume
+     * @param {Array} rows - Raw candles
+     * @returns {Array} Candles, oldest first
+     */
+    function parseKlines(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Candles must be an array');
+        }
+        
+        const byTime = new Map();
+        rows.forEach((row, index) => {
+            const candle = normalizeCandle(row, index);
+            byTime.set(candle.openTime, candle);
+        });
+        
+        const candles = Array.from(byTime.values()).sort((a, b) => a.openTime - b.openTime);
+        
+        if (candles.length < 2) {
+            throw new Error('At least 2 candles are required');
+        }
+        
+        // Bar length = smallest gap between consecutive candles
+        let intervalMs = Infinity;
+        for (let i = 1; i < candles.length; i++) {
+            intervalMs = Math.min(intervalMs, candles[i].openTime - candles[i - 1].openTime);
+        }
+        
+        candles.forEach(candle => {
+            if (candle.closeTime === null || !Number.isFinite(candle.closeTime)) {
+                candle.closeTime = candle.openTime + intervalMs - 1;
+            }
+            if (candle.quoteVolume === null || !Number.isFinite(candle.quoteVolume)) {
+                // Approximation when the source has no quote volume
+                candle.quoteVolume = candle.volume * (candle.open + candle.close) / 2;
+            }
+        });
+        
+        return candles;
+    }
+    
+    /**
+     * Parse CSV candles (with or without header row)
+     * Without a header, columns follow the Binance kline order.
+     * @param {string} text - CSV text
+     * @returns {Array} Candles, oldest first
+     */
+    function parseCSV(text) {
+        const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+        
+        const split = line => line.split(/[,;]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const first = split(lines[0]);
+        const hasHeader = !Number.isFinite(Number(first[0])) && Number.isNaN(Date.parse(first[0]));
+        
+        if (!hasHeader) {
+            return parseKlines(lines.map(split));
+        }
+        
+        return parseKlines(lines.slice(1).map(line => {
+            const cells = split(line);
+            const row = {};
+            first.forEach((name, i) => {
+                row[name] = cells[i];
+            });
+            return row;
+        }));
+    }
+    
+    /**
+     * Parse a candle file (JSON or CSV)
+     * JSON may be a kline array or { symbol, interval, candles | klines }.
+     * The symbol falls back to the file name (e.g. BTCUSDT-1h-2024-01.csv).
+     * @param {string} text - File content
+     * @param {string} filename - File name
+     * @returns {Object} { symbol, interval, candles }
+     */
+    function parseFile(text, filename = '') {
+        const nameMatch = /^([A-Za-z0-9]+)[-_](\d+[smhdwM])/.exec(filename.split(/[\\/]/).pop());
+        const trimmed = String(text).trim();
+        let symbol = nameMatch ? nameMatch[1].toUpperCase() : null;
+        let interval = nameMatch ? nameMatch[2] : null;
+        let candles;
+        
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            
+            if (!Array.isArray(data)) {
+                symbol = data.symbol ? String(data.symbol).toUpperCase() : symbol;
+                interval = data.interval || interval;
+                data = data.candles || data.klines;
+            }
+            candles = parseKlines(data);
+        } else {
+            candles = parseCSV(trimmed);
+        }
+        
+        return { symbol, interval, candles };
+    }
+    
+    /**
+     * Download candles from Binance, paging back from now
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Kline interval
+     * @param {number} count - Number of candles (capped at MAX_CANDLES)
+     * @returns {Promise<Array>} Candles, oldest first
+     */
+    async function loadFromBinance(symbol, interval, count = CONFIG.KLINES_PAGE_LIMIT) {
+        const target = Math.min(count, CONFIG.MAX_CANDLES);
+        let rows = [];
+        let endTime = null;
+        
+        while (rows.length < target) {
+            const page = await APIClient.fetchKlines(symbol, interval, {
+                limit: Math.min(CONFIG.KLINES_PAGE_LIMIT, target - rows.length),
+                endTime: endTime
+            });
+            if (page.length === 0) break;
+            
+            rows = page.concat(rows);
+            endTime = page[0][0] - 1;
+            
+            if (page.length < CONFIG.KLINES_PAGE_LIMIT) break;
+        }
+        
+        return parseKlines(rows);
+    }
+    
+    /**
+     * Rebuild rolling-window ticker objects (same shape as /ticker/24hr) from candles
+     * Only candles with a full window behind them produce a ticker.
+     * @param {string} symbol - Trading pair symbol
+     * @param {Array} candles - Candles, oldest first
+     * @param {number} windowMs - Rolling window length
+     * @returns {Array} [{ index, ticker }]
+     */
+    function buildTickers(symbol, candles, windowMs = CONFIG.WINDOW_MS) {
+        const results = [];
+        let start = 0;
+        let volume = 0;
+        let quoteVolume = 0;
+        
+        for (let i = 0; i < candles.length; i++) {
+            const candle = candles[i];
+            volume += candle.volume;
+            quoteVolume += candle.quoteVolume;
+            
+            const windowStart = candle.closeTime + 1 - windowMs;
+            while (start < i && candles[start].openTime < windowStart) {
+                volume -= candles[start].volume;
+                quoteVolume -= candles[start].quoteVolume;
+                start++;
+            }
+            
+            // Skip until the data covers a full window
+            if (windowStart < candles[0].openTime) continue;
+            
+            let high = -Infinity;
+            let low = Infinity;
+            for (let j = start; j <= i; j++) {
+                high = Math.max(high, candles[j].high);
+                low = Math.min(low, candles[j].low);
+            }
+            
+            const openPrice = candles[start].open;
+            const priceChange = candle.close - openPrice;
+            
+            results.push({
+                index: i,
+                ticker: {
+                    symbol: symbol,
+                    lastPrice: String(candle.close),
+                    openPrice: String(openPrice),
+                    priceChange: String(priceChange),
+                    priceChangePercent: String(openPrice !== 0 ? (priceChange / openPrice) * 100 : 0),
+                    highPrice: String(high),
+                    lowPrice: String(low),
+                    volume: String(volume),
+                    quoteVolume: String(quoteVolume),
+                    openTime: candles[start].openTime,
+                    closeTime: candle.closeTime
+                }
+            });
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Expected direction of a signal
+     * @param {Object} signal - Detected signal
+     * @param {Object} indicators - Indicator snapshot at signal time
+     * @returns {number} 1 (long) or -1 (short)
+     */
+    function getDirection(signal, indicators) {
+        if (signal.type === 'MACD_CROSS') {
+            return indicators && indicators.macd && indicators.macd.cross === 'bearish' ? -1 : 1;
+        }
+        return SIGNAL_DIRECTIONS[signal.type] || 1;
+    }
+    
+    /**
+     * Forward outcome of an entry at candle index
+     * @param {Array} candles - Candles, oldest first
+     * @param {number} index - Entry candle index
+     * @param {number} direction - 1 or -1
+     * @param {number} horizonMs - Horizon length
+     * @returns {Object|null} { return, drawdown } in %, null if data ends before the horizon
+     */
+    function measureOutcome(candles, index, direction, horizonMs) {
+        const entry = candles[index].close;
+        const target = candles[index].closeTime + horizonMs;
+        let worst = entry;
+        
+        for (let k = index + 1; k < candles.length; k++) {
+            worst = direction > 0 ? Math.min(worst, candles[k].low) : Math.max(worst, candles[k].high);
+            
+            if (candles[k].closeTime >= target) {
+                return {
+                    return: ((candles[k].close - entry) / entry) * 100,
+                    drawdown: (Math.abs(worst - entry) / entry) * 100
+                };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Aggregate outcomes per signal type and horizon
+     * @param {Array} events - Signal events with outcomes
+     * @param {Array} horizons - Horizon labels
+     * @returns {Object} { TYPE: { count, horizons: { label: { samples, hitRate, avgReturn, avgDrawdown } } } }
+     */
+    function summarize(events, horizons) {
+        const summary = {};
+        
+        events.forEach(event => {
+            if (!summary[event.type]) {
+                summary[event.type] = { count: 0, horizons: {} };
+                horizons.forEach(label => {
+                    summary[event.type].horizons[label] = { samples: 0, hits: 0, returnSum: 0, drawdownSum: 0 };
+                });
+            }
+            
+            const entry = summary[event.type];
+            entry.count++;
+            
+            horizons.forEach(label => {
+                const outcome = event.outcomes[label];
+                if (!outcome) return;
+                
+                const bucket = entry.horizons[label];
+                bucket.samples++;
+                bucket.returnSum += outcome.return;
+                bucket.drawdownSum += outcome.drawdown;
+                if (outcome.return * event.direction > 0) bucket.hits++;
+            });
+        });
+        
+        Object.keys(summary).forEach(type => {
+            horizons.forEach(label => {
+                const bucket = summary[type].horizons[label];
+                summary[type].horizons[label] = {
+                    samples: bucket.samples,
+                    hitRate: bucket.samples > 0 ? (bucket.hits / bucket.samples) * 100 : null,
+                    avgReturn: bucket.samples > 0 ? bucket.returnSum / bucket.samples : null,
+                    avgDrawdown: bucket.samples > 0 ? bucket.drawdownSum / bucket.samples : null
+                };
+            });
+        });
+        
+        return summary;
+    }
+    
+    /**
+     * Replay candles through the engine
+     * A signal event is counted when the detected type changes to a non-neutral one.
+     * Indicators and the volume baseline are computed on the candles themselves, so
+     * periods are in bars of the loaded interval (e.g. RSI 14 on 1h candles = 14 hours).
+     * @param {Object} options - { symbol, candles, interval, horizons, windowMs }
+     * @returns {Object} { symbol, interval, from, to, candles, steps, horizons, events, summary }
+     */
+    function run(options) {
+        const symbol = String(options.symbol || '').toUpperCase();
+        const candles = options.candles || [];
+        const windowMs = options.windowMs || CONFIG.WINDOW_MS;
+        const horizons = (options.horizons || CONFIG.HORIZONS).map(String);
+        const horizonMs = horizons.map(parseDuration);
+        
+        if (!symbol) {
+            throw new Error('Symbol is required');
+        }
+        
+        const steps = buildTickers(symbol, candles, windowMs);
+        if (steps.length === 0) {
+            throw new Error('Not enough candles to cover one rolling window');
+        }
+        
+        const events = [];
+        const refRate = SymbolRegistry.getRate(SymbolRegistry.parse(symbol).quoteAsset);
+        let previousType = 'NEUTRAL';
+        
+        steps.forEach(({ index, ticker }) => {
+            const lookback = candles.slice(Math.max(0, index + 1 - CONFIG.INDICATOR_LOOKBACK), index + 1);
+            const indicators = LogicEngine.computeIndicatorsFromCandles(lookback);
+            const volumeSurge = LogicEngine.computeVolumeSurgeFromCandles(lookback, refRate);
+            const analyzed = LogicEngine.analyzeTicker(ticker, { indicators: indicators, volumeSurge: volumeSurge });
+            const signal = analyzed.signal;
+            
+            if (signal.type !== 'NEUTRAL' && signal.type !== previousType) {
+                const direction = getDirection(signal, indicators);
+                const outcomes = {};
+                horizons.forEach((label, h) => {
+                    outcomes[label] = measureOutcome(candles, index, direction, horizonMs[h]);
+                });
+                
+                events.push({
+                    symbol: symbol,
+                    type: signal.type,
+                    message: signal.message,
+                    direction: direction,
+                    time: candles[index].closeTime,
+                    price: analyzed.price,
+                    priceChangePercent: analyzed.priceChangePercent,
+                    quoteVolume: analyzed.quoteVolume,
+                    outcomes: outcomes
+                });
+            }
+            
+            previousType = signal.type;
+        });
+        
+        return {
+            symbol: symbol,
+            interval: options.interval || null,
+            from: candles[0].openTime,
+            to: candles[candles.length - 1].closeTime,
+            candles: candles.length,
+            steps: steps.length,
+            horizons: horizons,
+            events: events,
+            summary: summarize(events, horizons)
+        };
+    }
+    
+    /**
+     * Serialize signal events to CSV (one column pair per horizon)
+     * @param {Object} results - Backtest results
+     * @returns {string} CSV text
+     */
+    function toCSV(results) {
+        const horizonColumns = [];
+        results.horizons.forEach(label => {
+            horizonColumns.push(`return_${label}`, `drawdown_${label}`);
+        });
+        
+        const rows = results.events.map(event => {
+            const values = { ...event, time: new Date(event.time).toISOString() };
+            const cells = CSV_COLUMNS.map(column => CsvFormat.escapeCell(values[column]));
+            
+            results.horizons.forEach(label => {
+                const outcome = event.outcomes[label];
+                cells.push(outcome ? outcome.return.toFixed(4) : '', outcome ? outcome.drawdown.toFixed(4) : '');
+            });
+            
+            return cells.join(',');
+        });
+        
+        return [CSV_COLUMNS.concat(horizonColumns).join(',')].concat(rows).join('\n');
+    }
+    
+    /**
+     * Serialize backtest results to JSON
+     * @param {Object} results - Backtest results
+     * @returns {string} JSON text
+     */
+    function toJSON(results) {
+        return JSON.stringify(results, null, 2);
+    }
+    
+    /**
+     * Get configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG, HORIZONS: CONFIG.HORIZONS.slice() };
+    }
+    
+    // Public API
+    return {
+        parseDuration,
+        parseKlines,
+        parseCSV,
+        parseFile,
+        loadFromBinance,
+        buildTickers,
+        run,
+        summarize,
+        toCSV,
+        toJSON,
+        getConfig
+    };
+})();
+
+// Make Backtester available globally (page) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = Backtester;
+} else {
+    window.Backtester = Backtester;
+}
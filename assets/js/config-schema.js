@@ -0,0 +1,57 @@
+/**
+ * Aegis Crypto-Watch - Config Schema
+ *
+ * Responsibilities:
+ * - Validate partial settings against a module's CONFIG_SCHEMA
+ *   ({ KEY: { label, min, max, integer } }) for its setConfig()
+ *
+ * Modules keep their own cross-field checks and side effects; this only covers
+ * the per-key rules every settings group shares.
+ */
+
+const ConfigSchema = (function() {
+    'use strict';
+    
+    /**
+     * Apply validated updates to a copy of a configuration
+     * @param {Object} config - Current configuration (not modified)
+     * @param {Object} schema - { KEY: { label, min, max, integer } }
+     * @param {Object} updates - Partial config; values may be numeric strings
+     * @param {string} scope - Settings group named in errors (e.g. 'engine')
+     * @returns {Object} New configuration
+     * @throws {Error} Unknown key, not a number (or integer), or out of range
+     */
+    function merge(config, schema, updates, scope) {
+        const next = { ...config };
+        
+        Object.keys(updates || {}).forEach(key => {
+            const rule = schema[key];
+            const value = Number(updates[key]);
+            
+            if (!rule) {
+                throw new Error(`Unknown ${scope} setting: ${key}`);
+            }
+            if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+                throw new Error(`${key} must be ${rule.integer ? 'an integer' : 'a number'}`);
+            }
+            if (value < rule.min || value > rule.max) {
+                throw new Error(`${key} must be between ${rule.min} and ${rule.max}`);
+            }
+            next[key] = value;
+        });
+        
+        return next;
+    }
+    
+    // Public API
+    return {
+        merge
+    };
+})();
+
+// Make ConfigSchema available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = ConfigSchema;
+} else {
+    window.ConfigSchema = ConfigSchema;
+}
@@ -0,0 +1,44 @@
+/**
+ * Aegis Crypto-Watch - CSV Format
+ *
+ * Responsibilities:
+ * - Format CSV cells and rows (RFC 4180 quoting) for the signal history and
+ *   backtest exports
+ */
+
+const CsvFormat = (function() {
+    'use strict';
+    
+    /**
+     * Format one cell (null / undefined = empty; quoted when it holds a comma, quote or line break)
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    function escapeCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * Format one row
+     * @param {Array} values - Cell values
+     * @returns {string} Comma separated line (no line break)
+     */
+    function formatRow(values) {
+        return values.map(escapeCell).join(',');
+    }
+    
+    // Public API
+    return {
+        escapeCell,
+        formatRow
+    };
+})();
+
+// Make CsvFormat available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = CsvFormat;
+} else {
+    window.CsvFormat = CsvFormat;
+}
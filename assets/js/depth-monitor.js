@@ -0,0 +1,402 @@
+/**
+ * Aegis Crypto-Watch - Depth Monitor
+ *
+ * Responsibilities:
+ * - Poll Binance order book depth for watched and signalled symbols
+ * - Analyze books: spread, liquidity within ±1% / ±2% of mid, bid/ask imbalance, walls
+ * - Attach the latest analysis (`depth`) to primary tickers for the BUY_WALL / SELL_WALL /
+ *   IMBALANCE signals
+ *
+ * analyzeBook() is pure: a recorded /api/v3/depth payload can be analyzed without
+ * any network access (e.g. a saved response: DepthMonitor.analyzeBook(JSON.parse(text))).
+ * Liquidity is expressed in the reference currency (see SymbolRegistry).
+ */
+
+const DepthMonitor = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        PRIMARY_EXCHANGE: 'binance',
+        BAND_PERCENTS: [1, 2],      // Liquidity bands around mid (%); the widest drives the imbalance
+        POLL_INTERVAL: 10000,       // 10 seconds
+        STALE_AFTER_MS: 60000,      // Ignore books older than 1 minute
+        MAX_SYMBOLS: 10,            // Books fetched per cycle (watchlist first, then signals)
+        DEPTH_LIMIT: 500,           // Levels per side (Binance weight 25 at 500)
+        WALL_BAND_PERCENT: 2,       // Walls are searched within ±2% of mid
+        WALL_MULTIPLIER: 10,        // Wall = level notional >= 10x the median level
+        WALL_MIN_NOTIONAL: 100000   // ... and at least 100K USDT-equivalent
+    };
+    
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Editable settings and their valid ranges
+    const CONFIG_SCHEMA = {
+        POLL_INTERVAL: { label: 'Order book poll interval (ms)', min: 2000, max: 600000, integer: true },
+        STALE_AFTER_MS: { label: 'Order book max. age (ms)', min: 5000, max: 3600000, integer: true },
+        MAX_SYMBOLS: { label: 'Order books per cycle', min: 1, max: 50, integer: true },
+        DEPTH_LIMIT: { label: 'Order book levels per side', min: 5, max: 5000, integer: true },
+        WALL_BAND_PERCENT: { label: 'Wall search range (%)', min: 0.1, max: 10 },
+        WALL_MULTIPLIER: { label: 'Wall min. size (x median level)', min: 1, max: 1000 },
+        WALL_MIN_NOTIONAL: { label: 'Wall min. size (USDT equiv.)', min: 0, max: 1e12 }
+    };
+    
+    // State
+    const books = new Map();     // symbol -> analysis (see analyzeBook) with `time`
+    const errors = new Map();    // symbol -> last error message
+    let watchedSymbols = [];
+    let pollTimer = null;
+    let isRunning = false;
+    let unsubscribe = null;
+    
+    /**
+     * Parse one side of a depth payload
+     * @param {Array} levels - [[price, quantity], ...] (strings or numbers)
+     * @param {number} rate - Quote asset price in the reference currency
+     * @returns {Array} [{ price, quantity, notional }] with notional in the reference currency
+     */
+    function parseLevels(levels, rate) {
+        return (Array.isArray(levels) ? levels : [])
+            .map(level => {
+                const price = Number(level[0]);
+                const quantity = Number(level[1]);
+                return { price: price, quantity: quantity, notional: price * quantity * rate };
+            })
+            .filter(level => level.price > 0 && level.quantity > 0);
+    }
+    
+    /**
+     * Median of a numeric list
+     * @param {Array<number>} values - Values
+     * @returns {number} Median (0 for an empty list)
+     */
+    function median(values) {
+        if (values.length === 0) return 0;
+        
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+    
+    /**
+     * Imbalance of two liquidity totals
+     * @param {number} bid - Bid liquidity
+     * @param {number} ask - Ask liquidity
+     * @returns {number} -100 (asks only) .. +100 (bids only)
+     */
+    function imbalanceOf(bid, ask) {
+        const total = bid + ask;
+        return total > 0 ? ((bid - ask) / total) * 100 : 0;
+    }
+    
+    /**
+     * Find the largest resting level that stands out from its side of the book
+     * @param {Array} levels - Parsed levels of one side, within the wall band
+     * @param {number} mid - Mid price
+     * @param {Object} options - { wallMultiplier, wallMinNotional }
+     * @returns {Object|null} { price, notional, distancePercent, ratio } or null
+     */
+    function findWall(levels, mid, options) {
+        if (levels.length < 2) return null;
+        
+        const typical = median(levels.map(level => level.notional));
+        const largest = levels.reduce((best, level) => (level.notional > best.notional ? level : best));
+        const ratio = typical > 0 ? largest.notional / typical : 0;
+        
+        if (ratio < options.wallMultiplier || largest.notional < options.wallMinNotional) return null;
+        
+        return {
+            price: largest.price,
+            notional: largest.notional,
+            distancePercent: (Math.abs(largest.price - mid) / mid) * 100,
+            ratio: ratio
+        };
+    }
+    
+    /**
+     * Analyze an order book snapshot
+     * Bands the snapshot does not reach on a side are flagged `complete: false`
+     * (their liquidity only counts the levels that were returned).
+     * @param {Object} book - Binance depth payload { bids: [[price, qty]], asks: [[price, qty]] }
+     * @param {Object} options - { rate (quote -> reference, default 1), bands, wallBandPercent,
+     *   wallMultiplier, wallMinNotional } (defaults from CONFIG)
+     * @returns {Object|null} { mid, bestBid, bestAsk, spread, spreadPercent, bands: [{ percent, bid,
+     *   ask, imbalance, complete }], imbalance, bidWall, askWall, levels } or null for an empty book
+     */
+    function analyzeBook(book, options = {}) {
+        const settings = {
+            rate: options.rate !== undefined ? options.rate : 1,
+            bands: options.bands || CONFIG.BAND_PERCENTS,
+            wallBandPercent: options.wallBandPercent !== undefined ? options.wallBandPercent : CONFIG.WALL_BAND_PERCENT,
+            wallMultiplier: options.wallMultiplier !== undefined ? options.wallMultiplier : CONFIG.WALL_MULTIPLIER,
+            wallMinNotional: options.wallMinNotional !== undefined ? options.wallMinNotional : CONFIG.WALL_MIN_NOTIONAL
+        };
+        
+        const bids = parseLevels(book && book.bids, settings.rate).sort((a, b) => b.price - a.price);
+        const asks = parseLevels(book && book.asks, settings.rate).sort((a, b) => a.price - b.price);
+        if (bids.length === 0 || asks.length === 0) return null;
+        
+        const bestBid = bids[0].price;
+        const bestAsk = asks[0].price;
+        const mid = (bestBid + bestAsk) / 2;
+        
+        // How far the snapshot reaches on each side (%)
+        const bidReach = ((mid - bids[bids.length - 1].price) / mid) * 100;
+        const askReach = ((asks[asks.length - 1].price - mid) / mid) * 100;
+        
+        const sumWithin = (levels, percent) => levels
+            .filter(level => (Math.abs(level.price - mid) / mid) * 100 <= percent)
+            .reduce((sum, level) => sum + level.notional, 0);
+        
+        const bands = settings.bands.slice().sort((a, b) => a - b).map(percent => {
+            const bid = sumWithin(bids, percent);
+            const ask = sumWithin(asks, percent);
+            return {
+                percent: percent,
+                bid: bid,
+                ask: ask,
+                imbalance: imbalanceOf(bid, ask),
+                complete: bidReach >= percent && askReach >= percent
+            };
+        });
+        
+        const withinWallBand = level => (Math.abs(level.price - mid) / mid) * 100 <= settings.wallBandPercent;
+        
+        return {
+            mid: mid,
+            bestBid: bestBid,
+            bestAsk: bestAsk,
+            spread: bestAsk - bestBid,
+            spreadPercent: ((bestAsk - bestBid) / mid) * 100,
+            bands: bands,
+            imbalance: bands[bands.length - 1].imbalance,
+            bidWall: findWall(bids.filter(withinWallBand), mid, settings),
+            askWall: findWall(asks.filter(withinWallBand), mid, settings),
+            levels: bids.length + asks.length
+        };
+    }
+    
+    /**
+     * Analyze and keep a book for one symbol (also used to feed fixture payloads)
+     * @param {string} symbol - Binance symbol (e.g. BTCUSDT)
+     * @param {Object} book - Binance depth payload
+     * @param {number} time - Snapshot time (ms)
+     * @returns {Object|null} Stored analysis
+     */
+    function ingest(symbol, book, time = Date.now()) {
+        const rate = SymbolRegistry.getRate(SymbolRegistry.parse(symbol).quoteAsset);
+        if (rate === null) return null;
+        
+        const analysis = analyzeBook(book, { rate: rate });
+        if (!analysis) {
+            books.delete(symbol);
+            return null;
+        }
+        
+        analysis.time = time;
+        books.set(symbol, analysis);
+        return analysis;
+    }
+    
+    /**
+     * Fetch every watched book once, one request at a time
+     * A rate-limit response ends the cycle early (APIClient shares the weight budget).
+     * @returns {Promise}
+     */
+    async function poll() {
+        if (watchedSymbols.length === 0) return;
+        
+        for (const symbol of watchedSymbols.slice()) {
+            try {
+                const book = await APIClient.fetchDepth(symbol, { limit: CONFIG.DEPTH_LIMIT });
+                ingest(symbol, book, Date.now());
+                errors.delete(symbol);
+            } catch (error) {
+                if (!errors.has(symbol)) {
+                    console.warn(`${symbol} order book unavailable:`, error);
+                }
+                errors.set(symbol, error.message);
+                if (error.status === 429 || error.status === 418) break;
+            }
+        }
+        
+        // Forget books nobody follows any more once they are stale
+        const now = Date.now();
+        books.forEach((analysis, symbol) => {
+            if (!watchedSymbols.includes(symbol) && now - analysis.time > CONFIG.STALE_AFTER_MS) {
+                books.delete(symbol);
+            }
+        });
+        
+        EventBus.emit('depthUpdated', getStatus());
+    }
+    
+    /**
+     * Self-scheduling poll loop (a slow cycle never overlaps the next)
+     */
+    function scheduleNext() {
+        if (!isRunning) return;
+        
+        pollTimer = setTimeout(() => {
+            poll().finally(scheduleNext);
+        }, CONFIG.POLL_INTERVAL);
+    }
+    
+    /**
+     * Follow watchlist symbols, then symbols with an active signal (by volume)
+     * @param {Array} analyzedData - Analyzed ticker data
+     */
+    function watchSymbols(analyzedData) {
+        const listed = new Set(analyzedData.map(item => item.symbol));
+        const signalled = analyzedData
+            .filter(item => item.signal && item.signal.type !== 'NEUTRAL')
+            .sort((a, b) => (b.volumeRef || 0) - (a.volumeRef || 0))
+            .map(item => item.symbol);
+        const seen = new Set();
+        
+        watchedSymbols = Watchlist.list()
+            .filter(symbol => listed.has(symbol))
+            .concat(signalled)
+            .filter(symbol => !seen.has(symbol) && seen.add(symbol))
+            .slice(0, CONFIG.MAX_SYMBOLS);
+    }
+    
+    /**
+     * Attach the latest order book analysis to primary tickers
+     * Adds `depth` when a fresh analysis exists for the symbol.
+     * @param {Array} tickers - Internal tickers from the primary exchange
+     * @param {number} now - Current time (ms)
+     * @returns {Array} The same tickers
+     */
+    function annotate(tickers, now = Date.now()) {
+        tickers.forEach(ticker => {
+            if ((ticker.exchange || CONFIG.PRIMARY_EXCHANGE) !== CONFIG.PRIMARY_EXCHANGE) return;
+            
+            const analysis = books.get(ticker.symbol);
+            if (analysis && now - analysis.time <= CONFIG.STALE_AFTER_MS) {
+                ticker.depth = analysis;
+            }
+        });
+        
+        return tickers;
+    }
+    
+    /**
+     * Get the latest analysis of one symbol
+     * @param {string} symbol - Symbol
+     * @returns {Object|null}
+     */
+    function getDepth(symbol) {
+        return books.get(symbol) || null;
+    }
+    
+    /**
+     * Get monitor status
+     * @returns {Object} { running, watched, books, errors: { symbol: message } }
+     */
+    function getStatus() {
+        const lastErrors = {};
+        errors.forEach((message, symbol) => {
+            lastErrors[symbol] = message;
+        });
+        
+        return {
+            running: isRunning,
+            watched: watchedSymbols.slice(),
+            books: Array.from(books.keys()),
+            errors: lastErrors
+        };
+    }
+    
+    /**
+     * Start polling order books
+     */
+    function start() {
+        if (isRunning) return;
+        
+        isRunning = true;
+        
+        // Live books only: a recording replays the depth it captured
+        unsubscribe = EngineHost.subscribe(message => {
+            if (message.source !== 'replay') watchSymbols(message.analyzedData);
+        });
+        
+        poll().finally(scheduleNext);
+    }
+    
+    /**
+     * Stop polling (known books age out through STALE_AFTER_MS)
+     */
+    function stop() {
+        isRunning = false;
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+        if (pollTimer) {
+            clearTimeout(pollTimer);
+            pollTimer = null;
+        }
+    }
+    
+    /**
+     * Get current configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG, BAND_PERCENTS: CONFIG.BAND_PERCENTS.slice() };
+    }
+    
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update configuration (takes effect on the next cycle)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        Object.assign(CONFIG, ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'order book'));
+        return getConfig();
+    }
+    
+    /**
+     * Reset editable settings to defaults
+     * @returns {Object} New configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
+    // Public API
+    return {
+        start,
+        stop,
+        poll,
+        analyzeBook,
+        ingest,
+        annotate,
+        getDepth,
+        getStatus,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig
+    };
+})();
+
+// Make DepthMonitor available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = DepthMonitor;
+} else {
+    window.DepthMonitor = DepthMonitor;
+}
@@ -0,0 +1,389 @@
+/**
+ * Aegis Crypto-Watch - Engine Host
+ *
+ * Responsibilities:
+ * - Run the LogicEngine analysis pipeline in a Web Worker (logic-worker.js)
+ * - Fall back to the main thread when workers are unavailable or fail to start
+ * - Mirror engine settings, signal rules and resets into the worker
+ * - Mirror each cycle the worker analyzed into the main-thread LogicEngine (history,
+ *   volume baselines, open signals), so a fallback continues where the worker stopped
+ * - Publish one structured analysis message per cycle to subscribers
+ *
+ * Analysis message:
+ *   { type: 'analysis', timestamp, source, analyzedData, topGainers, market, newSignals, opened, closed }
+ *   opened[i] is the signal record of newSignals[i]; closed holds records closed this cycle;
+ *   market carries the breadth / sentiment summary and the market-wide signal, whose records
+ *   are in market.opened / market.closed (never in opened / closed).
+ *
+ * Signals closed outside an analysis cycle (reset) are emitted as
+ *   EventBus 'signalsClosed' (records, { timestamp, market }), market = market signal records
+ */
+
+const EngineHost = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        WORKER_URL: 'assets/js/logic-worker.js',
+        READY_TIMEOUT: 5000            // Fall back if the worker has not started by then
+    };
+    
+    // Read-only LogicEngine methods callable through call()
+    const QUERY_METHODS = ['getHistory', 'getCandles', 'getPriceChange', 'getPriceRange', 'computeIndicators', 'getOpenSignals'];
+    
+    const MODES = {
+        WORKER: 'worker',
+        MAIN: 'main'
+    };
+    
+    // State
+    let worker = null;
+    let mode = null;
+    let isReady = false;
+    let readyTimer = null;
+    let callSequence = 0;
+    const pendingFrames = [];          // Frames posted to the worker, not yet analyzed
+    const pendingResets = [];          // Main-thread reset results awaiting the worker's reply
+    const pendingCalls = new Map();    // call id -> { resolve, reject }
+    const subscribers = [];
+    
+    /**
+     * Deliver an analysis message to subscribers
+     * @param {Object} message - Analysis message
+     */
+    function publish(message) {
+        subscribers.slice().forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Analysis subscriber failed:', error);
+            }
+        });
+    }
+    
+    /**
+     * Report records closed outside an analysis cycle
+     * @param {Object} result - { closed, market } (see LogicEngine.resetSignalTracking)
+     * @param {number} timestamp - Close time
+     */
+    function publishClosed(result, timestamp) {
+        if (result.closed.length > 0 || result.market.length > 0) {
+            EventBus.emit('signalsClosed', result.closed, { timestamp: timestamp, market: result.market });
+        }
+    }
+    
+    /**
+     * Analyze one frame on the main thread
+     * @param {Object} frame - { tickers, timestamp, source }
+     */
+    function processOnMainThread(frame) {
+        const result = LogicEngine.processData(frame.tickers, frame.timestamp, frame.source);
+        publish({ type: 'analysis', timestamp: frame.timestamp, source: frame.source, ...result });
+    }
+    
+    /**
+     * Switch to main-thread analysis (frames still queued in the worker are re-run here)
+     * The main-thread LogicEngine already holds the worker's state up to the last
+     * analyzed frame (see handleWorkerMessage), so indicators and open signals carry on.
+     * @param {string} reason - Why the worker is not used
+     */
+    function fallBackToMainThread(reason) {
+        if (mode === MODES.MAIN) return;
+        
+        if (mode === MODES.WORKER) {
+            console.warn(`Analysis worker unavailable (${reason}), running on the main thread`);
+        }
+        
+        if (readyTimer) {
+            clearTimeout(readyTimer);
+            readyTimer = null;
+        }
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        
+        mode = MODES.MAIN;
+        isReady = true;
+        
+        pendingCalls.forEach(pending => pending.reject(new Error('Analysis worker stopped')));
+        pendingCalls.clear();
+        
+        // Resets the worker never answered: the mirrored records are the best account left
+        pendingResets.splice(0).forEach(reset => publishClosed(reset.result, reset.timestamp));
+        
+        // Frames posted before a reset belong to the state it cleared
+        pendingFrames.splice(0).filter(frame => !frame.beforeReset).forEach(processOnMainThread);
+    }
+    
+    /**
+     * Send a message to the worker
+     * @param {Object} message - Structured message
+     */
+    function post(message) {
+        if (worker) {
+            worker.postMessage(message);
+        }
+    }
+    
+    /**
+     * Current engine settings and rules, sent to a fresh worker
+     */
+    function syncWorker() {
+        post({ type: 'config', config: getEditableConfig() });
+        post({ type: 'rules', rules: RuleEngine.getRules() });
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @param {MessageEvent} event - { data: structured message }
+     */
+    function handleWorkerMessage(event) {
+        const message = event.data || {};
+        
+        switch (message.type) {
+            case 'ready':
+                isReady = true;
+                clearTimeout(readyTimer);
+                readyTimer = null;
+                break;
+            case 'analysis': {
+                const frame = pendingFrames.shift();
+                if (frame && !frame.beforeReset) LogicEngine.mirrorCycle(frame.tickers, frame.timestamp, message);
+                publish(message);
+                break;
+            }
+            case 'closed':
+                // The worker's records replace the mirrored ones closed by the same reset
+                pendingResets.shift();
+                publishClosed(message, message.timestamp);
+                break;
+            case 'result': {
+                const pending = pendingCalls.get(message.id);
+                if (!pending) break;
+                pendingCalls.delete(message.id);
+                if (message.error) {
+                    pending.reject(new Error(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+                break;
+            }
+            case 'error':
+                // A failed frame is dropped; the worker keeps serving the next ones
+                pendingFrames.shift();
+                console.error('Analysis worker error:', message.message);
+                break;
+        }
+    }
+    
+    /**
+     * Start the engine host
+     * @param {Object} options - { mode: 'worker' (default) or 'main', workerUrl }
+     * @returns {string} Active mode
+     */
+    function start(options = {}) {
+        if (mode) return mode;
+        
+        if (options.mode === MODES.MAIN || typeof Worker === 'undefined') {
+            fallBackToMainThread('disabled');
+            return mode;
+        }
+        
+        try {
+            worker = new Worker(options.workerUrl || CONFIG.WORKER_URL);
+        } catch (error) {
+            // e.g. file:// pages cannot start workers
+            fallBackToMainThread(error.message);
+            return mode;
+        }
+        
+        mode = MODES.WORKER;
+        worker.onmessage = handleWorkerMessage;
+        worker.onerror = function(event) {
+            event.preventDefault();
+            fallBackToMainThread(event.message || 'worker error');
+        };
+        readyTimer = setTimeout(() => fallBackToMainThread('start timeout'), CONFIG.READY_TIMEOUT);
+        
+        syncWorker();
+        console.log('Analysis worker started');
+        return mode;
+    }
+    
+    /**
+     * Analyze a ticker frame (asynchronously in worker mode)
+     * @param {Array} tickers - Ticker data
+     * @param {number} timestamp - Sample time (ms)
+     * @param {string} source - Data source
+     */
+    function process(tickers, timestamp = Date.now(), source = 'live') {
+        if (!mode) start();
+        
+        const frame = { tickers: tickers, timestamp: timestamp, source: source };
+        
+        if (mode === MODES.MAIN) {
+            processOnMainThread(frame);
+            return;
+        }
+        
+        pendingFrames.push(frame);
+        post({ type: 'process', ...frame });
+    }
+    
+    /**
+     * Subscribe to analysis messages
+     * @param {Function} listener - Called with each analysis message
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        subscribers.push(listener);
+        return function unsubscribe() {
+            const index = subscribers.indexOf(listener);
+            if (index !== -1) subscribers.splice(index, 1);
+        };
+    }
+    
+    /**
+     * Call a read-only LogicEngine method where the live engine state lives
+     * @param {string} method - One of QUERY_METHODS
+     * @param {...*} args - Method arguments
+     * @returns {Promise<*>} Method result
+     */
+    function call(method, ...args) {
+        if (!QUERY_METHODS.includes(method)) {
+            return Promise.reject(new Error(`Unknown engine query: ${method}`));
+        }
+        
+        if (mode !== MODES.WORKER) {
+            try {
+                return Promise.resolve(LogicEngine[method](...args));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        
+        const id = ++callSequence;
+        return new Promise((resolve, reject) => {
+            pendingCalls.set(id, { resolve, reject });
+            post({ type: 'call', id: id, method: method, args: args });
+        });
+    }
+    
+    /**
+     * Clear price history and signal tracking (main thread and worker)
+     * Open signals are closed with reason 'reset' (see publishClosed). In worker mode
+     * the main thread only holds mirrored copies, so the worker's reply is published.
+     */
+    function reset() {
+        const timestamp = Date.now();
+        
+        LogicEngine.clearHistory();
+        const result = LogicEngine.resetSignalTracking(timestamp);
+        
+        if (mode !== MODES.WORKER) {
+            publishClosed(result, timestamp);
+            return;
+        }
+        
+        // Their analysis is still published, but no longer mirrored
+        pendingFrames.forEach(frame => {
+            frame.beforeReset = true;
+        });
+        pendingResets.push({ result: result, timestamp: timestamp });
+        post({ type: 'reset', timestamp: timestamp });
+    }
+    
+    /**
+     * Editable LogicEngine settings
+     * @returns {Object}
+     */
+    function getEditableConfig() {
+        const config = LogicEngine.getConfig();
+        const editable = {};
+        Object.keys(LogicEngine.getConfigSchema()).forEach(key => {
+            editable[key] = config[key];
+        });
+        return editable;
+    }
+    
+    /**
+     * Get engine configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return LogicEngine.getConfig();
+    }
+    
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return LogicEngine.getConfigSchema();
+    }
+    
+    /**
+     * Update engine configuration (validated on the main thread, mirrored to the worker)
+     * @param {Object} updates - Partial config
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        const config = LogicEngine.setConfig(updates);
+        post({ type: 'config', config: getEditableConfig() });
+        return config;
+    }
+    
+    /**
+     * Restore default engine configuration
+     * @returns {Object} Default configuration
+     */
+    function resetConfig() {
+        const config = LogicEngine.resetConfig();
+        post({ type: 'config', config: getEditableConfig() });
+        return config;
+    }
+    
+    /**
+     * Get host state
+     * @returns {Object} { mode, ready, pending }
+     */
+    function getState() {
+        return {
+            mode: mode,
+            ready: isReady,
+            pending: pendingFrames.length
+        };
+    }
+    
+    // Analyze incoming ticker frames
+    EventBus.on('tickerDataReceived', function(tickerData, meta) {
+        if (meta) {
+            process(tickerData, meta.timestamp, meta.source || undefined);
+        } else {
+            process(tickerData);
+        }
+    });
+    
+    // Keep the worker's rules in sync with the rules panel
+    EventBus.on('signalRulesChanged', function(rules) {
+        post({ type: 'rules', rules: rules });
+    });
+    
+    // Public API
+    return {
+        start,
+        process,
+        subscribe,
+        call,
+        reset,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig,
+        getState
+    };
+})();
+
+// Make EngineHost available globally
+window.EngineHost = EngineHost;
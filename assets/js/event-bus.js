@@ -0,0 +1,99 @@
+/**
+ * Aegis Crypto-Watch - Event Bus
+ *
+ * Responsibilities:
+ * - Small event emitter shared by the core modules (on / once / off / emit)
+ * - Mirror every event to jQuery ($(document).trigger) when running in a page,
+ *   so UI modules keep listening with $(document).on(name, (event, ...args) => ...)
+ *
+ * The core modules (APIClient, LogicEngine, RuleEngine, ...) only talk to this
+ * bus, which keeps them free of jQuery and the DOM: the same files run in the
+ * page, in the analysis worker and under Node.js (see index.js).
+ */
+
+const EventBus = (function() {
+    'use strict';
+    
+    // State
+    const listeners = new Map();   // event name -> [listener]
+    
+    /**
+     * Register a listener
+     * @param {string} name - Event name (e.g. 'tickerDataReceived')
+     * @param {Function} listener - Called with the emitted arguments
+     * @returns {Function} Unsubscribe function
+     */
+    function on(name, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+        
+        if (!listeners.has(name)) listeners.set(name, []);
+        listeners.get(name).push(listener);
+        
+        return () => off(name, listener);
+    }
+    
+    /**
+     * Register a listener for the next emit only
+     * @param {string} name - Event name
+     * @param {Function} listener - Called with the emitted arguments
+     * @returns {Function} Unsubscribe function
+     */
+    function once(name, listener) {
+        const wrapper = function(...args) {
+            off(name, wrapper);
+            listener(...args);
+        };
+        return on(name, wrapper);
+    }
+    
+    /**
+     * Remove a listener
+     * @param {string} name - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    function off(name, listener) {
+        const list = listeners.get(name);
+        if (!list) return;
+        
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+        if (list.length === 0) listeners.delete(name);
+    }
+    
+    /**
+     * Emit an event (a failing listener does not stop the others)
+     * @param {string} name - Event name
+     * @param {...*} args - Event arguments
+     */
+    function emit(name, ...args) {
+        (listeners.get(name) || []).slice().forEach(listener => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`Listener for ${name} failed:`, error);
+            }
+        });
+        
+        // Page listeners
+        if (typeof $ === 'function' && typeof document !== 'undefined') {
+            $(document).trigger(name, args);
+        }
+    }
+    
+    // Public API
+    return {
+        on,
+        once,
+        off,
+        emit
+    };
+})();
+
+// Make EventBus available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = EventBus;
+} else {
+    window.EventBus = EventBus;
+}
@@ -0,0 +1,359 @@
+/**
+ * Aegis Crypto-Watch - Exchange Adapters
+ *
+ * Responsibilities:
+ * - Normalise exchange ticker payloads into the internal ticker schema
+ * - Binance (24hr ticker), Coinbase (product stats) and Kraken (Ticker) adapters
+ * - Keep fetching separate from parsing so adapters run against fixture payloads
+ *
+ * Internal ticker schema (every adapter fills every field, numbers not strings):
+ *   { exchange, symbol, baseAsset, quoteAsset, lastPrice, openPrice, highPrice, lowPrice,
+ *     priceChange, priceChangePercent, volume, quoteVolume, volumeRef, bidPrice, askPrice }
+ * Field names match the 24hr ticker the engine, recordings and backtests already use.
+ * volume is in the base asset, quoteVolume in the quote asset, volumeRef in the
+ * reference currency (null when no conversion rate is known).
+ */
+
+const ExchangeAdapters = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        BINANCE_TICKER_URL: 'https://api.binance.com/api/v3/ticker/24hr',
+        COINBASE_STATS_URL: 'https://api.exchange.coinbase.com/products/{product}/stats',
+        COINBASE_QUOTE: 'USD',
+        KRAKEN_TICKER_URL: 'https://api.kraken.com/0/public/Ticker'
+    };
+    
+    // Kraken legacy asset codes
+    const KRAKEN_ASSET_ALIASES = {
+        XBT: 'BTC',
+        XDG: 'DOGE'
+    };
+    
+    // Kraken quote suffixes (longest match wins)
+    const KRAKEN_QUOTES = [
+        'ZUSD', 'ZEUR', 'ZGBP', 'ZJPY', 'ZCAD', 'ZAUD', 'XXBT', 'XETH',
+        'USDT', 'USDC', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'XBT', 'ETH', 'DAI'
+    ].sort((a, b) => b.length - a.length);
+    
+    /**
+     * Build an internal ticker from normalised numbers
+     * @param {Object} fields - Exchange-independent values
+     * @returns {Object} Internal ticker
+     */
+    function createTicker(fields) {
+        const lastPrice = Number(fields.lastPrice);
+        const openPrice = Number(fields.openPrice);
+        const priceChange = lastPrice - openPrice;
+        const quoteVolume = Number(fields.quoteVolume);
+        
+        return {
+            exchange: fields.exchange,
+            symbol: fields.symbol,
+            baseAsset: fields.baseAsset,
+            quoteAsset: fields.quoteAsset,
+            lastPrice: lastPrice,
+            openPrice: openPrice,
+            highPrice: Number(fields.highPrice),
+            lowPrice: Number(fields.lowPrice),
+            priceChange: fields.priceChange !== undefined ? Number(fields.priceChange) : priceChange,
+            priceChangePercent: fields.priceChangePercent !== undefined
+                ? Number(fields.priceChangePercent)
+                : (openPrice !== 0 ? (priceChange / openPrice) * 100 : 0),
+            volume: Number(fields.volume),
+            quoteVolume: quoteVolume,
+            volumeRef: SymbolRegistry.toReference(quoteVolume, fields.quoteAsset),
+            bidPrice: fields.bidPrice !== undefined ? Number(fields.bidPrice) : null,
+            askPrice: fields.askPrice !== undefined ? Number(fields.askPrice) : null
+        };
+    }
+    
+    /**
+     * Fetch JSON, throwing on HTTP errors
+     * @param {string} url - Endpoint
+     * @param {Function} fetchImpl - fetch implementation
+     * @returns {Promise<*>}
+     */
+    async function fetchJson(url, fetchImpl) {
+        const response = await fetchImpl(url);
+        
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return response.json();
+    }
+    
+    // ---- Binance ----
+    
+    const binance = {
+        id: 'binance',
+        name: 'Binance',
+        shortName: 'BN',
+        
+        /**
+         * Normalise one 24hr ticker (REST or stream-converted)
+         * @param {Object} raw - Binance 24hr ticker
+         * @returns {Object} Internal ticker
+         */
+        normalizeTicker(raw) {
+            const info = SymbolRegistry.parse(raw.symbol);
+            
+            return createTicker({
+                exchange: 'binance',
+                symbol: raw.symbol,
+                baseAsset: info.baseAsset,
+                quoteAsset: info.quoteAsset,
+                lastPrice: raw.lastPrice,
+                openPrice: raw.openPrice,
+                highPrice: raw.highPrice,
+                lowPrice: raw.lowPrice,
+                priceChange: raw.priceChange,
+                priceChangePercent: raw.priceChangePercent,
+                volume: raw.volume,
+                quoteVolume: raw.quoteVolume,
+                bidPrice: raw.bidPrice,
+                askPrice: raw.askPrice
+            });
+        },
+        
+        /**
+         * @param {Array} payload - /api/v3/ticker/24hr response
+         * @returns {Array} Internal tickers
+         */
+        normalize(payload) {
+            if (!Array.isArray(payload)) {
+                throw new Error('Binance: expected a ticker array');
+            }
+            return payload.map(raw => binance.normalizeTicker(raw));
+        },
+        
+        /**
+         * @param {Array<string>} bases - Ignored (one request returns every market)
+         * @param {Function} fetchImpl - fetch implementation
+         * @returns {Promise<Array>} Raw payload
+         */
+        fetchRaw(bases, fetchImpl = fetch) {
+            return fetchJson(CONFIG.BINANCE_TICKER_URL, fetchImpl);
+        }
+    };
+    
+    // ---- Coinbase ----
+    
+    const coinbase = {
+        id: 'coinbase',
+        name: 'Coinbase',
+        shortName: 'CB',
+        
+        /**
+         * @param {Object} payload - { 'BTC-USD': /products/BTC-USD/stats response, ... }
+         * @returns {Array} Internal tickers
+         */
+        normalize(payload) {
+            if (!payload || typeof payload !== 'object') {
+                throw new Error('Coinbase: expected a product stats map');
+            }
+            
+            return Object.keys(payload).map(product => {
+                const stats = payload[product];
+                const [baseAsset, quoteAsset] = product.split('-');
+                const last = Number(stats.last);
+                
+                return createTicker({
+                    exchange: 'coinbase',
+                    symbol: product,
+                    baseAsset: baseAsset,
+                    quoteAsset: quoteAsset,
+                    lastPrice: last,
+                    openPrice: stats.open,
+                    highPrice: stats.high,
+                    lowPrice: stats.low,
+                    volume: stats.volume,
+                    // Stats only carry base volume; value it at the last price
+                    quoteVolume: Number(stats.volume) * last
+                });
+            }).filter(ticker => Number.isFinite(ticker.lastPrice) && ticker.lastPrice > 0);
+        },
+        
+        /**
+         * Fetch stats for BASE-USD products one by one (unlisted products are skipped)
+         * @param {Array<string>} bases - Base assets
+         * @param {Function} fetchImpl - fetch implementation
+         * @returns {Promise<Object>} Raw payload keyed by product id
+         */
+        async fetchRaw(bases, fetchImpl = fetch) {
+            const payload = {};
+            
+            for (const base of bases) {
+                const product = `${base}-${CONFIG.COINBASE_QUOTE}`;
+                try {
+                    payload[product] = await fetchJson(CONFIG.COINBASE_STATS_URL.replace('{product}', product), fetchImpl);
+                } catch (error) {
+                    if (error.status === 404) continue;  // Not listed on Coinbase
+                    if (error.status === 429) break;     // Rate limited: keep what we have
+                    throw error;
+                }
+            }
+            
+            return payload;
+        }
+    };
+    
+    // ---- Kraken ----
+    
+    /**
+     * Map a Kraken asset code to the common code (XXBT -> BTC, ZUSD -> USD)
+     * @param {string} code - Kraken asset code
+     * @returns {string}
+     */
+    function normalizeKrakenAsset(code) {
+        const stripped = code.length === 4 && /^[XZ]/.test(code) ? code.slice(1) : code;
+        return KRAKEN_ASSET_ALIASES[stripped] || stripped;
+    }
+    
+    /**
+     * Split a Kraken pair name into base / quote
+     * @param {string} pair - e.g. XXBTZUSD, SOLUSD, XBTUSDT
+     * @returns {Object|null} { baseAsset, quoteAsset } or null if no known quote
+     */
+    function parseKrakenPair(pair) {
+        const quote = KRAKEN_QUOTES.find(candidate =>
+            pair.length > candidate.length && pair.endsWith(candidate)
+        );
+        if (!quote) return null;
+        
+        return {
+            baseAsset: normalizeKrakenAsset(pair.slice(0, -quote.length)),
+            quoteAsset: normalizeKrakenAsset(quote)
+        };
+    }
+    
+    const kraken = {
+        id: 'kraken',
+        name: 'Kraken',
+        shortName: 'KR',
+        
+        /**
+         * Kraken's open ("o") is today's UTC open, so priceChangePercent is since midnight UTC.
+         * @param {Object} payload - /0/public/Ticker response { error, result }
+         * @returns {Array} Internal tickers
+         */
+        normalize(payload) {
+            if (!payload || !payload.result) {
+                throw new Error('Kraken: expected { error, result }');
+            }
+            if (payload.error && payload.error.length > 0) {
+                throw new Error(`Kraken: ${payload.error.join(', ')}`);
+            }
+            
+            const tickers = [];
+            Object.keys(payload.result).forEach(pair => {
+                const info = parseKrakenPair(pair);
+                if (!info) return;
+                
+                const raw = payload.result[pair];
+                const volume = Number(raw.v[1]);
+                
+                tickers.push(createTicker({
+                    exchange: 'kraken',
+                    symbol: pair,
+                    baseAsset: info.baseAsset,
+                    quoteAsset: info.quoteAsset,
+                    lastPrice: raw.c[0],
+                    openPrice: raw.o,
+                    highPrice: raw.h[1],
+                    lowPrice: raw.l[1],
+                    volume: volume,
+                    quoteVolume: volume * Number(raw.p[1]), // 24h volume x 24h VWAP
+                    bidPrice: raw.b[0],
+                    askPrice: raw.a[0]
+                }));
+            });
+            
+            return tickers.filter(ticker => Number.isFinite(ticker.lastPrice) && ticker.lastPrice > 0);
+        },
+        
+        /**
+         * @param {Array<string>} bases - Ignored (one request returns every pair)
+         * @param {Function} fetchImpl - fetch implementation
+         * @returns {Promise<Object>} Raw payload
+         */
+        fetchRaw(bases, fetchImpl = fetch) {
+            return fetchJson(CONFIG.KRAKEN_TICKER_URL, fetchImpl);
+        }
+    };
+    
+    // Registered adapters
+    const adapters = new Map([
+        [binance.id, binance],
+        [coinbase.id, coinbase],
+        [kraken.id, kraken]
+    ]);
+    
+    /**
+     * Register an adapter
+     * @param {Object} adapter - { id, name, shortName, normalize(payload), fetchRaw(bases, fetchImpl) }
+     */
+    function register(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.normalize !== 'function' || typeof adapter.fetchRaw !== 'function') {
+            throw new Error('Adapter needs id, normalize() and fetchRaw()');
+        }
+        adapters.set(adapter.id, adapter);
+    }
+    
+    /**
+     * Get adapter by id
+     * @param {string} id - Exchange id
+     * @returns {Object}
+     */
+    function get(id) {
+        const adapter = adapters.get(id);
+        if (!adapter) {
+            throw new Error(`Unknown exchange: ${id}`);
+        }
+        return adapter;
+    }
+    
+    /**
+     * List registered adapters
+     * @returns {Array<Object>} [{ id, name, shortName }]
+     */
+    function list() {
+        return Array.from(adapters.values()).map(adapter => ({
+            id: adapter.id,
+            name: adapter.name,
+            shortName: adapter.shortName
+        }));
+    }
+    
+    /**
+     * Fetch and normalise tickers from one exchange
+     * @param {string} id - Exchange id
+     * @param {Array<string>} bases - Base assets of interest
+     * @param {Function} fetchImpl - fetch implementation (defaults to the global fetch)
+     * @returns {Promise<Array>} Internal tickers
+     */
+    async function fetchTickers(id, bases = [], fetchImpl = fetch) {
+        const adapter = get(id);
+        return adapter.normalize(await adapter.fetchRaw(bases, fetchImpl));
+    }
+    
+    // Public API
+    return {
+        register,
+        get,
+        list,
+        fetchTickers,
+        parseKrakenPair
+    };
+})();
+
+// Make ExchangeAdapters available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = ExchangeAdapters;
+} else {
+    window.ExchangeAdapters = ExchangeAdapters;
+}
@@ -0,0 +1,357 @@
+/**
+ * Aegis Crypto-Watch - Heatmap View
+ *
+ * Responsibilities:
+ * - Lay out rows as a squarified treemap (tile area by a size value)
+ * - Optionally group tiles (e.g. by sector) into labelled blocks
+ * - Reuse tile elements per key and rewrite content / style only when changed
+ * - Batch all DOM writes into one requestAnimationFrame per update
+ *
+ * Works on plain DOM nodes like TableRenderer; what a tile shows (content,
+ * colour, size, group) is supplied by the caller.
+ */
+
+const HeatmapView = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        GROUP_HEADER: 18,     // Group label strip height (px)
+        MIN_SHARE: 0.002,     // Smallest tile share of the total size (keeps zero-volume rows clickable)
+        SMALL_TILE: 64,       // Tiles narrower / lower than this (px) only show the symbol
+        TINY_TILE: 24         // ... and below this show nothing
+    };
+    
+    const requestFrame = typeof window.requestAnimationFrame === 'function'
+        ? callback => window.requestAnimationFrame(callback)
+        : callback => setTimeout(callback, 16);
+    
+    // State
+    let container = null;
+    let options = null;        // { getKey, getSize, getGroup, html, color, title }
+    let rows = [];
+    let frameRequested = false;
+    const tiles = new Map();   // key -> { el, html, style, className, title }
+    const groups = new Map();  // group name -> label element
+    
+    /**
+     * Worst aspect ratio of a strip of areas laid along a side
+     * @param {Array<number>} areas - Strip areas
+     * @param {number} side - Side length the strip is laid along
+     * @returns {number}
+     */
+    function worstRatio(areas, side) {
+        const sum = areas.reduce((total, area) => total + area, 0);
+        const max = Math.max(...areas);
+        const min = Math.min(...areas);
+        return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    }
+    
+    /**
+     * Squarified treemap (Bruls, Huizing, van Wijk)
+     * @param {Array<number>} values - Positive sizes, largest first
+     * @param {Object} rect - { x, y, width, height }
+     * @returns {Array<Object>} [{ x, y, width, height }] in input order
+     */
+    function squarify(values, rect) {
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (values.length === 0 || total <= 0 || rect.width <= 0 || rect.height <= 0) {
+            return values.map(() => ({ x: rect.x, y: rect.y, width: 0, height: 0 }));
+        }
+        
+        const scale = (rect.width * rect.height) / total;
+        const areas = values.map(value => value * scale);
+        const rects = [];
+        let { x, y, width, height } = rect;
+        let index = 0;
+        
+        while (index < areas.length) {
+            const side = Math.min(width, height);
+            let strip = [areas[index]];
+            let worst = worstRatio(strip, side);
+            let next = index + 1;
+            
+            // Grow the strip while it makes tiles squarer
+            while (next < areas.length) {
+                const candidate = strip.concat(areas[next]);
+                const ratio = worstRatio(candidate, side);
+                if (ratio > worst) break;
+                strip = candidate;
+                worst = ratio;
+                next++;
+            }
+            
+            const stripArea = strip.reduce((sum, area) => sum + area, 0);
+            if (width >= height) {
+                // Column on the left
+                const columnWidth = stripArea / height;
+                let offset = y;
+                strip.forEach(area => {
+                    const tileHeight = area / columnWidth;
+                    rects.push({ x: x, y: offset, width: columnWidth, height: tileHeight });
+                    offset += tileHeight;
+                });
+                x += columnWidth;
+                width -= columnWidth;
+            } else {
+                // Row on top
+                const rowHeight = stripArea / width;
+                let offset = x;
+                strip.forEach(area => {
+                    const tileWidth = area / rowHeight;
+                    rects.push({ x: offset, y: y, width: tileWidth, height: rowHeight });
+                    offset += tileWidth;
+                });
+                y += rowHeight;
+                height -= rowHeight;
+            }
+            
+            index = next;
+        }
+        
+        return rects;
+    }
+    
+    /**
+     * Lay out rows (and their groups) in a rectangle
+     * @param {Array} items - Rows
+     * @param {number} width - Container width (px)
+     * @param {number} height - Container height (px)
+     * @param {Object} layoutOptions - { getSize(row) -> number, getGroup(row) -> string|null }
+     * @returns {Object} { tiles: [{ row, x, y, width, height }], groups: [{ name, x, y, width, height }] }
+     */
+    function layout(items, width, height, layoutOptions) {
+        const getGroup = layoutOptions.getGroup || (() => null);
+        const sizes = items.map(row => {
+            const size = layoutOptions.getSize(row);
+            return Number.isFinite(size) && size > 0 ? size : 0;
+        });
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        const floor = total > 0 ? total * CONFIG.MIN_SHARE : 1;
+        const entries = items.map((row, index) => ({ row: row, size: Math.max(sizes[index], floor) }));
+        
+        const byGroup = new Map();
+        entries.forEach(entry => {
+            const name = getGroup(entry.row);
+            if (!byGroup.has(name)) byGroup.set(name, []);
+            byGroup.get(name).push(entry);
+        });
+        
+        const placeTiles = (list, rect) => {
+            const sorted = list.slice().sort((a, b) => b.size - a.size);
+            return squarify(sorted.map(entry => entry.size), rect)
+                .map((box, index) => ({ row: sorted[index].row, ...box }));
+        };
+        
+        const bounds = { x: 0, y: 0, width: width, height: height };
+        
+        // One unnamed group: a plain treemap
+        if (byGroup.size === 1 && byGroup.has(null)) {
+            return { tiles: placeTiles(entries, bounds), groups: [] };
+        }
+        
+        const groupList = Array.from(byGroup.entries())
+            .map(([name, list]) => ({ name: name, list: list, size: list.reduce((sum, entry) => sum + entry.size, 0) }))
+            .sort((a, b) => b.size - a.size);
+        const groupRects = squarify(groupList.map(group => group.size), bounds);
+        
+        const result = { tiles: [], groups: [] };
+        groupList.forEach((group, index) => {
+            const box = groupRects[index];
+            const header = box.height > CONFIG.GROUP_HEADER * 2 ? CONFIG.GROUP_HEADER : 0;
+            result.groups.push({ name: group.name, ...box, header: header });
+            result.tiles.push(...placeTiles(group.list, {
+                x: box.x,
+                y: box.y + header,
+                width: box.width,
+                height: box.height - header
+            }));
+        });
+        return result;
+    }
+    
+    /**
+     * Size class of a tile
+     * @param {Object} box - { width, height }
+     * @returns {string}
+     */
+    function getSizeClass(box) {
+        const side = Math.min(box.width, box.height);
+        if (side < CONFIG.TINY_TILE) return 'heatmap-tile tile-tiny';
+        if (side < CONFIG.SMALL_TILE) return 'heatmap-tile tile-small';
+        return 'heatmap-tile';
+    }
+    
+    /**
+     * Absolute position style of a box
+     * @param {Object} box - { x, y, width, height }
+     * @returns {string}
+     */
+    function getBoxStyle(box) {
+        return `left:${box.x.toFixed(1)}px;top:${box.y.toFixed(1)}px;` +
+            `width:${box.width.toFixed(1)}px;height:${box.height.toFixed(1)}px;`;
+    }
+    
+    /**
+     * Render the treemap (runs inside requestAnimationFrame)
+     */
+    function flush() {
+        frameRequested = false;
+        if (!container) return;
+        
+        // Hidden (e.g. table view active): render when shown again
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (width === 0 || height === 0) return;
+        
+        const result = layout(rows, width, height, options);
+        const seenTiles = new Set();
+        const seenGroups = new Set();
+        
+        result.groups.forEach(group => {
+            let label = groups.get(group.name);
+            if (!label) {
+                label = document.createElement('div');
+                label.className = 'heatmap-group';
+                container.appendChild(label);
+                groups.set(group.name, label);
+            }
+            seenGroups.add(group.name);
+            
+            const text = group.header > 0 ? group.name || '—' : '';
+            if (label.textContent !== text) label.textContent = text;
+            const style = getBoxStyle(group);
+            if (label.getAttribute('style') !== style) label.setAttribute('style', style);
+        });
+        
+        result.tiles.forEach(tile => {
+            const key = options.getKey(tile.row);
+            let entry = tiles.get(key);
+            if (!entry) {
+                const el = document.createElement('div');
+                el.dataset.key = key;
+                container.appendChild(el);
+                entry = { el: el, html: null, style: null, className: null, title: null };
+                tiles.set(key, entry);
+            }
+            seenTiles.add(key);
+            
+            const html = options.html(tile.row);
+            const style = `${getBoxStyle(tile)}background:${options.color(tile.row)};`;
+            const className = getSizeClass(tile);
+            const title = options.title ? options.title(tile.row) : '';
+            
+            if (entry.html !== html) {
+                entry.el.innerHTML = html;
+                entry.html = html;
+            }
+            if (entry.style !== style) {
+                entry.el.setAttribute('style', style);
+                entry.style = style;
+            }
+            if (entry.className !== className) {
+                entry.el.className = className;
+                entry.className = className;
+            }
+            if (entry.title !== title) {
+                entry.el.title = title;
+                entry.title = title;
+            }
+        });
+        
+        // Rows that left the dataset
+        tiles.forEach((entry, key) => {
+            if (!seenTiles.has(key)) {
+                entry.el.remove();
+                tiles.delete(key);
+            }
+        });
+        groups.forEach((label, name) => {
+            if (!seenGroups.has(name)) {
+                label.remove();
+                groups.delete(name);
+            }
+        });
+    }
+    
+    /**
+     * Request a render on the next animation frame (coalesced)
+     */
+    function schedule() {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestFrame(flush);
+    }
+    
+    /**
+     * Attach the heatmap to a container (positioned, with a fixed height)
+     * @param {Object} heatmapOptions - { container, getKey, getSize, getGroup, html, color, title }
+     *   getSize(row) -> tile weight, getGroup(row) -> group name or null (no grouping),
+     *   html(row) -> tile content, color(row) -> CSS background, title(row) -> tooltip (optional)
+     */
+    function init(heatmapOptions) {
+        if (!heatmapOptions || !heatmapOptions.container || typeof heatmapOptions.getSize !== 'function' ||
+            typeof heatmapOptions.html !== 'function' || typeof heatmapOptions.color !== 'function') {
+            throw new Error('HeatmapView needs container, getSize, html and color');
+        }
+        
+        container = heatmapOptions.container;
+        options = {
+            getKey: row => row.symbol,
+            getGroup: null,
+            title: null,
+            ...heatmapOptions
+        };
+        
+        tiles.clear();
+        groups.clear();
+        container.innerHTML = '';
+        
+        window.addEventListener('resize', schedule);
+        schedule();
+    }
+    
+    /**
+     * Replace the dataset (rendered on the next frame)
+     * @param {Array} nextRows - Rows
+     */
+    function setRows(nextRows) {
+        rows = nextRows;
+        schedule();
+    }
+    
+    /**
+     * Rewrite every tile on the next frame (e.g. after a colour mode or grouping change)
+     */
+    function refresh() {
+        tiles.forEach(entry => {
+            entry.html = null;
+            entry.style = null;
+        });
+        schedule();
+    }
+    
+    /**
+     * Get render statistics
+     * @returns {Object} { total, tiles, groups }
+     */
+    function getStats() {
+        return {
+            total: rows.length,
+            tiles: tiles.size,
+            groups: groups.size
+        };
+    }
+    
+    // Public API
+    return {
+        init,
+        setRows,
+        refresh,
+        layout,
+        getStats
+    };
+})();
+
+// Make HeatmapView available globally
+window.HeatmapView = HeatmapView;
@@ -0,0 +1,140 @@
+/**
+ * Aegis Crypto-Watch - Signal History Panel
+ *
+ * Responsibilities:
+ * - Browse signals persisted by SignalStore
+ * - Filter by symbol, signal type and date range
+ * - Export filtered results as CSV / JSON
+ */
+
+const HistoryPanel = (function() {
+    'use strict';
+    
+    const MAX_ROWS = 500; // Rows rendered / exported per query
+    
+    const escapeHtml = UIStream.escapeHtml;
+    
+    // State
+    let currentResults = [];
+    
+    /**
+     * Fill signal type filter with engine and rule types
+     */
+    function renderTypeOptions() {
+        const types = new Set(Object.keys(LogicEngine.getSignalTypes()).filter(type => type !== 'NEUTRAL'));
+        RuleEngine.getRules().forEach(rule => types.add(rule.type));
+        
+        const current = $('#historyType').val();
+        $('#historyType').html(
+            '<option value="">Tüm tipler</option>' +
+            Array.from(types).sort().map(type => `<option value="${type}">${type}</option>`).join('')
+        ).val(current || '');
+    }
+    
+    /**
+     * Read filters from form
+     * @returns {Object} SignalStore query filters
+     */
+    function readFilters() {
+        const from = $('#historyFrom').val();
+        const to = $('#historyTo').val();
+        
+        return {
+            symbol: $('#historySymbol').val(),
+            type: $('#historyType').val(),
+            from: from ? new Date(from).getTime() : null,
+            to: to ? new Date(to).getTime() : null,
+            limit: MAX_ROWS
+        };
+    }
+    
+    /**
+     * Render result rows
+     * @param {Array} entries - Stored signals
+     */
+    function renderResults(entries) {
+        const formatMove = move => (move === null || move === undefined)
+            ? '—'
+            : `<span class="${move >= 0 ? 'price-up' : 'price-down'}">${move > 0 ? '+' : ''}${move.toFixed(2)}%</span>`;
+        
+        const rows = entries.map(entry => `
+            <tr>
+                <td class="signal-log-time">${new Date(entry.openedAt).toLocaleString('tr-TR')}</td>
+                <td><strong>${escapeHtml(entry.baseAsset)}</strong></td>
+                <td>${escapeHtml(entry.type)}</td>
+                <td><small>${escapeHtml(entry.message)}</small></td>
+                <td>${entry.openPrice}</td>
+                <td>${formatMove(entry.peakMove)}</td>
+                <td>${entry.duration !== null && entry.duration !== undefined ? UIStream.formatDuration(entry.duration) : '—'}</td>
+                <td>${entry.status === 'open' ? '<span class="badge bg-success">açık</span>' : '<span class="badge bg-secondary">kapalı</span>'}</td>
+            </tr>
+        `);
+        
+        $('#historyTableBody').html(rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="8" class="text-center text-muted">Kayıt bulunamadı</td></tr>');
+        
+        $('#historyCount').text(entries.length >= MAX_ROWS ? `${MAX_ROWS}+ kayıt` : `${entries.length} kayıt`);
+    }
+    
+    /**
+     * Run query with current filters
+     * @returns {Promise}
+     */
+    function search() {
+        return SignalStore.query(readFilters())
+            .then(entries => {
+                currentResults = entries;
+                renderResults(entries);
+            })
+            .catch(error => {
+                currentResults = [];
+                $('#historyTableBody').html(
+                    `<tr><td colspan="8" class="text-center text-danger">${escapeHtml(error.message)}</td></tr>`
+                );
+            });
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        $('#historyModal').on('show.bs.modal', function() {
+            renderTypeOptions();
+            search();
+        });
+        
+        $('#historyFilterForm').on('submit', function(event) {
+            event.preventDefault();
+            search();
+        });
+        
+        $('#exportHistoryCsvBtn').on('click', function() {
+            UIStream.downloadFile(SignalStore.toCSV(currentResults), 'aegis-signals.csv', 'text/csv');
+        });
+        
+        $('#exportHistoryJsonBtn').on('click', function() {
+            UIStream.downloadFile(SignalStore.toJSON(currentResults), 'aegis-signals.json', 'application/json');
+        });
+        
+        $('#clearHistoryBtn').on('click', function() {
+            if (confirm('Kayıtlı tüm sinyal geçmişi silinsin mi?')) {
+                SignalStore.clear().then(search);
+            }
+        });
+    }
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        search,
+        initialize
+    };
+})();
+
+// Make HistoryPanel available globally
+window.HistoryPanel = HistoryPanel;
@@ -0,0 +1,239 @@
+/**
+ * Aegis Crypto-Watch - Technical Indicators
+ *
+ * Responsibilities:
+ * - Pure indicator math over price series (SMA, EMA, RSI, MACD, Bollinger, ATR)
+ *
+ * All series functions return an array aligned with the input,
+ * with null where there is not enough data yet.
+ */
+
+const Indicators = (function() {
+    'use strict';
+    
+    /**
+     * Simple Moving Average
+     * @param {Array<number>} values - Input series
+     * @param {number} period - Window length
+     * @returns {Array<number|null>} SMA series
+     */
+    function sma(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) {
+                sum -= values[i - period];
+            }
+            if (i >= period - 1) {
+                result[i] = sum / period;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Exponential Moving Average (seeded with the SMA of the first period)
+     * @param {Array<number|null>} values - Input series (leading nulls allowed)
+     * @param {number} period - Window length
+     * @returns {Array<number|null>} EMA series
+     */
+    function ema(values, period) {
+        const result = new Array(values.length).fill(null);
+        const k = 2 / (period + 1);
+        
+        // Skip leading nulls (e.g. when smoothing another indicator)
+        let start = 0;
+        while (start < values.length && values[start] === null) {
+            start++;
+        }
+        
+        if (values.length - start < period) return result;
+        
+        let seed = 0;
+        for (let i = start; i < start + period; i++) {
+            seed += values[i];
+        }
+        
+        let previous = seed / period;
+        result[start + period - 1] = previous;
+        
+        for (let i = start + period; i < values.length; i++) {
+            previous = (values[i] - previous) * k + previous;
+            result[i] = previous;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Relative Strength Index (Wilder's smoothing)
+     * @param {Array<number>} values - Close prices
+     * @param {number} period - Look-back length (default 14)
+     * @returns {Array<number|null>} RSI series (0-100)
+     */
+    function rsi(values, period = 14) {
+        const result = new Array(values.length).fill(null);
+        if (values.length <= period) return result;
+        
+        let gainSum = 0;
+        let lossSum = 0;
+        
+        for (let i = 1; i <= period; i++) {
+            const delta = values[i] - values[i - 1];
+            if (delta > 0) gainSum += delta;
+            else lossSum -= delta;
+        }
+        
+        let avgGain = gainSum / period;
+        let avgLoss = lossSum / period;
+        result[period] = toRsi(avgGain, avgLoss);
+        
+        for (let i = period + 1; i < values.length; i++) {
+            const delta = values[i] - values[i - 1];
+            const gain = delta > 0 ? delta : 0;
+            const loss = delta < 0 ? -delta : 0;
+            
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+            result[i] = toRsi(avgGain, avgLoss);
+        }
+        
+        return result;
+    }
+    
+    function toRsi(avgGain, avgLoss) {
+        if (avgLoss === 0) {
+            return avgGain === 0 ? 50 : 100;
+        }
+        return 100 - (100 / (1 + avgGain / avgLoss));
+    }
+    
+    /**
+     * Moving Average Convergence Divergence
+     * @param {Array<number>} values - Close prices
+     * @param {number} fastPeriod - Fast EMA length (default 12)
+     * @param {number} slowPeriod - Slow EMA length (default 26)
+     * @param {number} signalPeriod - Signal EMA length (default 9)
+     * @returns {Object} { macd, signal, histogram } series
+     */
+    function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        const fast = ema(values, fastPeriod);
+        const slow = ema(values, slowPeriod);
+        
+        const macdLine = values.map((_, i) =>
+            fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null
+        );
+        const signalLine = ema(macdLine, signalPeriod);
+        const histogram = macdLine.map((value, i) =>
+            value !== null && signalLine[i] !== null ? value - signalLine[i] : null
+        );
+        
+        return {
+            macd: macdLine,
+            signal: signalLine,
+            histogram: histogram
+        };
+    }
+    
+    /**
+     * Bollinger Bands (population standard deviation)
+     * @param {Array<number>} values - Close prices
+     * @param {number} period - SMA length (default 20)
+     * @param {number} multiplier - Standard deviation multiplier (default 2)
+     * @returns {Object} { upper, middle, lower } series
+     */
+    function bollinger(values, period = 20, multiplier = 2) {
+        const middle = sma(values, period);
+        const upper = new Array(values.length).fill(null);
+        const lower = new Array(values.length).fill(null);
+        
+        for (let i = period - 1; i < values.length; i++) {
+            const mean = middle[i];
+            let variance = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                variance += Math.pow(values[j] - mean, 2);
+            }
+            const deviation = Math.sqrt(variance / period);
+            
+            upper[i] = mean + multiplier * deviation;
+            lower[i] = mean - multiplier * deviation;
+        }
+        
+        return {
+            upper: upper,
+            middle: middle,
+            lower: lower
+        };
+    }
+    
+    /**
+     * Average True Range (Wilder's smoothing)
+     * @param {Array<number>} highs - High prices
+     * @param {Array<number>} lows - Low prices
+     * @param {Array<number>} closes - Close prices
+     * @param {number} period - Look-back length (default 14)
+     * @returns {Array<number|null>} ATR series
+     */
+    function atr(highs, lows, closes, period = 14) {
+        const length = closes.length;
+        const result = new Array(length).fill(null);
+        if (length < period) return result;
+        
+        const trueRanges = closes.map((_, i) => {
+            const range = highs[i] - lows[i];
+            if (i === 0) return range;
+            
+            return Math.max(
+                range,
+                Math.abs(highs[i] - closes[i - 1]),
+                Math.abs(lows[i] - closes[i - 1])
+            );
+        });
+        
+        let previous = 0;
+        for (let i = 0; i < period; i++) {
+            previous += trueRanges[i];
+        }
+        previous /= period;
+        result[period - 1] = previous;
+        
+        for (let i = period; i < length; i++) {
+            previous = (previous * (period - 1) + trueRanges[i]) / period;
+            result[i] = previous;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Value counted from the end of a series
+     * @param {Array} series - Indicator series
+     * @param {number} offset - 0 for last, 1 for the one before, ...
+     * @returns {number|null}
+     */
+    function last(series, offset = 0) {
+        const index = series.length - 1 - offset;
+        return index >= 0 && series[index] !== undefined ? series[index] : null;
+    }
+    
+    // Public API
+    return {
+        sma,
+        ema,
+        rsi,
+        macd,
+        bollinger,
+        atr,
+        last
+    };
+})();
+
+// Make Indicators available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = Indicators;
+} else {
+    window.Indicators = Indicators;
+}
@@ -3,10 +3,19 @@
  * 
  * Responsibilities:
  * - Calculate Volatility Score
- * - Detect WHALE ACTIVITY (Strong Buy signals)
- * - Detect PANIC SELL signals
+ * - Detect signals via RuleEngine (WHALE ACTIVITY / PANIC SELL / ARBITRAGE / order book
+ *   BUY_WALL / SELL_WALL / IMBALANCE / trade tape WHALE_BUYING / WHALE_SELLING / VOLUME_SPIKE ship as default rules)
+ * - Measure the price spread of an asset across exchanges
+ * - Expose order book depth (DepthMonitor) and buy/sell pressure (TradeTape) to signal rules
+ * - Keep rolling per-symbol price history
+ * - Keep a per-symbol volume baseline (EWMA) and score each bar's volume (z-score, percentile)
+ * - Summarize market breadth and sentiment per cycle; open MARKET_WIDE_SELLOFF when breadth collapses
+ * - Compute technical indicators (RSI, MACD, Bollinger, ATR) per symbol
+ * - Track signal lifecycle (open / peak / close) with hysteresis and cooldowns
  * - Analyze market conditions
- * - Emit analyzed data events
+ * - Return one structured analysis result per cycle (published by EngineHost)
+ *
+ * DOM-free: runs on the main thread or inside logic-worker.js.
  */
 
 const LogicEngine = (function() {
@@ -15,16 +24,129 @@ const LogicEngine = (function() {
     // Configuration
     const CONFIG = {
         WHALE_THRESHOLD_PRICE_CHANGE: 3.0,    // %3 price increase
-        WHALE_THRESHOLD_VOLUME: 1000000,       // 1M USDT volume
+        WHALE_THRESHOLD_VOLUME: 1000000,       // 1M USDT-equivalent volume (any quote asset)
         PANIC_THRESHOLD_PRICE_CHANGE: -3.0,    // %3 price decrease
+        WHALE_EXIT_PRICE_CHANGE: 2.0,          // Whale closes below %2 (hysteresis)
+        PANIC_EXIT_PRICE_CHANGE: -2.0,         // Panic closes above -%2 (hysteresis)
+        ARBITRAGE_SPREAD_PERCENT: 0.5,         // Cross-exchange spread above %0.5
+        ARBITRAGE_EXIT_SPREAD_PERCENT: 0.3,    // Arbitrage closes below %0.3 (hysteresis)
+        IMBALANCE_BID_PERCENT: 40,             // Bid-heavy book: imbalance above +%40 (±2% of mid)
+        IMBALANCE_ASK_PERCENT: -40,            // Ask-heavy book: imbalance below -%40
+        IMBALANCE_EXIT_BID_PERCENT: 25,        // Imbalance closes between -%25 and +%25 (hysteresis)
+        IMBALANCE_EXIT_ASK_PERCENT: -25,
+        WHALE_TAPE_MIN_VOLUME: 250000,         // Whale fills worth 250K USDT-equivalent in the tape window
+        WHALE_TAPE_BUY_PRESSURE: 50,           // ... and whale pressure above +%50 (buys)
+        WHALE_TAPE_SELL_PRESSURE: -50,         // ... or below -%50 (sells)
+        WHALE_TAPE_EXIT_BUY_PRESSURE: 20,      // Whale buying closes below +%20 (hysteresis)
+        WHALE_TAPE_EXIT_SELL_PRESSURE: -20,    // Whale selling closes above -%20 (hysteresis)
+        VOLUME_BAR_MS: 60 * 1000,              // Volume is scored per 1m bar (24h volume growth)
+        VOLUME_EWMA_ALPHA: 0.1,                // Baseline weight of each new bar
+        VOLUME_MIN_SAMPLES: 10,                // Bars before a symbol is scored
+        VOLUME_PERCENTILE_SAMPLES: 240,        // Bars the percentile is taken from (4h)
+        VOLUME_SPIKE_ZSCORE: 4,                // Volume spike: z-score above 4 ...
+        VOLUME_SPIKE_PERCENTILE: 99,           // ... in the top 1% of recent bars ...
+        VOLUME_SPIKE_MULTIPLE: 3,              // ... at least 3x the baseline ...
+        VOLUME_SPIKE_MIN_RATE: 10000,          // ... and at least 10K USDT-equivalent per minute
+        VOLUME_SPIKE_EXIT_ZSCORE: 1.5,         // Volume spike closes below z 1.5 (hysteresis)
+        MARKET_MIN_SYMBOLS: 20,                // Market-wide selloff needs at least 20 pairs ...
+        MARKET_SELLOFF_DECLINERS_PERCENT: 80,  // ... with %80 of them down ...
+        MARKET_SELLOFF_CHANGE: -3.0,           // ... and a volume-weighted change below -%3
+        MARKET_SELLOFF_EXIT_DECLINERS_PERCENT: 65, // Selloff closes below %65 decliners (hysteresis)
+        SIGNAL_COOLDOWN_MS: 5 * 60 * 1000,     // No re-open for 5 min after close
         VOLATILITY_HIGH_THRESHOLD: 5.0,        // %5 for high volatility
-        VOLATILITY_MEDIUM_THRESHOLD: 2.0        // %2 for medium volatility
+        VOLATILITY_MEDIUM_THRESHOLD: 2.0,       // %2 for medium volatility
+        HISTORY_RETENTION_MS: 60 * 60 * 1000,  // Keep 1 hour of history
+        HISTORY_SAMPLE_MS: 5000,               // One history point per 5s (faster frames update it)
+        HISTORY_MAX_POINTS: 1000,              // Hard cap per symbol (must cover retention / sample)
+        INDICATOR_BAR_MS: 60 * 1000,           // Resample history into 1m bars
+        EMA_PERIOD: 20,
+        RSI_PERIOD: 14,
+        RSI_OVERBOUGHT: 70,
+        RSI_OVERSOLD: 30,
+        MACD_FAST: 12,
+        MACD_SLOW: 26,
+        MACD_SIGNAL: 9,
+        BOLLINGER_PERIOD: 20,
+        BOLLINGER_STD_DEV: 2,
+        ATR_PERIOD: 14
     };
     
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Editable settings and their valid ranges
+    const CONFIG_SCHEMA = {
+        WHALE_THRESHOLD_PRICE_CHANGE: { label: 'Whale min. change (%)', min: 0, max: 100 },
+        WHALE_THRESHOLD_VOLUME: { label: 'Whale min. volume (USDT equiv.)', min: 0, max: 1e12 },
+        PANIC_THRESHOLD_PRICE_CHANGE: { label: 'Panic max. change (%)', min: -100, max: 0 },
+        WHALE_EXIT_PRICE_CHANGE: { label: 'Whale exit change (%)', min: -100, max: 100 },
+        PANIC_EXIT_PRICE_CHANGE: { label: 'Panic exit change (%)', min: -100, max: 100 },
+        ARBITRAGE_SPREAD_PERCENT: { label: 'Arbitrage min. spread (%)', min: 0, max: 100 },
+        ARBITRAGE_EXIT_SPREAD_PERCENT: { label: 'Arbitrage exit spread (%)', min: 0, max: 100 },
+        IMBALANCE_BID_PERCENT: { label: 'Imbalance min. bid side (%)', min: 0, max: 100 },
+        IMBALANCE_ASK_PERCENT: { label: 'Imbalance max. ask side (%)', min: -100, max: 0 },
+        IMBALANCE_EXIT_BID_PERCENT: { label: 'Imbalance exit bid side (%)', min: 0, max: 100 },
+        IMBALANCE_EXIT_ASK_PERCENT: { label: 'Imbalance exit ask side (%)', min: -100, max: 0 },
+        WHALE_TAPE_MIN_VOLUME: { label: 'Whale tape min. volume (USDT equiv.)', min: 0, max: 1e12 },
+        WHALE_TAPE_BUY_PRESSURE: { label: 'Whale buying min. pressure (%)', min: 0, max: 100 },
+        WHALE_TAPE_SELL_PRESSURE: { label: 'Whale selling max. pressure (%)', min: -100, max: 0 },
+        WHALE_TAPE_EXIT_BUY_PRESSURE: { label: 'Whale buying exit pressure (%)', min: -100, max: 100 },
+        WHALE_TAPE_EXIT_SELL_PRESSURE: { label: 'Whale selling exit pressure (%)', min: -100, max: 100 },
+        VOLUME_BAR_MS: { label: 'Volume baseline bar (ms)', min: 5000, max: 60 * 60 * 1000, integer: true },
+        VOLUME_EWMA_ALPHA: { label: 'Volume baseline EWMA alpha', min: 0.001, max: 1 },
+        VOLUME_MIN_SAMPLES: { label: 'Volume baseline min. bars', min: 2, max: 1000, integer: true },
+        VOLUME_PERCENTILE_SAMPLES: { label: 'Volume percentile bars', min: 10, max: 10000, integer: true },
+        VOLUME_SPIKE_ZSCORE: { label: 'Volume spike min. z-score', min: 0, max: 100 },
+        VOLUME_SPIKE_PERCENTILE: { label: 'Volume spike min. percentile', min: 0, max: 100 },
+        VOLUME_SPIKE_MULTIPLE: { label: 'Volume spike min. multiple of baseline', min: 0, max: 1000 },
+        VOLUME_SPIKE_MIN_RATE: { label: 'Volume spike min. volume/min (USDT equiv.)', min: 0, max: 1e12 },
+        VOLUME_SPIKE_EXIT_ZSCORE: { label: 'Volume spike exit z-score', min: -100, max: 100 },
+        MARKET_MIN_SYMBOLS: { label: 'Market selloff min. pairs', min: 1, max: 10000, integer: true },
+        MARKET_SELLOFF_DECLINERS_PERCENT: { label: 'Market selloff min. decliners (%)', min: 0, max: 100 },
+        MARKET_SELLOFF_CHANGE: { label: 'Market selloff max. weighted change (%)', min: -100, max: 0 },
+        MARKET_SELLOFF_EXIT_DECLINERS_PERCENT: { label: 'Market selloff exit decliners (%)', min: 0, max: 100 },
+        SIGNAL_COOLDOWN_MS: { label: 'Signal cooldown (ms)', min: 0, max: 24 * 60 * 60 * 1000, integer: true },
+        VOLATILITY_MEDIUM_THRESHOLD: { label: 'Medium volatility (%)', min: 0, max: 100 },
+        VOLATILITY_HIGH_THRESHOLD: { label: 'High volatility (%)', min: 0, max: 100 },
+        HISTORY_RETENTION_MS: { label: 'History retention (ms)', min: 60000, max: 24 * 60 * 60 * 1000, integer: true },
+        HISTORY_SAMPLE_MS: { label: 'History sample interval (ms)', min: 1000, max: 60 * 60 * 1000, integer: true },
+        HISTORY_MAX_POINTS: { label: 'History max points', min: 2, max: 100000, integer: true },
+        INDICATOR_BAR_MS: { label: 'Indicator bar (ms)', min: 1000, max: 24 * 60 * 60 * 1000, integer: true },
+        EMA_PERIOD: { label: 'EMA/SMA period', min: 2, max: 500, integer: true },
+        RSI_PERIOD: { label: 'RSI period', min: 2, max: 500, integer: true },
+        RSI_OVERBOUGHT: { label: 'RSI overbought', min: 50, max: 100 },
+        RSI_OVERSOLD: { label: 'RSI oversold', min: 0, max: 50 },
+        MACD_FAST: { label: 'MACD fast', min: 2, max: 500, integer: true },
+        MACD_SLOW: { label: 'MACD slow', min: 2, max: 500, integer: true },
+        MACD_SIGNAL: { label: 'MACD signal', min: 2, max: 500, integer: true },
+        BOLLINGER_PERIOD: { label: 'Bollinger period', min: 2, max: 500, integer: true },
+        BOLLINGER_STD_DEV: { label: 'Bollinger std. dev.', min: 0.1, max: 10 },
+        ATR_PERIOD: { label: 'ATR period', min: 2, max: 500, integer: true }
+    };
+    
+    // Rolling price history: symbol -> [{ time, price, high, low, volume, quoteVolume }]
+    // (one point per HISTORY_SAMPLE_MS slot; high / low keep the range of the frames folded into it)
+    const priceHistory = new Map();
+    
+    // Volume baselines: symbol -> { lastQuoteVolume, lastTime, barStart, barVolume, mean, variance, count, rates, surge }
+    const volumeBaselines = new Map();
+    
     // Signal types
     const SIGNAL_TYPES = {
         WHALE_ACTIVITY: 'WHALE_ACTIVITY',
         PANIC_SELL: 'PANIC_SELL',
+        OVERBOUGHT: 'OVERBOUGHT',
+        OVERSOLD: 'OVERSOLD',
+        BREAKOUT_UP: 'BREAKOUT_UP',
+        BREAKOUT_DOWN: 'BREAKOUT_DOWN',
+        MACD_CROSS: 'MACD_CROSS',
+        ARBITRAGE: 'ARBITRAGE',
+        BUY_WALL: 'BUY_WALL',
+        SELL_WALL: 'SELL_WALL',
+        IMBALANCE: 'IMBALANCE',
+        WHALE_BUYING: 'WHALE_BUYING',
+        WHALE_SELLING: 'WHALE_SELLING',
+        VOLUME_SPIKE: 'VOLUME_SPIKE',
+        MARKET_WIDE_SELLOFF: 'MARKET_WIDE_SELLOFF',
         NEUTRAL: 'NEUTRAL'
     };
     
@@ -56,33 +178,158 @@ const LogicEngine = (function() {
     }
     
     /**
-     * Detect signal type based on price change and volume
+     * Resolve base / quote asset and reference-currency volume of a ticker
+     * Uses the fields APIClient attaches, falling back to SymbolRegistry.
+     * @param {Object} tickerData - Single ticker data object
+     * @returns {Object} { baseAsset, quoteAsset, volumeRef }
+     */
+    function getSymbolInfo(tickerData) {
+        const info = tickerData.baseAsset && tickerData.quoteAsset !== undefined
+            ? { baseAsset: tickerData.baseAsset, quoteAsset: tickerData.quoteAsset }
+            : SymbolRegistry.parse(tickerData.symbol);
+        
+        const volumeRef = tickerData.volumeRef !== undefined && tickerData.volumeRef !== null
+            ? parseFloat(tickerData.volumeRef)
+            : SymbolRegistry.toReference(parseFloat(tickerData.quoteVolume), info.quoteAsset);
+        
+        return {
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset,
+            volumeRef: volumeRef
+        };
+    }
+    
+    /**
+     * Price spread of an asset across exchanges
+     * @param {Object} tickerData - Ticker with `venues` ({ exchange: price in reference currency })
+     * @returns {Object|null} { spread: %, count, low: { exchange, price }, high: { exchange, price } }
+     *   or null when fewer than two venues quote the asset
+     */
+    function calculateVenueSpread(tickerData) {
+        const venues = tickerData.venues;
+        if (!venues) return null;
+        
+        const quotes = Object.keys(venues)
+            .map(exchange => ({ exchange: exchange, price: parseFloat(venues[exchange]) }))
+            .filter(quote => Number.isFinite(quote.price) && quote.price > 0)
+            .sort((a, b) => a.price - b.price);
+        if (quotes.length < 2) return null;
+        
+        const low = quotes[0];
+        const high = quotes[quotes.length - 1];
+        
+        return {
+            spread: ((high.price - low.price) / low.price) * 100,
+            count: quotes.length,
+            low: low,
+            high: high
+        };
+    }
+    
+    /**
+     * Liquidity band of an order book analysis
+     * @param {Object} depth - Ticker `depth` (see DepthMonitor.analyzeBook)
+     * @param {number} percent - Band around mid (%)
+     * @returns {Object|null} { percent, bid, ask, imbalance, complete } or null
+     */
+    function getDepthBand(depth, percent) {
+        if (!depth || !Array.isArray(depth.bands)) return null;
+        return depth.bands.find(band => band.percent === percent) || null;
+    }
+    
+    /**
+     * Build the field context rules are evaluated against
      * @param {Object} tickerData - Single ticker data object
-     * @returns {Object} { type: string, message: string }
+     * @param {Object} indicators - Indicator snapshot, optional
+     * @param {Object} volumeSurge - Volume score (see getVolumeSurge), optional
+     * @returns {Object} Rule context (config constants + ticker fields)
      */
-    function detectSignal(tickerData) {
+    function buildRuleContext(tickerData, indicators, volumeSurge) {
         const priceChangePercent = parseFloat(tickerData.priceChangePercent);
-        const volume = parseFloat(tickerData.quoteVolume);
+        const volatility = calculateVolatilityScore(priceChangePercent);
+        const macd = indicators && indicators.macd;
+        const bollinger = indicators && indicators.bollinger;
+        const info = getSymbolInfo(tickerData);
+        const venueSpread = calculateVenueSpread(tickerData);
+        const depth = tickerData.depth || null;
+        const band1 = getDepthBand(depth, 1);
+        const band2 = getDepthBand(depth, 2);
+        const tape = tickerData.tape || null;
         
-        // WHALE ACTIVITY Detection
-        // Condition: priceChangePercent > 3% AND Volume > 1M
-        if (priceChangePercent > CONFIG.WHALE_THRESHOLD_PRICE_CHANGE && 
-            volume > CONFIG.WHALE_THRESHOLD_VOLUME) {
-            return {
-                type: SIGNAL_TYPES.WHALE_ACTIVITY,
-                message: 'WHALE ACTIVITY - Strong Buy Signal',
-                priority: 'high'
-            };
+        return {
+            ...CONFIG,
+            symbol: tickerData.symbol,
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset,
+            price: parseFloat(tickerData.lastPrice),
+            priceChange: parseFloat(tickerData.priceChange),
+            priceChangePercent: priceChangePercent,
+            volume: parseFloat(tickerData.volume),
+            quoteVolume: parseFloat(tickerData.quoteVolume),
+            volumeRef: info.volumeRef,
+            highPrice: parseFloat(tickerData.highPrice),
+            lowPrice: parseFloat(tickerData.lowPrice),
+            volatilityScore: volatility.score,
+            volatilityLevel: volatility.level,
+            rsi: indicators ? indicators.rsi : null,
+            ema: indicators ? indicators.ema : null,
+            sma: indicators ? indicators.sma : null,
+            macd: macd ? macd.macd : null,
+            macdSignal: macd ? macd.signal : null,
+            macdHistogram: macd ? macd.histogram : null,
+            bollingerUpper: bollinger ? bollinger.upper : null,
+            bollingerMiddle: bollinger ? bollinger.middle : null,
+            bollingerLower: bollinger ? bollinger.lower : null,
+            atr: indicators ? indicators.atr : null,
+            venueSpread: venueSpread ? venueSpread.spread : null,
+            venueCount: venueSpread ? venueSpread.count : 0,
+            depthImbalance: depth ? depth.imbalance : null,
+            depthSpread: depth ? depth.spreadPercent : null,
+            bidDepth1: band1 ? band1.bid : null,
+            askDepth1: band1 ? band1.ask : null,
+            bidDepth2: band2 ? band2.bid : null,
+            askDepth2: band2 ? band2.ask : null,
+            bidWall: depth ? (depth.bidWall ? depth.bidWall.notional : 0) : null,
+            askWall: depth ? (depth.askWall ? depth.askWall.notional : 0) : null,
+            bidWallDistance: depth && depth.bidWall ? depth.bidWall.distancePercent : null,
+            askWallDistance: depth && depth.askWall ? depth.askWall.distancePercent : null,
+            depthLevels: depth ? depth.levels : 0,
+            tapeTrades: tape ? tape.trades : 0,
+            tradePressure: tape ? tape.pressure : null,
+            buyVolume: tape ? tape.buyVolume : null,
+            sellVolume: tape ? tape.sellVolume : null,
+            whaleTrades: tape ? tape.whaleTrades : null,
+            whaleBuys: tape ? tape.whaleBuys : null,
+            whaleSells: tape ? tape.whaleSells : null,
+            whaleBuyVolume: tape ? tape.whaleBuyVolume : null,
+            whaleSellVolume: tape ? tape.whaleSellVolume : null,
+            whalePressure: tape ? tape.whalePressure : null,
+            volumeRate: volumeSurge ? volumeSurge.rateRef : null,
+            volumeBaseline: volumeSurge ? volumeSurge.baselineRef : null,
+            volumeZScore: volumeSurge ? volumeSurge.zScore : null,
+            volumePercentile: volumeSurge ? volumeSurge.percentile : null,
+            volumeMultiple: volumeSurge ? volumeSurge.multiple : null,
+            volumeSamples: volumeSurge ? volumeSurge.samples : 0
+        };
+    }
+    
+    /**
+     * Detect signal type
+     * Order: signal rules (WHALE / PANIC ship as defaults) > indicator signals > neutral
+     * @param {Object} tickerData - Single ticker data object
+     * @param {Object} indicators - Indicator snapshot (see computeIndicators), optional
+     * @param {Object} volumeSurge - Volume score (see getVolumeSurge), optional
+     * @returns {Object} { type: string, message: string, priority: string }
+     */
+    function detectSignal(tickerData, indicators, volumeSurge) {
+        const ruleSignal = RuleEngine.evaluate(buildRuleContext(tickerData, indicators, volumeSurge));
+        if (ruleSignal) {
+            return ruleSignal;
         }
         
-        // PANIC SELL Detection
-        // Condition: priceChangePercent < -3%
-        if (priceChangePercent < CONFIG.PANIC_THRESHOLD_PRICE_CHANGE) {
-            return {
-                type: SIGNAL_TYPES.PANIC_SELL,
-                message: 'PANIC SELL - Market Downturn',
-                priority: 'high'
-            };
+        const indicatorSignal = detectIndicatorSignal(parseFloat(tickerData.lastPrice), indicators);
+        if (indicatorSignal) {
+            return indicatorSignal;
         }
         
         // Neutral signal
@@ -93,27 +340,206 @@ const LogicEngine = (function() {
         };
     }
     
+    /**
+     * Detect indicator-based signals
+     * Order: Bollinger breakout > MACD cross > RSI extremes
+     * @param {number} price - Last price
+     * @param {Object} indicators - Indicator snapshot
+     * @returns {Object|null} Signal or null
+     */
+    function detectIndicatorSignal(price, indicators) {
+        if (!indicators) return null;
+        
+        const { rsi, macd, bollinger } = indicators;
+        
+        if (bollinger && price > bollinger.upper) {
+            return {
+                type: SIGNAL_TYPES.BREAKOUT_UP,
+                message: 'BREAKOUT - Price above upper Bollinger Band',
+                priority: 'medium'
+            };
+        }
+        
+        if (bollinger && price < bollinger.lower) {
+            return {
+                type: SIGNAL_TYPES.BREAKOUT_DOWN,
+                message: 'BREAKDOWN - Price below lower Bollinger Band',
+                priority: 'medium'
+            };
+        }
+        
+        if (macd && macd.cross) {
+            return {
+                type: SIGNAL_TYPES.MACD_CROSS,
+                message: macd.cross === 'bullish' ? 'MACD Bullish Cross' : 'MACD Bearish Cross',
+                priority: 'medium'
+            };
+        }
+        
+        if (rsi !== null && rsi >= CONFIG.RSI_OVERBOUGHT) {
+            return {
+                type: SIGNAL_TYPES.OVERBOUGHT,
+                message: `OVERBOUGHT - RSI ${rsi.toFixed(1)}`,
+                priority: 'medium'
+            };
+        }
+        
+        if (rsi !== null && rsi <= CONFIG.RSI_OVERSOLD) {
+            return {
+                type: SIGNAL_TYPES.OVERSOLD,
+                message: `OVERSOLD - RSI ${rsi.toFixed(1)}`,
+                priority: 'medium'
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Resample a symbol's history into OHLC bars
+     * @param {string} symbol - Trading pair symbol
+     * @param {number} intervalMs - Bar length in ms
+     * @returns {Array} [{ time, open, high, low, close }], oldest first
+     */
+    function getCandles(symbol, intervalMs = CONFIG.INDICATOR_BAR_MS) {
+        const points = priceHistory.get(symbol) || [];
+        const candles = [];
+        let current = null;
+        
+        points.forEach(point => {
+            const bucket = Math.floor(point.time / intervalMs) * intervalMs;
+            
+            if (!current || current.time !== bucket) {
+                current = {
+                    time: bucket,
+                    open: point.price,
+                    high: point.high,
+                    low: point.low,
+                    close: point.price
+                };
+                candles.push(current);
+            } else {
+                current.high = Math.max(current.high, point.high);
+                current.low = Math.min(current.low, point.low);
+                current.close = point.price;
+            }
+        });
+        
+        return candles;
+    }
+    
+    /**
+     * Compute latest indicator values for a symbol from its bars
+     * @param {string} symbol - Trading pair symbol
+     * @returns {Object} { bars, ema, sma, rsi, macd, bollinger, atr } (null where not enough data)
+     */
+    function computeIndicators(symbol) {
+        return computeIndicatorsFromCandles(getCandles(symbol));
+    }
+    
+    /**
+     * Score the last bar's volume against the bars before it
+     * @param {Array} candles - [{ openTime, closeTime, quoteVolume }], oldest first
+     * @param {number|null} refFactor - Quote asset -> reference currency factor
+     * @returns {Object|null} Volume score (see getVolumeSurge)
+     */
+    function computeVolumeSurgeFromCandles(candles, refFactor = null) {
+        if (candles.length === 0) return null;
+        
+        const state = { mean: null, variance: 0, count: 0, rates: [], lastTime: null };
+        const rateOf = candle => (candle.quoteVolume / Math.max(candle.closeTime + 1 - candle.openTime, 1)) * 60000;
+        
+        candles.slice(0, -1).forEach(candle => foldVolume(state, rateOf(candle)));
+        
+        const last = candles[candles.length - 1];
+        state.lastTime = last.closeTime;
+        return scoreVolume(state, rateOf(last), refFactor);
+    }
+    
+    /**
+     * Compute latest indicator values from OHLC bars
+     * @param {Array} candles - [{ open, high, low, close }], oldest first
+     * @returns {Object} Indicator snapshot
+     */
+    function computeIndicatorsFromCandles(candles) {
+        const closes = candles.map(candle => candle.close);
+        const last = Indicators.last;
+        
+        const macdSeries = Indicators.macd(closes, CONFIG.MACD_FAST, CONFIG.MACD_SLOW, CONFIG.MACD_SIGNAL);
+        const histogram = last(macdSeries.histogram);
+        const previousHistogram = last(macdSeries.histogram, 1);
+        
+        let cross = null;
+        if (histogram !== null && previousHistogram !== null) {
+            if (previousHistogram <= 0 && histogram > 0) cross = 'bullish';
+            if (previousHistogram >= 0 && histogram < 0) cross = 'bearish';
+        }
+        
+        const bands = Indicators.bollinger(closes, CONFIG.BOLLINGER_PERIOD, CONFIG.BOLLINGER_STD_DEV);
+        const upper = last(bands.upper);
+        
+        return {
+            bars: candles.length,
+            ema: last(Indicators.ema(closes, CONFIG.EMA_PERIOD)),
+            sma: last(Indicators.sma(closes, CONFIG.EMA_PERIOD)),
+            rsi: last(Indicators.rsi(closes, CONFIG.RSI_PERIOD)),
+            macd: histogram === null ? null : {
+                macd: last(macdSeries.macd),
+                signal: last(macdSeries.signal),
+                histogram: histogram,
+                cross: cross
+            },
+            bollinger: upper === null ? null : {
+                upper: upper,
+                middle: last(bands.middle),
+                lower: last(bands.lower)
+            },
+            atr: last(Indicators.atr(
+                candles.map(candle => candle.high),
+                candles.map(candle => candle.low),
+                closes,
+                CONFIG.ATR_PERIOD
+            ))
+        };
+    }
+    
     /**
      * Analyze single ticker data
      * @param {Object} tickerData - Raw ticker data from API
+     * @param {Object} context - Optional { indicators, volumeSurge } to bypass the live history store
      * @returns {Object} Analyzed data with signals
      */
-    function analyzeTicker(tickerData) {
+    function analyzeTicker(tickerData, context = {}) {
         const priceChangePercent = parseFloat(tickerData.priceChangePercent);
         const volatility = calculateVolatilityScore(priceChangePercent);
-        const signal = detectSignal(tickerData);
+        const indicators = context.indicators !== undefined
+            ? context.indicators
+            : computeIndicators(tickerData.symbol);
+        const volumeSurge = context.volumeSurge !== undefined
+            ? context.volumeSurge
+            : getVolumeSurge(tickerData.symbol);
+        const signal = detectSignal(tickerData, indicators, volumeSurge);
+        const info = getSymbolInfo(tickerData);
         
         return {
             symbol: tickerData.symbol,
-            baseAsset: tickerData.symbol.replace('USDT', ''),
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset,
             price: parseFloat(tickerData.lastPrice),
             priceChange: parseFloat(tickerData.priceChange),
             priceChangePercent: priceChangePercent,
             volume: parseFloat(tickerData.volume),
             quoteVolume: parseFloat(tickerData.quoteVolume),
+            volumeRef: info.volumeRef,
             highPrice: parseFloat(tickerData.highPrice),
             lowPrice: parseFloat(tickerData.lowPrice),
             volatility: volatility,
+            indicators: indicators,
+            volumeSurge: volumeSurge,
+            venues: tickerData.venues || null,
+            venueSpread: calculateVenueSpread(tickerData),
+            depth: tickerData.depth || null,
+            tape: tickerData.tape || null,
             signal: signal,
             raw: tickerData // Keep raw data for reference
         };
@@ -142,7 +568,7 @@ const LogicEngine = (function() {
     }
     
     /**
-     * Get active signals (WHALE or PANIC)
+     * Get active signals (any non-neutral signal)
      * @param {Array} analyzedData - Array of analyzed ticker data
      * @returns {Array} Active signals
      */
@@ -153,66 +579,742 @@ const LogicEngine = (function() {
     }
     
     /**
-     * Compare previous and current data to detect new signals
-     * @param {Array} previousData - Previous analyzed data
-     * @param {Array} currentData - Current analyzed data
-     * @returns {Array} New signals that appeared
+     * Drop history points outside retention window and above the point cap
+     * @param {Array} points - History points (oldest first)
+     * @param {number} now - Reference timestamp
      */
-    function detectNewSignals(previousData, currentData) {
-        if (!previousData || previousData.length === 0) {
-            // First run - return all active signals
-            return getActiveSignals(currentData);
+    function evictHistory(points, now) {
+        const cutoff = now - CONFIG.HISTORY_RETENTION_MS;
+        let dropCount = 0;
+        
+        while (dropCount < points.length && points[dropCount].time < cutoff) {
+            dropCount++;
         }
         
-        const previousSignals = new Map();
-        previousData.forEach(item => {
-            if (item.signal.type !== SIGNAL_TYPES.NEUTRAL) {
-                previousSignals.set(item.symbol, item.signal.type);
+        dropCount = Math.max(dropCount, points.length - CONFIG.HISTORY_MAX_POINTS);
+        
+        if (dropCount > 0) {
+            points.splice(0, dropCount);
+        }
+    }
+    
+    /**
+     * Record one history point per symbol and HISTORY_SAMPLE_MS slot
+     * A frame in the same slot as the last point updates that point instead,
+     * so stream frames (about one per second) do not use up HISTORY_MAX_POINTS.
+     * @param {Array} tickerDataArray - Raw ticker data from API
+     * @param {number} timestamp - Sample time (ms)
+     */
+    function recordHistory(tickerDataArray, timestamp = Date.now()) {
+        tickerDataArray.forEach(ticker => {
+            let points = priceHistory.get(ticker.symbol);
+            if (!points) {
+                points = [];
+                priceHistory.set(ticker.symbol, points);
             }
+            
+            // Keep samples ordered; ignore out-of-order ones
+            const last = points[points.length - 1];
+            if (last && timestamp < last.time) return;
+            
+            const price = parseFloat(ticker.lastPrice);
+            const volume = parseFloat(ticker.volume);
+            const quoteVolume = parseFloat(ticker.quoteVolume);
+            
+            const slot = Math.floor(timestamp / CONFIG.HISTORY_SAMPLE_MS);
+            if (last && Math.floor(last.time / CONFIG.HISTORY_SAMPLE_MS) === slot) {
+                last.time = timestamp;
+                last.price = price;
+                last.high = Math.max(last.high, price);
+                last.low = Math.min(last.low, price);
+                last.volume = volume;
+                last.quoteVolume = quoteVolume;
+                return;
+            }
+            
+            points.push({
+                time: timestamp,
+                price: price,
+                high: price,
+                low: price,
+                volume: volume,
+                quoteVolume: quoteVolume
+            });
+            
+            evictHistory(points, timestamp);
         });
         
-        const newSignals = [];
-        currentData.forEach(item => {
-            if (item.signal.type !== SIGNAL_TYPES.NEUTRAL) {
-                const previousSignal = previousSignals.get(item.symbol);
-                // New signal if it didn't exist before or changed type
-                if (!previousSignal || previousSignal !== item.signal.type) {
-                    newSignals.push(item);
-                }
+        // Forget symbols that stopped reporting
+        priceHistory.forEach((points, symbol) => {
+            evictHistory(points, timestamp);
+            if (points.length === 0) {
+                priceHistory.delete(symbol);
             }
         });
+    }
+    
+    /**
+     * Percentile rank of a value within a sample
+     * @param {Array<number>} values - Sample
+     * @param {number} value - Value to rank
+     * @returns {number} Share of the sample at or below the value (0-100)
+     */
+    function percentileRank(values, value) {
+        if (values.length === 0) return null;
+        return (values.filter(sample => sample <= value).length / values.length) * 100;
+    }
+    
+    /**
+     * Score a finished volume bar against the baseline it has not joined yet
+     * @param {Object} state - Volume baseline of one symbol
+     * @param {number} rate - Bar volume per minute (quote asset)
+     * @param {number|null} refFactor - Quote asset -> reference currency factor
+     * @returns {Object} { rate, rateRef, baseline, baselineRef, zScore, percentile, multiple, samples, time }
+     */
+    function scoreVolume(state, rate, refFactor) {
+        const ready = state.count >= CONFIG.VOLUME_MIN_SAMPLES;
+        const deviation = Math.sqrt(state.variance);
         
-        return newSignals;
+        return {
+            rate: rate,
+            rateRef: refFactor !== null ? rate * refFactor : null,
+            baseline: state.mean,
+            baselineRef: refFactor !== null && state.mean !== null ? state.mean * refFactor : null,
+            zScore: ready ? (deviation > 0 ? (rate - state.mean) / deviation : 0) : null,
+            percentile: ready ? percentileRank(state.rates, rate) : null,
+            multiple: ready && state.mean > 0 ? rate / state.mean : null,
+            samples: state.count,
+            time: state.lastTime
+        };
     }
     
-    // Store previous analyzed data for comparison
-    let previousAnalyzedData = [];
+    /**
+     * Fold a finished bar into the baseline (incremental EWMA mean / variance)
+     * @param {Object} state - Volume baseline of one symbol
+     * @param {number} rate - Bar volume per minute (quote asset)
+     */
+    function foldVolume(state, rate) {
+        if (state.count === 0) {
+            state.mean = rate;
+        } else {
+            const difference = rate - state.mean;
+            const increment = CONFIG.VOLUME_EWMA_ALPHA * difference;
+            state.mean += increment;
+            state.variance = (1 - CONFIG.VOLUME_EWMA_ALPHA) * (state.variance + difference * increment);
+        }
+        
+        state.rates.push(rate);
+        if (state.rates.length > CONFIG.VOLUME_PERCENTILE_SAMPLES) {
+            state.rates.splice(0, state.rates.length - CONFIG.VOLUME_PERCENTILE_SAMPLES);
+        }
+        state.count++;
+    }
     
     /**
-     * Process ticker data array and emit events
+     * Update per-symbol volume baselines
+     * Binance quoteVolume is a rolling 24h total: its growth between cycles is the
+     * new volume (less what aged out of the window; a shrinking total counts as none).
+     * Growth is summed into VOLUME_BAR_MS bars; each finished bar is scored against the
+     * EWMA mean / variance and recent bars, then folded into the baseline.
      * @param {Array} tickerDataArray - Raw ticker data from API
+     * @param {number} timestamp - Sample time (ms)
      */
-    function processData(tickerDataArray) {
-        // Analyze all ticker data
-        const analyzedData = analyzeTickerArray(tickerDataArray);
+    function recordVolume(tickerDataArray, timestamp = Date.now()) {
+        tickerDataArray.forEach(ticker => {
+            const quoteVolume = parseFloat(ticker.quoteVolume);
+            if (!Number.isFinite(quoteVolume)) return;
+            
+            const state = volumeBaselines.get(ticker.symbol);
+            if (!state) {
+                volumeBaselines.set(ticker.symbol, {
+                    lastQuoteVolume: quoteVolume,
+                    lastTime: timestamp,
+                    barStart: timestamp,
+                    barVolume: 0,
+                    mean: null,
+                    variance: 0,
+                    count: 0,
+                    rates: [],
+                    surge: null
+                });
+                return;
+            }
+            if (timestamp <= state.lastTime) return;
+            
+            state.barVolume += Math.max(quoteVolume - state.lastQuoteVolume, 0);
+            state.lastQuoteVolume = quoteVolume;
+            state.lastTime = timestamp;
+            
+            const elapsed = timestamp - state.barStart;
+            if (elapsed < CONFIG.VOLUME_BAR_MS) return;
+            
+            const rate = (state.barVolume / elapsed) * 60000;
+            const volumeRef = getSymbolInfo(ticker).volumeRef;
+            const refFactor = volumeRef !== null && quoteVolume > 0 ? volumeRef / quoteVolume : null;
+            state.surge = scoreVolume(state, rate, refFactor);
+            foldVolume(state, rate);
+            state.barStart = timestamp;
+            state.barVolume = 0;
+        });
+        
+        // Forget symbols that stopped reporting
+        volumeBaselines.forEach((state, symbol) => {
+            if (timestamp - state.lastTime > CONFIG.HISTORY_RETENTION_MS) {
+                volumeBaselines.delete(symbol);
+            }
+        });
+    }
+    
+    /**
+     * Latest volume score of a symbol
+     * @param {string} symbol - Trading pair symbol
+     * @returns {Object|null} { rate, rateRef, baseline, baselineRef, zScore, percentile, multiple, samples, time }
+     *   (zScore / percentile / multiple are null until VOLUME_MIN_SAMPLES bars are known)
+     */
+    function getVolumeSurge(symbol) {
+        const state = volumeBaselines.get(symbol);
+        return state && state.surge ? { ...state.surge } : null;
+    }
+    
+    /**
+     * Get history points for a symbol
+     * @param {string} symbol - Trading pair symbol (e.g. BTCUSDT)
+     * @param {number} windowMs - Look-back window in ms (omit for full history)
+     * @returns {Array} Copies of history points, oldest first
+     */
+    function getHistory(symbol, windowMs) {
+        const points = priceHistory.get(symbol) || [];
+        
+        if (!windowMs || points.length === 0) {
+            return points.map(point => ({ ...point }));
+        }
+        
+        const cutoff = points[points.length - 1].time - windowMs;
+        return points
+            .filter(point => point.time >= cutoff)
+            .map(point => ({ ...point }));
+    }
+    
+    /**
+     * Price change over the last N minutes
+     * @param {string} symbol - Trading pair symbol
+     * @param {number} minutes - Look-back window in minutes
+     * @returns {Object|null} { change, changePercent, from, to, since } or null
+     */
+    function getPriceChange(symbol, minutes) {
+        const points = getHistory(symbol, minutes * 60 * 1000);
+        if (points.length < 2) return null;
+        
+        const first = points[0];
+        const last = points[points.length - 1];
+        const change = last.price - first.price;
+        
+        return {
+            change: change,
+            changePercent: first.price !== 0 ? (change / first.price) * 100 : 0,
+            from: first.price,
+            to: last.price,
+            since: first.time
+        };
+    }
+    
+    /**
+     * Min/max price in a window
+     * @param {string} symbol - Trading pair symbol
+     * @param {number} windowMs - Look-back window in ms (omit for full history)
+     * @returns {Object|null} { min, max, minTime, maxTime } or null
+     */
+    function getPriceRange(symbol, windowMs) {
+        const points = getHistory(symbol, windowMs);
+        if (points.length === 0) return null;
+        
+        let minPoint = points[0];
+        let maxPoint = points[0];
+        points.forEach(point => {
+            if (point.price < minPoint.price) minPoint = point;
+            if (point.price > maxPoint.price) maxPoint = point;
+        });
+        
+        return {
+            min: minPoint.price,
+            max: maxPoint.price,
+            minTime: minPoint.time,
+            maxTime: maxPoint.time
+        };
+    }
+    
+    /**
+     * Configure history retention
+     * @param {Object} options - { retentionMs, sampleMs, maxPoints }
+     */
+    function configureHistory(options = {}) {
+        const updates = {};
+        if (options.retentionMs !== undefined) updates.HISTORY_RETENTION_MS = options.retentionMs;
+        if (options.sampleMs !== undefined) updates.HISTORY_SAMPLE_MS = options.sampleMs;
+        if (options.maxPoints !== undefined) updates.HISTORY_MAX_POINTS = options.maxPoints;
+        setConfig(updates);
+    }
+    
+    /**
+     * Clear history and volume baselines (all symbols or one)
+     * @param {string} symbol - Optional symbol
+     */
+    function clearHistory(symbol) {
+        if (symbol) {
+            priceHistory.delete(symbol);
+            volumeBaselines.delete(symbol);
+        } else {
+            priceHistory.clear();
+            volumeBaselines.clear();
+        }
+    }
+    
+    // Symbol shown for the market-wide signal (tracked apart from trading pairs, see marketBook)
+    const MARKET_SYMBOL = 'MARKET';
+    
+    // Signal types counted as whale / panic activity in the market breadth
+    const WHALE_SIGNAL_TYPES = [SIGNAL_TYPES.WHALE_ACTIVITY, SIGNAL_TYPES.WHALE_BUYING];
+    const PANIC_SIGNAL_TYPES = [SIGNAL_TYPES.PANIC_SELL, SIGNAL_TYPES.WHALE_SELLING];
+    
+    // Sentiment components (see calculateSentiment) and score bands
+    const SENTIMENT_WEIGHTS = { breadth: 0.4, momentum: 0.4, signals: 0.2 };
+    const SENTIMENT_MOODS = [
+        { max: 25, mood: 'extreme-fear' },
+        { max: 45, mood: 'fear' },
+        { max: 55, mood: 'neutral' },
+        { max: 75, mood: 'greed' },
+        { max: 100, mood: 'extreme-greed' }
+    ];
+    
+    // Signal lifecycle state
+    const openSignals = new Map();   // symbol -> open signal record
+    const lastClosedAt = new Map();  // `${symbol}|${type}` -> close timestamp
+    let signalSequence = 0;
+    
+    // Trading pairs and the market-wide signal keep separate books, so the
+    // market can never collide with a pair of the same name
+    const symbolBook = { open: openSignals, closedAt: lastClosedAt };
+    const marketBook = { open: new Map(), closedAt: new Map() };
+    
+    /**
+     * Update an open record with the latest price
+     * @param {Object} record - Signal record
+     * @param {number} price - Current price
+     */
+    function updateSignalPeak(record, price) {
+        const move = record.openPrice !== 0 ? ((price - record.openPrice) / record.openPrice) * 100 : 0;
+        
+        record.lastPrice = price;
+        record.currentMove = move;
+        if (Math.abs(move) > Math.abs(record.peakMove)) {
+            record.peakMove = move;
+            record.peakPrice = price;
+        }
+    }
+    
+    /**
+     * Close an open record
+     * @param {Object} record - Signal record
+     * @param {number} timestamp - Close time
+     * @param {string} reason - 'exit', 'replaced', 'expired' or 'reset'
+     * @param {Object} book - symbolBook (default) or marketBook
+     */
+    function closeSignal(record, timestamp, reason, book = symbolBook) {
+        record.status = 'closed';
+        record.closedAt = timestamp;
+        record.duration = timestamp - record.openedAt;
+        record.closeReason = reason;
+        
+        book.open.delete(record.symbol);
+        book.closedAt.set(`${record.symbol}|${record.type}`, timestamp);
+    }
+    
+    /**
+     * Get cooldown for a signal (rule override or engine default)
+     * @param {Object} signal - Detected signal
+     * @returns {number} Cooldown in ms
+     */
+    function getSignalCooldown(signal) {
+        const ruleCooldown = signal.ruleId ? RuleEngine.getCooldown(signal.ruleId) : null;
+        return ruleCooldown !== null ? ruleCooldown : CONFIG.SIGNAL_COOLDOWN_MS;
+    }
+    
+    /**
+     * Lifecycle summary attached to analyzed signals
+     * @param {Object} record - Signal record
+     * @returns {Object}
+     */
+    function toLifecycle(record) {
+        return {
+            id: record.id,
+            status: record.status,
+            openedAt: record.openedAt,
+            peakMove: record.peakMove
+        };
+    }
+    
+    /**
+     * Track the signal of one analyzed item (see trackSignals)
+     * @param {Object} item - Analyzed item
+     * @param {number} timestamp - Cycle time
+     * @param {string} source - Data source stored on new records
+     * @param {Object} result - { opened, closed, openedItems } to append to
+     * @param {Object} book - symbolBook (default) or marketBook
+     */
+    function trackItem(item, timestamp, source, result, book = symbolBook) {
+        const held = book.open.get(item.symbol);
+        const detected = item.signal;
+        
+        if (held) {
+            updateSignalPeak(held, item.price);
+            
+            if (detected.type === held.type) {
+                detected.lifecycle = toLifecycle(held);
+                return;
+            }
+            
+            const exited = !held.ruleId ||
+                RuleEngine.shouldExit(held.ruleId, buildRuleContext(item.raw, item.indicators, item.volumeSurge));
+            
+            if (!exited) {
+                // Inside the hysteresis band: keep showing the open signal
+                item.signal = { ...held.signal, lifecycle: toLifecycle(held) };
+                return;
+            }
+            
+            closeSignal(held, timestamp, detected.type === SIGNAL_TYPES.NEUTRAL ? 'exit' : 'replaced', book);
+            result.closed.push({ ...held });
+        }
+        
+        if (detected.type === SIGNAL_TYPES.NEUTRAL) return;
+        
+        const key = `${item.symbol}|${detected.type}`;
+        const closedAt = book.closedAt.get(key);
+        const cooldown = getSignalCooldown(detected);
+        if (closedAt !== undefined && timestamp - closedAt < cooldown) {
+            // Held back: shown as neutral (not counted by filters or breadth) with the waiting signal
+            item.signal = {
+                type: SIGNAL_TYPES.NEUTRAL,
+                message: 'Normal Market Activity',
+                priority: 'low',
+                cooldown: {
+                    type: detected.type,
+                    message: detected.message,
+                    badge: detected.badge || null,
+                    until: closedAt + cooldown
+                }
+            };
+            return;
+        }
+        
+        const record = {
+            id: `${item.symbol}-${detected.type}-${++signalSequence}`,
+            symbol: item.symbol,
+            baseAsset: item.baseAsset,
+            quoteAsset: item.quoteAsset,
+            type: detected.type,
+            message: detected.message,
+            priority: detected.priority,
+            ruleId: detected.ruleId || null,
+            signal: { ...detected },
+            status: 'open',
+            openedAt: timestamp,
+            openPrice: item.price,
+            lastPrice: item.price,
+            currentMove: 0,
+            peakMove: 0,
+            peakPrice: item.price,
+            closedAt: null,
+            duration: null,
+            closeReason: null,
+            source: source
+        };
+        
+        book.open.set(item.symbol, record);
+        detected.lifecycle = toLifecycle(record);
+        result.opened.push({ ...record });
+        result.openedItems.push(item);
+    }
+    
+    /**
+     * Track signals across cycles.
+     * - An open signal is held until its rule's exit condition holds (hysteresis)
+     * - A closed symbol/type pair cannot re-open until its cooldown passes
+     * Mutates item.signal (held signal, lifecycle info) on the analyzed data.
+     * @param {Array} analyzedData - Current analyzed data
+     * @param {number} timestamp - Cycle time
+     * @param {string} source - Data source stored on new records ('stream', 'polling', 'replay', ...)
+     * @returns {Object} { opened: Array, closed: Array, openedItems: Array }
+     */
+    function trackSignals(analyzedData, timestamp, source = 'live') {
+        const result = { opened: [], closed: [], openedItems: [] };
+        const present = new Set();
+        
+        analyzedData.forEach(item => {
+            present.add(item.symbol);
+            trackItem(item, timestamp, source, result);
+        });
+        
+        // Symbols that left the dataset
+        Array.from(openSignals.values()).forEach(record => {
+            if (!present.has(record.symbol)) {
+                closeSignal(record, timestamp, 'expired');
+                result.closed.push({ ...record });
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Summarize market breadth of one cycle
+     * @param {Array} analyzedData - Analyzed ticker data (signals as shown, after tracking)
+     * @returns {Object} { symbols, advancers, decliners, unchanged, advancersPercent, declinersPercent,
+     *   averageChange, weightedChange, volumeRef, volatility: { high, medium, low } (% of symbols),
+     *   whaleSignals, panicSignals, sentiment (0 fear - 100 greed), mood }
+     */
+    function computeBreadth(analyzedData) {
+        const volatility = { high: 0, medium: 0, low: 0 };
+        let advancers = 0;
+        let decliners = 0;
+        let unchanged = 0;
+        let changeSum = 0;
+        let weightedSum = 0;
+        let volumeRef = 0;
+        let whaleSignals = 0;
+        let panicSignals = 0;
+        
+        analyzedData.forEach(item => {
+            const change = item.priceChangePercent;
+            if (!Number.isFinite(change)) return;
+            
+            if (change > 0) advancers++;
+            else if (change < 0) decliners++;
+            else unchanged++;
+            
+            changeSum += change;
+            if (Number.isFinite(item.volumeRef) && item.volumeRef > 0) {
+                weightedSum += change * item.volumeRef;
+                volumeRef += item.volumeRef;
+            }
+            
+            volatility[item.volatility.level]++;
+            if (WHALE_SIGNAL_TYPES.includes(item.signal.type)) whaleSignals++;
+            if (PANIC_SIGNAL_TYPES.includes(item.signal.type)) panicSignals++;
+        });
         
-        // Detect new signals
-        const newSignals = detectNewSignals(previousAnalyzedData, analyzedData);
+        const symbols = advancers + decliners + unchanged;
+        const share = count => (symbols > 0 ? (count / symbols) * 100 : 0);
+        const averageChange = symbols > 0 ? changeSum / symbols : 0;
+        const weightedChange = volumeRef > 0 ? weightedSum / volumeRef : averageChange;
         
-        // Get top gainers
-        const topGainers = getTopGainers(analyzedData, 5);
+        const breadth = {
+            symbols: symbols,
+            advancers: advancers,
+            decliners: decliners,
+            unchanged: unchanged,
+            advancersPercent: share(advancers),
+            declinersPercent: share(decliners),
+            averageChange: averageChange,
+            weightedChange: weightedChange,
+            volumeRef: volumeRef,
+            volatility: {
+                high: share(volatility.high),
+                medium: share(volatility.medium),
+                low: share(volatility.low)
+            },
+            whaleSignals: whaleSignals,
+            panicSignals: panicSignals
+        };
+        
+        breadth.sentiment = calculateSentiment(breadth);
+        breadth.mood = SENTIMENT_MOODS.find(entry => breadth.sentiment <= entry.max).mood;
+        return breadth;
+    }
+    
+    /**
+     * Composite fear / greed score
+     * Weighted mix of breadth (advancers among movers), volume-weighted momentum
+     * (±5% maps to 0 / 100) and the balance of whale vs panic signals.
+     * @param {Object} breadth - Breadth summary (see computeBreadth)
+     * @returns {number} 0 (extreme fear) - 100 (extreme greed), 50 without data
+     */
+    function calculateSentiment(breadth) {
+        const movers = breadth.advancers + breadth.decliners;
+        const signals = breadth.whaleSignals + breadth.panicSignals;
         
-        // Store current data for next comparison
-        previousAnalyzedData = analyzedData;
+        const components = {
+            breadth: movers > 0 ? (breadth.advancers / movers) * 100 : 50,
+            momentum: Math.min(Math.max(50 + breadth.weightedChange * 10, 0), 100),
+            signals: signals > 0 ? (breadth.whaleSignals / signals) * 100 : 50
+        };
         
-        // Emit events
-        $(document).trigger('dataAnalyzed', [analyzedData]);
-        $(document).trigger('topGainersUpdated', [topGainers]);
+        return Object.keys(SENTIMENT_WEIGHTS).reduce((score, key) => score + components[key] * SENTIMENT_WEIGHTS[key], 0);
+    }
+    
+    /**
+     * Detect the market-wide signal of a cycle
+     * Once open, the selloff holds until decliners drop below the exit share (hysteresis).
+     * @param {Object} breadth - Breadth summary (see computeBreadth)
+     * @returns {Object} { type, message, priority }
+     */
+    function detectMarketSignal(breadth) {
+        const held = marketBook.open.get(MARKET_SYMBOL);
+        const holding = held && held.type === SIGNAL_TYPES.MARKET_WIDE_SELLOFF;
+        const sellingOff = holding
+            ? breadth.declinersPercent >= CONFIG.MARKET_SELLOFF_EXIT_DECLINERS_PERCENT
+            : breadth.declinersPercent >= CONFIG.MARKET_SELLOFF_DECLINERS_PERCENT &&
+                breadth.weightedChange <= CONFIG.MARKET_SELLOFF_CHANGE;
         
-        // Emit new signals if any
-        if (newSignals.length > 0) {
-            $(document).trigger('newSignalsDetected', [newSignals]);
+        if (breadth.symbols >= CONFIG.MARKET_MIN_SYMBOLS && sellingOff) {
+            return {
+                type: SIGNAL_TYPES.MARKET_WIDE_SELLOFF,
+                message: `MARKET-WIDE SELLOFF - ${breadth.declinersPercent.toFixed(0)}% of ${breadth.symbols} pairs down, ` +
+                    `volume-weighted ${breadth.weightedChange.toFixed(2)}%`,
+                priority: 'high'
+            };
         }
+        
+        return {
+            type: SIGNAL_TYPES.NEUTRAL,
+            message: 'Normal Market Activity',
+            priority: 'low'
+        };
+    }
+    
+    /**
+     * Analyze the market as a whole and track its signal
+     * The market is tracked like a symbol (MARKET_SYMBOL, in its own book) whose "price" is
+     * an index of the volume-weighted 24h change (100 = flat), so open/peak moves stay meaningful.
+     * Its records are reported on the market item only, never among the per-symbol signals.
+     * @param {Array} analyzedData - Analyzed ticker data (after trackSignals)
+     * @param {number} timestamp - Cycle time
+     * @param {string} source - Data source stored on new records
+     * @returns {Object} Market item (analyzed-data shape with `breadth`, plus `opened` / `closed`:
+     *   market signal records opened / closed this cycle)
+     */
+    function trackMarket(analyzedData, timestamp, source) {
+        const breadth = computeBreadth(analyzedData);
+        const item = {
+            symbol: MARKET_SYMBOL,
+            baseAsset: MARKET_SYMBOL,
+            quoteAsset: '',
+            price: 100 + breadth.weightedChange,
+            priceChange: breadth.weightedChange,
+            priceChangePercent: breadth.weightedChange,
+            volume: null,
+            quoteVolume: breadth.volumeRef,
+            volumeRef: breadth.volumeRef,
+            volatility: calculateVolatilityScore(breadth.weightedChange),
+            indicators: null,
+            volumeSurge: null,
+            venues: null,
+            venueSpread: null,
+            depth: null,
+            tape: null,
+            breadth: breadth,
+            signal: detectMarketSignal(breadth),
+            raw: null
+        };
+        
+        const result = { opened: [], closed: [], openedItems: [] };
+        trackItem(item, timestamp, source, result, marketBook);
+        
+        item.opened = result.opened;
+        item.closed = result.closed;
+        return item;
+    }
+    
+    /**
+     * Get currently open signal records (trading pairs; the market signal is on the market item)
+     * @returns {Array}
+     */
+    function getOpenSignals() {
+        return Array.from(openSignals.values()).map(record => ({ ...record }));
+    }
+    
+    /**
+     * Close all open signals (reason 'reset') and forget cooldowns
+     * @param {number} timestamp - Close time, defaults to now
+     * @returns {Object} { closed, market }: pair records and market signal records closed by the reset
+     */
+    function resetSignalTracking(timestamp = Date.now()) {
+        const closeAll = book => {
+            const closed = Array.from(book.open.values()).map(record => {
+                closeSignal(record, timestamp, 'reset', book);
+                return { ...record };
+            });
+            book.closedAt.clear();
+            return closed;
+        };
+        
+        return { closed: closeAll(symbolBook), market: closeAll(marketBook) };
+    }
+    
+    /**
+     * Apply a cycle analyzed by another engine (the analysis worker) without analyzing it again
+     * History, volume baselines, open signals, cooldowns and record ids follow that engine,
+     * so this one can take over from the next frame on.
+     * @param {Array} tickerDataArray - Raw ticker data of the cycle
+     * @param {number} timestamp - Sample time (ms)
+     * @param {Object} result - The other engine's processData() result for the frame
+     */
+    function mirrorCycle(tickerDataArray, timestamp, result) {
+        recordHistory(tickerDataArray, timestamp);
+        recordVolume(tickerDataArray, timestamp);
+        
+        const apply = (book, opened, closed) => {
+            closed.forEach(record => {
+                book.open.delete(record.symbol);
+                book.closedAt.set(`${record.symbol}|${record.type}`, record.closedAt);
+            });
+            opened.forEach(record => {
+                book.open.set(record.symbol, { ...record });
+                signalSequence = Math.max(signalSequence, Number(record.id.slice(record.id.lastIndexOf('-') + 1)));
+            });
+        };
+        apply(symbolBook, result.opened, result.closed);
+        apply(marketBook, result.market.opened, result.market.closed);
+        
+        // Held records follow the cycle's prices, as in trackItem
+        result.analyzedData.forEach(item => {
+            const held = openSignals.get(item.symbol);
+            if (held) updateSignalPeak(held, item.price);
+        });
+        const market = marketBook.open.get(MARKET_SYMBOL);
+        if (market) updateSignalPeak(market, result.market.price);
+    }
+    
+    /**
+     * Process ticker data array (one analysis cycle)
+     * @param {Array} tickerDataArray - Raw ticker data from API
+     * @param {number} timestamp - Sample time (ms), defaults to now
+     * @param {string} source - Data source ('stream', 'polling', 'replay', ...)
+     * @returns {Object} { analyzedData, topGainers, market, newSignals, opened, closed }
+     *   opened[i] is the signal record of newSignals[i]; closed holds records closed this cycle;
+     *   market is the market-wide item (breadth, sentiment, MARKET_WIDE_SELLOFF signal) with its
+     *   own market.opened / market.closed records (never part of opened / closed)
+     */
+    function processData(tickerDataArray, timestamp = Date.now(), source = 'live') {
+        // Record history before analysis so metrics can use the latest point
+        recordHistory(tickerDataArray, timestamp);
+        recordVolume(tickerDataArray, timestamp);
+        
+        // Analyze all ticker data
+        const analyzedData = analyzeTickerArray(tickerDataArray);
+        
+        // Track signal lifecycle (new signals = newly opened ones), then the market as a whole
+        const lifecycle = trackSignals(analyzedData, timestamp, source);
+        const market = trackMarket(analyzedData, timestamp, source);
+        
+        return {
+            analyzedData: analyzedData,
+            topGainers: getTopGainers(analyzedData, 5),
+            market: market,
+            newSignals: lifecycle.openedItems,
+            opened: lifecycle.opened,
+            closed: lifecycle.closed
+        };
     }
     
     /**
@@ -223,6 +1325,70 @@ const LogicEngine = (function() {
         return { ...CONFIG };
     }
     
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update configuration (takes effect on the next processData cycle)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        const next = ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'engine');
+        
+        // Cross-field checks
+        if (next.VOLATILITY_MEDIUM_THRESHOLD >= next.VOLATILITY_HIGH_THRESHOLD) {
+            throw new Error('VOLATILITY_MEDIUM_THRESHOLD must be below VOLATILITY_HIGH_THRESHOLD');
+        }
+        if (next.RSI_OVERSOLD >= next.RSI_OVERBOUGHT) {
+            throw new Error('RSI_OVERSOLD must be below RSI_OVERBOUGHT');
+        }
+        if (next.MACD_FAST >= next.MACD_SLOW) {
+            throw new Error('MACD_FAST must be below MACD_SLOW');
+        }
+        if (next.WHALE_EXIT_PRICE_CHANGE > next.WHALE_THRESHOLD_PRICE_CHANGE) {
+            throw new Error('WHALE_EXIT_PRICE_CHANGE must not exceed WHALE_THRESHOLD_PRICE_CHANGE');
+        }
+        if (next.PANIC_EXIT_PRICE_CHANGE < next.PANIC_THRESHOLD_PRICE_CHANGE) {
+            throw new Error('PANIC_EXIT_PRICE_CHANGE must not be below PANIC_THRESHOLD_PRICE_CHANGE');
+        }
+        if (next.MARKET_SELLOFF_EXIT_DECLINERS_PERCENT > next.MARKET_SELLOFF_DECLINERS_PERCENT) {
+            throw new Error('MARKET_SELLOFF_EXIT_DECLINERS_PERCENT must not exceed MARKET_SELLOFF_DECLINERS_PERCENT');
+        }
+        const retainedPoints = Math.ceil(next.HISTORY_RETENTION_MS / next.HISTORY_SAMPLE_MS);
+        if (retainedPoints > next.HISTORY_MAX_POINTS) {
+            throw new Error(`HISTORY_MAX_POINTS must be at least ${retainedPoints} (HISTORY_RETENTION_MS / HISTORY_SAMPLE_MS)`);
+        }
+        
+        Object.assign(CONFIG, next);
+        
+        // Apply tighter retention right away (relative to each series' latest point)
+        priceHistory.forEach(points => {
+            if (points.length > 0) {
+                evictHistory(points, points[points.length - 1].time);
+            }
+        });
+        
+        return getConfig();
+    }
+    
+    /**
+     * Restore default configuration
+     * @returns {Object} Default configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
     /**
      * Get signal types
      * @returns {Object}
@@ -231,25 +1397,49 @@ const LogicEngine = (function() {
         return { ...SIGNAL_TYPES };
     }
     
-    // Listen for ticker data
-    $(document).on('tickerDataReceived', function(event, tickerData) {
-        processData(tickerData);
-    });
+    // Config thresholds are usable as constants inside rule expressions
+    RuleEngine.registerFields(Object.keys(CONFIG));
     
     // Public API
     return {
         analyzeTicker,
         analyzeTickerArray,
         calculateVolatilityScore,
+        calculateVenueSpread,
+        getDepthBand,
         detectSignal,
         getTopGainers,
         getActiveSignals,
-        detectNewSignals,
+        trackSignals,
+        computeBreadth,
+        calculateSentiment,
+        getOpenSignals,
+        resetSignalTracking,
         processData,
+        mirrorCycle,
+        recordHistory,
+        getHistory,
+        getPriceChange,
+        getPriceRange,
+        recordVolume,
+        getVolumeSurge,
+        getCandles,
+        computeIndicators,
+        computeIndicatorsFromCandles,
+        computeVolumeSurgeFromCandles,
+        configureHistory,
+        clearHistory,
         getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig,
         getSignalTypes
     };
 })();
 
-// Make LogicEngine available globally
-window.LogicEngine = LogicEngine;
\ No newline at end of file
+// Make LogicEngine available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = LogicEngine;
+} else {
+    window.LogicEngine = LogicEngine;
+}
\ No newline at end of file
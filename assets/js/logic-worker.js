@@ -0,0 +1,89 @@
+/**
+ * Aegis Crypto-Watch - Logic Worker
+ *
+ * Responsibilities:
+ * - Host LogicEngine (with RuleEngine, Indicators, SymbolRegistry) off the main thread
+ * - Answer EngineHost's structured messages (process, config, rules, reset, call)
+ *
+ * The shared modules are DOM-free (events go through EventBus); the shims
+ * below cover their `window` export and localStorage inside the worker.
+ */
+
+/* global importScripts, LogicEngine, RuleEngine */
+
+(function() {
+    'use strict';
+    
+    // Worker shims for browser globals used by the shared modules
+    self.window = self;
+    if (typeof self.localStorage === 'undefined') {
+        self.localStorage = {
+            getItem() { return null; },
+            setItem() {},
+            removeItem() {}
+        };
+    }
+    
+    importScripts('event-bus.js', 'config-schema.js', 'symbol-registry.js', 'indicators.js', 'rule-engine.js', 'logic-core.js');
+    
+    // Read-only methods EngineHost may call
+    const QUERY_METHODS = ['getHistory', 'getCandles', 'getPriceChange', 'getPriceRange', 'computeIndicators', 'getOpenSignals'];
+    
+    /**
+     * Handle one structured message from EngineHost
+     * @param {Object} message - { type, ... }
+     */
+    function handleMessage(message) {
+        switch (message.type) {
+            case 'process':
+                self.postMessage({
+                    type: 'analysis',
+                    timestamp: message.timestamp,
+                    source: message.source,
+                    ...LogicEngine.processData(message.tickers, message.timestamp, message.source)
+                });
+                break;
+            case 'config':
+                LogicEngine.setConfig(message.config);
+                break;
+            case 'rules':
+                RuleEngine.loadRules(message.rules);
+                break;
+            case 'reset': {
+                LogicEngine.clearHistory();
+                // Always answered, so EngineHost can pair each reset with its reply
+                const { closed, market } = LogicEngine.resetSignalTracking(message.timestamp);
+                self.postMessage({ type: 'closed', timestamp: message.timestamp, closed: closed, market: market });
+                break;
+            }
+            case 'call':
+                if (!QUERY_METHODS.includes(message.method)) {
+                    throw new Error(`Unknown engine query: ${message.method}`);
+                }
+                self.postMessage({
+                    type: 'result',
+                    id: message.id,
+                    result: LogicEngine[message.method](...(message.args || []))
+                });
+                break;
+        }
+    }
+    
+    self.onmessage = function(event) {
+        const message = event.data || {};
+        
+        try {
+            handleMessage(message);
+        } catch (error) {
+            if (message.type === 'call') {
+                self.postMessage({ type: 'result', id: message.id, error: error.message });
+            } else if (message.type === 'process') {
+                self.postMessage({ type: 'error', message: error.message });
+            } else {
+                console.error(`Worker could not apply ${message.type}:`, error);
+            }
+        }
+    };
+    
+    self.postMessage({ type: 'ready' });
+})();
@@ -0,0 +1,177 @@
+/**
+ * Aegis Crypto-Watch - Market Overview Panel
+ *
+ * Responsibilities:
+ * - Show market breadth of every cycle (advancers / decliners, volume-weighted change)
+ * - Show volatility level shares and active whale / panic signal counts
+ * - Show the composite fear / greed score and its trend (Chart.js)
+ * - Flag an open MARKET_WIDE_SELLOFF signal
+ */
+
+const MarketPanel = (function() {
+    'use strict';
+    
+    const formatNumber = UIStream.formatNumber;
+    
+    const MAX_POINTS = 120;            // Trend chart length (cycles)
+    
+    // Sentiment labels per LogicEngine mood
+    const MOODS = {
+        'extreme-fear': { label: 'Aşırı Korku', className: 'mood-extreme-fear' },
+        'fear': { label: 'Korku', className: 'mood-fear' },
+        'neutral': { label: 'Nötr', className: 'mood-neutral' },
+        'greed': { label: 'Açgözlülük', className: 'mood-greed' },
+        'extreme-greed': { label: 'Aşırı Açgözlülük', className: 'mood-extreme-greed' }
+    };
+    
+    // State
+    let chartInstance = null;
+    let trend = [];                    // [{ time, sentiment, advancers }]
+    
+    /**
+     * Initialize the trend chart
+     */
+    function initializeChart() {
+        const ctx = document.getElementById('marketTrendChart');
+        if (!ctx) return;
+        
+        chartInstance = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Sentiment',
+                    data: [],
+                    borderColor: 'rgba(0, 243, 255, 1)',
+                    backgroundColor: 'rgba(0, 243, 255, 0.1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: true
+                }, {
+                    label: 'Yükselen %',
+                    data: [],
+                    borderColor: 'rgba(0, 255, 136, 0.8)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#00f3ff',
+                        bodyColor: '#fff',
+                        borderColor: '#00f3ff',
+                        borderWidth: 1
+                    }
+                },
+                scales: {
+                    y: {
+                        min: 0,
+                        max: 100,
+                        ticks: {
+                            color: '#00f3ff',
+                            maxTicksLimit: 3
+                        },
+                        grid: {
+                            color: 'rgba(0, 243, 255, 0.1)'
+                        }
+                    },
+                    x: {
+                        display: false
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Add one cycle to the trend (a jump back in time, e.g. a replay seek, starts over)
+     * @param {Object} breadth - Breadth summary (see LogicEngine.computeBreadth)
+     * @param {number} timestamp - Cycle time
+     */
+    function updateTrend(breadth, timestamp) {
+        if (trend.length > 0 && timestamp < trend[trend.length - 1].time) {
+            trend = [];
+        }
+        
+        trend.push({ time: timestamp, sentiment: breadth.sentiment, advancers: breadth.advancersPercent });
+        if (trend.length > MAX_POINTS) {
+            trend.splice(0, trend.length - MAX_POINTS);
+        }
+        
+        if (!chartInstance) {
+            initializeChart();
+        }
+        if (!chartInstance) return;
+        
+        chartInstance.data.labels = trend.map(point => new Date(point.time).toLocaleTimeString('tr-TR'));
+        chartInstance.data.datasets[0].data = trend.map(point => point.sentiment);
+        chartInstance.data.datasets[1].data = trend.map(point => point.advancers);
+        chartInstance.update('none');
+    }
+    
+    /**
+     * Render the market item of one cycle
+     * @param {Object} market - Market item from LogicEngine.processData
+     * @param {number} timestamp - Cycle time
+     */
+    function render(market, timestamp) {
+        const breadth = market.breadth;
+        const mood = MOODS[breadth.mood];
+        const change = breadth.weightedChange;
+        
+        $('#marketSentiment').text(formatNumber(breadth.sentiment, 0));
+        $('#marketMood')
+            .text(mood.label)
+            .attr('class', `market-mood ${mood.className}`);
+        
+        $('#marketAdvancers').text(breadth.advancers);
+        $('#marketDecliners').text(breadth.decliners);
+        $('#marketBreadthBar .market-breadth-up').css('width', `${breadth.advancersPercent}%`);
+        $('#marketBreadthBar .market-breadth-down').css('width', `${breadth.declinersPercent}%`);
+        $('#marketBreadthBar').attr('title', `${breadth.symbols} parite · ${breadth.unchanged} değişmedi`);
+        
+        $('#marketChange')
+            .text(`${change > 0 ? '+' : ''}${formatNumber(change)}%`)
+            .attr('class', change > 0 ? 'text-success' : (change < 0 ? 'text-danger' : 'text-muted'))
+            .attr('title', `Ortalama değişim: ${formatNumber(breadth.averageChange)}%`);
+        
+        $('#marketVolatility').html(['high', 'medium', 'low']
+            .map(level => `<span class="volatility-badge volatility-${level}">${formatNumber(breadth.volatility[level], 0)}%</span>`)
+            .join(' '));
+        
+        $('#marketWhales').text(breadth.whaleSignals);
+        $('#marketPanics').text(breadth.panicSignals);
+        
+        const sellingOff = market.signal.type === 'MARKET_WIDE_SELLOFF';
+        $('#marketSelloff')
+            .toggleClass('d-none', !sellingOff)
+            .attr('title', sellingOff ? market.signal.message : '');
+        
+        updateTrend(breadth, timestamp);
+    }
+    
+    // Follow analysis results
+    EngineHost.subscribe(message => {
+        if (message.market) {
+            render(message.market, message.timestamp);
+        }
+    });
+    
+    // Public API
+    return {
+        render
+    };
+})();
+
+// Make MarketPanel available globally
+window.MarketPanel = MarketPanel;
@@ -0,0 +1,223 @@
+/**
+ * Aegis Crypto-Watch - Replay Panel
+ *
+ * Responsibilities:
+ * - Header record toggle and playback bar (play, pause, step, seek, speed)
+ * - Manage stored recordings (load, download, delete, import from file)
+ */
+
+const ReplayPanel = (function() {
+    'use strict';
+    
+    const escapeHtml = UIStream.escapeHtml;
+    
+    /**
+     * Show status message inside the modal
+     * @param {string} message - Message text
+     * @param {string} type - Bootstrap alert type ('success', 'danger')
+     */
+    function showMessage(message, type) {
+        $('#replayMessage')
+            .removeClass('d-none alert-success alert-danger')
+            .addClass(`alert-${type}`)
+            .text(message);
+    }
+    
+    /**
+     * Render stored recordings table
+     * @returns {Promise}
+     */
+    function renderRecordings() {
+        return DataReplay.listRecordings()
+            .then(recordings => {
+                const rows = recordings.map(entry => `
+                    <tr data-recording-id="${escapeHtml(entry.id)}">
+                        <td><strong>${escapeHtml(entry.name)}</strong></td>
+                        <td class="signal-log-time">${new Date(entry.startedAt).toLocaleString('tr-TR')}</td>
+                        <td>${entry.frameCount}</td>
+                        <td>${UIStream.formatDuration(entry.endedAt - entry.startedAt)}</td>
+                        <td class="text-end">
+                            <button class="btn btn-sm btn-outline-danger recording-load" title="Oynat">▶</button>
+                            <button class="btn btn-sm btn-outline-secondary recording-download" title="İndir">⬇</button>
+                            <button class="btn btn-sm btn-outline-secondary recording-delete" title="Sil">✕</button>
+                        </td>
+                    </tr>
+                `);
+                
+                $('#recordingsTableBody').html(rows.length > 0
+                    ? rows.join('')
+                    : '<tr><td colspan="5" class="text-center text-muted">Kayıt yok</td></tr>');
+            })
+            .catch(error => {
+                $('#recordingsTableBody').html(
+                    `<tr><td colspan="5" class="text-center text-danger">${escapeHtml(error.message)}</td></tr>`
+                );
+            });
+    }
+    
+    /**
+     * Update record button and recording info
+     * @param {Object} state - DataReplay recording state
+     */
+    function renderRecordingState(state) {
+        $('#recordToggleBtn')
+            .toggleClass('btn-danger', state.recording)
+            .toggleClass('btn-outline-danger', !state.recording)
+            .text(state.recording ? `⏹ Kayıt (${state.frameCount})` : '⏺ Kayıt');
+        
+        $('#startRecordingBtn').text(state.recording ? 'Kaydı Durdur' : 'Kaydı Başlat');
+        $('#recordingTarget, #recordingName').prop('disabled', state.recording);
+    }
+    
+    /**
+     * Update playback bar
+     * @param {Object} state - DataReplay playback state
+     */
+    function renderPlaybackState(state) {
+        $('#replayBar').toggleClass('d-none', !state.loaded);
+        if (!state.loaded) return;
+        
+        $('#replayName').text(state.name);
+        $('#replayPlayBtn').text(state.playing ? '⏸' : '▶').attr('title', state.playing ? 'Duraklat' : 'Oynat');
+        $('#replaySeek').attr('max', state.total).val(state.position);
+        $('#replaySpeed').val(String(state.speed));
+        $('#replayTime').text(
+            `${new Date(state.time).toLocaleTimeString('tr-TR')} · ${state.position}/${state.total}`
+        );
+    }
+    
+    /**
+     * Toggle recording (the file target downloads on stop)
+     */
+    function toggleRecording() {
+        if (DataReplay.getRecordingState().recording) {
+            const finished = DataReplay.stopRecording();
+            if (finished && finished.frames) {
+                UIStream.downloadFile(DataReplay.toJSON(finished), `${finished.id}.json`, 'application/json');
+            }
+            renderRecordings();
+            return;
+        }
+        
+        DataReplay.startRecording({
+            target: $('#recordingTarget').val() || 'indexeddb',
+            name: $('#recordingName').val()
+        });
+    }
+    
+    /**
+     * Import a recording file and load it for playback
+     * @param {File} file - Selected file
+     */
+    function importRecording(file) {
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            try {
+                DataReplay.load(DataReplay.parseFile(reader.result));
+                showMessage(`${file.name} yüklendi, oynatmak için ▶`, 'success');
+            } catch (error) {
+                showMessage(`${file.name}: ${error.message}`, 'danger');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        $('#replaySpeed').html(DataReplay.getConfig().SPEEDS
+            .map(value => `<option value="${value}">${value}x</option>`)
+            .join(''));
+        
+        renderRecordingState(DataReplay.getRecordingState());
+        renderPlaybackState(DataReplay.getState());
+        
+        $(document).on('recordingStateChanged', function(event, state) {
+            renderRecordingState(state);
+        });
+        
+        $(document).on('replayStateChanged', function(event, state) {
+            renderPlaybackState(state);
+        });
+        
+        $('#recordToggleBtn, #startRecordingBtn').on('click', toggleRecording);
+        
+        $('#replayModal').on('show.bs.modal', function() {
+            $('#replayMessage').addClass('d-none');
+            renderRecordings();
+        });
+        
+        $('#recordingsTableBody').on('click', '.recording-load', function() {
+            const id = String($(this).closest('tr').data('recording-id'));
+            DataReplay.getRecording(id)
+                .then(entry => {
+                    DataReplay.load(entry);
+                    showMessage(`"${entry.name}" yüklendi, oynatmak için ▶`, 'success');
+                })
+                .catch(error => showMessage(error.message, 'danger'));
+        });
+        
+        $('#recordingsTableBody').on('click', '.recording-download', function() {
+            const id = String($(this).closest('tr').data('recording-id'));
+            DataReplay.getRecording(id)
+                .then(entry => UIStream.downloadFile(DataReplay.toJSON(entry), `${entry.id}.json`, 'application/json'))
+                .catch(error => showMessage(error.message, 'danger'));
+        });
+        
+        $('#recordingsTableBody').on('click', '.recording-delete', function() {
+            const id = String($(this).closest('tr').data('recording-id'));
+            if (confirm('Kayıt silinsin mi?')) {
+                DataReplay.deleteRecording(id).then(renderRecordings);
+            }
+        });
+        
+        $('#importRecordingInput').on('change', function() {
+            if (this.files && this.files[0]) {
+                importRecording(this.files[0]);
+            }
+            this.value = '';
+        });
+        
+        // Playback bar
+        $('#replayPlayBtn').on('click', function() {
+            if (DataReplay.getState().playing) {
+                DataReplay.pause();
+            } else {
+                DataReplay.play();
+            }
+        });
+        
+        $('#replayStepBtn').on('click', function() {
+            DataReplay.step();
+        });
+        
+        $('#replaySeek').on('change', function() {
+            DataReplay.seek(Number(this.value));
+        });
+        
+        $('#replaySpeed').on('change', function() {
+            DataReplay.setSpeed(Number(this.value));
+        });
+        
+        $('#replayExitBtn').on('click', function() {
+            DataReplay.exit();
+        });
+    }
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        renderRecordings,
+        initialize
+    };
+})();
+
+// Make ReplayPanel available globally
+window.ReplayPanel = ReplayPanel;
@@ -0,0 +1,592 @@
+/**
+ * Aegis Crypto-Watch - Data Replay
+ *
+ * Responsibilities:
+ * - Record every tickerDataReceived frame to IndexedDB or to a downloadable file
+ * - Load recordings from IndexedDB or JSON files
+ * - Replay frames through the same tickerDataReceived pipeline
+ *   (real time, accelerated or frame-by-frame) with pause / seek
+ */
+
+const DataReplay = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        DB_NAME: 'aegis-replay',
+        DB_VERSION: 1,
+        RECORDINGS_STORE: 'recordings',
+        FRAMES_STORE: 'frames',
+        MAX_GAP_MS: 10000,            // Longer pauses in a recording are shortened to this
+        SPEEDS: [1, 2, 5, 10, 50]     // Playback multipliers offered in the UI
+    };
+    
+    const FILE_FORMAT = 'aegis-recording';
+    const FILE_VERSION = 1;
+    
+    // Ticker fields kept per frame (everything the engine reads)
+    const TICKER_FIELDS = [
+        'exchange', 'symbol', 'baseAsset', 'quoteAsset', 'lastPrice', 'priceChange', 'priceChangePercent',
+        'openPrice', 'highPrice', 'lowPrice', 'volume', 'quoteVolume', 'volumeRef', 'venues', 'depth', 'tape'
+    ];
+    
+    // Recording state
+    let recording = null;        // { id, name, target, startedAt, endedAt, frameCount, frames }
+    let dbPromise = null;
+    
+    // Playback state
+    let loaded = null;           // { name, frames: [{ time, tickers }] }
+    let position = 0;            // Index of the next frame to emit
+    let speed = 1;
+    let playing = false;
+    let active = false;          // Replay owns the pipeline (live transport stopped)
+    let resumeTransport = null;  // Live transport to restore on exit
+    let playTimer = null;
+    
+    /**
+     * Open (and upgrade) the recordings database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+            
+            request.onupgradeneeded = function() {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONFIG.RECORDINGS_STORE)) {
+                    db.createObjectStore(CONFIG.RECORDINGS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(CONFIG.FRAMES_STORE)) {
+                    const frames = db.createObjectStore(CONFIG.FRAMES_STORE, { autoIncrement: true });
+                    frames.createIndex('recordingId', 'recordingId', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        return dbPromise;
+    }
+    
+    /**
+     * Run a callback inside a transaction and resolve when it completes
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - (stores) => result, stores keyed by name
+     * @returns {Promise<*>} Callback result
+     */
+    async function withStores(mode, callback) {
+        const db = await openDatabase();
+        const names = [CONFIG.RECORDINGS_STORE, CONFIG.FRAMES_STORE];
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(names, mode);
+            let result;
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            
+            result = callback({
+                recordings: transaction.objectStore(CONFIG.RECORDINGS_STORE),
+                frames: transaction.objectStore(CONFIG.FRAMES_STORE)
+            });
+        });
+    }
+    
+    /**
+     * Compact copy of a ticker array
+     * @param {Array} tickers - Tickers (internal schema)
+     * @returns {Array} Tickers with TICKER_FIELDS only
+     */
+    function compactTickers(tickers) {
+        return tickers.map(ticker => {
+            const compact = {};
+            TICKER_FIELDS.forEach(field => {
+                if (ticker[field] !== undefined) compact[field] = ticker[field];
+            });
+            return compact;
+        });
+    }
+    
+    /**
+     * Recording metadata without frames
+     * @param {Object} source - Recording
+     * @returns {Object} { id, name, target, startedAt, endedAt, frameCount }
+     */
+    function toMeta(source) {
+        return {
+            id: source.id,
+            name: source.name,
+            target: source.target,
+            startedAt: source.startedAt,
+            endedAt: source.endedAt,
+            frameCount: source.frameCount
+        };
+    }
+    
+    /**
+     * Start recording incoming frames
+     * @param {Object} options - { target: 'indexeddb' | 'file', name }
+     * @returns {Object} Recording metadata
+     */
+    function startRecording(options = {}) {
+        if (recording) {
+            throw new Error('A recording is already running');
+        }
+        
+        const target = options.target === 'file' ? 'file' : 'indexeddb';
+        const now = Date.now();
+        
+        recording = {
+            id: `rec-${now}`,
+            name: (options.name || '').trim() || `Kayıt ${new Date(now).toLocaleString('tr-TR')}`,
+            target: target,
+            startedAt: now,
+            endedAt: now,
+            frameCount: 0,
+            frames: target === 'file' ? [] : null
+        };
+        
+        if (target === 'indexeddb') {
+            const meta = toMeta(recording);
+            withStores('readwrite', stores => {
+                stores.recordings.put(meta);
+            }).catch(error => console.warn('Could not create recording:', error));
+        }
+        
+        EventBus.emit('recordingStateChanged', getRecordingState());
+        return toMeta(recording);
+    }
+    
+    /**
+     * Store one frame of the running recording
+     * @param {Array} tickers - Ticker data
+     * @param {number} timestamp - Frame time
+     */
+    function captureFrame(tickers, timestamp) {
+        const frame = { time: timestamp, tickers: compactTickers(tickers) };
+        
+        recording.frameCount++;
+        recording.endedAt = timestamp;
+        
+        if (recording.target === 'file') {
+            recording.frames.push(frame);
+            return;
+        }
+        
+        const id = recording.id;
+        const meta = toMeta(recording);
+        withStores('readwrite', stores => {
+            stores.frames.add({ recordingId: id, ...frame });
+            stores.recordings.put(meta);
+        }).catch(error => console.warn('Could not store frame:', error));
+    }
+    
+    /**
+     * Stop the running recording
+     * @returns {Object|null} Finished recording (with frames when target is 'file')
+     */
+    function stopRecording() {
+        if (!recording) return null;
+        
+        const finished = recording;
+        recording = null;
+        
+        EventBus.emit('recordingStateChanged', getRecordingState());
+        return finished.target === 'file' ? { ...toMeta(finished), frames: finished.frames } : toMeta(finished);
+    }
+    
+    /**
+     * Current recording state
+     * @returns {Object} { recording: boolean, name, target, frameCount, startedAt }
+     */
+    function getRecordingState() {
+        return recording
+            ? { recording: true, ...toMeta(recording) }
+            : { recording: false };
+    }
+    
+    /**
+     * List recordings stored in IndexedDB, newest first
+     * @returns {Promise<Array>} Recording metadata
+     */
+    function listRecordings() {
+        let results = [];
+        
+        return withStores('readonly', stores => {
+            const request = stores.recordings.getAll();
+            request.onsuccess = () => {
+                results = request.result;
+            };
+        }).then(() => results.sort((a, b) => b.startedAt - a.startedAt));
+    }
+    
+    /**
+     * Read a stored recording with its frames
+     * @param {string} id - Recording id
+     * @returns {Promise<Object>} { id, name, startedAt, endedAt, frameCount, frames }
+     */
+    function getRecording(id) {
+        let meta = null;
+        let frames = [];
+        
+        return withStores('readonly', stores => {
+            const metaRequest = stores.recordings.get(id);
+            metaRequest.onsuccess = () => {
+                meta = metaRequest.result;
+            };
+            
+            const framesRequest = stores.frames.index('recordingId').getAll(IDBKeyRange.only(id));
+            framesRequest.onsuccess = () => {
+                frames = framesRequest.result.map(frame => ({ time: frame.time, tickers: frame.tickers }));
+            };
+        }).then(() => {
+            if (!meta) {
+                throw new Error(`Recording not found: ${id}`);
+            }
+            return { ...meta, frames: frames.sort((a, b) => a.time - b.time) };
+        });
+    }
+    
+    /**
+     * Delete a stored recording and its frames
+     * @param {string} id - Recording id
+     * @returns {Promise}
+     */
+    function deleteRecording(id) {
+        return withStores('readwrite', stores => {
+            stores.recordings.delete(id);
+            
+            const request = stores.frames.index('recordingId').openKeyCursor(IDBKeyRange.only(id));
+            request.onsuccess = function() {
+                const cursor = request.result;
+                if (cursor) {
+                    stores.frames.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+    
+    /**
+     * Serialize a recording for download
+     * @param {Object} source - Recording with frames
+     * @returns {string} JSON text
+     */
+    function toJSON(source) {
+        return JSON.stringify({
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            name: source.name,
+            startedAt: source.startedAt,
+            endedAt: source.endedAt,
+            frames: source.frames
+        });
+    }
+    
+    /**
+     * Parse a recording file
+     * @param {string} text - File content
+     * @returns {Object} Recording with frames, sorted by time
+     */
+    function parseFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        
+        if (!data || data.format !== FILE_FORMAT) {
+            throw new Error('Not an Aegis recording file');
+        }
+        if (data.version > FILE_VERSION) {
+            throw new Error(`Unsupported recording version: ${data.version}`);
+        }
+        if (!Array.isArray(data.frames) || data.frames.length === 0) {
+            throw new Error('Recording has no frames');
+        }
+        
+        data.frames.forEach((frame, index) => {
+            if (!frame || !Number.isFinite(frame.time) || !Array.isArray(frame.tickers)) {
+                throw new Error(`Invalid frame at index ${index}`);
+            }
+        });
+        
+        const frames = data.frames.slice().sort((a, b) => a.time - b.time);
+        
+        return {
+            name: data.name || 'Recording',
+            startedAt: data.startedAt || frames[0].time,
+            endedAt: data.endedAt || frames[frames.length - 1].time,
+            frameCount: frames.length,
+            frames: frames
+        };
+    }
+    
+    /**
+     * Playback state snapshot
+     * @returns {Object} { loaded, active, playing, name, position, total, speed, time, startTime, endTime }
+     */
+    function getState() {
+        if (!loaded) {
+            return { loaded: false, active: false, playing: false };
+        }
+        
+        const frames = loaded.frames;
+        const current = frames[Math.max(0, Math.min(position, frames.length) - 1)];
+        
+        return {
+            loaded: true,
+            active: active,
+            playing: playing,
+            name: loaded.name,
+            position: position,
+            total: frames.length,
+            speed: speed,
+            time: position > 0 ? current.time : frames[0].time,
+            startTime: frames[0].time,
+            endTime: frames[frames.length - 1].time
+        };
+    }
+    
+    function notify() {
+        EventBus.emit('replayStateChanged', getState());
+    }
+    
+    /**
+     * Clear engine state so a replay (or the live feed after it) starts clean
+     */
+    function resetEngine() {
+        EngineHost.reset();
+    }
+    
+    /**
+     * Take over the pipeline from the live transport
+     */
+    function activate() {
+        if (active) return;
+        
+        resumeTransport = APIClient.getTransport();
+        APIClient.stop();
+        resetEngine();
+        active = true;
+        APIClient.updateConnectionStatus('replay');
+    }
+    
+    function clearTimer() {
+        if (playTimer) {
+            clearTimeout(playTimer);
+            playTimer = null;
+        }
+    }
+    
+    /**
+     * Emit the frame at the current position and advance
+     * @returns {boolean} false when the end is reached
+     */
+    function emitNext() {
+        const frames = loaded.frames;
+        if (position >= frames.length) return false;
+        
+        const frame = frames[position];
+        position++;
+        
+        APIClient.emitTickerData(
+            frame.tickers.map(ticker => ({ ...ticker })),
+            { timestamp: frame.time, source: 'replay' }
+        );
+        return true;
+    }
+    
+    /**
+     * Schedule the next frame using recorded spacing / speed
+     */
+    function scheduleNext() {
+        clearTimer();
+        
+        const frames = loaded.frames;
+        if (position >= frames.length) {
+            playing = false;
+            notify();
+            return;
+        }
+        
+        const gap = position > 0 ? frames[position].time - frames[position - 1].time : 0;
+        const delay = Math.min(Math.max(gap, 0), CONFIG.MAX_GAP_MS) / speed;
+        
+        playTimer = setTimeout(() => {
+            playTimer = null;
+            if (!playing) return;
+            
+            emitNext();
+            notify();
+            scheduleNext();
+        }, delay);
+    }
+    
+    /**
+     * Load a recording for playback (paused at the first frame)
+     * @param {Object} source - Recording with frames
+     */
+    function load(source) {
+        if (!source || !Array.isArray(source.frames) || source.frames.length === 0) {
+            throw new Error('Recording has no frames');
+        }
+        
+        clearTimer();
+        playing = false;
+        loaded = { name: source.name, frames: source.frames };
+        position = 0;
+        
+        if (active) resetEngine();
+        notify();
+    }
+    
+    /**
+     * Start or resume playback
+     */
+    function play() {
+        if (!loaded) {
+            throw new Error('No recording loaded');
+        }
+        
+        activate();
+        if (position >= loaded.frames.length) {
+            seek(0);
+        }
+        
+        playing = true;
+        notify();
+        scheduleNext();
+    }
+    
+    /**
+     * Pause playback
+     */
+    function pause() {
+        playing = false;
+        clearTimer();
+        notify();
+    }
+    
+    /**
+     * Emit exactly one frame (pauses playback)
+     */
+    function step() {
+        if (!loaded) {
+            throw new Error('No recording loaded');
+        }
+        
+        pause();
+        activate();
+        emitNext();
+        notify();
+    }
+    
+    /**
+     * Jump to a frame index
+     * Engine history and open signals are reset so the result does not
+     * depend on what was replayed before the jump.
+     * @param {number} index - Frame index (0 = start)
+     */
+    function seek(index) {
+        if (!loaded) return;
+        
+        position = Math.max(0, Math.min(Math.floor(index), loaded.frames.length));
+        if (active) resetEngine();
+        
+        notify();
+        if (playing) scheduleNext();
+    }
+    
+    /**
+     * Set playback speed multiplier
+     * @param {number} value - Speed (e.g. 1, 2, 10)
+     */
+    function setSpeed(value) {
+        const next = Number(value);
+        if (!Number.isFinite(next) || next <= 0) {
+            throw new Error(`Invalid replay speed: ${value}`);
+        }
+        
+        speed = next;
+        notify();
+        if (playing) scheduleNext();
+    }
+    
+    /**
+     * Leave replay mode and restore the live transport
+     */
+    function exit() {
+        clearTimer();
+        playing = false;
+        loaded = null;
+        position = 0;
+        
+        if (active) {
+            active = false;
+            resetEngine();
+            if (resumeTransport) {
+                APIClient.start(resumeTransport);
+            } else {
+                APIClient.updateConnectionStatus('connecting');
+            }
+            resumeTransport = null;
+        }
+        
+        notify();
+    }
+    
+    /**
+     * Get configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG, SPEEDS: CONFIG.SPEEDS.slice() };
+    }
+    
+    // Record live frames (replayed ones are never re-recorded)
+    EventBus.on('tickerDataReceived', function(tickerData, meta) {
+        if (!recording || (meta && meta.source === 'replay')) return;
+        
+        captureFrame(tickerData, meta ? meta.timestamp : Date.now());
+        EventBus.emit('recordingStateChanged', getRecordingState());
+    });
+    
+    // Public API
+    return {
+        startRecording,
+        stopRecording,
+        getRecordingState,
+        listRecordings,
+        getRecording,
+        deleteRecording,
+        toJSON,
+        parseFile,
+        load,
+        play,
+        pause,
+        step,
+        seek,
+        setSpeed,
+        exit,
+        getState,
+        getConfig
+    };
+})();
+
+// Make DataReplay available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = DataReplay;
+} else {
+    window.DataReplay = DataReplay;
+}
@@ -0,0 +1,877 @@
+/**
+ * Aegis Crypto-Watch - Signal Rules Engine
+ *
+ * Responsibilities:
+ * - Parse declarative rule expressions into an AST (no eval)
+ * - Evaluate rules against analyzed ticker context
+ * - Manage built-in and user-defined rules at runtime
+ * - Persist user rules per browser (localStorage)
+ *
+ * Expression syntax:
+ *   priceChangePercent > 3 AND quoteVolume > 1e6 AND symbol IN [BTC, ETH, 1INCH]
+ *   NOT (rsi < 30) OR baseAsset == "SOL"
+ * Operators: > >= < <= == != IN, NOT IN; AND, OR, NOT; parentheses.
+ * Upper-case identifiers (e.g. WHALE_THRESHOLD_VOLUME) resolve to engine config values
+ * registered through registerFields().
+ *
+ * A rule may carry an exitExpression: once open, its signal is held until the exit
+ * condition is true (hysteresis). Without one, the signal closes when the entry
+ * expression stops matching.
+ *
+ * Messages may quote context fields: "SPIKE - {volumeMultiple:1}x (z {volumeZScore:1})"
+ * renders {field} as is and {field:N} with N decimals; missing values show as "—".
+ */
+
+const RuleEngine = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'aegis.signalRules';
+    
+    const PRIORITIES = ['high', 'medium', 'low'];
+    
+    const BADGE_CLASSES = [
+        'signal-whale',
+        'signal-panic',
+        'signal-breakout-up',
+        'signal-breakout-down',
+        'signal-macd',
+        'signal-overbought',
+        'signal-oversold',
+        'signal-arbitrage',
+        'signal-wall-buy',
+        'signal-wall-sell',
+        'signal-imbalance',
+        'signal-volume-spike',
+        'signal-custom'
+    ];
+    
+    // Context fields rules may reference
+    const FIELDS = new Set([
+        'symbol',
+        'baseAsset',
+        'quoteAsset',
+        'price',
+        'priceChange',
+        'priceChangePercent',
+        'volume',
+        'quoteVolume',
+        'volumeRef',
+        'highPrice',
+        'lowPrice',
+        'volatilityScore',
+        'volatilityLevel',
+        'rsi',
+        'ema',
+        'sma',
+        'macd',
+        'macdSignal',
+        'macdHistogram',
+        'bollingerUpper',
+        'bollingerMiddle',
+        'bollingerLower',
+        'atr',
+        'venueSpread',
+        'venueCount',
+        'depthImbalance',
+        'depthSpread',
+        'bidDepth1',
+        'askDepth1',
+        'bidDepth2',
+        'askDepth2',
+        'bidWall',
+        'askWall',
+        'bidWallDistance',
+        'askWallDistance',
+        'depthLevels',
+        'tapeTrades',
+        'tradePressure',
+        'buyVolume',
+        'sellVolume',
+        'whaleTrades',
+        'whaleBuys',
+        'whaleSells',
+        'whaleBuyVolume',
+        'whaleSellVolume',
+        'whalePressure',
+        'volumeRate',
+        'volumeBaseline',
+        'volumeZScore',
+        'volumePercentile',
+        'volumeMultiple',
+        'volumeSamples'
+    ]);
+    
+    // Shipped rules (the original WHALE / PANIC conditions, cross-exchange ARBITRAGE, adaptive VOLUME SPIKE,
+    // order book walls / imbalance, trade tape whale flow). On symbols the trade tape follows, WHALE ACTIVITY
+    // also needs net whale buying.
+    const DEFAULT_RULES = [
+        {
+            id: 'whale-activity',
+            name: 'Whale Activity',
+            type: 'WHALE_ACTIVITY',
+            expression: 'priceChangePercent > WHALE_THRESHOLD_PRICE_CHANGE AND volumeRef > WHALE_THRESHOLD_VOLUME AND (tapeTrades == 0 OR whalePressure > 0)',
+            exitExpression: 'priceChangePercent < WHALE_EXIT_PRICE_CHANGE OR volumeRef < WHALE_THRESHOLD_VOLUME',
+            message: 'WHALE ACTIVITY - Strong Buy Signal',
+            priority: 'high',
+            badge: { label: '🐋 WHALE', className: 'signal-whale' }
+        },
+        {
+            id: 'panic-sell',
+            name: 'Panic Sell',
+            type: 'PANIC_SELL',
+            expression: 'priceChangePercent < PANIC_THRESHOLD_PRICE_CHANGE',
+            exitExpression: 'priceChangePercent > PANIC_EXIT_PRICE_CHANGE',
+            message: 'PANIC SELL - Market Downturn',
+            priority: 'high',
+            badge: { label: '⚠️ PANIC', className: 'signal-panic' }
+        },
+        {
+            id: 'whale-buying',
+            name: 'Whale Buying',
+            type: 'WHALE_BUYING',
+            expression: 'whaleBuyVolume > WHALE_TAPE_MIN_VOLUME AND whalePressure > WHALE_TAPE_BUY_PRESSURE',
+            exitExpression: 'whalePressure < WHALE_TAPE_EXIT_BUY_PRESSURE OR tapeTrades == 0',
+            message: 'WHALE BUYING - Large Buy Fills',
+            priority: 'high',
+            badge: { label: '🐳 WHALE BUY', className: 'signal-whale' }
+        },
+        {
+            id: 'whale-selling',
+            name: 'Whale Selling',
+            type: 'WHALE_SELLING',
+            expression: 'whaleSellVolume > WHALE_TAPE_MIN_VOLUME AND whalePressure < WHALE_TAPE_SELL_PRESSURE',
+            exitExpression: 'whalePressure > WHALE_TAPE_EXIT_SELL_PRESSURE OR tapeTrades == 0',
+            message: 'WHALE SELLING - Large Sell Fills',
+            priority: 'high',
+            badge: { label: '🐳 WHALE SELL', className: 'signal-panic' }
+        },
+        {
+            id: 'arbitrage',
+            name: 'Cross-Exchange Arbitrage',
+            type: 'ARBITRAGE',
+            expression: 'venueSpread > ARBITRAGE_SPREAD_PERCENT',
+            exitExpression: 'venueSpread < ARBITRAGE_EXIT_SPREAD_PERCENT OR venueCount < 2',
+            message: 'ARBITRAGE - Cross-Exchange Spread',
+            priority: 'medium',
+            badge: { label: '⚖️ ARB', className: 'signal-arbitrage' }
+        },
+        {
+            id: 'volume-spike',
+            name: 'Volume Spike',
+            type: 'VOLUME_SPIKE',
+            expression: 'volumeZScore > VOLUME_SPIKE_ZSCORE AND volumePercentile >= VOLUME_SPIKE_PERCENTILE AND volumeMultiple > VOLUME_SPIKE_MULTIPLE AND volumeRate > VOLUME_SPIKE_MIN_RATE',
+            exitExpression: 'volumeZScore < VOLUME_SPIKE_EXIT_ZSCORE OR volumeSamples < VOLUME_MIN_SAMPLES',
+            message: 'VOLUME SPIKE - {volumeMultiple:1}x usual volume (z {volumeZScore:1}, percentile {volumePercentile:0})',
+            priority: 'medium',
+            badge: { label: '📈 VOL SPIKE', className: 'signal-volume-spike' }
+        },
+        {
+            id: 'buy-wall',
+            name: 'Buy Wall',
+            type: 'BUY_WALL',
+            expression: 'bidWall > 0',
+            message: 'BUY WALL - Large Resting Bid',
+            priority: 'medium',
+            badge: { label: '🧱 BID WALL', className: 'signal-wall-buy' }
+        },
+        {
+            id: 'sell-wall',
+            name: 'Sell Wall',
+            type: 'SELL_WALL',
+            expression: 'askWall > 0',
+            message: 'SELL WALL - Large Resting Ask',
+            priority: 'medium',
+            badge: { label: '🧱 ASK WALL', className: 'signal-wall-sell' }
+        },
+        {
+            id: 'imbalance',
+            name: 'Order Book Imbalance',
+            type: 'IMBALANCE',
+            expression: 'depthImbalance > IMBALANCE_BID_PERCENT OR depthImbalance < IMBALANCE_ASK_PERCENT',
+            exitExpression: '(depthImbalance < IMBALANCE_EXIT_BID_PERCENT AND depthImbalance > IMBALANCE_EXIT_ASK_PERCENT) OR depthLevels == 0',
+            message: 'IMBALANCE - One-Sided Order Book',
+            priority: 'low',
+            badge: { label: '📊 IMBALANCE', className: 'signal-imbalance' }
+        }
+    ];
+    
+    /**
+     * Rule parse/validation error
+     */
+    class RuleError extends Error {
+        /**
+         * @param {string} message - Human readable reason
+         * @param {number} position - Character offset in the expression (optional)
+         */
+        constructor(message, position) {
+            super(position !== undefined ? `${message} (position ${position + 1})` : message);
+            this.name = 'RuleError';
+            this.position = position;
+        }
+    }
+    
+    // State
+    let rules = [];            // Active rules with compiled AST, in evaluation order
+    let removedBuiltins = [];  // Ids of default rules removed by the user
+    let isLoaded = false;
+    
+    // ---- Tokenizer ----
+    
+    const KEYWORDS = ['AND', 'OR', 'NOT', 'IN'];
+    
+    /**
+     * Split expression into tokens
+     * @param {string} source - Rule expression
+     * @returns {Array} [{ type, value, position }]
+     */
+    function tokenize(source) {
+        const tokens = [];
+        let listDepth = 0;
+        let i = 0;
+        
+        while (i < source.length) {
+            const char = source[i];
+            
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+            
+            if ('()[],'.includes(char)) {
+                if (char === '[') listDepth++;
+                if (char === ']') listDepth = Math.max(listDepth - 1, 0);
+                tokens.push({ type: 'punct', value: char, position: i });
+                i++;
+                continue;
+            }
+            
+            const operator = source.slice(i).match(/^(>=|<=|==|!=|>|<|=)/);
+            if (operator) {
+                const value = operator[1] === '=' ? '==' : operator[1];
+                tokens.push({ type: 'op', value: value, position: i });
+                i += operator[1].length;
+                continue;
+            }
+            
+            const number = source.slice(i).match(/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+            
+            // Bare list values may start with digits (e.g. [1INCH, 1000SATS])
+            const listWord = listDepth > 0 ? source.slice(i).match(/^[A-Za-z0-9_]+/) : null;
+            if (listWord && number && listWord[0].length > number[0].length) {
+                tokens.push({ type: 'ident', value: listWord[0], position: i });
+                i += listWord[0].length;
+                continue;
+            }
+            
+            if (number && (char !== '-' || isUnaryPosition(tokens))) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+                i += number[0].length;
+                continue;
+            }
+            
+            if (char === '"' || char === "'") {
+                const end = source.indexOf(char, i + 1);
+                if (end === -1) {
+                    throw new RuleError('Unterminated string', i);
+                }
+                tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+                i = end + 1;
+                continue;
+            }
+            
+            const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            if (word) {
+                const upper = word[0].toUpperCase();
+                if (KEYWORDS.includes(upper)) {
+                    tokens.push({ type: 'keyword', value: upper, position: i });
+                } else {
+                    tokens.push({ type: 'ident', value: word[0], position: i });
+                }
+                i += word[0].length;
+                continue;
+            }
+            
+            throw new RuleError(`Unexpected character "${char}"`, i);
+        }
+        
+        return tokens;
+    }
+    
+    function isUnaryPosition(tokens) {
+        const previous = tokens[tokens.length - 1];
+        return !previous ||
+            previous.type === 'op' ||
+            previous.type === 'keyword' ||
+            (previous.type === 'punct' && previous.value !== ')' && previous.value !== ']');
+    }
+    
+    // ---- Parser (recursive descent) ----
+    
+    /**
+     * Parse expression into AST
+     * @param {string} source - Rule expression
+     * @returns {Object} AST root node
+     */
+    function parse(source) {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new RuleError('Expression is empty');
+        }
+        
+        const tokens = tokenize(source);
+        let index = 0;
+        
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const endPosition = source.length;
+        
+        function expect(type, value) {
+            const token = next();
+            if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+                const found = token ? `"${token.value}"` : 'end of expression';
+                throw new RuleError(`Expected ${value || type} but found ${found}`, token ? token.position : endPosition);
+            }
+            return token;
+        }
+        
+        function isKeyword(token, value) {
+            return token && token.type === 'keyword' && token.value === value;
+        }
+        
+        function parseOr() {
+            let node = parseAnd();
+            while (isKeyword(peek(), 'OR')) {
+                next();
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        }
+        
+        function parseAnd() {
+            let node = parseNot();
+            while (isKeyword(peek(), 'AND')) {
+                next();
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        }
+        
+        function parseNot() {
+            if (isKeyword(peek(), 'NOT')) {
+                next();
+                return { type: 'not', operand: parseNot() };
+            }
+            return parsePrimary();
+        }
+        
+        function parsePrimary() {
+            const token = peek();
+            if (token && token.type === 'punct' && token.value === '(') {
+                next();
+                const node = parseOr();
+                expect('punct', ')');
+                return node;
+            }
+            return parseComparison();
+        }
+        
+        function parseComparison() {
+            const left = parseOperand();
+            const token = peek();
+            
+            if (isKeyword(token, 'IN') || (isKeyword(token, 'NOT') && isKeyword(tokens[index + 1], 'IN'))) {
+                const negate = token.value === 'NOT';
+                if (negate) next();
+                next();
+                const node = { type: 'in', left: left, list: parseList() };
+                return negate ? { type: 'not', operand: node } : node;
+            }
+            
+            if (!token || token.type !== 'op') {
+                const found = token ? `"${token.value}"` : 'end of expression';
+                throw new RuleError(`Expected comparison operator but found ${found}`, token ? token.position : endPosition);
+            }
+            
+            next();
+            return { type: 'compare', operator: token.value, left: left, right: parseOperand() };
+        }
+        
+        function parseOperand() {
+            const token = next();
+            if (!token) {
+                throw new RuleError('Unexpected end of expression', endPosition);
+            }
+            
+            if (token.type === 'number' || token.type === 'string') {
+                return { type: 'literal', value: token.value };
+            }
+            
+            if (token.type === 'ident') {
+                if (!isKnownIdentifier(token.value)) {
+                    throw new RuleError(`Unknown field "${token.value}"`, token.position);
+                }
+                return { type: 'field', name: token.value };
+            }
+            
+            throw new RuleError(`Unexpected "${token.value}"`, token.position);
+        }
+        
+        function parseList() {
+            expect('punct', '[');
+            const values = [];
+            
+            while (true) {
+                const token = next();
+                if (!token || !['number', 'string', 'ident'].includes(token.type)) {
+                    const found = token ? `"${token.value}"` : 'end of expression';
+                    throw new RuleError(`Expected list value but found ${found}`, token ? token.position : endPosition);
+                }
+                // Bare words inside lists are plain values (e.g. [BTC, ETH])
+                values.push(token.value);
+                
+                const separator = next();
+                if (separator && separator.type === 'punct' && separator.value === ']') break;
+                if (!separator || separator.type !== 'punct' || separator.value !== ',') {
+                    throw new RuleError('Expected "," or "]" in list', separator ? separator.position : endPosition);
+                }
+            }
+            
+            return values;
+        }
+        
+        const ast = parseOr();
+        if (index < tokens.length) {
+            throw new RuleError(`Unexpected "${tokens[index].value}"`, tokens[index].position);
+        }
+        return ast;
+    }
+    
+    function isKnownIdentifier(name) {
+        return FIELDS.has(name);
+    }
+    
+    // ---- Evaluator ----
+    
+    function resolve(node, context) {
+        if (node.type === 'literal') return node.value;
+        
+        const value = context[node.name];
+        return value === undefined ? null : value;
+    }
+    
+    function normalize(value) {
+        return typeof value === 'string' ? value.toUpperCase() : value;
+    }
+    
+    /**
+     * Fill {field} / {field:decimals} placeholders of a rule message
+     * @param {string} template - Rule message
+     * @param {Object} context - Field values
+     * @returns {string} Message
+     */
+    function formatMessage(template, context) {
+        return template.replace(/\{([A-Za-z_][A-Za-z0-9_]*)(?::(\d+))?\}/g, (match, name, decimals) => {
+            if (!Object.prototype.hasOwnProperty.call(context, name)) return match;
+            
+            const value = context[name];
+            if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+                return '—';
+            }
+            if (typeof value === 'number' && decimals !== undefined) {
+                return value.toFixed(Math.min(parseInt(decimals, 10), 20));
+            }
+            return String(value);
+        });
+    }
+    
+    /**
+     * Evaluate AST against a context
+     * Missing values (null) never satisfy a comparison.
+     * @param {Object} node - AST node
+     * @param {Object} context - Field values
+     * @returns {boolean}
+     */
+    function evaluateNode(node, context) {
+        switch (node.type) {
+            case 'and':
+                return evaluateNode(node.left, context) && evaluateNode(node.right, context);
+            case 'or':
+                return evaluateNode(node.left, context) || evaluateNode(node.right, context);
+            case 'not':
+                return !evaluateNode(node.operand, context);
+            case 'in': {
+                const list = node.list.map(normalize);
+                const candidates = [resolve(node.left, context)];
+                // "symbol IN [BTC, ETH]" also matches on the base asset
+                if (node.left.type === 'field' && node.left.name === 'symbol') {
+                    candidates.push(context.baseAsset);
+                }
+                return candidates.some(value => value !== null && value !== undefined && list.includes(normalize(value)));
+            }
+            case 'compare': {
+                let left = resolve(node.left, context);
+                let right = resolve(node.right, context);
+                if (left === null || right === null) return false;
+                
+                if (typeof left === 'string' || typeof right === 'string') {
+                    left = normalize(String(left));
+                    right = normalize(String(right));
+                }
+                
+                switch (node.operator) {
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                }
+                return false;
+            }
+        }
+        return false;
+    }
+    
+    // ---- Rule management ----
+    
+    /**
+     * Validate and compile a rule definition
+     * @param {Object} definition - { name, expression, message, priority, badge, type, id }
+     * @returns {Object} Compiled rule
+     */
+    function compileRule(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new RuleError('Rule must be an object');
+        }
+        
+        const name = String(definition.name || '').trim();
+        if (!name) {
+            throw new RuleError('Rule name is required');
+        }
+        
+        const priority = definition.priority || 'medium';
+        if (!PRIORITIES.includes(priority)) {
+            throw new RuleError(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+        }
+        
+        const type = String(definition.type || name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, ''));
+        if (!/^[A-Z][A-Z0-9_]*$/.test(type)) {
+            throw new RuleError('Signal type must be UPPER_SNAKE_CASE');
+        }
+        if (type === 'NEUTRAL') {
+            throw new RuleError('Signal type NEUTRAL is reserved');
+        }
+        
+        const badge = definition.badge || {};
+        const badgeClass = badge.className || 'signal-custom';
+        if (!BADGE_CLASSES.includes(badgeClass)) {
+            throw new RuleError(`Badge style must be one of: ${BADGE_CLASSES.join(', ')}`);
+        }
+        
+        let ast;
+        try {
+            ast = parse(definition.expression);
+        } catch (error) {
+            throw new RuleError(`Rule "${name}": ${error.message}`);
+        }
+        
+        const exitExpression = String(definition.exitExpression || '').trim();
+        let exitAst = null;
+        if (exitExpression) {
+            try {
+                exitAst = parse(exitExpression);
+            } catch (error) {
+                throw new RuleError(`Rule "${name}" exit: ${error.message}`);
+            }
+        }
+        
+        let cooldownMs = null;
+        if (definition.cooldownMs !== undefined && definition.cooldownMs !== null && definition.cooldownMs !== '') {
+            cooldownMs = Number(definition.cooldownMs);
+            if (!Number.isFinite(cooldownMs) || cooldownMs < 0) {
+                throw new RuleError('Cooldown must be a non-negative number of milliseconds');
+            }
+        }
+        
+        return {
+            id: definition.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: name,
+            type: type,
+            expression: definition.expression.trim(),
+            exitExpression: exitExpression || null,
+            cooldownMs: cooldownMs,
+            message: String(definition.message || name).trim(),
+            priority: priority,
+            badge: {
+                label: String(badge.label || type).trim(),
+                className: badgeClass
+            },
+            enabled: definition.enabled !== false,
+            builtin: DEFAULT_RULES.some(rule => rule.id === definition.id),
+            ast: ast,
+            exitAst: exitAst
+        };
+    }
+    
+    function sortRules() {
+        rules.sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+    }
+    
+    function serialize(rule) {
+        const { ast, exitAst, ...data } = rule;
+        return data;
+    }
+    
+    function saveRules() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                rules: rules.map(serialize),
+                removedBuiltins: removedBuiltins
+            }));
+        } catch (error) {
+            console.warn('Could not persist signal rules:', error);
+        }
+        
+        EventBus.emit('signalRulesChanged', getRules());
+    }
+    
+    /**
+     * Load rules: built-ins (unless removed) + stored user rules
+     * Deferred until first use so modules can register their fields first.
+     */
+    function ensureLoaded() {
+        if (isLoaded) return;
+        isLoaded = true;
+        
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn('Stored signal rules are unreadable, using defaults:', error);
+        }
+        
+        removedBuiltins = (stored && stored.removedBuiltins) || [];
+        const storedRules = (stored && stored.rules) || [];
+        
+        rules = [];
+        
+        DEFAULT_RULES.forEach(definition => {
+            if (removedBuiltins.includes(definition.id)) return;
+            // Built-in expressions always come from code; only the enabled flag is stored
+            const override = storedRules.find(rule => rule.id === definition.id);
+            rules.push(compileRule({ ...definition, enabled: override ? override.enabled : true }));
+        });
+        
+        storedRules
+            .filter(rule => !DEFAULT_RULES.some(definition => definition.id === rule.id))
+            .forEach(definition => {
+                try {
+                    rules.push(compileRule(definition));
+                } catch (error) {
+                    console.warn('Skipping invalid stored rule:', error.message);
+                }
+            });
+        
+        sortRules();
+    }
+    
+    /**
+     * Add (or replace by id) a rule
+     * @param {Object} definition - Rule definition
+     * @returns {Object} Stored rule (without AST)
+     */
+    function addRule(definition) {
+        ensureLoaded();
+        const rule = compileRule(definition);
+        
+        rules = rules.filter(existing => existing.id !== rule.id);
+        rules.push(rule);
+        removedBuiltins = removedBuiltins.filter(id => id !== rule.id);
+        sortRules();
+        saveRules();
+        
+        return serialize(rule);
+    }
+    
+    /**
+     * Remove a rule
+     * @param {string} id - Rule id
+     * @returns {boolean} Whether a rule was removed
+     */
+    function removeRule(id) {
+        ensureLoaded();
+        const before = rules.length;
+        rules = rules.filter(rule => rule.id !== id);
+        
+        if (rules.length === before) return false;
+        
+        if (DEFAULT_RULES.some(rule => rule.id === id) && !removedBuiltins.includes(id)) {
+            removedBuiltins.push(id);
+        }
+        saveRules();
+        return true;
+    }
+    
+    /**
+     * Enable or disable a rule
+     * @param {string} id - Rule id
+     * @param {boolean} enabled
+     */
+    function setRuleEnabled(id, enabled) {
+        ensureLoaded();
+        const rule = rules.find(item => item.id === id);
+        if (!rule) {
+            throw new RuleError(`Rule "${id}" not found`);
+        }
+        rule.enabled = !!enabled;
+        saveRules();
+    }
+    
+    /**
+     * Restore the shipped rules and drop user rules
+     */
+    function resetRules() {
+        isLoaded = true;
+        rules = DEFAULT_RULES.map(definition => compileRule(definition));
+        removedBuiltins = [];
+        sortRules();
+        saveRules();
+    }
+    
+    /**
+     * Replace the active rules without persisting them (e.g. mirrored into a worker)
+     * @param {Array} definitions - Rules as returned by getRules()
+     */
+    function loadRules(definitions) {
+        isLoaded = true;
+        rules = [];
+        definitions.forEach(definition => {
+            try {
+                rules.push(compileRule(definition));
+            } catch (error) {
+                console.warn('Skipping invalid rule:', error.message);
+            }
+        });
+        sortRules();
+    }
+    
+    /**
+     * Get rules (without AST)
+     * @returns {Array}
+     */
+    function getRules() {
+        ensureLoaded();
+        return rules.map(serialize);
+    }
+    
+    /**
+     * Evaluate enabled rules in priority order
+     * @param {Object} context - Field values (see FIELDS) plus config constants
+     * @returns {Object|null} { type, message, priority, badge, ruleId } of first match
+     */
+    function evaluate(context) {
+        ensureLoaded();
+        for (const rule of rules) {
+            if (rule.enabled && evaluateNode(rule.ast, context)) {
+                return {
+                    type: rule.type,
+                    message: formatMessage(rule.message, context),
+                    priority: rule.priority,
+                    badge: { ...rule.badge },
+                    ruleId: rule.id
+                };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Whether an open rule signal should close
+     * @param {string} ruleId - Rule that opened the signal
+     * @param {Object} context - Field values (same shape as evaluate)
+     * @returns {boolean} True when the exit condition holds (or the rule is gone/disabled)
+     */
+    function shouldExit(ruleId, context) {
+        ensureLoaded();
+        const rule = rules.find(item => item.id === ruleId);
+        
+        if (!rule || !rule.enabled) return true;
+        if (!rule.exitAst) return !evaluateNode(rule.ast, context);
+        
+        return evaluateNode(rule.exitAst, context);
+    }
+    
+    /**
+     * Cooldown configured on a rule
+     * @param {string} ruleId - Rule id
+     * @returns {number|null} Cooldown in ms, or null to use the engine default
+     */
+    function getCooldown(ruleId) {
+        ensureLoaded();
+        const rule = rules.find(item => item.id === ruleId);
+        return rule ? rule.cooldownMs : null;
+    }
+    
+    /**
+     * Check an expression without adding a rule
+     * @param {string} expression - Rule expression
+     * @returns {Object} { valid: boolean, error: string|null }
+     */
+    function validateExpression(expression) {
+        try {
+            parse(expression);
+            return { valid: true, error: null };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Allow extra context fields (e.g. from other modules)
+     * @param {Array<string>} names - Field names
+     */
+    function registerFields(names) {
+        names.forEach(name => FIELDS.add(name));
+    }
+    
+    /**
+     * Get known field names
+     * @returns {Array<string>}
+     */
+    function getFields() {
+        return Array.from(FIELDS);
+    }
+    
+    /**
+     * Get allowed badge style classes
+     * @returns {Array<string>}
+     */
+    function getBadgeClasses() {
+        return BADGE_CLASSES.slice();
+    }
+    
+    // Public API
+    return {
+        RuleError,
+        parse,
+        evaluate,
+        shouldExit,
+        getCooldown,
+        validateExpression,
+        addRule,
+        removeRule,
+        setRuleEnabled,
+        resetRules,
+        loadRules,
+        getRules,
+        registerFields,
+        getFields,
+        getBadgeClasses
+    };
+})();
+
+// Make RuleEngine available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = RuleEngine;
+} else {
+    window.RuleEngine = RuleEngine;
+}
@@ -0,0 +1,141 @@
+/**
+ * Aegis Crypto-Watch - Rules Panel
+ *
+ * Responsibilities:
+ * - List, enable/disable and remove signal rules
+ * - Add user-defined rules with inline validation errors
+ * - Restore the shipped default rules
+ */
+
+const RulesPanel = (function() {
+    'use strict';
+    
+    const escapeHtml = UIStream.escapeHtml;
+    
+    /**
+     * Render rules table
+     */
+    function renderRules() {
+        const rows = RuleEngine.getRules().map(rule => `
+            <tr class="${rule.enabled ? '' : 'rule-row-disabled'}" data-rule-id="${escapeHtml(rule.id)}">
+                <td>
+                    <input type="checkbox" class="form-check-input rule-toggle" ${rule.enabled ? 'checked' : ''}>
+                </td>
+                <td>
+                    <strong>${escapeHtml(rule.name)}</strong>
+                    ${rule.builtin ? '<span class="badge bg-secondary ms-1">default</span>' : ''}
+                    <br><small class="text-muted">${escapeHtml(rule.message)}</small>
+                </td>
+                <td class="rule-expression">
+                    ${escapeHtml(rule.expression)}
+                    ${rule.exitExpression ? `<br><small class="text-muted">exit: ${escapeHtml(rule.exitExpression)}</small>` : ''}
+                    ${rule.cooldownMs !== null ? `<br><small class="text-muted">cooldown: ${UIStream.formatDuration(rule.cooldownMs)}</small>` : ''}
+                </td>
+                <td>${rule.priority}</td>
+                <td><span class="signal-badge ${rule.badge.className}">${escapeHtml(rule.badge.label)}</span></td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-danger rule-remove" title="Sil">✕</button>
+                </td>
+            </tr>
+        `);
+        
+        $('#rulesTableBody').html(rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="6" class="text-center text-muted">Kural yok</td></tr>');
+    }
+    
+    /**
+     * Show or clear form error
+     * @param {string|null} message - Error message
+     */
+    function showError(message) {
+        $('#ruleError').text(message || '').toggleClass('d-none', !message);
+    }
+    
+    /**
+     * Add rule from form values
+     */
+    function submitRule() {
+        try {
+            RuleEngine.addRule({
+                name: $('#ruleName').val(),
+                expression: $('#ruleExpression').val(),
+                exitExpression: $('#ruleExitExpression').val(),
+                cooldownMs: $('#ruleCooldown').val() === '' ? null : Number($('#ruleCooldown').val()) * 60 * 1000,
+                message: $('#ruleMessage').val(),
+                priority: $('#rulePriority').val(),
+                badge: {
+                    label: $('#ruleBadgeLabel').val(),
+                    className: $('#ruleBadgeClass').val()
+                }
+            });
+            
+            $('#ruleForm')[0].reset();
+            showError(null);
+            renderRules();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        $('#ruleBadgeClass').html(RuleEngine.getBadgeClasses()
+            .map(className => `<option value="${className}">${className.replace('signal-', '')}</option>`)
+            .join(''))
+            .val('signal-custom');
+        
+        $('#ruleFields').text(RuleEngine.getFields().join(', '));
+        
+        // Live validation while typing
+        $('#ruleExpression, #ruleExitExpression').on('input', function() {
+            const expression = $(this).val();
+            showError(expression.trim() ? RuleEngine.validateExpression(expression).error : null);
+        });
+        
+        $('#ruleForm').on('submit', function(event) {
+            event.preventDefault();
+            submitRule();
+        });
+        
+        $('#rulesTableBody').on('change', '.rule-toggle', function() {
+            const id = $(this).closest('tr').data('rule-id');
+            RuleEngine.setRuleEnabled(String(id), this.checked);
+            renderRules();
+        });
+        
+        $('#rulesTableBody').on('click', '.rule-remove', function() {
+            const id = $(this).closest('tr').data('rule-id');
+            RuleEngine.removeRule(String(id));
+            renderRules();
+        });
+        
+        $('#resetRulesBtn').on('click', function() {
+            if (confirm('Tüm özel kurallar silinip varsayılanlar geri yüklensin mi?')) {
+                RuleEngine.resetRules();
+                renderRules();
+            }
+        });
+        
+        $('#rulesModal').on('show.bs.modal', function() {
+            showError(null);
+            renderRules();
+        });
+    }
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        renderRules,
+        initialize
+    };
+})();
+
+// Make RulesPanel available globally
+window.RulesPanel = RulesPanel;
@@ -0,0 +1,254 @@
+/**
+ * Aegis Crypto-Watch - Settings Panel
+ *
+ * Responsibilities:
+ * - Edit APIClient / LogicEngine (through EngineHost) / SignalStore / VenueMonitor / DepthMonitor / TradeTape /
+ *   WebhookDispatcher configuration at runtime
+ * - Persist settings per browser (localStorage)
+ * - Import / export settings as JSON
+ */
+
+const SettingsPanel = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'aegis.settings';
+    const EXPORT_VERSION = 1;
+    
+    // Configurable modules, keyed by their section in the settings file
+    const SECTIONS = {
+        api: { title: 'API', module: APIClient },
+        engine: { title: 'Logic Engine', module: EngineHost },
+        history: { title: 'Signal History', module: SignalStore },
+        venues: { title: 'Exchanges', module: VenueMonitor },
+        depth: { title: 'Order Book', module: DepthMonitor },
+        tape: { title: 'Whale Tape', module: TradeTape },
+        webhooks: { title: 'Webhooks', module: WebhookDispatcher }
+    };
+    
+    /**
+     * Collect editable values of every section
+     * @returns {Object} { version, api: {...}, engine: {...}, history: {...}, venues: {...}, depth: {...}, tape: {...}, webhooks: {...} }
+     */
+    function collectSettings() {
+        const settings = { version: EXPORT_VERSION };
+        
+        Object.keys(SECTIONS).forEach(section => {
+            const module = SECTIONS[section].module;
+            const config = module.getConfig();
+            settings[section] = {};
+            Object.keys(module.getConfigSchema()).forEach(key => {
+                settings[section][key] = config[key];
+            });
+        });
+        
+        return settings;
+    }
+    
+    /**
+     * Validate and apply settings to all modules
+     * All sections are applied or none (rolled back on error).
+     * @param {Object} settings - { api: {...}, engine: {...} }
+     */
+    function applySettings(settings) {
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('Settings must be a JSON object');
+        }
+        
+        Object.keys(settings).forEach(section => {
+            if (section !== 'version' && !SECTIONS[section]) {
+                throw new Error(`Unknown settings section: ${section}`);
+            }
+        });
+        
+        // Roll back every section if any one fails
+        const previous = collectSettings();
+        try {
+            Object.keys(SECTIONS).forEach(section => {
+                if (settings[section]) {
+                    SECTIONS[section].module.setConfig(settings[section]);
+                }
+            });
+        } catch (error) {
+            Object.keys(SECTIONS).forEach(section => {
+                SECTIONS[section].module.setConfig(previous[section]);
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Persist current settings
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(collectSettings()));
+        } catch (error) {
+            console.warn('Could not persist settings:', error);
+        }
+    }
+    
+    /**
+     * Load persisted settings (invalid ones are ignored)
+     */
+    function loadSettings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn('Stored settings are unreadable:', error);
+        }
+        
+        if (!stored) return;
+        
+        try {
+            applySettings(stored);
+        } catch (error) {
+            console.warn('Stored settings rejected, using defaults:', error.message);
+        }
+    }
+    
+    /**
+     * Render settings form from module schemas
+     */
+    function renderForm() {
+        const html = Object.keys(SECTIONS).map(section => {
+            const module = SECTIONS[section].module;
+            const schema = module.getConfigSchema();
+            const config = module.getConfig();
+            
+            const fields = Object.keys(schema).map(key => `
+                <div class="col-md-4">
+                    <label class="form-label small text-muted" for="setting-${section}-${key}">${schema[key].label}</label>
+                    <input type="number" class="form-control form-control-sm bg-dark border-neon"
+                           id="setting-${section}-${key}"
+                           data-section="${section}" data-key="${key}"
+                           min="${schema[key].min}" max="${schema[key].max}"
+                           step="${schema[key].integer ? 1 : 'any'}"
+                           value="${config[key]}">
+                </div>
+            `).join('');
+            
+            return `
+                <h6 class="neon-text-secondary mt-2">${SECTIONS[section].title}</h6>
+                <div class="row g-2 mb-3">${fields}</div>
+            `;
+        }).join('');
+        
+        $('#settingsForm').html(html);
+    }
+    
+    /**
+     * Read settings from form inputs
+     * @returns {Object} { api: {...}, engine: {...} }
+     */
+    function readForm() {
+        const settings = {};
+        
+        $('#settingsForm input[data-key]').each(function() {
+            const $input = $(this);
+            const section = $input.data('section');
+            settings[section] = settings[section] || {};
+            settings[section][$input.data('key')] = $input.val() === '' ? NaN : Number($input.val());
+        });
+        
+        return settings;
+    }
+    
+    /**
+     * Show status message inside the modal
+     * @param {string} message - Message text
+     * @param {string} type - Bootstrap alert type ('success', 'danger')
+     */
+    function showMessage(message, type) {
+        $('#settingsMessage')
+            .removeClass('d-none alert-success alert-danger')
+            .addClass(`alert-${type}`)
+            .text(message);
+    }
+    
+    /**
+     * Download current settings as JSON file
+     */
+    function exportSettings() {
+        UIStream.downloadFile(JSON.stringify(collectSettings(), null, 2), 'aegis-settings.json', 'application/json');
+    }
+    
+    /**
+     * Import settings from a JSON file
+     * @param {File} file - Selected file
+     */
+    function importSettings(file) {
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            try {
+                applySettings(JSON.parse(reader.result));
+                saveSettings();
+                renderForm();
+                showMessage('Ayarlar içe aktarıldı.', 'success');
+            } catch (error) {
+                showMessage(`İçe aktarma başarısız: ${error.message}`, 'danger');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        $('#settingsModal').on('show.bs.modal', function() {
+            $('#settingsMessage').addClass('d-none');
+            renderForm();
+        });
+        
+        $('#saveSettingsBtn').on('click', function() {
+            try {
+                applySettings(readForm());
+                saveSettings();
+                renderForm();
+                showMessage('Ayarlar kaydedildi, bir sonraki döngüde geçerli olacak.', 'success');
+            } catch (error) {
+                showMessage(error.message, 'danger');
+            }
+        });
+        
+        $('#resetSettingsBtn').on('click', function() {
+            Object.keys(SECTIONS).forEach(section => SECTIONS[section].module.resetConfig());
+            localStorage.removeItem(STORAGE_KEY);
+            renderForm();
+            showMessage('Varsayılan ayarlar geri yüklendi.', 'success');
+        });
+        
+        $('#exportSettingsBtn').on('click', exportSettings);
+        
+        $('#importSettingsInput').on('change', function() {
+            if (this.files && this.files[0]) {
+                importSettings(this.files[0]);
+            }
+            this.value = '';
+        });
+    }
+    
+    // Apply persisted settings before data starts flowing
+    loadSettings();
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        collectSettings,
+        applySettings,
+        saveSettings,
+        loadSettings,
+        exportSettings,
+        initialize
+    };
+})();
+
+// Make SettingsPanel available globally
+window.SettingsPanel = SettingsPanel;
@@ -0,0 +1,370 @@
+/**
+ * Aegis Crypto-Watch - Signal Store
+ *
+ * Responsibilities:
+ * - Persist opened/closed signals in IndexedDB with the analyzed snapshot at trigger time
+ * - Query stored signals by symbol, type and date range
+ * - Apply retention limits (max age, max records)
+ * - Serialize signals to CSV / JSON
+ */
+
+const SignalStore = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        DB_NAME: 'aegis-crypto-watch',
+        DB_VERSION: 1,
+        STORE_NAME: 'signals',
+        MAX_RECORDS: 5000,   // Oldest records beyond this are dropped
+        MAX_AGE_DAYS: 30,    // Records older than this are dropped
+        PRUNE_DELAY: 5000    // Debounce retention pruning after writes
+    };
+    
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Editable settings and their valid ranges
+    const CONFIG_SCHEMA = {
+        MAX_RECORDS: { label: 'Max stored signals', min: 100, max: 100000, integer: true },
+        MAX_AGE_DAYS: { label: 'Signal retention (days)', min: 1, max: 365, integer: true }
+    };
+    
+    const CSV_COLUMNS = [
+        'id', 'symbol', 'baseAsset', 'quoteAsset', 'type', 'message', 'priority', 'status',
+        'openedAt', 'closedAt', 'durationMs', 'openPrice', 'peakMove', 'finalMove',
+        'closeReason', 'priceChangePercent', 'quoteVolume'
+    ];
+    
+    // State
+    let dbPromise = null;
+    let pruneTimer = null;
+    
+    /**
+     * Open (and upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+            
+            request.onupgradeneeded = function() {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONFIG.STORE_NAME)) {
+                    const store = db.createObjectStore(CONFIG.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('symbol', 'symbol', { unique: false });
+                    store.createIndex('type', 'type', { unique: false });
+                    store.createIndex('openedAt', 'openedAt', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        return dbPromise;
+    }
+    
+    /**
+     * Run a callback inside a transaction and resolve when it completes
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - (store) => result
+     * @returns {Promise<*>} Callback result
+     */
+    async function withStore(mode, callback) {
+        const db = await openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.STORE_NAME, mode);
+            let result;
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            
+            result = callback(transaction.objectStore(CONFIG.STORE_NAME));
+        });
+    }
+    
+    /**
+     * Plain copy of an analyzed item, detached from live engine objects
+     * @param {Object} item - Analyzed ticker data
+     * @returns {Object} Snapshot
+     */
+    function toSnapshot(item) {
+        return item ? JSON.parse(JSON.stringify(item)) : null;
+    }
+    
+    /**
+     * Store a newly opened signal
+     * @param {Object} record - Signal record from LogicEngine
+     * @param {Object} item - Analyzed ticker data at trigger time
+     * @returns {Promise}
+     */
+    function saveOpened(record, item) {
+        const { signal, ...fields } = record;
+        const entry = {
+            ...fields,
+            snapshot: toSnapshot(item)
+        };
+        
+        return withStore('readwrite', store => {
+            store.put(entry);
+        }).then(schedulePrune);
+    }
+    
+    /**
+     * Update a stored signal when it closes
+     * @param {Object} record - Closed signal record from LogicEngine
+     * @returns {Promise}
+     */
+    function saveClosed(record) {
+        return withStore('readwrite', store => {
+            const request = store.get(record.id);
+            request.onsuccess = function() {
+                const { signal, ...fields } = record;
+                const existing = request.result || { ...fields, snapshot: null };
+                store.put({
+                    ...existing,
+                    status: record.status,
+                    closedAt: record.closedAt,
+                    duration: record.duration,
+                    closeReason: record.closeReason,
+                    peakMove: record.peakMove,
+                    peakPrice: record.peakPrice,
+                    currentMove: record.currentMove,
+                    lastPrice: record.lastPrice
+                });
+            };
+        });
+    }
+    
+    /**
+     * Query stored signals, newest first
+     * @param {Object} filters - { symbol, type, from, to, limit }
+     *   symbol matches pair or base asset (case-insensitive), from/to are timestamps (ms)
+     * @returns {Promise<Array>}
+     */
+    function query(filters = {}) {
+        const symbol = filters.symbol ? filters.symbol.toUpperCase().trim() : '';
+        const limit = filters.limit || Infinity;
+        const lower = filters.from !== undefined && filters.from !== null ? filters.from : -Infinity;
+        const upper = filters.to !== undefined && filters.to !== null ? filters.to : Infinity;
+        const results = [];
+        
+        return withStore('readonly', store => {
+            const range = IDBKeyRange.bound(lower, upper);
+            const request = store.index('openedAt').openCursor(range, 'prev');
+            
+            request.onsuccess = function() {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) return;
+                
+                const entry = cursor.value;
+                const symbolMatches = !symbol || entry.symbol === symbol || entry.baseAsset === symbol;
+                const typeMatches = !filters.type || entry.type === filters.type;
+                
+                if (symbolMatches && typeMatches) {
+                    results.push(entry);
+                }
+                cursor.continue();
+            };
+        }).then(() => results);
+    }
+    
+    /**
+     * Drop records outside retention limits
+     * @returns {Promise<number>} Number of deleted records
+     */
+    function prune() {
+        const cutoff = Date.now() - CONFIG.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        let deleted = 0;
+        
+        return withStore('readwrite', store => {
+            const index = store.index('openedAt');
+            
+            // Age limit
+            const ageRequest = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+            ageRequest.onsuccess = function() {
+                const cursor = ageRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                    return;
+                }
+                
+                // Count limit (oldest first)
+                const countRequest = store.count();
+                countRequest.onsuccess = function() {
+                    let excess = countRequest.result - CONFIG.MAX_RECORDS;
+                    if (excess <= 0) return;
+                    
+                    const oldestRequest = index.openCursor();
+                    oldestRequest.onsuccess = function() {
+                        const oldest = oldestRequest.result;
+                        if (oldest && excess > 0) {
+                            oldest.delete();
+                            deleted++;
+                            excess--;
+                            oldest.continue();
+                        }
+                    };
+                };
+            };
+        }).then(() => deleted);
+    }
+    
+    function schedulePrune() {
+        if (pruneTimer) return;
+        
+        pruneTimer = setTimeout(() => {
+            pruneTimer = null;
+            prune().catch(error => console.warn('Signal history prune failed:', error));
+        }, CONFIG.PRUNE_DELAY);
+    }
+    
+    /**
+     * Delete all stored signals
+     * @returns {Promise}
+     */
+    function clear() {
+        return withStore('readwrite', store => {
+            store.clear();
+        });
+    }
+    
+    /**
+     * Serialize stored signals to CSV
+     * @param {Array} entries - Stored signals
+     * @returns {string} CSV text
+     */
+    function toCSV(entries) {
+        const rows = entries.map(entry => {
+            const snapshot = entry.snapshot || {};
+            const values = {
+                ...entry,
+                openedAt: new Date(entry.openedAt).toISOString(),
+                closedAt: entry.closedAt ? new Date(entry.closedAt).toISOString() : '',
+                durationMs: entry.duration,
+                finalMove: entry.currentMove,
+                priceChangePercent: snapshot.priceChangePercent,
+                quoteVolume: snapshot.quoteVolume
+            };
+            return CsvFormat.formatRow(CSV_COLUMNS.map(column => values[column]));
+        });
+        
+        return [CSV_COLUMNS.join(',')].concat(rows).join('\n');
+    }
+    
+    /**
+     * Serialize stored signals to JSON
+     * @param {Array} entries - Stored signals
+     * @returns {string} JSON text
+     */
+    function toJSON(entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+    
+    /**
+     * Get configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG };
+    }
+    
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update retention configuration (applied on the next prune)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        Object.assign(CONFIG, ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'history'));
+        schedulePrune();
+        
+        return getConfig();
+    }
+    
+    /**
+     * Restore default configuration
+     * @returns {Object} Default configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
+    /**
+     * Persist closed records (replayed recordings are not stored)
+     * @param {Array} records - Closed signal records
+     */
+    function persistClosed(records) {
+        records.forEach(record => {
+            if (record.source === 'replay') return;
+            saveClosed(record).catch(error => console.warn('Could not update signal:', error));
+        });
+    }
+    
+    /**
+     * Persist opened records with their trigger snapshots (replayed recordings are not stored)
+     * @param {Array} records - Opened signal records
+     * @param {Function} getItem - (index) => analyzed item at trigger time
+     */
+    function persistOpened(records, getItem) {
+        records.forEach((record, index) => {
+            if (record.source === 'replay') return;
+            saveOpened(record, getItem(index)).catch(error => console.warn('Could not store signal:', error));
+        });
+    }
+    
+    // Persist signal lifecycle from each analysis cycle; the market-wide signal is
+    // stored under MARKET with the breadth summary as its snapshot
+    EngineHost.subscribe(function(message) {
+        const { opened, closed, ...market } = message.market;
+        
+        persistClosed(message.closed.concat(closed));
+        persistOpened(message.opened, index => message.newSignals[index]);
+        persistOpened(opened, () => market);
+    });
+    
+    // Signals closed by an engine reset (e.g. entering replay)
+    EventBus.on('signalsClosed', function(records, meta) {
+        persistClosed(records.concat(meta.market));
+    });
+    
+    // Public API
+    return {
+        saveOpened,
+        saveClosed,
+        query,
+        prune,
+        clear,
+        toCSV,
+        toJSON,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig
+    };
+})();
+
+// Make SignalStore available globally
+window.SignalStore = SignalStore;
@@ -0,0 +1,537 @@
+/**
+ * Aegis Crypto-Watch - Symbol Drawer
+ *
+ * Responsibilities:
+ * - Open a per-symbol detail panel (Bootstrap offcanvas) from a table row or heatmap tile
+ * - Load klines for a selectable interval (1m ... 1d) and draw candles with volume bars
+ * - Optional EMA / Bollinger Band overlays
+ * - List the latest signals stored for the symbol
+ * - Keep the last candle and the signal list live while the panel is open
+ *
+ * Candles are drawn with Chart.js floating bars (wick + body), so no chart plugin is needed.
+ * When klines cannot be loaded (offline, replay) the engine's own price history is used.
+ */
+
+const SymbolDrawer = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        INTERVALS: ['1m', '5m', '15m', '1h', '4h', '1d'],
+        DEFAULT_INTERVAL: '15m',
+        CANDLE_LIMIT: 120,           // Candles shown
+        SIGNAL_LIMIT: 20,            // Stored signals listed
+        VOLUME_HEIGHT_RATIO: 0.25    // Share of the chart height used by volume bars
+    };
+    
+    const COLORS = {
+        up: 'rgba(0, 255, 136, 0.9)',
+        down: 'rgba(255, 0, 102, 0.9)',
+        upVolume: 'rgba(0, 255, 136, 0.25)',
+        downVolume: 'rgba(255, 0, 102, 0.25)',
+        ema: '#ffc107',
+        bollinger: 'rgba(0, 243, 255, 0.8)',
+        bollingerMiddle: 'rgba(0, 243, 255, 0.4)'
+    };
+    
+    // Dataset order in the chart
+    const DATASETS = {
+        WICK: 0,
+        BODY: 1,
+        VOLUME: 2,
+        EMA: 3,
+        BB_UPPER: 4,
+        BB_MIDDLE: 5,
+        BB_LOWER: 6
+    };
+    
+    const escapeHtml = UIStream.escapeHtml;
+    const formatNumber = UIStream.formatNumber;
+    
+    // State
+    let symbol = null;
+    let interval = CONFIG.DEFAULT_INTERVAL;
+    let candles = [];
+    let candleSource = null;     // 'binance' or 'engine'
+    let chart = null;
+    let loadSequence = 0;        // Drops responses of superseded loads
+    let latestData = [];         // Analyzed items of the last cycle
+    const overlays = { ema: true, bollinger: false };
+    
+    /**
+     * Interval length in ms
+     * @returns {number}
+     */
+    function getIntervalMs() {
+        return Backtester.parseDuration(interval);
+    }
+    
+    /**
+     * Load candles for the open symbol (klines, or engine history as fallback)
+     * @returns {Promise}
+     */
+    async function loadCandles() {
+        const sequence = ++loadSequence;
+        const requested = symbol;
+        let loaded;
+        let source = 'binance';
+        
+        $('#drawerChartStatus').removeClass('d-none').text('Yükleniyor...');
+        
+        try {
+            const rows = await APIClient.fetchKlines(requested, interval, { limit: CONFIG.CANDLE_LIMIT });
+            loaded = Backtester.parseKlines(rows);
+        } catch (error) {
+            console.warn(`Klines unavailable for ${requested}, using engine history:`, error);
+            const history = await EngineHost.call('getCandles', requested, getIntervalMs());
+            loaded = history.map(candle => ({
+                openTime: candle.time,
+                open: candle.open,
+                high: candle.high,
+                low: candle.low,
+                close: candle.close,
+                volume: 0
+            }));
+            source = 'engine';
+        }
+        
+        if (sequence !== loadSequence) return;
+        
+        candles = loaded.slice(-CONFIG.CANDLE_LIMIT);
+        candleSource = source;
+        
+        $('#drawerChartStatus')
+            .toggleClass('d-none', candles.length > 0 && source === 'binance')
+            .text(candles.length === 0
+                ? 'Grafik için yeterli veri yok.'
+                : 'Binance verisi alınamadı, uygulama fiyat geçmişi gösteriliyor (hacim yok).');
+        
+        renderChart();
+    }
+    
+    /**
+     * Fold a live price into the last candle (or open a new one)
+     * @param {number} price - Latest price
+     * @param {number} timestamp - Sample time (ms)
+     * @returns {boolean} True if the candles changed
+     */
+    function applyLivePrice(price, timestamp) {
+        if (candles.length === 0 || !Number.isFinite(price)) return false;
+        
+        const intervalMs = getIntervalMs();
+        const bucket = Math.floor(timestamp / intervalMs) * intervalMs;
+        const last = candles[candles.length - 1];
+        
+        if (bucket === last.openTime) {
+            last.high = Math.max(last.high, price);
+            last.low = Math.min(last.low, price);
+            last.close = price;
+        } else if (bucket > last.openTime) {
+            candles.push({ openTime: bucket, open: last.close, high: Math.max(last.close, price), low: Math.min(last.close, price), close: price, volume: 0 });
+            if (candles.length > CONFIG.CANDLE_LIMIT) candles.shift();
+        } else {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Time label of a candle
+     * @param {number} time - Open time (ms)
+     * @returns {string}
+     */
+    function formatCandleTime(time) {
+        const date = new Date(time);
+        const intervalMs = getIntervalMs();
+        
+        if (intervalMs >= 24 * 60 * 60 * 1000) {
+            return date.toLocaleDateString('tr-TR', { day: '2-digit', month: '2-digit' });
+        }
+        if (intervalMs >= 60 * 60 * 1000) {
+            return date.toLocaleString('tr-TR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+        }
+        return date.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+    }
+    
+    /**
+     * Chart data for the current candles and overlays
+     * @returns {Object} { labels, datasets }
+     */
+    function buildChartData() {
+        const config = EngineHost.getConfig();
+        const closes = candles.map(candle => candle.close);
+        const ema = Indicators.ema(closes, config.EMA_PERIOD);
+        const bands = Indicators.bollinger(closes, config.BOLLINGER_PERIOD, config.BOLLINGER_STD_DEV);
+        const candleColors = candles.map(candle => candle.close >= candle.open ? COLORS.up : COLORS.down);
+        const line = (label, data, color, hidden) => ({
+            type: 'line',
+            label: label,
+            data: data,
+            borderColor: color,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            spanGaps: false,
+            hidden: hidden,
+            yAxisID: 'y'
+        });
+        
+        return {
+            labels: candles.map(candle => formatCandleTime(candle.openTime)),
+            datasets: [
+                {
+                    label: 'Fitil',
+                    data: candles.map(candle => [candle.low, candle.high]),
+                    backgroundColor: candleColors,
+                    barPercentage: 0.15,
+                    grouped: false,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Mum',
+                    data: candles.map(candle => [candle.open, candle.close]),
+                    backgroundColor: candleColors,
+                    barPercentage: 0.7,
+                    minBarLength: 1,
+                    grouped: false,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Hacim',
+                    data: candles.map(candle => candle.volume),
+                    backgroundColor: candles.map(candle => candle.close >= candle.open ? COLORS.upVolume : COLORS.downVolume),
+                    barPercentage: 0.7,
+                    grouped: false,
+                    yAxisID: 'volume'
+                },
+                line(`EMA ${config.EMA_PERIOD}`, ema, COLORS.ema, !overlays.ema),
+                line('BB Üst', bands.upper, COLORS.bollinger, !overlays.bollinger),
+                line('BB Orta', bands.middle, COLORS.bollingerMiddle, !overlays.bollinger),
+                line('BB Alt', bands.lower, COLORS.bollinger, !overlays.bollinger)
+            ]
+        };
+    }
+    
+    /**
+     * Draw or update the candle chart
+     */
+    function renderChart() {
+        const ctx = document.getElementById('drawerChart');
+        if (!ctx || typeof Chart === 'undefined') return;
+        
+        const data = buildChartData();
+        const maxVolume = Math.max(0, ...candles.map(candle => candle.volume));
+        
+        if (chart) {
+            chart.data.labels = data.labels;
+            data.datasets.forEach((dataset, index) => {
+                Object.assign(chart.data.datasets[index], dataset);
+            });
+            chart.options.scales.volume.max = maxVolume > 0 ? maxVolume / CONFIG.VOLUME_HEIGHT_RATIO : 1;
+            chart.update('none');
+            return;
+        }
+        
+        chart = new Chart(ctx, {
+            type: 'bar',
+            data: data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#00f3ff',
+                        bodyColor: '#fff',
+                        borderColor: '#00f3ff',
+                        borderWidth: 1,
+                        filter: item => item.datasetIndex !== DATASETS.WICK,
+                        callbacks: {
+                            label: function(context) {
+                                const candle = candles[context.dataIndex];
+                                if (!candle) return '';
+                                if (context.datasetIndex === DATASETS.BODY) {
+                                    return `A ${UIStream.formatPrice(candle.open)}  Y ${UIStream.formatPrice(candle.high)}  ` +
+                                        `D ${UIStream.formatPrice(candle.low)}  K ${UIStream.formatPrice(candle.close)}`;
+                                }
+                                if (context.datasetIndex === DATASETS.VOLUME) {
+                                    return `Hacim: ${formatNumber(candle.volume)}`;
+                                }
+                                return context.raw === null ? '' : `${context.dataset.label}: ${UIStream.formatPrice(context.raw)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#adb5bd', maxTicksLimit: 8, maxRotation: 0 },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        position: 'right',
+                        ticks: { color: '#00f3ff' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    volume: {
+                        display: false,
+                        beginAtZero: true,
+                        max: maxVolume > 0 ? maxVolume / CONFIG.VOLUME_HEIGHT_RATIO : 1
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Show / hide overlay datasets
+     */
+    function applyOverlays() {
+        if (!chart) return;
+        
+        chart.data.datasets[DATASETS.EMA].hidden = !overlays.ema;
+        [DATASETS.BB_UPPER, DATASETS.BB_MIDDLE, DATASETS.BB_LOWER].forEach(index => {
+            chart.data.datasets[index].hidden = !overlays.bollinger;
+        });
+        chart.update('none');
+    }
+    
+    /**
+     * Render price summary of the open symbol
+     */
+    function renderSummary() {
+        const item = latestData.find(entry => entry.symbol === symbol);
+        
+        if (!item) {
+            $('#drawerSummary').html('<span class="text-muted">Bu sembol için canlı veri yok.</span>');
+            return;
+        }
+        
+        const change = item.priceChangePercent;
+        const indicators = item.indicators || {};
+        $('#drawerSummary').html(`
+            <span class="drawer-price">${UIStream.formatPrice(item.price)}</span>
+            <span class="${change > 0 ? 'price-up' : (change < 0 ? 'price-down' : 'price-neutral')}">
+                ${change > 0 ? '+' : ''}${formatNumber(change)}%
+            </span>
+            <small class="text-muted ms-2">
+                Volatility ${item.volatility.score}
+                ${indicators.rsi !== null && indicators.rsi !== undefined ? ` · RSI ${formatNumber(indicators.rsi, 1)}` : ''}
+            </small>
+        `);
+    }
+    
+    /**
+     * Load and render the latest stored signals of the open symbol
+     * @returns {Promise}
+     */
+    async function loadSignals() {
+        const requested = symbol;
+        let entries;
+        
+        try {
+            entries = await SignalStore.query({ symbol: requested, limit: CONFIG.SIGNAL_LIMIT });
+        } catch (error) {
+            $('#drawerSignals').html(`<div class="text-muted small p-2">Sinyal geçmişi okunamadı: ${escapeHtml(error.message)}</div>`);
+            return;
+        }
+        
+        if (requested !== symbol) return;
+        
+        // Symbol search also matches base assets; keep this pair only
+        entries = entries.filter(entry => entry.symbol === requested);
+        
+        if (entries.length === 0) {
+            $('#drawerSignals').html('<div class="text-muted small p-2">Bu sembol için kayıtlı sinyal yok.</div>');
+            return;
+        }
+        
+        $('#drawerSignals').html(entries.map(entry => {
+            const move = entry.status === 'closed' ? entry.peakMove : entry.currentMove;
+            const moveHTML = move === null || move === undefined
+                ? ''
+                : `<span class="${move >= 0 ? 'price-up' : 'price-down'}">${move > 0 ? '+' : ''}${formatNumber(move)}%</span>`;
+            
+            return `
+                <div class="drawer-signal">
+                    <div class="d-flex justify-content-between">
+                        <strong>${escapeHtml(entry.type)}</strong>
+                        <small class="text-muted">${new Date(entry.openedAt).toLocaleString('tr-TR')}</small>
+                    </div>
+                    <div class="small">${escapeHtml(entry.message || '')}</div>
+                    <div class="small">
+                        <span class="badge ${entry.status === 'open' ? 'bg-success' : 'bg-secondary'}">${entry.status === 'open' ? 'Açık' : 'Kapandı'}</span>
+                        ${entry.duration ? `<span class="text-muted">${UIStream.formatDuration(entry.duration)}</span>` : ''}
+                        ${moveHTML}
+                    </div>
+                </div>
+            `;
+        }).join(''));
+    }
+    
+    /**
+     * Follow analysis cycles (latest item per symbol; live chart while open)
+     * @param {Object} message - EngineHost analysis message
+     */
+    function handleAnalysis(message) {
+        latestData = message.analyzedData;
+        
+        if (!symbol) return;
+        
+        renderSummary();
+        
+        const item = latestData.find(entry => entry.symbol === symbol);
+        if (item && applyLivePrice(item.price, message.timestamp)) {
+            renderChart();
+        }
+        
+        reloadSignalsIfTouched(message.opened.concat(message.closed));
+    }
+    
+    /**
+     * Reload the signal list when records of the open symbol changed
+     * @param {Array} records - Opened / closed signal records
+     */
+    function reloadSignalsIfTouched(records) {
+        if (symbol && records.some(record => record.symbol === symbol)) {
+            // SignalStore writes asynchronously; read after it had a chance to persist
+            setTimeout(loadSignals, 500);
+        }
+    }
+    
+    /**
+     * Render interval buttons
+     */
+    function renderIntervals() {
+        $('#drawerIntervals').html(CONFIG.INTERVALS.map(value => `
+            <button type="button" class="btn btn-sm btn-outline-danger${value === interval ? ' active' : ''}" data-interval="${value}">${value}</button>
+        `).join(''));
+    }
+    
+    /**
+     * Open the drawer for a symbol
+     * @param {string} nextSymbol - Trading pair symbol
+     */
+    function open(nextSymbol) {
+        symbol = String(nextSymbol).toUpperCase();
+        candles = [];
+        
+        $('#symbolDrawerLabel').text(symbol);
+        $('#drawerSignals').html('<div class="text-muted small p-2">Yükleniyor...</div>');
+        renderIntervals();
+        renderSummary();
+        
+        bootstrap.Offcanvas.getOrCreateInstance(document.getElementById('symbolDrawer')).show();
+        
+        loadCandles().catch(error => {
+            $('#drawerChartStatus').removeClass('d-none').text(`Grafik yüklenemedi: ${error.message}`);
+        });
+        loadSignals();
+    }
+    
+    /**
+     * Select a kline interval for the open symbol
+     * @param {string} nextInterval - One of CONFIG.INTERVALS
+     */
+    function selectInterval(nextInterval) {
+        if (!CONFIG.INTERVALS.includes(nextInterval)) {
+            throw new Error(`Unsupported interval: ${nextInterval}`);
+        }
+        
+        interval = nextInterval;
+        renderIntervals();
+        
+        if (symbol) {
+            loadCandles().catch(error => {
+                $('#drawerChartStatus').removeClass('d-none').text(`Grafik yüklenemedi: ${error.message}`);
+            });
+        }
+    }
+    
+    /**
+     * Forget the open symbol (called when the drawer has closed)
+     */
+    function handleClosed() {
+        symbol = null;
+        candles = [];
+        loadSequence++;
+        if (chart) {
+            chart.destroy();
+            chart = null;
+        }
+    }
+    
+    /**
+     * Get drawer state
+     * @returns {Object} { symbol, interval, candles, source, overlays }
+     */
+    function getState() {
+        return {
+            symbol: symbol,
+            interval: interval,
+            candles: candles.length,
+            source: candleSource,
+            overlays: { ...overlays }
+        };
+    }
+    
+    /**
+     * Initialize drawer
+     */
+    function initialize() {
+        $('#cryptoTableBody').on('click', 'tr.crypto-row', function(event) {
+            if ($(event.target).closest('button, a, input').length) return;
+            open(this.dataset.key);
+        });
+        
+        $('#heatmapContainer').on('click', '.heatmap-tile', function() {
+            open(this.dataset.key);
+        });
+        
+        $('#drawerIntervals').on('click', '[data-interval]', function() {
+            selectInterval(String($(this).data('interval')));
+        });
+        
+        $('#drawerEmaToggle').prop('checked', overlays.ema).on('change', function() {
+            overlays.ema = this.checked;
+            applyOverlays();
+        });
+        
+        $('#drawerBollingerToggle').prop('checked', overlays.bollinger).on('change', function() {
+            overlays.bollinger = this.checked;
+            applyOverlays();
+        });
+        
+        $('#drawerAlertBtn').on('click', function() {
+            if (symbol) AlertsPanel.openFor(symbol);
+        });
+        
+        $('#symbolDrawer').on('hidden.bs.offcanvas', handleClosed);
+        
+        // Signals closed by an engine reset (e.g. entering replay)
+        $(document).on('signalsClosed', function(event, records) {
+            reloadSignalsIfTouched(records);
+        });
+    }
+    
+    // Follow analysis results
+    EngineHost.subscribe(handleAnalysis);
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        open,
+        selectInterval,
+        getState,
+        initialize
+    };
+})();
+
+// Make SymbolDrawer available globally
+window.SymbolDrawer = SymbolDrawer;
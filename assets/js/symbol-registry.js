@@ -0,0 +1,308 @@
+/**
+ * Aegis Crypto-Watch - Symbol Registry
+ *
+ * Responsibilities:
+ * - Resolve base / quote assets per symbol from Binance exchangeInfo
+ *   (suffix matching against known quote assets until it has loaded)
+ * - Track quote asset prices in the reference currency (USDT)
+ * - Convert quote volumes to the reference currency
+ * - Tag base assets with an optional sector (built-in tags, overridable per browser)
+ */
+
+const SymbolRegistry = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        EXCHANGE_INFO_URL: 'https://api.binance.com/api/v3/exchangeInfo',
+        REFERENCE_ASSET: 'USDT'
+    };
+    
+    // Quote assets pegged 1:1 to the reference currency (fiat USD from other exchanges at par)
+    const STABLE_ASSETS = ['USDT', 'USDC', 'FDUSD', 'TUSD', 'BUSD', 'DAI', 'USDP', 'USD'];
+    
+    // Fallback quote suffixes (longest match wins)
+    const KNOWN_QUOTES = [
+        'FDUSD', 'USDT', 'USDC', 'TUSD', 'BUSD', 'USDP', 'DAI',
+        'BTC', 'ETH', 'BNB', 'TRY', 'EUR', 'BRL', 'GBP', 'AUD', 'JPY',
+        'RUB', 'UAH', 'ZAR', 'IDRT', 'BIDR', 'ARS', 'MXN', 'PLN', 'RON', 'COP', 'CZK'
+    ].sort((a, b) => b.length - a.length);
+    
+    const SECTOR_STORAGE_KEY = 'aegis.sectors';
+    const MAX_SECTOR_LENGTH = 30;
+    
+    // Built-in sector tags of well-known base assets
+    const DEFAULT_SECTORS = {
+        BTC: 'Layer 1', ETH: 'Layer 1', BNB: 'Layer 1', SOL: 'Layer 1', ADA: 'Layer 1', AVAX: 'Layer 1',
+        DOT: 'Layer 1', TRX: 'Layer 1', TON: 'Layer 1', NEAR: 'Layer 1', APT: 'Layer 1', SUI: 'Layer 1',
+        ATOM: 'Layer 1', ALGO: 'Layer 1', ICP: 'Layer 1', SEI: 'Layer 1', HBAR: 'Layer 1', EGLD: 'Layer 1',
+        ARB: 'Layer 2', OP: 'Layer 2', POL: 'Layer 2', MATIC: 'Layer 2', STRK: 'Layer 2', IMX: 'Layer 2',
+        UNI: 'DeFi', AAVE: 'DeFi', MKR: 'DeFi', CRV: 'DeFi', LDO: 'DeFi', COMP: 'DeFi', SUSHI: 'DeFi',
+        CAKE: 'DeFi', PENDLE: 'DeFi', JUP: 'DeFi', DYDX: 'DeFi', '1INCH': 'DeFi',
+        DOGE: 'Meme', SHIB: 'Meme', PEPE: 'Meme', FLOKI: 'Meme', BONK: 'Meme', WIF: 'Meme',
+        FET: 'AI', RENDER: 'AI', TAO: 'AI', WLD: 'AI', AGIX: 'AI',
+        LINK: 'Oracle', PYTH: 'Oracle', BAND: 'Oracle',
+        XRP: 'Payments', XLM: 'Payments', LTC: 'Payments', BCH: 'Payments',
+        FIL: 'Storage', AR: 'Storage',
+        AXS: 'Gaming', SAND: 'Gaming', MANA: 'Gaming', GALA: 'Gaming',
+        XMR: 'Privacy', ZEC: 'Privacy',
+        USDC: 'Stablecoin', FDUSD: 'Stablecoin', TUSD: 'Stablecoin', DAI: 'Stablecoin'
+    };
+    
+    // State
+    const symbols = new Map();     // symbol -> { symbol, baseAsset, quoteAsset }
+    const rates = new Map();       // quote asset -> price in reference currency
+    let loadPromise = null;
+    let isLoaded = false;
+    let sectorOverrides = null;    // base asset -> sector (null until first use)
+    
+    /**
+     * Load symbol metadata from exchangeInfo (once)
+     * @returns {Promise<number>} Number of trading symbols
+     */
+    function load() {
+        if (loadPromise) return loadPromise;
+        
+        loadPromise = fetch(CONFIG.EXCHANGE_INFO_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                register(data.symbols || []);
+                isLoaded = true;
+                EventBus.emit('symbolRegistryLoaded', getQuoteAssets());
+                return symbols.size;
+            })
+            .catch(error => {
+                // Suffix matching keeps working; allow a later retry
+                console.warn('exchangeInfo unavailable, using suffix matching:', error);
+                loadPromise = null;
+                return 0;
+            });
+        
+        return loadPromise;
+    }
+    
+    /**
+     * Register symbol metadata (exchangeInfo `symbols` entries)
+     * @param {Array} entries - [{ symbol, baseAsset, quoteAsset, status }]
+     */
+    function register(entries) {
+        entries.forEach(entry => {
+            if (entry.status && entry.status !== 'TRADING') return;
+            
+            symbols.set(entry.symbol, {
+                symbol: entry.symbol,
+                baseAsset: entry.baseAsset,
+                quoteAsset: entry.quoteAsset
+            });
+        });
+    }
+    
+    /**
+     * Resolve base and quote asset of a symbol
+     * @param {string} symbol - Trading pair symbol (e.g. BTCUSDT, USDTTRY)
+     * @returns {Object} { symbol, baseAsset, quoteAsset } (quoteAsset '' if unknown)
+     */
+    function parse(symbol) {
+        const known = symbols.get(symbol);
+        if (known) return { ...known };
+        
+        const quote = KNOWN_QUOTES.find(candidate =>
+            symbol.length > candidate.length && symbol.endsWith(candidate)
+        );
+        
+        return {
+            symbol: symbol,
+            baseAsset: quote ? symbol.slice(0, -quote.length) : symbol,
+            quoteAsset: quote || ''
+        };
+    }
+    
+    /**
+     * Refresh quote asset prices from a full market ticker array
+     * @param {Array} tickers - REST-shaped tickers (all symbols)
+     */
+    function updateRates(tickers) {
+        const reference = CONFIG.REFERENCE_ASSET;
+        const prices = new Map();
+        tickers.forEach(ticker => prices.set(ticker.symbol, parseFloat(ticker.lastPrice)));
+        
+        const quotes = new Set(getQuoteAssets());
+        tickers.forEach(ticker => quotes.add(parse(ticker.symbol).quoteAsset));
+        
+        quotes.forEach(quote => {
+            if (!quote) return;
+            
+            if (quote === reference || STABLE_ASSETS.includes(quote)) {
+                rates.set(quote, 1);
+                return;
+            }
+            
+            const direct = prices.get(`${quote}${reference}`);   // e.g. BTCUSDT
+            const inverse = prices.get(`${reference}${quote}`);  // e.g. USDTTRY
+            
+            if (direct > 0) {
+                rates.set(quote, direct);
+            } else if (inverse > 0) {
+                rates.set(quote, 1 / inverse);
+            }
+        });
+    }
+    
+    /**
+     * Price of a quote asset in the reference currency
+     * @param {string} quoteAsset - Quote asset
+     * @returns {number|null} Rate or null when unknown
+     */
+    function getRate(quoteAsset) {
+        if (quoteAsset === CONFIG.REFERENCE_ASSET || STABLE_ASSETS.includes(quoteAsset)) return 1;
+        return rates.has(quoteAsset) ? rates.get(quoteAsset) : null;
+    }
+    
+    /**
+     * Convert an amount in a quote asset to the reference currency
+     * @param {number} amount - Amount in quote asset
+     * @param {string} quoteAsset - Quote asset
+     * @returns {number|null} Amount in reference currency or null when the rate is unknown
+     */
+    function toReference(amount, quoteAsset) {
+        const rate = getRate(quoteAsset);
+        return rate === null || !Number.isFinite(amount) ? null : amount * rate;
+    }
+    
+    /**
+     * Quote assets known to the registry, most common first
+     * @returns {Array<string>}
+     */
+    function getQuoteAssets() {
+        const counts = new Map();
+        symbols.forEach(entry => {
+            counts.set(entry.quoteAsset, (counts.get(entry.quoteAsset) || 0) + 1);
+        });
+        rates.forEach((rate, quote) => {
+            if (!counts.has(quote)) counts.set(quote, 0);
+        });
+        
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    }
+    
+    /**
+     * Get reference currency
+     * @returns {string}
+     */
+    function getReferenceAsset() {
+        return CONFIG.REFERENCE_ASSET;
+    }
+    
+    /**
+     * Load persisted sector tags (deferred until first use)
+     */
+    function ensureSectorsLoaded() {
+        if (sectorOverrides) return;
+        sectorOverrides = {};
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(SECTOR_STORAGE_KEY) || 'null');
+            if (stored && typeof stored === 'object') sectorOverrides = stored;
+        } catch (error) {
+            // No localStorage (worker, Node.js) or invalid JSON: built-in tags only
+        }
+    }
+    
+    /**
+     * Sector tag of a base asset
+     * @param {string} baseAsset - e.g. 'BTC'
+     * @returns {string|null} Sector or null when untagged
+     */
+    function getSector(baseAsset) {
+        ensureSectorsLoaded();
+        const asset = String(baseAsset || '').toUpperCase();
+        if (Object.prototype.hasOwnProperty.call(sectorOverrides, asset)) {
+            return sectorOverrides[asset] || null;
+        }
+        return DEFAULT_SECTORS[asset] || null;
+    }
+    
+    /**
+     * Tag a base asset with a sector (persisted per browser, announced as 'sectorsChanged')
+     * @param {string} baseAsset - e.g. 'BTC'
+     * @param {string|null} sector - Sector name; '' or null untags the asset, undefined restores the built-in tag
+     */
+    function setSector(baseAsset, sector) {
+        ensureSectorsLoaded();
+        
+        const asset = String(baseAsset || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{1,20}$/.test(asset)) {
+            throw new Error(`Invalid asset: ${baseAsset}`);
+        }
+        
+        if (sector === undefined) {
+            delete sectorOverrides[asset];
+        } else {
+            const value = String(sector || '').trim();
+            if (value.length > MAX_SECTOR_LENGTH) {
+                throw new Error(`Sector must be at most ${MAX_SECTOR_LENGTH} characters`);
+            }
+            sectorOverrides[asset] = value;
+        }
+        
+        try {
+            localStorage.setItem(SECTOR_STORAGE_KEY, JSON.stringify(sectorOverrides));
+        } catch (error) {
+            console.warn('Could not save sector tags:', error);
+        }
+        EventBus.emit('sectorsChanged', getSectors());
+    }
+    
+    /**
+     * All tagged base assets (built-in and per-browser tags)
+     * @returns {Object} { baseAsset: sector }
+     */
+    function getSectors() {
+        ensureSectorsLoaded();
+        const sectors = { ...DEFAULT_SECTORS };
+        Object.keys(sectorOverrides).forEach(asset => {
+            if (sectorOverrides[asset]) {
+                sectors[asset] = sectorOverrides[asset];
+            } else {
+                delete sectors[asset];
+            }
+        });
+        return sectors;
+    }
+    
+    /**
+     * Whether exchangeInfo metadata has been loaded
+     * @returns {boolean}
+     */
+    function isReady() {
+        return isLoaded;
+    }
+    
+    // Public API
+    return {
+        load,
+        register,
+        parse,
+        updateRates,
+        getRate,
+        toReference,
+        getQuoteAssets,
+        getReferenceAsset,
+        getSector,
+        setSector,
+        getSectors,
+        isReady
+    };
+})();
+
+// Make SymbolRegistry available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = SymbolRegistry;
+} else {
+    window.SymbolRegistry = SymbolRegistry;
+}
@@ -0,0 +1,284 @@
+/**
+ * Aegis Crypto-Watch - Table Renderer
+ *
+ * Responsibilities:
+ * - Render only the rows visible in the scroll container (plus overscan)
+ * - Cache row / cell references and rewrite a cell only when its output changed
+ * - Batch all DOM writes into one requestAnimationFrame per frame
+ * - Drop rows whose keys left the dataset
+ *
+ * Works on plain DOM nodes (no jQuery lookups) because it runs every frame.
+ * Rows have a uniform height, measured from the rendered rows; spacer rows
+ * above and below the visible window keep the scrollbar true to the full list.
+ */
+
+const TableRenderer = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        ROW_HEIGHT: 52,   // Initial row height estimate (px), refined by measurement
+        OVERSCAN: 8       // Extra rows rendered above and below the viewport
+    };
+    
+    const requestFrame = typeof window.requestAnimationFrame === 'function'
+        ? callback => window.requestAnimationFrame(callback)
+        : callback => setTimeout(callback, 16);
+    
+    // State
+    let container = null;      // Scroll container element
+    let tbody = null;
+    let columns = [];          // [{ className, html(row), cellClass(row) }]
+    let getKey = row => row.symbol;
+    let onRowRendered = null;  // (tr, row, previousRow) after a row was patched
+    let rows = [];             // Full (filtered, ordered) dataset
+    let rowHeight = CONFIG.ROW_HEIGHT;
+    let frameRequested = false;
+    let topSpacer = null;
+    let bottomSpacer = null;
+    const rendered = new Map(); // key -> { tr, cells, html, classes, row }
+    const pool = [];            // Detached row entries for reuse
+    
+    /**
+     * Create a spacer row
+     * @returns {HTMLTableRowElement}
+     */
+    function createSpacer() {
+        const tr = document.createElement('tr');
+        tr.className = 'virtual-spacer';
+        const td = document.createElement('td');
+        td.colSpan = columns.length;
+        tr.appendChild(td);
+        return tr;
+    }
+    
+    /**
+     * Set spacer height (hidden at zero so it adds no border)
+     * @param {HTMLTableRowElement} spacer - Spacer row
+     * @param {number} height - Height in px
+     */
+    function setSpacerHeight(spacer, height) {
+        const value = `${Math.max(0, Math.round(height))}px`;
+        if (spacer.firstChild.style.height !== value) {
+            spacer.firstChild.style.height = value;
+        }
+        const display = height > 0 ? '' : 'none';
+        if (spacer.style.display !== display) {
+            spacer.style.display = display;
+        }
+    }
+    
+    /**
+     * Take a row entry from the pool or build a new one
+     * @param {string} key - Row key
+     * @returns {Object} Row entry
+     */
+    function acquire(key) {
+        const entry = pool.pop() || (function() {
+            const tr = document.createElement('tr');
+            const cells = columns.map(() => tr.appendChild(document.createElement('td')));
+            return { tr: tr, cells: cells };
+        })();
+        
+        entry.tr.className = 'crypto-row';
+        entry.tr.dataset.key = key;
+        entry.html = new Array(columns.length).fill(null);
+        entry.classes = new Array(columns.length).fill(null);
+        entry.row = null;
+        return entry;
+    }
+    
+    /**
+     * Detach a row entry and keep it for reuse
+     * @param {Object} entry - Row entry
+     */
+    function release(entry) {
+        if (entry.tr.parentNode) {
+            entry.tr.parentNode.removeChild(entry.tr);
+        }
+        pool.push(entry);
+    }
+    
+    /**
+     * Write changed cells of one row
+     * @param {Object} entry - Row entry
+     * @param {Object} row - Row data
+     */
+    function patchRow(entry, row) {
+        columns.forEach((column, index) => {
+            const html = column.html(row);
+            if (entry.html[index] !== html) {
+                entry.cells[index].innerHTML = html;
+                entry.html[index] = html;
+            }
+            
+            const className = column.cellClass
+                ? `${column.className} ${column.cellClass(row)}`
+                : column.className;
+            if (entry.classes[index] !== className) {
+                entry.cells[index].className = className;
+                entry.classes[index] = className;
+            }
+        });
+        
+        const previous = entry.row;
+        entry.row = row;
+        
+        if (onRowRendered) {
+            onRowRendered(entry.tr, row, previous);
+        }
+    }
+    
+    /**
+     * Refine the row height from the rows in the DOM
+     */
+    function measureRowHeight() {
+        if (rendered.size < 2) return;
+        
+        const first = topSpacer.nextSibling;
+        const last = bottomSpacer.previousSibling;
+        const height = (last.offsetTop + last.offsetHeight - first.offsetTop) / rendered.size;
+        
+        if (height > 0 && Math.abs(height - rowHeight) > 0.5) {
+            rowHeight = height;
+            schedule();
+        }
+    }
+    
+    /**
+     * Render the visible window (runs inside requestAnimationFrame)
+     */
+    function flush() {
+        frameRequested = false;
+        if (!tbody) return;
+        
+        // Read layout once, before any write
+        const viewport = container.clientHeight || window.innerHeight;
+        const bodyTop = tbody.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        const offset = container.scrollTop - bodyTop;
+        
+        const total = rows.length;
+        const first = Math.min(total, Math.max(0, Math.floor(offset / rowHeight) - CONFIG.OVERSCAN));
+        const last = Math.min(total, Math.max(first, Math.ceil((offset + viewport) / rowHeight) + CONFIG.OVERSCAN));
+        const visible = rows.slice(first, last);
+        const visibleKeys = new Set(visible.map(getKey));
+        
+        // Rows that scrolled out of view or left the dataset
+        rendered.forEach((entry, key) => {
+            if (!visibleKeys.has(key)) {
+                release(entry);
+                rendered.delete(key);
+            }
+        });
+        
+        setSpacerHeight(topSpacer, first * rowHeight);
+        setSpacerHeight(bottomSpacer, (total - last) * rowHeight);
+        
+        // Patch rows and put them in dataset order (moves only misplaced rows)
+        let cursor = topSpacer;
+        visible.forEach(row => {
+            const key = getKey(row);
+            let entry = rendered.get(key);
+            if (!entry) {
+                entry = acquire(key);
+                rendered.set(key, entry);
+            }
+            
+            patchRow(entry, row);
+            
+            if (cursor.nextSibling !== entry.tr) {
+                tbody.insertBefore(entry.tr, cursor.nextSibling);
+            }
+            cursor = entry.tr;
+        });
+        
+        if (cursor.nextSibling !== bottomSpacer) {
+            tbody.insertBefore(bottomSpacer, cursor.nextSibling);
+        }
+        
+        measureRowHeight();
+    }
+    
+    /**
+     * Request a render on the next animation frame (coalesced)
+     */
+    function schedule() {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestFrame(flush);
+    }
+    
+    /**
+     * Attach the renderer to a table
+     * @param {Object} options - { container, body, columns, getKey, onRowRendered }
+     *   container: scroll container element, body: tbody element,
+     *   columns: [{ className, html(row) -> string, cellClass(row) -> string (optional) }]
+     */
+    function init(options) {
+        if (!options || !options.container || !options.body || !Array.isArray(options.columns)) {
+            throw new Error('TableRenderer needs container, body and columns');
+        }
+        
+        container = options.container;
+        tbody = options.body;
+        columns = options.columns;
+        getKey = options.getKey || getKey;
+        onRowRendered = options.onRowRendered || null;
+        
+        rendered.clear();
+        pool.length = 0;
+        tbody.innerHTML = '';
+        topSpacer = createSpacer();
+        bottomSpacer = createSpacer();
+        tbody.appendChild(topSpacer);
+        tbody.appendChild(bottomSpacer);
+        
+        container.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+        
+        schedule();
+    }
+    
+    /**
+     * Replace the dataset (rendered on the next frame)
+     * @param {Array} nextRows - Rows in display order
+     */
+    function setRows(nextRows) {
+        rows = nextRows;
+        schedule();
+    }
+    
+    /**
+     * Rewrite every visible cell on the next frame (e.g. after a formatting change)
+     */
+    function refresh() {
+        rendered.forEach(entry => {
+            entry.html.fill(null);
+            entry.classes.fill(null);
+        });
+        schedule();
+    }
+    
+    /**
+     * Get render statistics
+     * @returns {Object} { total, rendered, rowHeight }
+     */
+    function getStats() {
+        return {
+            total: rows.length,
+            rendered: rendered.size,
+            rowHeight: rowHeight
+        };
+    }
+    
+    // Public API
+    return {
+        init,
+        setRows,
+        refresh,
+        getStats
+    };
+})();
+
+// Make TableRenderer available globally
+window.TableRenderer = TableRenderer;
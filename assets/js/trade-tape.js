@@ -0,0 +1,648 @@
+/**
+ * Aegis Crypto-Watch - Trade Tape
+ *
+ * Responsibilities:
+ * - Consume Binance aggregated trades (aggTrade stream) for selected symbols
+ * - Flag whale fills: trades above a per-symbol notional size, set as an absolute
+ *   value or as a percentile of recent trade sizes
+ * - Keep the latest whale fills (the whale tape) and announce each one ('whaleTrade')
+ * - Measure buy/sell pressure per symbol over a rolling window and attach it to
+ *   primary tickers (`tape`) for the signal rules
+ * - Persist per-symbol size thresholds per browser (localStorage)
+ *
+ * ingest() accepts stream events and /api/v3/aggTrades responses alike, so a recorded
+ * payload can be replayed through the tape without any network access. Sizes are
+ * expressed in the reference currency (see SymbolRegistry).
+ */
+
+const TradeTape = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'aegis.tradeTape';
+    
+    const THRESHOLD_MODES = ['percentile', 'absolute'];
+    
+    // Configuration
+    const CONFIG = {
+        STREAM_URL: 'wss://stream.binance.com:9443/stream',
+        PRIMARY_EXCHANGE: 'binance',
+        MAX_SYMBOLS: 10,                // Symbols followed (watchlist first, then top volume)
+        DEFAULT_PERCENTILE: 99,         // Whale = fill above the 99th percentile of recent sizes
+        MIN_WHALE_NOTIONAL: 50000,      // ... and at least 50K USDT-equivalent (percentile mode)
+        SAMPLE_SIZE: 1000,              // Recent fills per symbol the percentile is taken from
+        MIN_SAMPLE: 100,                // Percentile applies once this many fills are known
+        THRESHOLD_REFRESH: 50,          // Recompute the percentile every 50 fills
+        PRESSURE_WINDOW_MS: 5 * 60 * 1000, // Buy/sell pressure over the last 5 minutes
+        TAPE_LIMIT: 100,                // Whale fills kept for the tape
+        RECONNECT_DELAY: 1000,          // Initial reconnect delay
+        RECONNECT_MAX_DELAY: 30000      // Reconnect backoff cap
+    };
+    
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Editable settings and their valid ranges
+    const CONFIG_SCHEMA = {
+        MAX_SYMBOLS: { label: 'Trade tape symbols', min: 1, max: 50, integer: true },
+        DEFAULT_PERCENTILE: { label: 'Whale fill percentile (default)', min: 50, max: 99.99 },
+        MIN_WHALE_NOTIONAL: { label: 'Whale fill min. size (USDT equiv.)', min: 0, max: 1e12 },
+        SAMPLE_SIZE: { label: 'Fills sampled for the percentile', min: 100, max: 10000, integer: true },
+        PRESSURE_WINDOW_MS: { label: 'Buy/sell pressure window (ms)', min: 10000, max: 60 * 60 * 1000, integer: true },
+        TAPE_LIMIT: { label: 'Whale tape length', min: 10, max: 1000, integer: true }
+    };
+    
+    // State
+    const symbolStates = new Map();   // symbol -> { sizes, trades, lastId, threshold, sinceRefresh }
+    let thresholds = {};              // symbol -> { mode, value } set by the user
+    let tape = [];                    // Latest whale fills, newest first
+    let watchedSymbols = [];
+    let subscribed = new Set();       // Streams the socket is subscribed to
+    let socket = null;
+    let reconnectTimer = null;
+    let reconnectAttempts = 0;
+    let requestId = 0;
+    let isRunning = false;
+    let unsubscribe = null;
+    let isLoaded = false;
+    
+    /**
+     * Load persisted thresholds (deferred until first use)
+     */
+    function ensureLoaded() {
+        if (isLoaded) return;
+        isLoaded = true;
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            thresholds = (stored && stored.thresholds) || {};
+        } catch (error) {
+            console.warn('Could not load trade tape thresholds:', error);
+            thresholds = {};
+        }
+    }
+    
+    /**
+     * Persist thresholds and announce the change ('tradeTapeChanged')
+     */
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ thresholds: thresholds }));
+        } catch (error) {
+            console.warn('Could not save trade tape thresholds:', error);
+        }
+        EventBus.emit('tradeTapeChanged', getThresholds());
+    }
+    
+    /**
+     * Value at a percentile of a numeric list (nearest rank)
+     * @param {Array<number>} values - Values
+     * @param {number} percentile - 0..100
+     * @returns {number|null} Value or null for an empty list
+     */
+    function percentileOf(values, percentile) {
+        if (values.length === 0) return null;
+        
+        const sorted = values.slice().sort((a, b) => a - b);
+        const rank = Math.ceil((percentile / 100) * sorted.length);
+        return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+    }
+    
+    /**
+     * Per-symbol state, created on first use
+     * @param {string} symbol - Symbol
+     * @returns {Object}
+     */
+    function getState(symbol) {
+        if (!symbolStates.has(symbol)) {
+            symbolStates.set(symbol, { sizes: [], trades: [], lastId: null, threshold: null, sinceRefresh: 0 });
+        }
+        return symbolStates.get(symbol);
+    }
+    
+    /**
+     * Size setting of a symbol (user threshold or the default percentile)
+     * @param {string} symbol - Symbol
+     * @returns {Object} { mode, value, custom }
+     */
+    function getSizeSetting(symbol) {
+        ensureLoaded();
+        const custom = thresholds[symbol];
+        return custom
+            ? { mode: custom.mode, value: custom.value, custom: true }
+            : { mode: 'percentile', value: CONFIG.DEFAULT_PERCENTILE, custom: false };
+    }
+    
+    /**
+     * Recompute the whale size of a symbol from its setting and recent fills
+     * @param {string} symbol - Symbol
+     * @param {Object} state - Symbol state
+     */
+    function refreshThreshold(symbol, state) {
+        const setting = getSizeSetting(symbol);
+        state.sinceRefresh = 0;
+        
+        if (setting.mode === 'absolute') {
+            state.threshold = setting.value;
+        } else if (state.sizes.length >= CONFIG.MIN_SAMPLE) {
+            state.threshold = Math.max(percentileOf(state.sizes, setting.value), CONFIG.MIN_WHALE_NOTIONAL);
+        } else {
+            state.threshold = null; // Not enough fills yet
+        }
+    }
+    
+    /**
+     * Normalise one aggregated trade (stream event or REST entry)
+     * @param {Object} raw - { a, p, q, T, m } (+ s on stream events)
+     * @param {string} symbol - Symbol for REST entries
+     * @param {number} rate - Quote asset price in the reference currency
+     * @returns {Object|null} { id, symbol, price, quantity, notional, side, time }
+     */
+    function normalizeTrade(raw, symbol, rate) {
+        const price = Number(raw.p);
+        const quantity = Number(raw.q);
+        if (!(price > 0) || !(quantity > 0)) return null;
+        
+        return {
+            id: raw.a,
+            symbol: raw.s || symbol,
+            price: price,
+            quantity: quantity,
+            notional: price * quantity * rate,
+            side: raw.m ? 'sell' : 'buy',   // Buyer is maker: the taker sold
+            time: Number(raw.T) || Date.now()
+        };
+    }
+    
+    /**
+     * Feed aggregated trades of one symbol through the tape
+     * Fills already seen (by aggregate trade id) are skipped.
+     * @param {string} symbol - Binance symbol (e.g. BTCUSDT)
+     * @param {Array|Object} trades - aggTrade event(s) or an /api/v3/aggTrades response
+     * @param {Object} options - { announce: false to keep whale fills off the tape (backfill) }
+     * @returns {Array} Whale fills found
+     */
+    function ingest(symbol, trades, options = {}) {
+        const rate = SymbolRegistry.getRate(SymbolRegistry.parse(symbol).quoteAsset);
+        if (rate === null) return [];
+        
+        const state = getState(symbol);
+        const announce = options.announce !== false;
+        const whales = [];
+        
+        (Array.isArray(trades) ? trades : [trades]).forEach(raw => {
+            const trade = normalizeTrade(raw, symbol, rate);
+            if (!trade) return;
+            if (state.lastId !== null && trade.id !== undefined && trade.id <= state.lastId) return;
+            if (trade.id !== undefined) state.lastId = trade.id;
+            
+            if (state.threshold === null || state.sinceRefresh >= CONFIG.THRESHOLD_REFRESH) {
+                refreshThreshold(symbol, state);
+            }
+            
+            trade.whale = state.threshold !== null && trade.notional >= state.threshold;
+            trade.threshold = state.threshold;
+            
+            state.sizes.push(trade.notional);
+            if (state.sizes.length > CONFIG.SAMPLE_SIZE) {
+                state.sizes.splice(0, state.sizes.length - CONFIG.SAMPLE_SIZE);
+            }
+            state.sinceRefresh++;
+            
+            state.trades.push({ time: trade.time, side: trade.side, notional: trade.notional, whale: trade.whale });
+            
+            if (trade.whale) {
+                whales.push(trade);
+                if (announce) {
+                    tape.unshift(trade);
+                    if (tape.length > CONFIG.TAPE_LIMIT) tape.length = CONFIG.TAPE_LIMIT;
+                    EventBus.emit('whaleTrade', trade);
+                }
+            }
+        });
+        
+        if (state.trades.length > 0) {
+            prune(state, state.trades[state.trades.length - 1].time);
+        }
+        return whales;
+    }
+    
+    /**
+     * Drop fills older than the pressure window
+     * @param {Object} state - Symbol state
+     * @param {number} now - Time of the latest fill (ms)
+     */
+    function prune(state, now) {
+        const cutoff = now - CONFIG.PRESSURE_WINDOW_MS;
+        let index = 0;
+        while (index < state.trades.length && state.trades[index].time < cutoff) index++;
+        if (index > 0) state.trades.splice(0, index);
+    }
+    
+    /**
+     * Pressure of two volumes
+     * @param {number} buy - Buy volume
+     * @param {number} sell - Sell volume
+     * @returns {number} -100 (sells only) .. +100 (buys only)
+     */
+    function pressureOf(buy, sell) {
+        const total = buy + sell;
+        return total > 0 ? ((buy - sell) / total) * 100 : 0;
+    }
+    
+    /**
+     * Buy/sell pressure of a symbol over the pressure window
+     * @param {string} symbol - Symbol
+     * @param {number} now - Current time (ms)
+     * @returns {Object|null} { trades, buyVolume, sellVolume, pressure, whaleTrades, whaleBuys, whaleSells,
+     *   whaleBuyVolume, whaleSellVolume, whalePressure, threshold, window } or null when not followed
+     */
+    function getPressure(symbol, now = Date.now()) {
+        const state = symbolStates.get(symbol);
+        if (!state) return null;
+        
+        const cutoff = now - CONFIG.PRESSURE_WINDOW_MS;
+        const metrics = {
+            trades: 0,
+            buyVolume: 0,
+            sellVolume: 0,
+            whaleTrades: 0,
+            whaleBuys: 0,
+            whaleSells: 0,
+            whaleBuyVolume: 0,
+            whaleSellVolume: 0
+        };
+        
+        state.trades.forEach(trade => {
+            if (trade.time < cutoff) return;
+            
+            metrics.trades++;
+            metrics[trade.side === 'buy' ? 'buyVolume' : 'sellVolume'] += trade.notional;
+            if (trade.whale) {
+                metrics.whaleTrades++;
+                if (trade.side === 'buy') {
+                    metrics.whaleBuys++;
+                    metrics.whaleBuyVolume += trade.notional;
+                } else {
+                    metrics.whaleSells++;
+                    metrics.whaleSellVolume += trade.notional;
+                }
+            }
+        });
+        
+        metrics.pressure = pressureOf(metrics.buyVolume, metrics.sellVolume);
+        metrics.whalePressure = pressureOf(metrics.whaleBuyVolume, metrics.whaleSellVolume);
+        metrics.threshold = state.threshold;
+        metrics.window = CONFIG.PRESSURE_WINDOW_MS;
+        
+        return metrics;
+    }
+    
+    /**
+     * Attach buy/sell pressure to primary tickers
+     * Adds `tape` for followed symbols that traded within the pressure window.
+     * @param {Array} tickers - Internal tickers from the primary exchange
+     * @param {number} now - Current time (ms)
+     * @returns {Array} The same tickers
+     */
+    function annotate(tickers, now = Date.now()) {
+        tickers.forEach(ticker => {
+            if ((ticker.exchange || CONFIG.PRIMARY_EXCHANGE) !== CONFIG.PRIMARY_EXCHANGE) return;
+            
+            const metrics = getPressure(ticker.symbol, now);
+            if (metrics && metrics.trades > 0) {
+                ticker.tape = metrics;
+            }
+        });
+        
+        return tickers;
+    }
+    
+    // ---- Stream ----
+    
+    /**
+     * Stream name of a symbol
+     * @param {string} symbol - Symbol
+     * @returns {string}
+     */
+    function streamName(symbol) {
+        return `${symbol.toLowerCase()}@aggTrade`;
+    }
+    
+    /**
+     * Send a (un)subscribe request over the open socket
+     * @param {string} method - 'SUBSCRIBE' or 'UNSUBSCRIBE'
+     * @param {Array<string>} streams - Stream names
+     */
+    function sendMethod(method, streams) {
+        if (streams.length === 0 || !socket || socket.readyState !== 1) return;
+        socket.send(JSON.stringify({ method: method, params: streams, id: ++requestId }));
+    }
+    
+    /**
+     * Bring socket subscriptions in line with the followed symbols
+     */
+    function syncSubscriptions() {
+        const wanted = new Set(watchedSymbols.map(streamName));
+        const added = Array.from(wanted).filter(stream => !subscribed.has(stream));
+        const removed = Array.from(subscribed).filter(stream => !wanted.has(stream));
+        
+        sendMethod('UNSUBSCRIBE', removed);
+        sendMethod('SUBSCRIBE', added);
+        if (socket && socket.readyState === 1) subscribed = wanted;
+    }
+    
+    /**
+     * Handle one socket message
+     * @param {string} data - Raw message
+     */
+    function handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        const event = message && message.data;
+        if (event && event.e === 'aggTrade' && event.s) {
+            ingest(event.s, event);
+        }
+    }
+    
+    /**
+     * Open the aggTrade socket (reconnects with backoff while running)
+     */
+    function connect() {
+        const Socket = globalThis.WebSocket;
+        if (!isRunning || !Socket) {
+            if (!Socket) console.warn('WebSocket is not available; the trade tape only takes ingest() input');
+            return;
+        }
+        
+        socket = new Socket(CONFIG.STREAM_URL);
+        subscribed = new Set();
+        
+        socket.onopen = () => {
+            reconnectAttempts = 0;
+            syncSubscriptions();
+            EventBus.emit('tradeTapeStatus', getStatus());
+        };
+        socket.onmessage = event => handleMessage(event.data);
+        socket.onerror = () => {
+            // onclose follows and schedules the reconnect
+        };
+        socket.onclose = () => {
+            socket = null;
+            subscribed = new Set();
+            EventBus.emit('tradeTapeStatus', getStatus());
+            scheduleReconnect();
+        };
+    }
+    
+    /**
+     * Reconnect after a jittered exponential delay
+     */
+    function scheduleReconnect() {
+        if (!isRunning || reconnectTimer) return;
+        
+        const base = Math.min(CONFIG.RECONNECT_DELAY * Math.pow(2, reconnectAttempts), CONFIG.RECONNECT_MAX_DELAY);
+        const delay = Math.round(base / 2 + Math.random() * base / 2);
+        reconnectAttempts++;
+        
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delay);
+    }
+    
+    /**
+     * Follow watchlist symbols, then the top symbols by volume
+     * @param {Array} analyzedData - Analyzed ticker data
+     */
+    function watchSymbols(analyzedData) {
+        const listed = new Set(analyzedData.map(item => item.symbol));
+        const byVolume = analyzedData
+            .slice()
+            .sort((a, b) => (b.volumeRef || 0) - (a.volumeRef || 0))
+            .map(item => item.symbol);
+        const seen = new Set();
+        
+        const next = Watchlist.list()
+            .filter(symbol => listed.has(symbol))
+            .concat(byVolume)
+            .filter(symbol => !seen.has(symbol) && seen.add(symbol))
+            .slice(0, CONFIG.MAX_SYMBOLS);
+        
+        if (next.join() === watchedSymbols.join()) return;
+        
+        // Forget symbols no longer followed
+        symbolStates.forEach((state, symbol) => {
+            if (!next.includes(symbol)) symbolStates.delete(symbol);
+        });
+        
+        watchedSymbols = next;
+        syncSubscriptions();
+    }
+    
+    // ---- Thresholds ----
+    
+    /**
+     * Set the whale size of a symbol
+     * @param {string} symbol - Symbol (e.g. BTCUSDT)
+     * @param {Object} setting - { mode: 'percentile' (value 50..99.99) or 'absolute' (value in USDT equiv.) }
+     * @returns {Object} Stored setting
+     */
+    function setThreshold(symbol, setting) {
+        ensureLoaded();
+        
+        const key = String(symbol || '').trim().toUpperCase();
+        const mode = setting && setting.mode;
+        const value = Number(setting && setting.value);
+        
+        if (!key) {
+            throw new Error('Symbol is required');
+        }
+        if (!THRESHOLD_MODES.includes(mode)) {
+            throw new Error(`Mode must be one of: ${THRESHOLD_MODES.join(', ')}`);
+        }
+        if (mode === 'percentile' && !(value >= 50 && value <= 99.99)) {
+            throw new Error('Percentile must be between 50 and 99.99');
+        }
+        if (mode === 'absolute' && !(value > 0)) {
+            throw new Error('Size must be a positive number');
+        }
+        
+        thresholds[key] = { mode: mode, value: value };
+        if (symbolStates.has(key)) refreshThreshold(key, symbolStates.get(key));
+        save();
+        
+        return { ...thresholds[key] };
+    }
+    
+    /**
+     * Return a symbol to the default percentile
+     * @param {string} symbol - Symbol
+     */
+    function clearThreshold(symbol) {
+        ensureLoaded();
+        if (!thresholds[symbol]) return;
+        
+        delete thresholds[symbol];
+        if (symbolStates.has(symbol)) refreshThreshold(symbol, symbolStates.get(symbol));
+        save();
+    }
+    
+    /**
+     * Get user thresholds
+     * @returns {Object} { symbol: { mode, value } }
+     */
+    function getThresholds() {
+        ensureLoaded();
+        return JSON.parse(JSON.stringify(thresholds));
+    }
+    
+    /**
+     * Get the effective whale size of a symbol
+     * @param {string} symbol - Symbol
+     * @returns {Object} { mode, value, custom, notional (null until enough fills are known) }
+     */
+    function getThreshold(symbol) {
+        const state = symbolStates.get(symbol);
+        return { ...getSizeSetting(symbol), notional: state ? state.threshold : null };
+    }
+    
+    /**
+     * Get the latest whale fills
+     * @param {number} limit - Max entries
+     * @returns {Array} Newest first
+     */
+    function getTape(limit = CONFIG.TAPE_LIMIT) {
+        return tape.slice(0, limit).map(trade => ({ ...trade }));
+    }
+    
+    /**
+     * Clear the whale tape (pressure metrics are kept)
+     */
+    function clearTape() {
+        tape = [];
+        EventBus.emit('tradeTapeCleared');
+    }
+    
+    /**
+     * Get tape status
+     * @returns {Object} { running, connected, watched }
+     */
+    function getStatus() {
+        return {
+            running: isRunning,
+            connected: Boolean(socket && socket.readyState === 1),
+            watched: watchedSymbols.slice()
+        };
+    }
+    
+    /**
+     * Start following aggregated trades
+     */
+    function start() {
+        if (isRunning) return;
+        
+        ensureLoaded();
+        isRunning = true;
+        
+        // Live trades only: a recording replays the pressure it captured
+        unsubscribe = EngineHost.subscribe(message => {
+            if (message.source !== 'replay') watchSymbols(message.analyzedData);
+        });
+        
+        connect();
+    }
+    
+    /**
+     * Stop following trades
+     */
+    function stop() {
+        isRunning = false;
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+            socket = null;
+        }
+        subscribed = new Set();
+        reconnectAttempts = 0;
+    }
+    
+    /**
+     * Get current configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG };
+    }
+    
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update configuration (size thresholds are recomputed on the next fills)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        Object.assign(CONFIG, ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'trade tape'));
+        symbolStates.forEach(state => {
+            state.sinceRefresh = CONFIG.THRESHOLD_REFRESH;
+        });
+        return getConfig();
+    }
+    
+    /**
+     * Reset editable settings to defaults
+     * @returns {Object} New configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
+    // Public API
+    return {
+        start,
+        stop,
+        ingest,
+        annotate,
+        getPressure,
+        getTape,
+        clearTape,
+        setThreshold,
+        clearThreshold,
+        getThresholds,
+        getThreshold,
+        getStatus,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig
+    };
+})();
+
+// Make TradeTape available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = TradeTape;
+} else {
+    window.TradeTape = TradeTape;
+}
@@ -2,21 +2,129 @@
  * Aegis Crypto-Watch - UI Stream Module
  * 
  * Responsibilities:
- * - Direct DOM Update strategy (update only changed cells)
+ * - Crypto table columns on top of TableRenderer (virtualized, frame-batched)
  * - High-frequency UI updates without full table refresh
- * - Signal logs management
+ * - Signal logs management (opened / resolved signals, triggered user alerts)
  * - Chart.js integration for Top 5 Gainers
- * - Search/filter functionality
+ * - Search, multi-criteria filter bar and column sorting (shown as removable chips)
+ * - Watchlist tab and star toggle (watched symbols pinned to the top)
+ * - Table / heatmap toggle: treemap tiles on top of HeatmapView (colour mode, sector grouping)
+ * - Table view (search, filters, sort, tab, display mode) persisted per browser
+ * - Quote asset selector (persisted per browser)
+ * - Connection badge and last update time
  * - jQuery effects and animations
  */
 
 const UIStream = (function() {
     'use strict';
     
+    // Connection badge per APIClient status
+    const CONNECTION_STATUSES = {
+        connected: { label: 'Connected', className: 'status-connected' },
+        streaming: { label: 'Live Stream', className: 'status-connected' },
+        connecting: { label: 'Connecting...', className: 'status-connecting' },
+        stale: { label: 'Stale', className: 'status-stale' },
+        limited: { label: 'Rate Limited', className: 'status-error' },
+        error: { label: 'Connection Error', className: 'status-error' },
+        replay: { label: 'Replay', className: 'status-replay' }
+    };
+    
+    // Signal badge / log presentation per signal type
+    const SIGNAL_STYLES = {
+        WHALE_ACTIVITY: { label: '🐋 WHALE', badgeClass: 'signal-whale', logClass: 'signal-log-whale', icon: '🐋' },
+        PANIC_SELL: { label: '⚠️ PANIC', badgeClass: 'signal-panic', logClass: 'signal-log-panic', icon: '⚠️' },
+        BREAKOUT_UP: { label: '🚀 BREAKOUT', badgeClass: 'signal-breakout-up', logClass: 'signal-log-whale', icon: '🚀' },
+        BREAKOUT_DOWN: { label: '📉 BREAKDOWN', badgeClass: 'signal-breakout-down', logClass: 'signal-log-panic', icon: '📉' },
+        MACD_CROSS: { label: '✳️ MACD', badgeClass: 'signal-macd', logClass: 'signal-log-info', icon: '✳️' },
+        OVERBOUGHT: { label: '🔥 OVERBOUGHT', badgeClass: 'signal-overbought', logClass: 'signal-log-warning', icon: '🔥' },
+        OVERSOLD: { label: '🧊 OVERSOLD', badgeClass: 'signal-oversold', logClass: 'signal-log-info', icon: '🧊' },
+        ARBITRAGE: { label: '⚖️ ARB', badgeClass: 'signal-arbitrage', logClass: 'signal-log-info', icon: '⚖️' },
+        BUY_WALL: { label: '🧱 BID WALL', badgeClass: 'signal-wall-buy', logClass: 'signal-log-whale', icon: '🧱' },
+        SELL_WALL: { label: '🧱 ASK WALL', badgeClass: 'signal-wall-sell', logClass: 'signal-log-panic', icon: '🧱' },
+        IMBALANCE: { label: '📊 IMBALANCE', badgeClass: 'signal-imbalance', logClass: 'signal-log-info', icon: '📊' },
+        WHALE_BUYING: { label: '🐳 WHALE BUY', badgeClass: 'signal-whale', logClass: 'signal-log-whale', icon: '🐳' },
+        WHALE_SELLING: { label: '🐳 WHALE SELL', badgeClass: 'signal-panic', logClass: 'signal-log-panic', icon: '🐳' },
+        VOLUME_SPIKE: { label: '📈 VOL SPIKE', badgeClass: 'signal-volume-spike', logClass: 'signal-log-warning', icon: '📈' },
+        MARKET_WIDE_SELLOFF: { label: '🌊 SELLOFF', badgeClass: 'signal-market-selloff', logClass: 'signal-log-panic', icon: '🌊' }
+    };
+    
+    // Market-wide signal types (never on a table row, so not offered as a filter)
+    const MARKET_SIGNALS = ['MARKET_WIDE_SELLOFF'];
+    
+    // Signal types whose logs carry the order book summary
+    const DEPTH_SIGNALS = ['BUY_WALL', 'SELL_WALL', 'IMBALANCE'];
+    
+    // Signal types whose logs carry the trade tape summary
+    const TAPE_SIGNALS = ['WHALE_ACTIVITY', 'WHALE_BUYING', 'WHALE_SELLING'];
+    
+    // Fallback presentation for user-defined rule signals
+    const CUSTOM_SIGNAL_STYLE = { logClass: 'signal-log-info', icon: '📌' };
+    
+    const QUOTE_STORAGE_KEY = 'aegis.quoteAsset';
+    const VIEW_STORAGE_KEY = 'aegis.tableView';  // Search, filters, sort, tab and display mode
+    
+    // Table tabs
+    const TABLE_VIEWS = {
+        ALL: 'all',
+        WATCHLIST: 'watchlist'
+    };
+    
+    // Market data display modes
+    const DISPLAY_MODES = {
+        TABLE: 'table',
+        HEATMAP: 'heatmap'
+    };
+    
+    // Heatmap tile colouring
+    const HEATMAP_COLORS = {
+        change: '24h Değişim',
+        volatility: 'Volatility Score'
+    };
+    const HEATMAP_CHANGE_RANGE = 10;   // ±%10 change = full colour
+    const UNTAGGED_SECTOR = 'Diğer';
+    
+    // Quote assets offered before exchangeInfo has loaded
+    const DEFAULT_QUOTES = ['USDT', 'FDUSD', 'USDC', 'BTC', 'ETH', 'BNB', 'TRY', 'EUR'];
+    const MAX_QUOTE_OPTIONS = 12;
+    
+    // Sortable columns (header data-sort value -> label and sort value)
+    const SORT_FIELDS = {
+        price: { label: 'Fiyat', value: data => data.price },
+        change: { label: '24h Değişim', value: data => data.priceChangePercent },
+        volume: { label: 'Hacim', value: data => getDisplayVolume(data) },
+        surge: { label: 'Volume Surge', value: data => data.volumeSurge ? data.volumeSurge.zScore : null },
+        volatility: { label: 'Volatility', value: data => data.volatility.score },
+        signal: { label: 'Signal', value: data => getSignalRank(data.signal) }
+    };
+    
+    const SIGNAL_PRIORITY_RANKS = { high: 3, medium: 2, low: 1 };
+    
+    const VOLATILITY_LEVELS = {
+        high: 'Yüksek',
+        medium: 'Orta',
+        low: 'Düşük'
+    };
+    
+    // Filter value that matches any active (non-neutral) signal
+    const ANY_SIGNAL = 'ANY';
+    
+    const DEFAULT_FILTERS = {
+        volatility: '',       // '' or a VOLATILITY_LEVELS key
+        signal: '',           // '' , ANY_SIGNAL or a signal type
+        minVolume: null,      // Reference-currency volume
+        minChange: null,      // 24h change range (%)
+        maxChange: null
+    };
+    
     // State
     let chartInstance = null;
     let allCryptoData = [];
     let filteredCryptoData = [];
+    let sortState = { key: null, direction: 'desc' };  // key null = API (volume) order
+    let filters = { ...DEFAULT_FILTERS };
+    let tableView = TABLE_VIEWS.ALL;
+    let displayMode = DISPLAY_MODES.TABLE;
+    let heatmapState = { color: 'change', group: false };
     
     /**
      * Format number with commas and decimals
@@ -31,6 +139,48 @@ const UIStream = (function() {
         });
     }
     
+    /**
+     * Format price with precision suited to its magnitude (e.g. BTC-quoted pairs)
+     * @param {number} num - Price
+     * @returns {string} Formatted price
+     */
+    function formatPrice(num) {
+        const abs = Math.abs(num);
+        if (abs >= 1 || abs === 0) return formatNumber(num, 2);
+        if (abs >= 0.01) return formatNumber(num, 4);
+        return formatNumber(num, 8);
+    }
+    
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Trigger a file download
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type
+     */
+    function downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
     /**
      * Format large numbers (volume, etc.)
      * @param {number} num - Number to format
@@ -45,6 +195,43 @@ const UIStream = (function() {
         return formatNumber(num, 0);
     }
     
+    /**
+     * Volume shown in the table: reference-currency volume when known
+     * @param {Object} cryptoData - Analyzed crypto data
+     * @returns {number}
+     */
+    function getDisplayVolume(cryptoData) {
+        return cryptoData.volumeRef !== null && cryptoData.volumeRef !== undefined
+            ? cryptoData.volumeRef
+            : cryptoData.quoteVolume;
+    }
+    
+    /**
+     * Pair label (base asset with muted quote asset)
+     * @param {Object} data - Object with baseAsset / quoteAsset
+     * @returns {string} HTML
+     */
+    function getPairHTML(data) {
+        const quote = data.quoteAsset ? `<small class="coin-quote">/${escapeHtml(data.quoteAsset)}</small>` : '';
+        return `${escapeHtml(data.baseAsset)}${quote}`;
+    }
+    
+    /**
+     * Format duration (e.g. "12dk 5sn", "1sa 3dk")
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    function formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.round(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        
+        if (hours > 0) return `${hours}sa ${minutes}dk`;
+        if (minutes > 0) return `${minutes}dk ${seconds}sn`;
+        return `${seconds}sn`;
+    }
+    
     /**
      * Get price change color class
      * @param {number} priceChangePercent - Price change percentage
@@ -62,14 +249,241 @@ const UIStream = (function() {
      * @returns {string} HTML string
      */
     function getSignalBadgeHTML(signal) {
-        if (signal.type === 'WHALE_ACTIVITY') {
-            return '<span class="signal-badge signal-whale">🐋 WHALE</span>';
-        } else if (signal.type === 'PANIC_SELL') {
-            return '<span class="signal-badge signal-panic">⚠️ PANIC</span>';
+        // Signal held back by its cooldown (the row counts as neutral)
+        if (signal.cooldown) {
+            const waiting = signal.cooldown;
+            const style = SIGNAL_STYLES[waiting.type];
+            const label = waiting.badge ? waiting.badge.label : (style ? style.label : waiting.type);
+            const until = new Date(waiting.until).toLocaleTimeString('tr-TR');
+            return `<span class="signal-badge signal-cooldown" title="${escapeHtml(waiting.message)} — bekleme bitişi: ${until}">` +
+                `⏳ ${escapeHtml(label)}</span>`;
+        }
+        
+        // Rule signals carry their own badge style
+        if (signal.badge) {
+            return `<span class="signal-badge ${signal.badge.className}" title="${escapeHtml(signal.message)}">${escapeHtml(signal.badge.label)}</span>`;
+        }
+        
+        const style = SIGNAL_STYLES[signal.type];
+        if (style) {
+            return `<span class="signal-badge ${style.badgeClass}" title="${escapeHtml(signal.message)}">${style.label}</span>`;
         }
         return '<span class="signal-badge signal-neutral">—</span>';
     }
     
+    /**
+     * Get RSI cell HTML
+     * @param {Object} indicators - Indicator snapshot
+     * @returns {string} HTML string
+     */
+    function getRsiHTML(indicators) {
+        if (!indicators || indicators.rsi === null) {
+            return '<span class="text-muted">—</span>';
+        }
+        
+        let rsiClass = 'rsi-neutral';
+        if (indicators.rsi >= 70) rsiClass = 'rsi-overbought';
+        if (indicators.rsi <= 30) rsiClass = 'rsi-oversold';
+        
+        return `<span class="${rsiClass}">${formatNumber(indicators.rsi, 1)}</span>`;
+    }
+    
+    /**
+     * Get short indicator summary for signal logs
+     * @param {Object} indicators - Indicator snapshot
+     * @returns {string} Summary text (empty if nothing computed yet)
+     */
+    function getIndicatorSummary(indicators) {
+        if (!indicators) return '';
+        
+        const parts = [];
+        if (indicators.rsi !== null) {
+            parts.push(`RSI: ${formatNumber(indicators.rsi, 1)}`);
+        }
+        if (indicators.macd) {
+            parts.push(`MACD Hist: ${formatNumber(indicators.macd.histogram, 4)}`);
+        }
+        if (indicators.bollinger) {
+            parts.push(`BB: ${formatNumber(indicators.bollinger.lower)} - ${formatNumber(indicators.bollinger.upper)}`);
+        }
+        if (indicators.atr !== null) {
+            parts.push(`ATR: ${formatNumber(indicators.atr, 4)}`);
+        }
+        
+        return parts.join(' | ');
+    }
+    
+    /**
+     * Short exchange label (e.g. CB for Coinbase)
+     * @param {string} exchange - Exchange id
+     * @returns {string}
+     */
+    function getExchangeLabel(exchange) {
+        const adapter = ExchangeAdapters.list().find(entry => entry.id === exchange);
+        return adapter ? adapter.shortName : exchange.toUpperCase();
+    }
+    
+    /**
+     * Get cross-exchange prices cell HTML (reference-currency prices and spread)
+     * @param {Object} cryptoData - Analyzed crypto data
+     * @returns {string} HTML string
+     */
+    function getVenuesHTML(cryptoData) {
+        const spread = cryptoData.venueSpread;
+        if (!spread) {
+            return '<span class="text-muted">—</span>';
+        }
+        
+        const venues = cryptoData.venues;
+        const quotes = Object.keys(venues).map(exchange => `
+            <span class="venue-quote" title="${escapeHtml(exchange)}">
+                <span class="venue-name">${escapeHtml(getExchangeLabel(exchange))}</span> ${formatPrice(venues[exchange])}
+            </span>
+        `).join('');
+        const spreadClass = spread.spread >= LogicEngine.getConfig().ARBITRAGE_SPREAD_PERCENT
+            ? 'venue-spread-high'
+            : 'venue-spread';
+        
+        return `${quotes}<br><span class="${spreadClass}">Δ ${formatNumber(spread.spread, 2)}%</span>`;
+    }
+    
+    /**
+     * Get cross-exchange summary for signal logs
+     * @param {Object} spread - Venue spread from LogicEngine.calculateVenueSpread
+     * @returns {string} Summary text (empty without a spread)
+     */
+    function getVenueSummary(spread) {
+        if (!spread) return '';
+        
+        return `${getExchangeLabel(spread.low.exchange)} ${formatPrice(spread.low.price)} → ` +
+            `${getExchangeLabel(spread.high.exchange)} ${formatPrice(spread.high.price)} ` +
+            `(Δ ${formatNumber(spread.spread, 2)}%)`;
+    }
+    
+    /**
+     * Describe an order book wall
+     * @param {Object} wall - { price, notional, distancePercent }
+     * @returns {string} Text
+     */
+    function formatWall(wall) {
+        return `${formatLargeNumber(wall.notional)} @ ${formatPrice(wall.price)} (${formatNumber(wall.distancePercent, 2)}%)`;
+    }
+    
+    /**
+     * Get order book depth cell HTML (imbalance, walls, ±2% liquidity)
+     * @param {Object} cryptoData - Analyzed crypto data
+     * @returns {string} HTML string
+     */
+    function getDepthHTML(cryptoData) {
+        const depth = cryptoData.depth;
+        if (!depth) {
+            return '<span class="text-muted">—</span>';
+        }
+        
+        const band = depth.bands[depth.bands.length - 1];
+        const details = [`Spread: ${formatNumber(depth.spreadPercent, 3)}%`].concat(depth.bands.map(entry =>
+            `±${entry.percent}%: alış ${formatLargeNumber(entry.bid)} / satış ${formatLargeNumber(entry.ask)}` +
+            `${entry.complete ? '' : ' (kısmi)'}`
+        ));
+        if (depth.bidWall) details.push(`Alış duvarı: ${formatWall(depth.bidWall)}`);
+        if (depth.askWall) details.push(`Satış duvarı: ${formatWall(depth.askWall)}`);
+        
+        const config = LogicEngine.getConfig();
+        let imbalanceClass = 'depth-imbalance';
+        if (depth.imbalance >= config.IMBALANCE_BID_PERCENT) imbalanceClass += ' depth-bid';
+        if (depth.imbalance <= config.IMBALANCE_ASK_PERCENT) imbalanceClass += ' depth-ask';
+        
+        const walls = [
+            depth.bidWall ? '<span class="depth-wall depth-bid">🧱B</span>' : '',
+            depth.askWall ? '<span class="depth-wall depth-ask">🧱S</span>' : ''
+        ].join('');
+        
+        return `<span title="${escapeHtml(details.join('\n'))}">` +
+            `<span class="${imbalanceClass}">${depth.imbalance > 0 ? '+' : ''}${formatNumber(depth.imbalance, 0)}%</span>${walls}` +
+            `<br><span class="depth-liquidity">${formatLargeNumber(band.bid)} / ${formatLargeNumber(band.ask)}</span></span>`;
+    }
+    
+    /**
+     * Get order book summary for signal logs
+     * @param {Object} depth - Order book analysis (see DepthMonitor.analyzeBook)
+     * @returns {string} Summary text (empty without depth)
+     */
+    function getDepthSummary(depth) {
+        if (!depth) return '';
+        
+        const parts = [`Dengesizlik: ${depth.imbalance > 0 ? '+' : ''}${formatNumber(depth.imbalance, 0)}%`];
+        if (depth.bidWall) parts.push(`Alış duvarı: ${formatWall(depth.bidWall)}`);
+        if (depth.askWall) parts.push(`Satış duvarı: ${formatWall(depth.askWall)}`);
+        parts.push(`Spread: ${formatNumber(depth.spreadPercent, 3)}%`);
+        
+        return parts.join(' | ');
+    }
+    
+    /**
+     * Get trade tape summary for signal logs
+     * @param {Object} tape - Buy/sell pressure (see TradeTape.getPressure)
+     * @returns {string} Summary text (empty without tape data)
+     */
+    function getTapeSummary(tape) {
+        if (!tape) return '';
+        
+        return `Whale alış: ${formatLargeNumber(tape.whaleBuyVolume)} (${tape.whaleBuys}) | ` +
+            `Whale satış: ${formatLargeNumber(tape.whaleSellVolume)} (${tape.whaleSells}) | ` +
+            `Baskı: ${tape.pressure > 0 ? '+' : ''}${formatNumber(tape.pressure, 0)}%`;
+    }
+    
+    /**
+     * Get volume surge cell HTML (z-score of the last bar against the symbol's baseline)
+     * @param {Object} cryptoData - Analyzed crypto data
+     * @returns {string} HTML string
+     */
+    function getSurgeHTML(cryptoData) {
+        const surge = cryptoData.volumeSurge;
+        if (!surge || surge.zScore === null) {
+            const bars = surge ? surge.samples : 0;
+            return `<span class="text-muted" title="Hacim ortalaması oluşuyor (${bars}/${LogicEngine.getConfig().VOLUME_MIN_SAMPLES} bar)">—</span>`;
+        }
+        
+        const config = LogicEngine.getConfig();
+        let surgeClass = 'surge-normal';
+        if (surge.zScore >= config.VOLUME_SPIKE_EXIT_ZSCORE) surgeClass = 'surge-elevated';
+        if (surge.zScore >= config.VOLUME_SPIKE_ZSCORE) surgeClass = 'surge-spike';
+        
+        const title = [
+            `Son bar: ${formatLargeNumber(surge.rateRef !== null ? surge.rateRef : surge.rate)}/dk`,
+            `Ortalama: ${formatLargeNumber(surge.baselineRef !== null ? surge.baselineRef : surge.baseline)}/dk`,
+            `Yüzdelik: ${formatNumber(surge.percentile, 0)}`,
+            `Bar: ${surge.samples}`
+        ].join('\n');
+        
+        return `<span class="${surgeClass}" title="${escapeHtml(title)}">z ${formatNumber(surge.zScore, 1)}</span>` +
+            `<br><span class="surge-multiple">${surge.multiple !== null ? `${formatNumber(surge.multiple, 1)}x` : '—'}</span>`;
+    }
+    
+    /**
+     * Get volume surge summary for signal logs
+     * @param {Object} surge - Volume score (see LogicEngine.getVolumeSurge)
+     * @returns {string} Summary text (empty until the baseline is ready)
+     */
+    function getSurgeSummary(surge) {
+        if (!surge || surge.zScore === null) return '';
+        
+        return `Son bar: ${formatLargeNumber(surge.rateRef !== null ? surge.rateRef : surge.rate)}/dk | ` +
+            `Ortalama: ${formatLargeNumber(surge.baselineRef !== null ? surge.baselineRef : surge.baseline)}/dk | ` +
+            `z: ${formatNumber(surge.zScore, 1)} | Yüzdelik: ${formatNumber(surge.percentile, 0)}`;
+    }
+    
+    /**
+     * Get market breadth summary for signal logs
+     * @param {Object} breadth - Breadth summary (see LogicEngine.computeBreadth)
+     * @returns {string} Summary text
+     */
+    function getBreadthSummary(breadth) {
+        return `Yükselen: ${breadth.advancers} | Düşen: ${breadth.decliners} (${formatNumber(breadth.declinersPercent, 0)}%) | ` +
+            `Hacim ağırlıklı: ${breadth.weightedChange > 0 ? '+' : ''}${formatNumber(breadth.weightedChange)}% | ` +
+            `Sentiment: ${formatNumber(breadth.sentiment, 0)}`;
+    }
+    
     /**
      * Get volatility badge HTML
      * @param {Object} volatility - Volatility object
@@ -80,67 +494,208 @@ const UIStream = (function() {
         return `<span class="volatility-badge ${levelClass}">${volatility.score}</span>`;
     }
     
+    // Crypto table columns (rendered by TableRenderer, cells rewritten only when changed)
+    const CRYPTO_COLUMNS = [
+        { className: 'coin-star', html: data => getWatchToggleHTML(data.symbol) },
+        { className: 'coin-name', html: data => `<strong>${getPairHTML(data)}</strong>` },
+        { className: 'coin-price', html: data => formatPrice(data.price) },
+        { className: 'coin-venues', html: data => getVenuesHTML(data) },
+        { className: 'coin-depth', html: data => getDepthHTML(data) },
+        {
+            className: 'coin-change',
+            html: data => `${data.priceChangePercent > 0 ? '+' : ''}${formatNumber(data.priceChangePercent)}%`,
+            cellClass: data => getPriceChangeClass(data.priceChangePercent)
+        },
+        { className: 'coin-volume', html: data => formatLargeNumber(getDisplayVolume(data)) },
+        { className: 'coin-surge', html: data => getSurgeHTML(data) },
+        { className: 'coin-volatility', html: data => getVolatilityBadgeHTML(data.volatility) },
+        { className: 'coin-rsi', html: data => getRsiHTML(data.indicators) },
+        { className: 'coin-signal', html: data => getSignalBadgeHTML(data.signal) }
+    ];
+    
+    // Row flash per signal type
+    const ROW_FLASHES = {
+        WHALE_ACTIVITY: { className: 'row-highlight', color: '#00ff88' },
+        PANIC_SELL: { className: 'row-highlight-danger', color: '#ff0066' }
+    };
+    
+    /**
+     * Get watchlist star button HTML
+     * @param {string} symbol - Symbol
+     * @returns {string} HTML string
+     */
+    function getWatchToggleHTML(symbol) {
+        const watched = Watchlist.has(symbol);
+        return `<button type="button" class="watch-toggle${watched ? ' watched' : ''}" data-symbol="${escapeHtml(symbol)}" ` +
+            `title="${watched ? 'Watchlist\'ten çıkar' : 'Watchlist\'e ekle'}">${watched ? '★' : '☆'}</button>`;
+    }
+    
     /**
-     * Create or update table row for a crypto
-     * Uses Direct DOM Update strategy - only updates changed cells
+     * Flash a row when it starts showing a WHALE ACTIVITY or PANIC SELL signal
+     * @param {HTMLTableRowElement} row - Rendered row
      * @param {Object} cryptoData - Analyzed crypto data
+     * @param {Object|null} previous - Data the row showed before (null for a new row)
      */
-    function updateCryptoRow(cryptoData) {
-        const rowId = `crypto-${cryptoData.symbol}`;
-        let $row = $(`#${rowId}`);
-        
-        // Create new row if it doesn't exist
-        if ($row.length === 0) {
-            const rowHTML = `
-                <tr id="${rowId}" data-symbol="${cryptoData.symbol}" data-base="${cryptoData.baseAsset}">
-                    <td class="coin-name"><strong>${cryptoData.baseAsset}</strong></td>
-                    <td class="coin-price">${formatNumber(cryptoData.price)}</td>
-                    <td class="coin-change ${getPriceChangeClass(cryptoData.priceChangePercent)}">
-                        ${cryptoData.priceChangePercent > 0 ? '+' : ''}${formatNumber(cryptoData.priceChangePercent)}%
-                    </td>
-                    <td class="coin-volume">${formatLargeNumber(cryptoData.quoteVolume)}</td>
-                    <td class="coin-volatility">${getVolatilityBadgeHTML(cryptoData.volatility)}</td>
-                    <td class="coin-signal">${getSignalBadgeHTML(cryptoData.signal)}</td>
-                </tr>
-            `;
-            $('#cryptoTableBody').append(rowHTML);
-            $row = $(`#${rowId}`);
-        } else {
-            // Direct DOM Update - only update changed cells
-            $row.find('.coin-price').text(formatNumber(cryptoData.price));
-            
-            const $changeCell = $row.find('.coin-change');
-            $changeCell
-                .removeClass('price-up price-down price-neutral')
-                .addClass(getPriceChangeClass(cryptoData.priceChangePercent))
-                .html(`${cryptoData.priceChangePercent > 0 ? '+' : ''}${formatNumber(cryptoData.priceChangePercent)}%`);
-            
-            $row.find('.coin-volume').text(formatLargeNumber(cryptoData.quoteVolume));
-            $row.find('.coin-volatility').html(getVolatilityBadgeHTML(cryptoData.volatility));
-            $row.find('.coin-signal').html(getSignalBadgeHTML(cryptoData.signal));
+    function flashRow(row, cryptoData, previous) {
+        const type = cryptoData.signal.type;
+        const flash = ROW_FLASHES[type];
+        if (!flash || (previous && previous.signal.type === type)) return;
+        
+        const $row = $(row);
+        $row.addClass(flash.className);
+        // Use jQuery UI effect if available
+        if ($.ui && $.ui.effect) {
+            $row.effect('highlight', { color: flash.color }, 1500);
+        }
+        setTimeout(() => {
+            $row.removeClass(flash.className);
+        }, 1500);
+    }
+    
+    /**
+     * Attach the virtualized renderer to the crypto table
+     */
+    function initializeTable() {
+        TableRenderer.init({
+            container: document.getElementById('cryptoTableContainer'),
+            body: document.getElementById('cryptoTableBody'),
+            columns: CRYPTO_COLUMNS,
+            getKey: data => data.symbol,
+            onRowRendered: flashRow
+        });
+    }
+    
+    /**
+     * Heatmap tile background for the active colour mode
+     * @param {Object} data - Analyzed crypto data
+     * @returns {string} CSS colour
+     */
+    function getHeatmapColor(data) {
+        if (heatmapState.color === 'volatility') {
+            const score = data.volatility.score;
+            return `rgba(255, 170, 0, ${(0.08 + 0.82 * (score / 100)).toFixed(2)})`;
         }
         
-        // Add highlight effect for WHALE ACTIVITY
-        if (cryptoData.signal.type === 'WHALE_ACTIVITY') {
-            $row.addClass('row-highlight');
-            // Use jQuery UI effect if available
-            if ($.ui && $.ui.effect) {
-                $row.effect('highlight', { color: '#00ff88' }, 1500);
-            }
-            setTimeout(() => {
-                $row.removeClass('row-highlight');
-            }, 1500);
+        const change = data.priceChangePercent;
+        if (!Number.isFinite(change) || change === 0) return 'rgba(128, 128, 128, 0.25)';
+        const strength = Math.min(Math.abs(change) / HEATMAP_CHANGE_RANGE, 1);
+        const alpha = (0.15 + 0.75 * strength).toFixed(2);
+        return change > 0 ? `rgba(0, 200, 110, ${alpha})` : `rgba(230, 0, 90, ${alpha})`;
+    }
+    
+    /**
+     * Heatmap tile content (symbol, coloured value and signal badge)
+     * @param {Object} data - Analyzed crypto data
+     * @returns {string} HTML string
+     */
+    function getHeatmapTileHTML(data) {
+        const value = heatmapState.color === 'volatility'
+            ? String(data.volatility.score)
+            : `${data.priceChangePercent > 0 ? '+' : ''}${formatNumber(data.priceChangePercent)}%`;
+        const badge = data.signal.type !== 'NEUTRAL' ? getSignalBadgeHTML(data.signal) : '';
+        
+        return `<span class="tile-symbol">${Watchlist.has(data.symbol) ? '★ ' : ''}${escapeHtml(data.baseAsset)}</span>` +
+            `<span class="tile-value">${value}</span>${badge ? `<span class="tile-badge">${badge}</span>` : ''}`;
+    }
+    
+    /**
+     * Heatmap tile tooltip
+     * @param {Object} data - Analyzed crypto data
+     * @returns {string}
+     */
+    function getHeatmapTileTitle(data) {
+        const lines = [
+            `${data.baseAsset}/${data.quoteAsset || ''}`,
+            `Fiyat: ${formatPrice(data.price)}`,
+            `24h Değişim: ${data.priceChangePercent > 0 ? '+' : ''}${formatNumber(data.priceChangePercent)}%`,
+            `Hacim: ${formatLargeNumber(getDisplayVolume(data))}`,
+            `Volatility: ${data.volatility.score}`
+        ];
+        const sector = SymbolRegistry.getSector(data.baseAsset);
+        if (sector) lines.push(`Sektör: ${sector}`);
+        if (data.signal.type !== 'NEUTRAL') lines.push(data.signal.message);
+        return lines.join('\n');
+    }
+    
+    /**
+     * Attach the treemap renderer to the heatmap container
+     */
+    function initializeHeatmap() {
+        HeatmapView.init({
+            container: document.getElementById('heatmapContainer'),
+            getKey: data => data.symbol,
+            getSize: data => getDisplayVolume(data),
+            getGroup: data => (heatmapState.group ? SymbolRegistry.getSector(data.baseAsset) || UNTAGGED_SECTOR : null),
+            html: getHeatmapTileHTML,
+            color: getHeatmapColor,
+            title: getHeatmapTileTitle
+        });
+    }
+    
+    /**
+     * Show the active display mode and heatmap options
+     */
+    function renderDisplayMode() {
+        const heatmap = displayMode === DISPLAY_MODES.HEATMAP;
+        
+        $('#displayModeTabs [data-display]').each(function() {
+            $(this).toggleClass('active', $(this).data('display') === displayMode);
+        });
+        $('#cryptoTableContainer').toggleClass('d-none', heatmap);
+        $('#heatmapPanel').toggleClass('d-none', !heatmap);
+        $('#heatmapColor').val(heatmapState.color);
+        $('#heatmapGroup').prop('checked', heatmapState.group);
+    }
+    
+    /**
+     * Switch between the market table and the heatmap
+     * @param {string} mode - 'table' or 'heatmap'
+     */
+    function setDisplayMode(mode) {
+        if (!Object.values(DISPLAY_MODES).includes(mode)) {
+            throw new Error(`Unknown display mode: ${mode}`);
         }
         
-        // Add highlight effect for PANIC SELL
-        if (cryptoData.signal.type === 'PANIC_SELL') {
-            $row.addClass('row-highlight-danger');
-            if ($.ui && $.ui.effect) {
-                $row.effect('highlight', { color: '#ff0066' }, 1500);
-            }
-            setTimeout(() => {
-                $row.removeClass('row-highlight-danger');
-            }, 1500);
+        displayMode = mode;
+        renderDisplayMode();
+        saveViewState();
+        
+        // The hidden view skipped its renders
+        if (mode === DISPLAY_MODES.HEATMAP) {
+            HeatmapView.refresh();
+        } else {
+            TableRenderer.refresh();
+        }
+    }
+    
+    /**
+     * Change heatmap colouring / grouping
+     * @param {Object} updates - { color: 'change' | 'volatility', group: boolean }
+     */
+    function setHeatmapOptions(updates) {
+        if (updates.color !== undefined && !HEATMAP_COLORS[updates.color]) {
+            throw new Error(`Unknown heatmap colour mode: ${updates.color}`);
+        }
+        
+        heatmapState = {
+            color: updates.color !== undefined ? updates.color : heatmapState.color,
+            group: updates.group !== undefined ? Boolean(updates.group) : heatmapState.group
+        };
+        renderDisplayMode();
+        saveViewState();
+        HeatmapView.refresh();
+    }
+    
+    /**
+     * Save a sector tag from the heatmap form
+     */
+    function submitSector() {
+        try {
+            SymbolRegistry.setSector($('#sectorAsset').val(), $('#sectorName').val());
+            $('#sectorForm')[0].reset();
+            $('#sectorError').addClass('d-none');
+        } catch (error) {
+            $('#sectorError').text(error.message).removeClass('d-none');
         }
     }
     
@@ -149,61 +704,440 @@ const UIStream = (function() {
      * @param {Array} cryptoDataArray - Array of analyzed crypto data
      */
     function renderCryptoTable(cryptoDataArray) {
-        allCryptoData = cryptoDataArray;
-        filteredCryptoData = cryptoDataArray;
-        
-        // Clear table body
-        $('#cryptoTableBody').empty();
-        
-        // Render all rows
-        cryptoDataArray.forEach(cryptoData => {
-            updateCryptoRow(cryptoData);
-        });
+        updateCryptoTable(cryptoDataArray);
+        TableRenderer.refresh();
     }
     
     /**
-     * Update existing rows with new data (Direct DOM Update)
+     * Update the table with new data
+     * Only visible rows are written, on the next animation frame, and only cells whose
+     * output changed; rows of symbols that left the data set are removed.
      * @param {Array} cryptoDataArray - Array of analyzed crypto data
      */
     function updateCryptoTable(cryptoDataArray) {
         allCryptoData = cryptoDataArray;
+        applyFilter();
+    }
+    
+    /**
+     * Sort rank of a signal (active signals by priority, neutral last)
+     * @param {Object} signal - Signal object
+     * @returns {number}
+     */
+    function getSignalRank(signal) {
+        if (!signal || signal.type === 'NEUTRAL') return 0;
+        return SIGNAL_PRIORITY_RANKS[signal.priority] || 1;
+    }
+    
+    /**
+     * Sort crypto data by the active sort (ties ordered by symbol so rows do not
+     * jump between live updates)
+     * @param {Array} cryptoDataArray - Crypto data
+     * @returns {Array} Sorted copy (or the input when no sort is active)
+     */
+    function sortCryptoData(cryptoDataArray) {
+        const field = SORT_FIELDS[sortState.key];
+        if (!field) return cryptoDataArray;
         
-        // Update each row directly without full refresh
-        cryptoDataArray.forEach(cryptoData => {
-            updateCryptoRow(cryptoData);
-        });
+        const direction = sortState.direction === 'asc' ? 1 : -1;
         
-        // Apply filter if active
-        applyFilter();
+        return cryptoDataArray
+            .map(data => ({ data: data, value: field.value(data) }))
+            .sort((a, b) => {
+                const aMissing = a.value === null || a.value === undefined || Number.isNaN(a.value);
+                const bMissing = b.value === null || b.value === undefined || Number.isNaN(b.value);
+                
+                // Missing values always go last
+                if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                if (!aMissing && a.value !== b.value) {
+                    return (a.value - b.value) * direction;
+                }
+                return a.data.symbol < b.data.symbol ? -1 : (a.data.symbol > b.data.symbol ? 1 : 0);
+            })
+            .map(entry => entry.data);
+    }
+    
+    /**
+     * Check one row against the filter bar
+     * @param {Object} crypto - Analyzed crypto data
+     * @returns {boolean}
+     */
+    function matchesFilters(crypto) {
+        if (filters.volatility && crypto.volatility.level !== filters.volatility) {
+            return false;
+        }
+        if (filters.signal === ANY_SIGNAL && crypto.signal.type === 'NEUTRAL') {
+            return false;
+        }
+        if (filters.signal && filters.signal !== ANY_SIGNAL && crypto.signal.type !== filters.signal) {
+            return false;
+        }
+        if (filters.minVolume !== null && !(getDisplayVolume(crypto) >= filters.minVolume)) {
+            return false;
+        }
+        if (filters.minChange !== null && crypto.priceChangePercent < filters.minChange) {
+            return false;
+        }
+        if (filters.maxChange !== null && crypto.priceChangePercent > filters.maxChange) {
+            return false;
+        }
+        return true;
     }
     
     /**
-     * Filter table based on search input
+     * Filter and sort the table (tab, search input, filter bar and column sort)
+     * Watched symbols are pinned to the top, in the same sort order.
      */
     function applyFilter() {
         const searchTerm = $('#searchInput').val().toUpperCase().trim();
+        const watchlistOnly = tableView === TABLE_VIEWS.WATCHLIST;
         
-        if (!searchTerm) {
-            filteredCryptoData = allCryptoData;
-        } else {
-            filteredCryptoData = allCryptoData.filter(crypto => 
+        const sorted = sortCryptoData(allCryptoData.filter(crypto => 
+            (!watchlistOnly || Watchlist.has(crypto.symbol)) &&
+            (!searchTerm ||
                 crypto.baseAsset.toUpperCase().includes(searchTerm) ||
-                crypto.symbol.toUpperCase().includes(searchTerm)
-            );
+                crypto.symbol.toUpperCase().includes(searchTerm)) &&
+            matchesFilters(crypto)
+        ));
+        
+        const pinned = sorted.filter(crypto => Watchlist.has(crypto.symbol));
+        filteredCryptoData = pinned.length === 0 || pinned.length === sorted.length
+            ? sorted
+            : pinned.concat(sorted.filter(crypto => !Watchlist.has(crypto.symbol)));
+        
+        TableRenderer.setRows(filteredCryptoData);
+        HeatmapView.setRows(filteredCryptoData);
+        $('#watchlistEmpty').toggleClass('d-none', !watchlistOnly || Watchlist.list().length > 0);
+    }
+    
+    /**
+     * Show the active tab and the watchlist size
+     */
+    function renderTableViews() {
+        $('#tableViewTabs [data-view]').each(function() {
+            $(this).toggleClass('active', $(this).data('view') === tableView);
+        });
+        $('#watchlistCount').text(Watchlist.list().length);
+        $('#watchlistTools').toggleClass('d-none', tableView !== TABLE_VIEWS.WATCHLIST);
+    }
+    
+    /**
+     * Switch between the market table and the watchlist
+     * @param {string} view - 'all' or 'watchlist'
+     */
+    function setTableView(view) {
+        if (!Object.values(TABLE_VIEWS).includes(view)) {
+            throw new Error(`Unknown table view: ${view}`);
         }
         
-        // Show/hide rows based on filter
-        $('#cryptoTableBody tr').each(function() {
-            const $row = $(this);
-            const symbol = $row.data('symbol') || '';
-            const base = $row.data('base') || '';
-            
-            const matches = !searchTerm || 
-                base.toUpperCase().includes(searchTerm) ||
-                symbol.toUpperCase().includes(searchTerm);
+        tableView = view;
+        renderTableViews();
+        saveViewState();
+        applyFilter();
+    }
+    
+    /**
+     * Persist search, filters, sort and tab
+     */
+    function saveViewState() {
+        try {
+            localStorage.setItem(VIEW_STORAGE_KEY, JSON.stringify({
+                search: $('#searchInput').val(),
+                filters: filters,
+                sort: sortState,
+                view: tableView,
+                display: displayMode,
+                heatmap: heatmapState
+            }));
+        } catch (error) {
+            console.warn('Could not persist table view:', error);
+        }
+    }
+    
+    /**
+     * Whether a stored filter value can be used (e.g. from an older version or edited by hand)
+     * @param {string} key - DEFAULT_FILTERS key
+     * @param {*} value - Stored value
+     * @returns {boolean}
+     */
+    function isValidFilter(key, value) {
+        switch (key) {
+            case 'volatility':
+                return value === '' || Object.prototype.hasOwnProperty.call(VOLATILITY_LEVELS, value);
+            case 'signal':
+                return value === '' || value === ANY_SIGNAL || getSignalFilterTypes().includes(value);
+            case 'minVolume':
+                return value === null || (Number.isFinite(value) && value >= 0);
+            default:
+                // 24h change range
+                return value === null || Number.isFinite(value);
+        }
+    }
+    
+    /**
+     * Restore search, filters, sort and tab (invalid parts fall back to defaults)
+     */
+    function loadViewState() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(VIEW_STORAGE_KEY));
+        } catch (error) {
+            localStorage.removeItem(VIEW_STORAGE_KEY);
+        }
+        if (!stored || typeof stored !== 'object') return;
+        
+        if (typeof stored.search === 'string') {
+            $('#searchInput').val(stored.search);
+        }
+        if (stored.filters && typeof stored.filters === 'object') {
+            Object.keys(DEFAULT_FILTERS).forEach(key => {
+                if (key in stored.filters && isValidFilter(key, stored.filters[key])) {
+                    filters[key] = stored.filters[key];
+                }
+            });
+        }
+        if (stored.sort && SORT_FIELDS[stored.sort.key] && ['asc', 'desc'].includes(stored.sort.direction)) {
+            sortState = { key: stored.sort.key, direction: stored.sort.direction };
+        }
+        if (Object.values(TABLE_VIEWS).includes(stored.view)) {
+            tableView = stored.view;
+        }
+        if (Object.values(DISPLAY_MODES).includes(stored.display)) {
+            displayMode = stored.display;
+        }
+        if (stored.heatmap && HEATMAP_COLORS[stored.heatmap.color]) {
+            heatmapState = { color: stored.heatmap.color, group: Boolean(stored.heatmap.group) };
+        }
+    }
+    
+    /**
+     * Download the watchlist as JSON file
+     */
+    function exportWatchlist() {
+        UIStream.downloadFile(JSON.stringify(Watchlist.exportData(), null, 2), 'aegis-watchlist.json', 'application/json');
+    }
+    
+    /**
+     * Import a watchlist from a JSON file (merged into the current one)
+     * @param {File} file - Selected file
+     */
+    function importWatchlist(file) {
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            try {
+                const symbols = Watchlist.importData(JSON.parse(reader.result), { merge: true });
+                console.log(`Watchlist imported (${symbols.length} symbols)`);
+            } catch (error) {
+                alert(`Watchlist içe aktarılamadı: ${error.message}`);
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Label of a signal type for the filter bar and chips
+     * @param {string} type - Signal type
+     * @returns {string}
+     */
+    function getSignalTypeLabel(type) {
+        if (type === ANY_SIGNAL) return 'Herhangi bir sinyal';
+        if (SIGNAL_STYLES[type]) return SIGNAL_STYLES[type].label;
+        
+        const rule = RuleEngine.getRules().find(entry => entry.type === type);
+        return rule ? rule.badge.label : type;
+    }
+    
+    /**
+     * Signal types the filter offers (built-in styles and rule types, no market signals)
+     * @returns {Array<string>}
+     */
+    function getSignalFilterTypes() {
+        const types = Object.keys(SIGNAL_STYLES).filter(type => !MARKET_SIGNALS.includes(type));
+        RuleEngine.getRules().forEach(rule => {
+            if (!types.includes(rule.type)) types.push(rule.type);
+        });
+        return types;
+    }
+    
+    /**
+     * Fill the signal type filter (built-in styles and rule types)
+     */
+    function renderSignalFilterOptions() {
+        const types = getSignalFilterTypes();
+        
+        const options = ['<option value="">Tüm sinyaller</option>']
+            .concat([ANY_SIGNAL].concat(types).map(type =>
+                `<option value="${escapeHtml(type)}">${escapeHtml(getSignalTypeLabel(type))}</option>`
+            ));
+        
+        $('#filterSignal').html(options.join('')).val(filters.signal);
+    }
+    
+    /**
+     * Show the sort direction on the column headers
+     */
+    function renderSortHeaders() {
+        $('#cryptoTable th[data-sort]').each(function() {
+            const $header = $(this);
+            const active = $header.data('sort') === sortState.key;
             
-            $row.toggle(matches);
+            $header
+                .toggleClass('sort-active', active)
+                .attr('aria-sort', active ? (sortState.direction === 'asc' ? 'ascending' : 'descending') : 'none')
+                .find('.sort-indicator')
+                .text(active ? (sortState.direction === 'asc' ? '▲' : '▼') : '');
+        });
+    }
+    
+    /**
+     * Render active search, filters and sort as removable chips
+     */
+    function renderFilterChips() {
+        const chips = [];
+        const searchTerm = $('#searchInput').val().trim();
+        
+        if (sortState.key) {
+            chips.push({ key: 'sort', label: `Sıralama: ${SORT_FIELDS[sortState.key].label} ${sortState.direction === 'asc' ? '↑' : '↓'}` });
+        }
+        if (searchTerm) {
+            chips.push({ key: 'search', label: `Arama: ${searchTerm}` });
+        }
+        if (filters.volatility) {
+            chips.push({ key: 'volatility', label: `Volatilite: ${VOLATILITY_LEVELS[filters.volatility]}` });
+        }
+        if (filters.signal) {
+            chips.push({ key: 'signal', label: `Sinyal: ${getSignalTypeLabel(filters.signal)}` });
+        }
+        if (filters.minVolume !== null) {
+            chips.push({ key: 'minVolume', label: `Hacim ≥ ${formatLargeNumber(filters.minVolume)}` });
+        }
+        if (filters.minChange !== null) {
+            chips.push({ key: 'minChange', label: `Değişim ≥ ${formatNumber(filters.minChange)}%` });
+        }
+        if (filters.maxChange !== null) {
+            chips.push({ key: 'maxChange', label: `Değişim ≤ ${formatNumber(filters.maxChange)}%` });
+        }
+        
+        $('#filterChips').html(chips.map(chip => `
+            <span class="filter-chip">
+                ${escapeHtml(chip.label)}
+                <button type="button" class="filter-chip-remove" data-chip="${chip.key}" title="Kaldır">×</button>
+            </span>
+        `).join(''));
+        $('#filterResetBtn').toggleClass('d-none', chips.length === 0);
+    }
+    
+    /**
+     * Write the filter state back into the filter bar inputs
+     */
+    function syncFilterInputs() {
+        $('#filterVolatility').val(filters.volatility);
+        $('#filterSignal').val(filters.signal);
+        $('#filterMinVolume').val(filters.minVolume === null ? '' : filters.minVolume);
+        $('#filterMinChange').val(filters.minChange === null ? '' : filters.minChange);
+        $('#filterMaxChange').val(filters.maxChange === null ? '' : filters.maxChange);
+    }
+    
+    /**
+     * Read the filter bar inputs
+     * @returns {Object} Filter values
+     */
+    function readFilterInputs() {
+        const readNumber = selector => {
+            const value = $(selector).val().trim();
+            if (value === '') return null;
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        };
+        
+        return {
+            volatility: $('#filterVolatility').val() || '',
+            signal: $('#filterSignal').val() || '',
+            minVolume: readNumber('#filterMinVolume'),
+            minChange: readNumber('#filterMinChange'),
+            maxChange: readNumber('#filterMaxChange')
+        };
+    }
+    
+    /**
+     * Set the column sort
+     * @param {string|null} key - SORT_FIELDS key, or null for API (volume) order
+     * @param {string} direction - 'asc' or 'desc'
+     */
+    function setSort(key, direction = 'desc') {
+        if (key !== null && !SORT_FIELDS[key]) {
+            throw new Error(`Unknown sort column: ${key}`);
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Unknown sort direction: ${direction}`);
+        }
+        
+        sortState = { key: key, direction: direction };
+        renderSortHeaders();
+        renderFilterChips();
+        saveViewState();
+        applyFilter();
+    }
+    
+    /**
+     * Cycle a column header: descending -> ascending -> off
+     * @param {string} key - SORT_FIELDS key
+     */
+    function toggleSort(key) {
+        if (sortState.key !== key) {
+            setSort(key, 'desc');
+        } else if (sortState.direction === 'desc') {
+            setSort(key, 'asc');
+        } else {
+            setSort(null);
+        }
+    }
+    
+    /**
+     * Update filter bar criteria
+     * @param {Object} updates - Partial filters (see DEFAULT_FILTERS)
+     */
+    function setFilters(updates) {
+        Object.keys(updates || {}).forEach(key => {
+            if (!(key in DEFAULT_FILTERS)) {
+                throw new Error(`Unknown filter: ${key}`);
+            }
         });
+        
+        filters = { ...filters, ...updates };
+        syncFilterInputs();
+        renderFilterChips();
+        saveViewState();
+        applyFilter();
+    }
+    
+    /**
+     * Remove search, filters and sort
+     */
+    function clearFilters() {
+        $('#searchInput').val('');
+        sortState = { key: null, direction: 'desc' };
+        renderSortHeaders();
+        setFilters({ ...DEFAULT_FILTERS });
+    }
+    
+    /**
+     * Remove one chip's criterion
+     * @param {string} key - 'sort', 'search' or a filter key
+     */
+    function removeChip(key) {
+        if (key === 'sort') {
+            setSort(null);
+        } else if (key === 'search') {
+            $('#searchInput').val('');
+            renderFilterChips();
+            saveViewState();
+            applyFilter();
+        } else {
+            setFilters({ [key]: DEFAULT_FILTERS[key] });
+        }
     }
     
     /**
@@ -211,31 +1145,114 @@ const UIStream = (function() {
      * @param {Object} cryptoData - Analyzed crypto data with signal
      */
     function addSignalLog(cryptoData) {
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString('tr-TR');
+        const lifecycle = cryptoData.signal.lifecycle;
         
-        const signalClass = cryptoData.signal.type === 'WHALE_ACTIVITY' ? 'signal-log-whale' : 'signal-log-panic';
-        const icon = cryptoData.signal.type === 'WHALE_ACTIVITY' ? '🐋' : '⚠️';
+        // Signal time, not wall-clock time (they differ during replay)
+        const timeStr = new Date(lifecycle ? lifecycle.openedAt : Date.now()).toLocaleTimeString('tr-TR');
+        
+        const style = SIGNAL_STYLES[cryptoData.signal.type] || CUSTOM_SIGNAL_STYLE;
+        const signalClass = style.logClass;
+        const icon = style.icon;
+        const indicatorSummary = getIndicatorSummary(cryptoData.indicators);
+        const venueSummary = cryptoData.signal.type === 'ARBITRAGE' ? getVenueSummary(cryptoData.venueSpread) : '';
+        const depthSummary = DEPTH_SIGNALS.includes(cryptoData.signal.type) ? getDepthSummary(cryptoData.depth) : '';
+        const tapeSummary = TAPE_SIGNALS.includes(cryptoData.signal.type) ? getTapeSummary(cryptoData.tape) : '';
+        const surgeSummary = cryptoData.signal.type === 'VOLUME_SPIKE' ? getSurgeSummary(cryptoData.volumeSurge) : '';
+        const details = cryptoData.breadth
+            ? getBreadthSummary(cryptoData.breadth)
+            : `Fiyat: ${formatPrice(cryptoData.price)} ${escapeHtml(cryptoData.quoteAsset || '')} | 
+                            Değişim: ${cryptoData.priceChangePercent > 0 ? '+' : ''}${formatNumber(cryptoData.priceChangePercent)}% |
+                            Hacim: ${formatLargeNumber(getDisplayVolume(cryptoData))}`;
         
         const logHTML = `
-            <div class="signal-log-item">
+            <div class="signal-log-item" ${lifecycle ? `data-signal-id="${escapeHtml(lifecycle.id)}"` : ''}>
                 <div class="d-flex justify-content-between align-items-start">
                     <div>
                         <span class="signal-log-time">${timeStr}</span>
+                        <span class="signal-log-status"></span>
                         <br>
-                        <span class="signal-log-coin">${cryptoData.baseAsset}</span>
-                        <span class="${signalClass}">${icon} ${cryptoData.signal.message}</span>
+                        <span class="signal-log-coin">${getPairHTML(cryptoData)}</span>
+                        <span class="${signalClass}">${icon} ${escapeHtml(cryptoData.signal.message)}</span>
                         <br>
                         <small class="text-muted">
-                            Fiyat: $${formatNumber(cryptoData.price)} | 
-                            Değişim: ${cryptoData.priceChangePercent > 0 ? '+' : ''}${formatNumber(cryptoData.priceChangePercent)}% |
-                            Hacim: ${formatLargeNumber(cryptoData.quoteVolume)}
+                            ${details}
                         </small>
+                        ${venueSummary ? `<br><small class="text-muted">${venueSummary}</small>` : ''}
+                        ${depthSummary ? `<br><small class="text-muted">${depthSummary}</small>` : ''}
+                        ${tapeSummary ? `<br><small class="text-muted">${tapeSummary}</small>` : ''}
+                        ${surgeSummary ? `<br><small class="text-muted">${surgeSummary}</small>` : ''}
+                        ${indicatorSummary ? `<br><small class="text-muted">${indicatorSummary}</small>` : ''}
                     </div>
                 </div>
             </div>
         `;
         
+        prependLog(logHTML);
+    }
+    
+    /**
+     * Add resolution entry for a closed signal and mark its opening entry
+     * @param {Object} record - Closed signal record from LogicEngine
+     */
+    function addSignalResolvedLog(record) {
+        const timeStr = new Date(record.closedAt).toLocaleTimeString('tr-TR');
+        const openedStr = new Date(record.openedAt).toLocaleTimeString('tr-TR');
+        const style = SIGNAL_STYLES[record.type] || CUSTOM_SIGNAL_STYLE;
+        const reasonText = {
+            exit: 'çözüldü',
+            replaced: 'yeni sinyalle değişti',
+            expired: 'listeden çıktı',
+            reset: 'sıfırlandı'
+        }[record.closeReason] || 'kapandı';
+        const peak = `${record.peakMove > 0 ? '+' : ''}${formatNumber(record.peakMove)}%`;
+        const final = `${record.currentMove > 0 ? '+' : ''}${formatNumber(record.currentMove)}%`;
+        
+        const logHTML = `
+            <div class="signal-log-item signal-log-resolved">
+                <span class="signal-log-time">${timeStr}</span>
+                <br>
+                <span class="signal-log-coin">${getPairHTML(record)}</span>
+                <span class="text-muted">✅ ${style.icon} ${escapeHtml(record.message)} — ${reasonText}</span>
+                <br>
+                <small class="text-muted">
+                    Açılış: ${openedStr} | Süre: ${formatDuration(record.duration)} |
+                    Zirve: ${peak} | Kapanış: ${final}
+                </small>
+            </div>
+        `;
+        
+        $(`#signalLogs .signal-log-item[data-signal-id="${escapeHtml(record.id)}"] .signal-log-status`)
+            .html(`<span class="badge bg-secondary">✓ ${formatDuration(record.duration)}</span>`);
+        
+        prependLog(logHTML);
+    }
+    
+    /**
+     * Add a triggered user alert to the logs panel
+     * @param {Object} event - AlertManager event { alert, value, time, message }
+     */
+    function addAlertLog(event) {
+        const timeStr = new Date(event.time).toLocaleTimeString('tr-TR');
+        const modeText = event.alert.mode === 'once' ? 'tek sefer, kapatıldı' : 'tekrarlı';
+        
+        const logHTML = `
+            <div class="signal-log-item signal-log-alert">
+                <span class="signal-log-time">${timeStr}</span>
+                <br>
+                <span class="signal-log-warning">🔔 ${escapeHtml(event.message)}</span>
+                <br>
+                <small class="text-muted">Kullanıcı alarmı (${modeText})</small>
+            </div>
+        `;
+        
+        prependLog(logHTML);
+    }
+    
+    /**
+     * Prepend an entry to the logs panel (capped at 50)
+     * @param {string} logHTML - Entry HTML
+     */
+    function prependLog(logHTML) {
         // Remove "waiting" message if exists
         $('#signalLogs .text-center').remove();
         
@@ -328,18 +1345,183 @@ const UIStream = (function() {
         chartInstance.update('none'); // 'none' mode for smooth updates
     }
     
+    /**
+     * Fill quote asset selector
+     * @param {Array<string>} quotes - Quote assets, most relevant first
+     */
+    function renderQuoteOptions(quotes) {
+        const selected = APIClient.getQuoteAsset();
+        const options = quotes.slice(0, MAX_QUOTE_OPTIONS);
+        if (selected !== 'ALL' && !options.includes(selected)) {
+            options.push(selected);
+        }
+        
+        $('#quoteSelect')
+            .html(options.map(quote => `<option value="${escapeHtml(quote)}">${escapeHtml(quote)}</option>`).join('') +
+                '<option value="ALL">Tümü</option>')
+            .val(selected);
+    }
+    
+    /**
+     * Switch quote asset and rebuild the table for the new market set
+     * @param {string} quoteAsset - Quote asset or 'ALL'
+     */
+    function selectQuoteAsset(quoteAsset) {
+        renderCryptoTable([]);
+        APIClient.setQuoteAsset(quoteAsset);
+        
+        try {
+            localStorage.setItem(QUOTE_STORAGE_KEY, quoteAsset);
+        } catch (error) {
+            console.warn('Could not persist quote asset:', error);
+        }
+    }
+    
+    /**
+     * Render the connection badge
+     * @param {string} status - APIClient connection status
+     * @param {Object} info - { staleFor } (ms without fresh data)
+     */
+    function renderConnectionStatus(status, info = {}) {
+        const style = CONNECTION_STATUSES[status];
+        if (!style) return;
+        
+        const label = status === 'stale' ? `${style.label} (${Math.round((info.staleFor || 0) / 1000)}s)` : style.label;
+        
+        $('#connectionStatus')
+            .removeClass('status-connected status-connecting status-stale status-error status-replay')
+            .addClass(style.className)
+            .html(`<span id="statusIndicator">●</span> ${label}`);
+    }
+    
     /**
      * Initialize UI components
      */
     function initialize() {
+        // Restore quote asset before data starts flowing
+        const storedQuote = localStorage.getItem(QUOTE_STORAGE_KEY);
+        if (storedQuote) {
+            try {
+                APIClient.setQuoteAsset(storedQuote);
+            } catch (error) {
+                localStorage.removeItem(QUOTE_STORAGE_KEY);
+            }
+        }
+        renderQuoteOptions(DEFAULT_QUOTES);
+        
+        $('#quoteSelect').on('change', function() {
+            selectQuoteAsset($(this).val());
+        });
+        
+        $(document).on('symbolRegistryLoaded', function(event, quotes) {
+            renderQuoteOptions(quotes);
+        });
+        
+        $(document).on('alertTriggered', function(event, alertEvent) {
+            addAlertLog(alertEvent);
+        });
+        
+        // Signals closed by an engine reset (e.g. entering replay)
+        $(document).on('signalsClosed', function(event, records, meta) {
+            records.concat(meta.market).forEach(record => addSignalResolvedLog(record));
+        });
+        
+        // Connection badge and last update time (APIClient stays DOM-free)
+        $(document).on('connectionStatusChanged', function(event, status, info) {
+            renderConnectionStatus(status, info);
+        });
+        
+        $(document).on('tickerDataReceived', function(event, tickerData, meta) {
+            $('#lastUpdate').text(new Date(meta.timestamp).toLocaleTimeString('tr-TR'));
+        });
+        
+        initializeTable();
+        initializeHeatmap();
+        
         // Initialize chart
         initializeChart();
         
+        // Restore the last search, filters, sort and tab
+        loadViewState();
+        
         // Setup search filter
         $('#searchInput').on('input', function() {
+            renderFilterChips();
+            saveViewState();
+            applyFilter();
+        });
+        
+        // Filter bar, column sort and chips
+        renderSignalFilterOptions();
+        syncFilterInputs();
+        renderSortHeaders();
+        renderFilterChips();
+        $(document).on('signalRulesChanged', renderSignalFilterOptions);
+        
+        $('#filterBar').on('change', 'select, input', function() {
+            setFilters(readFilterInputs());
+        });
+        
+        $('#cryptoTable thead').on('click', 'th[data-sort]', function() {
+            toggleSort($(this).data('sort'));
+        });
+        
+        $('#filterChips').on('click', '.filter-chip-remove', function() {
+            removeChip($(this).data('chip'));
+        });
+        
+        $('#filterResetBtn').on('click', clearFilters);
+        
+        // Watchlist: star toggle, tabs, import / export
+        renderTableViews();
+        
+        $('#cryptoTableBody').on('click', '.watch-toggle', function() {
+            Watchlist.toggle($(this).attr('data-symbol'));
+        });
+        
+        $('#tableViewTabs').on('click', '[data-view]', function() {
+            setTableView($(this).data('view'));
+        });
+        
+        $(document).on('watchlistChanged', function() {
+            renderTableViews();
             applyFilter();
         });
         
+        // Table / heatmap toggle, heatmap colouring, grouping and sector tags
+        $('#heatmapColor').html(Object.keys(HEATMAP_COLORS)
+            .map(mode => `<option value="${mode}">${HEATMAP_COLORS[mode]}</option>`)
+            .join(''));
+        renderDisplayMode();
+        
+        $('#displayModeTabs').on('click', '[data-display]', function() {
+            setDisplayMode($(this).data('display'));
+        });
+        
+        $('#heatmapColor').on('change', function() {
+            setHeatmapOptions({ color: $(this).val() });
+        });
+        
+        $('#heatmapGroup').on('change', function() {
+            setHeatmapOptions({ group: this.checked });
+        });
+        
+        $('#sectorForm').on('submit', function(event) {
+            event.preventDefault();
+            submitSector();
+        });
+        
+        $(document).on('sectorsChanged', HeatmapView.refresh);
+        
+        $('#exportWatchlistBtn').on('click', exportWatchlist);
+        
+        $('#importWatchlistInput').on('change', function() {
+            if (this.files && this.files[0]) {
+                importWatchlist(this.files[0]);
+            }
+            this.value = '';
+        });
+        
         // Clear logs button
         $('#clearLogsBtn').on('click', function() {
             $('#signalLogs').empty();
@@ -349,30 +1531,31 @@ const UIStream = (function() {
         console.log('UI Stream initialized');
     }
     
-    // Event Listeners
-    
-    // Listen for analyzed data
-    $(document).on('dataAnalyzed', function(event, analyzedData) {
-        if ($('#cryptoTableBody tr').length === 0) {
-            // First render - full table render
-            renderCryptoTable(analyzedData);
-        } else {
-            // Subsequent updates - Direct DOM Update
-            updateCryptoTable(analyzedData);
-        }
-    });
-    
-    // Listen for new signals
-    $(document).on('newSignalsDetected', function(event, newSignals) {
-        newSignals.forEach(signalData => {
+    /**
+     * Render one analysis cycle from EngineHost
+     * @param {Object} message - { analyzedData, topGainers, market, newSignals, closed }
+     */
+    function handleAnalysis(message) {
+        updateCryptoTable(message.analyzedData);
+        
+        // Resolved signals (trading pairs, then the market as a whole)
+        message.closed.concat(message.market.closed).forEach(record => {
+            addSignalResolvedLog(record);
+        });
+        
+        // New signals
+        message.newSignals.forEach(signalData => {
             addSignalLog(signalData);
         });
-    });
+        if (message.market.opened.length > 0) {
+            addSignalLog(message.market);
+        }
+        
+        updateChart(message.topGainers);
+    }
     
-    // Listen for top gainers update
-    $(document).on('topGainersUpdated', function(event, topGainers) {
-        updateChart(topGainers);
-    });
+    // Listen for analysis results
+    EngineHost.subscribe(handleAnalysis);
     
     // Initialize on document ready
     $(document).ready(function() {
@@ -384,8 +1567,22 @@ const UIStream = (function() {
         renderCryptoTable,
         updateCryptoTable,
         addSignalLog,
+        addSignalResolvedLog,
+        addAlertLog,
         updateChart,
         applyFilter,
+        setSort,
+        setFilters,
+        clearFilters,
+        setTableView,
+        setDisplayMode,
+        setHeatmapOptions,
+        escapeHtml,
+        formatNumber,
+        formatPrice,
+        formatLargeNumber,
+        formatDuration,
+        downloadFile,
         initialize
     };
 })();
@@ -0,0 +1,268 @@
+/**
+ * Aegis Crypto-Watch - Venue Monitor
+ *
+ * Responsibilities:
+ * - Poll secondary exchanges (Coinbase, Kraken) through ExchangeAdapters
+ * - Track the latest price per asset and exchange in the reference currency
+ * - Attach cross-exchange prices (`venues`) to primary tickers for the ARBITRAGE signal
+ */
+
+const VenueMonitor = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        PRIMARY_EXCHANGE: 'binance',
+        EXCHANGES: ['coinbase', 'kraken'],
+        POLL_INTERVAL: 15000,       // 15 seconds
+        STALE_AFTER_MS: 60000,      // Ignore quotes older than 1 minute
+        MAX_ASSETS: 20              // Assets compared per cycle (top by volume)
+    };
+    
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Editable settings and their valid ranges
+    const CONFIG_SCHEMA = {
+        POLL_INTERVAL: { label: 'Exchange poll interval (ms)', min: 5000, max: 600000, integer: true },
+        STALE_AFTER_MS: { label: 'Exchange quote max. age (ms)', min: 5000, max: 3600000, integer: true },
+        MAX_ASSETS: { label: 'Assets compared across exchanges', min: 1, max: 100, integer: true }
+    };
+    
+    // State
+    const quotes = new Map();    // baseAsset -> { exchange -> { price, symbol, time } }
+    const errors = new Map();    // exchange -> last error message
+    let watchedAssets = [];
+    let pollTimer = null;
+    let isRunning = false;
+    let unsubscribe = null;
+    
+    /**
+     * Keep the best-traded quote of each asset from one exchange
+     * @param {string} exchange - Exchange id
+     * @param {Array} tickers - Internal tickers from the adapter
+     * @param {number} time - Fetch time (ms)
+     */
+    function storeQuotes(exchange, tickers, time) {
+        const watched = new Set(watchedAssets);
+        const best = new Map();
+        
+        tickers.forEach(ticker => {
+            if (!watched.has(ticker.baseAsset)) return;
+            
+            const rate = SymbolRegistry.getRate(ticker.quoteAsset);
+            if (rate === null) return;
+            
+            const current = best.get(ticker.baseAsset);
+            if (!current || (ticker.volumeRef || 0) > (current.volumeRef || 0)) {
+                best.set(ticker.baseAsset, {
+                    price: ticker.lastPrice * rate,
+                    symbol: ticker.symbol,
+                    volumeRef: ticker.volumeRef,
+                    time: time
+                });
+            }
+        });
+        
+        best.forEach((quote, baseAsset) => {
+            if (!quotes.has(baseAsset)) quotes.set(baseAsset, {});
+            quotes.get(baseAsset)[exchange] = quote;
+        });
+    }
+    
+    /**
+     * Fetch every secondary exchange once (failures are isolated per exchange)
+     * @returns {Promise}
+     */
+    async function poll() {
+        if (watchedAssets.length === 0) return;
+        
+        await Promise.all(CONFIG.EXCHANGES.map(async exchange => {
+            try {
+                const tickers = await ExchangeAdapters.fetchTickers(exchange, watchedAssets);
+                storeQuotes(exchange, tickers, Date.now());
+                errors.delete(exchange);
+            } catch (error) {
+                if (!errors.has(exchange)) {
+                    console.warn(`${exchange} quotes unavailable:`, error);
+                }
+                errors.set(exchange, error.message);
+            }
+        }));
+        
+        EventBus.emit('venueQuotesUpdated', getStatus());
+    }
+    
+    /**
+     * Self-scheduling poll loop (a slow cycle never overlaps the next)
+     */
+    function scheduleNext() {
+        if (!isRunning) return;
+        
+        pollTimer = setTimeout(() => {
+            poll().finally(scheduleNext);
+        }, CONFIG.POLL_INTERVAL);
+    }
+    
+    /**
+     * Follow the assets currently analyzed (top MAX_ASSETS by volume)
+     * @param {Array} analyzedData - Analyzed ticker data
+     */
+    function watchAssets(analyzedData) {
+        const seen = new Set();
+        
+        watchedAssets = analyzedData
+            .slice()
+            .sort((a, b) => (b.volumeRef || 0) - (a.volumeRef || 0))
+            .map(item => item.baseAsset)
+            .filter(baseAsset => baseAsset && !seen.has(baseAsset) && seen.add(baseAsset))
+            .slice(0, CONFIG.MAX_ASSETS);
+    }
+    
+    /**
+     * Attach cross-exchange prices to primary tickers
+     * Adds `venues` ({ exchange: price in reference currency }) when at least one
+     * other exchange has a fresh quote for the asset.
+     * @param {Array} tickers - Internal tickers from the primary exchange
+     * @param {number} now - Current time (ms)
+     * @returns {Array} The same tickers
+     */
+    function annotate(tickers, now = Date.now()) {
+        tickers.forEach(ticker => {
+            const others = quotes.get(ticker.baseAsset);
+            if (!others) return;
+            
+            const rate = SymbolRegistry.getRate(ticker.quoteAsset);
+            if (rate === null) return;
+            
+            const venues = { [ticker.exchange || CONFIG.PRIMARY_EXCHANGE]: parseFloat(ticker.lastPrice) * rate };
+            let fresh = 0;
+            Object.keys(others).forEach(exchange => {
+                if (now - others[exchange].time <= CONFIG.STALE_AFTER_MS) {
+                    venues[exchange] = others[exchange].price;
+                    fresh++;
+                }
+            });
+            
+            if (fresh > 0) {
+                ticker.venues = venues;
+            }
+        });
+        
+        return tickers;
+    }
+    
+    /**
+     * Get the latest quotes of one asset
+     * @param {string} baseAsset - Base asset
+     * @returns {Object} { exchange: { price, symbol, volumeRef, time } }
+     */
+    function getQuotes(baseAsset) {
+        return { ...(quotes.get(baseAsset) || {}) };
+    }
+    
+    /**
+     * Get monitor status
+     * @returns {Object} { running, exchanges, watched, errors: { exchange: message } }
+     */
+    function getStatus() {
+        const lastErrors = {};
+        errors.forEach((message, exchange) => {
+            lastErrors[exchange] = message;
+        });
+        
+        return {
+            running: isRunning,
+            exchanges: CONFIG.EXCHANGES.slice(),
+            watched: watchedAssets.slice(),
+            errors: lastErrors
+        };
+    }
+    
+    /**
+     * Start polling secondary exchanges
+     */
+    function start() {
+        if (isRunning) return;
+        
+        isRunning = true;
+        
+        // Follow whatever the table currently shows (live or replay)
+        unsubscribe = EngineHost.subscribe(message => watchAssets(message.analyzedData));
+        
+        poll().finally(scheduleNext);
+    }
+    
+    /**
+     * Stop polling (known quotes age out through STALE_AFTER_MS)
+     */
+    function stop() {
+        isRunning = false;
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+        if (pollTimer) {
+            clearTimeout(pollTimer);
+            pollTimer = null;
+        }
+    }
+    
+    /**
+     * Get current configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG, EXCHANGES: CONFIG.EXCHANGES.slice() };
+    }
+    
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update configuration (takes effect on the next cycle)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        Object.assign(CONFIG, ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'exchange'));
+        return getConfig();
+    }
+    
+    /**
+     * Reset editable settings to defaults
+     * @returns {Object} New configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
+    // Public API
+    return {
+        start,
+        stop,
+        poll,
+        annotate,
+        getQuotes,
+        getStatus,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig
+    };
+})();
+
+// Make VenueMonitor available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = VenueMonitor;
+} else {
+    window.VenueMonitor = VenueMonitor;
+}
@@ -0,0 +1,191 @@
+/**
+ * Aegis Crypto-Watch - Watchlist
+ *
+ * Responsibilities:
+ * - Keep the symbols the user follows (persisted per browser)
+ * - Import / export the watchlist as JSON
+ * - Announce changes ('watchlistChanged') so the table and APIClient can follow
+ *
+ * Watched symbols are pinned to the top of the table and tracked by APIClient
+ * even when they fall outside the top-N volume cutoff.
+ */
+
+const Watchlist = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'aegis.watchlist';
+    const EXPORT_VERSION = 1;
+    const MAX_SYMBOLS = 200;
+    
+    // State
+    let symbols = [];   // Insertion order
+    
+    /**
+     * Normalise and validate a symbol
+     * @param {string} symbol - e.g. 'btcusdt'
+     * @returns {string} e.g. 'BTCUSDT'
+     */
+    function normalizeSymbol(symbol) {
+        const value = String(symbol || '').toUpperCase().trim();
+        if (!/^[A-Z0-9]{2,30}$/.test(value)) {
+            throw new Error(`Invalid symbol: ${symbol}`);
+        }
+        return value;
+    }
+    
+    /**
+     * Persist and announce the watchlist
+     */
+    function commit() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(symbols));
+        } catch (error) {
+            console.warn('Could not persist watchlist:', error);
+        }
+        
+        EventBus.emit('watchlistChanged', list());
+    }
+    
+    /**
+     * Load the persisted watchlist
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            symbols = Array.isArray(stored) ? stored.filter(symbol => /^[A-Z0-9]{2,30}$/.test(symbol)) : [];
+        } catch (error) {
+            console.warn('Stored watchlist is invalid, starting empty:', error);
+            symbols = [];
+        }
+    }
+    
+    /**
+     * Check whether a symbol is watched
+     * @param {string} symbol - Symbol
+     * @returns {boolean}
+     */
+    function has(symbol) {
+        return symbols.includes(symbol);
+    }
+    
+    /**
+     * Add a symbol
+     * @param {string} symbol - Symbol
+     * @returns {boolean} True if it was added
+     */
+    function add(symbol) {
+        const value = normalizeSymbol(symbol);
+        if (has(value)) return false;
+        
+        if (symbols.length >= MAX_SYMBOLS) {
+            throw new Error(`Watchlist is limited to ${MAX_SYMBOLS} symbols`);
+        }
+        
+        symbols.push(value);
+        commit();
+        return true;
+    }
+    
+    /**
+     * Remove a symbol
+     * @param {string} symbol - Symbol
+     * @returns {boolean} True if it was removed
+     */
+    function remove(symbol) {
+        const index = symbols.indexOf(String(symbol || '').toUpperCase());
+        if (index === -1) return false;
+        
+        symbols.splice(index, 1);
+        commit();
+        return true;
+    }
+    
+    /**
+     * Add or remove a symbol
+     * @param {string} symbol - Symbol
+     * @returns {boolean} True if the symbol is watched afterwards
+     */
+    function toggle(symbol) {
+        if (has(String(symbol || '').toUpperCase())) {
+            remove(symbol);
+            return false;
+        }
+        add(symbol);
+        return true;
+    }
+    
+    /**
+     * Get watched symbols
+     * @returns {Array<string>}
+     */
+    function list() {
+        return symbols.slice();
+    }
+    
+    /**
+     * Remove every symbol
+     */
+    function clear() {
+        symbols = [];
+        commit();
+    }
+    
+    /**
+     * Watchlist in export format
+     * @returns {Object} { version, exportedAt, symbols }
+     */
+    function exportData() {
+        return {
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            symbols: list()
+        };
+    }
+    
+    /**
+     * Import a watchlist (all symbols are validated before anything changes)
+     * @param {Object|Array} data - Export object ({ symbols }) or a plain symbol array
+     * @param {Object} options - { merge: true to keep current symbols }
+     * @returns {Array<string>} New watchlist
+     */
+    function importData(data, options = {}) {
+        const incoming = Array.isArray(data) ? data : (data && data.symbols);
+        if (!Array.isArray(incoming)) {
+            throw new Error('Watchlist file must contain a symbols array');
+        }
+        
+        const next = options.merge ? symbols.slice() : [];
+        incoming.map(normalizeSymbol).forEach(symbol => {
+            if (!next.includes(symbol)) next.push(symbol);
+        });
+        
+        if (next.length > MAX_SYMBOLS) {
+            throw new Error(`Watchlist is limited to ${MAX_SYMBOLS} symbols`);
+        }
+        
+        symbols = next;
+        commit();
+        return list();
+    }
+    
+    load();
+    
+    // Public API
+    return {
+        has,
+        add,
+        remove,
+        toggle,
+        list,
+        clear,
+        exportData,
+        importData
+    };
+})();
+
+// Make Watchlist available globally (page, worker) or as a CommonJS module (Node.js)
+if (typeof module === 'object' && module.exports) {
+    module.exports = Watchlist;
+} else {
+    window.Watchlist = Watchlist;
+}
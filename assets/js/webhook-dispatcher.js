@@ -0,0 +1,810 @@
+/**
+ * Aegis Crypto-Watch - Webhook Dispatcher
+ *
+ * Responsibilities:
+ * - Keep outbound webhook targets (persisted per browser) with per-target
+ *   signal type / symbol filters
+ * - POST newly opened signals of every analysis cycle (EngineHost) to matching targets
+ * - Payload templates: generic JSON, Slack (incoming webhook) and Discord (embeds)
+ * - Batch per target, retry transient failures with jittered backoff, rate limit per target
+ * - Keep a delivery log ('webhookDelivery' announces every update)
+ *
+ * Replayed recordings are not sent. Slack incoming webhooks do not answer CORS
+ * requests, so Slack targets are posted as simple form requests in 'no-cors'
+ * mode: delivery is attempted but the response (and any HTTP error) is opaque.
+ * tools/webhook-receiver.js is a local HTTP stand-in for testing targets.
+ */
+
+const WebhookDispatcher = (function() {
+    'use strict';
+    
+    // Configuration
+    const CONFIG = {
+        STORAGE_KEY: 'aegis.webhooks',
+        MAX_TARGETS: 20,
+        LOG_LIMIT: 200,            // Delivery log entries kept in memory
+        BATCH_DELAY: 2000,         // Collect signals this long before posting (ms)
+        MAX_BATCH: 20,             // Signals per request
+        MAX_QUEUE: 500,            // Pending signals per target (oldest are dropped)
+        MAX_RETRIES: 3,
+        RETRY_DELAY: 2000,         // Base delay for exponential backoff (ms)
+        RETRY_MAX_DELAY: 60000,
+        RATE_LIMIT: 10,            // Requests per target per RATE_WINDOW
+        RATE_WINDOW: 60000,
+        REQUEST_TIMEOUT: 10000
+    };
+    
+    const DEFAULT_CONFIG = { ...CONFIG };
+    
+    // Settings the user may change at runtime, with validation bounds
+    const CONFIG_SCHEMA = {
+        BATCH_DELAY: { label: 'Batch delay (ms)', min: 0, max: 60000, integer: true },
+        MAX_BATCH: { label: 'Signals per request', min: 1, max: 100, integer: true },
+        MAX_RETRIES: { label: 'Max retries', min: 0, max: 10, integer: true },
+        RETRY_DELAY: { label: 'Retry base delay (ms)', min: 100, max: 60000, integer: true },
+        RATE_LIMIT: { label: 'Requests per minute per target', min: 1, max: 600, integer: true },
+        REQUEST_TIMEOUT: { label: 'Request timeout (ms)', min: 1000, max: 120000, integer: true }
+    };
+    
+    // Discord embed colours per signal type
+    const DISCORD_COLORS = {
+        WHALE_ACTIVITY: 0x00d4ff,
+        PANIC_SELL: 0xff3366,
+        DEFAULT: 0xffc107
+    };
+    
+    // Payload templates: build(signals) -> request body object
+    const TEMPLATES = {
+        json: {
+            label: 'Generic JSON',
+            maxBatch: Infinity,
+            build: signals => ({
+                source: 'aegis-crypto-watch',
+                sentAt: new Date().toISOString(),
+                count: signals.length,
+                signals: signals
+            })
+        },
+        slack: {
+            label: 'Slack',
+            maxBatch: Infinity,
+            noCors: true,
+            build: signals => ({
+                text: signals.map(signal =>
+                    `*${signal.symbol}* \`${signal.type}\` ${signal.message}` +
+                    (signal.price !== null ? ` — ${formatPrice(signal.price)}` : '') +
+                    (signal.priceChangePercent !== null ? ` (${formatPercent(signal.priceChangePercent)})` : '')
+                ).join('\n')
+            })
+        },
+        discord: {
+            label: 'Discord',
+            maxBatch: 10,          // Discord accepts at most 10 embeds per message
+            build: signals => ({
+                username: 'Aegis Crypto-Watch',
+                embeds: signals.map(signal => ({
+                    title: `${signal.symbol} · ${signal.type}`,
+                    description: signal.message,
+                    color: DISCORD_COLORS[signal.type] || DISCORD_COLORS.DEFAULT,
+                    timestamp: new Date(signal.openedAt).toISOString(),
+                    fields: [
+                        { name: 'Fiyat', value: signal.price !== null ? formatPrice(signal.price) : '—', inline: true },
+                        { name: '24h', value: signal.priceChangePercent !== null ? formatPercent(signal.priceChangePercent) : '—', inline: true }
+                    ]
+                }))
+            })
+        }
+    };
+    
+    const STATUS = {
+        PENDING: 'pending',
+        RETRYING: 'retrying',
+        SENT: 'sent',
+        FAILED: 'failed',
+        DROPPED: 'dropped'
+    };
+    
+    // State
+    let targets = [];
+    const queues = new Map();   // target id -> { pending, timer, sending, sentAt, blockedUntil }
+    const log = [];             // Newest first
+    let logSequence = 0;
+    let fetchImpl = (url, options) => window.fetch(url, options);
+    
+    /**
+     * Failure of a single delivery attempt
+     */
+    class DeliveryError extends Error {
+        /**
+         * @param {string} message - Human readable reason
+         * @param {Object} details - { status, retryable, retryAfter (ms, from Retry-After) }
+         */
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'DeliveryError';
+            this.status = details.status || null;
+            this.retryable = Boolean(details.retryable);
+            this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+        }
+    }
+    
+    /**
+     * @param {number} price - Price
+     * @returns {string}
+     */
+    function formatPrice(price) {
+        return Number(price).toLocaleString('en-US', { maximumFractionDigits: 8 });
+    }
+    
+    /**
+     * @param {number} percent - Percent change
+     * @returns {string} e.g. '+3.25%'
+     */
+    function formatPercent(percent) {
+        return `${percent >= 0 ? '+' : ''}${Number(percent).toFixed(2)}%`;
+    }
+    
+    /**
+     * Normalise a comma separated list or array to unique upper-case tokens
+     * @param {Array|string} value - e.g. 'whale_activity, PANIC_SELL'
+     * @param {RegExp} pattern - Valid token pattern
+     * @param {string} name - Field name for errors
+     * @returns {Array<string>}
+     */
+    function normalizeList(value, pattern, name) {
+        const items = Array.isArray(value) ? value : String(value || '').split(',');
+        const tokens = items.map(item => String(item).toUpperCase().trim()).filter(Boolean);
+        
+        tokens.forEach(token => {
+            if (!pattern.test(token)) {
+                throw new Error(`Invalid ${name}: ${token}`);
+            }
+        });
+        
+        return Array.from(new Set(tokens));
+    }
+    
+    /**
+     * Validate and normalise a target definition
+     * @param {Object} definition - { name, url, template, types, symbols, enabled }
+     * @returns {Object} Target
+     */
+    function normalizeTarget(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Webhook target must be an object');
+        }
+        
+        let url;
+        try {
+            url = new URL(String(definition.url || '').trim());
+        } catch (error) {
+            throw new Error(`Invalid webhook URL: ${definition.url}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('Webhook URL must use http or https');
+        }
+        
+        const template = definition.template || 'json';
+        if (!TEMPLATES[template]) {
+            throw new Error(`Template must be one of: ${Object.keys(TEMPLATES).join(', ')}`);
+        }
+        
+        return {
+            id: definition.id || `hook-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: String(definition.name || '').trim() || url.host,
+            url: url.href,
+            template: template,
+            types: normalizeList(definition.types, /^[A-Z0-9_]{1,40}$/, 'signal type'),
+            symbols: normalizeList(definition.symbols, /^[A-Z0-9]{2,30}$/, 'symbol'),
+            enabled: definition.enabled !== false,
+            createdAt: Number(definition.createdAt) || Date.now()
+        };
+    }
+    
+    /**
+     * Persist targets and announce the change
+     */
+    function saveTargets() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(targets));
+        } catch (error) {
+            console.warn('Could not persist webhook targets:', error);
+        }
+        
+        $(document).trigger('webhooksChanged', [getTargets()]);
+    }
+    
+    /**
+     * Load persisted targets (invalid entries are dropped)
+     */
+    function loadTargets() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Stored webhook targets are invalid, starting empty:', error);
+        }
+        
+        targets = (Array.isArray(stored) ? stored : []).reduce((valid, definition) => {
+            try {
+                valid.push(normalizeTarget(definition));
+            } catch (error) {
+                console.warn('Dropping invalid stored webhook target:', error.message);
+            }
+            return valid;
+        }, []);
+    }
+    
+    /**
+     * Find a target by id
+     * @param {string} id - Target id
+     * @returns {Object} Target
+     */
+    function findTarget(id) {
+        const target = targets.find(entry => entry.id === id);
+        if (!target) {
+            throw new Error(`Unknown webhook target: ${id}`);
+        }
+        return target;
+    }
+    
+    /**
+     * Delivery queue of a target
+     * @param {string} id - Target id
+     * @returns {Object} { pending, timer, sending, sentAt, blockedUntil }
+     */
+    function getQueue(id) {
+        if (!queues.has(id)) {
+            queues.set(id, { pending: [], timer: null, sending: false, sentAt: [], blockedUntil: 0 });
+        }
+        return queues.get(id);
+    }
+    
+    /**
+     * Drop a target's queue (pending signals are discarded)
+     * @param {string} id - Target id
+     */
+    function discardQueue(id) {
+        const queue = queues.get(id);
+        if (!queue) return;
+        
+        clearTimeout(queue.timer);
+        queue.timer = null;
+        queue.pending = [];
+    }
+    
+    /**
+     * Add or update a delivery log entry and announce it
+     * @param {Object} entry - Log entry (new entries have no id)
+     * @returns {Object} Entry
+     */
+    function writeLog(entry) {
+        if (!entry.id) {
+            entry.id = ++logSequence;
+            log.unshift(entry);
+            if (log.length > CONFIG.LOG_LIMIT) log.length = CONFIG.LOG_LIMIT;
+        }
+        entry.updatedAt = Date.now();
+        
+        $(document).trigger('webhookDelivery', [{ ...entry }]);
+        return entry;
+    }
+    
+    /**
+     * Signal payload sent to webhooks
+     * @param {Object} record - Opened signal record
+     * @param {Object} item - Analyzed item of the signal
+     * @returns {Object}
+     */
+    function toPayloadSignal(record, item) {
+        const numberOrNull = value => (Number.isFinite(value) ? value : null);
+        
+        return {
+            id: record.id,
+            symbol: record.symbol,
+            baseAsset: record.baseAsset || null,
+            quoteAsset: record.quoteAsset || null,
+            type: record.type,
+            message: record.message,
+            priority: record.priority,
+            price: numberOrNull(item ? item.price : record.openPrice),
+            priceChangePercent: numberOrNull(item ? item.priceChangePercent : null),
+            volumeRef: numberOrNull(item ? item.volumeRef : null),
+            openedAt: record.openedAt
+        };
+    }
+    
+    /**
+     * Check target filters (empty filter = everything)
+     * @param {Object} target - Target
+     * @param {Object} signal - Payload signal
+     * @returns {boolean}
+     */
+    function matches(target, signal) {
+        if (target.types.length > 0 && !target.types.includes(signal.type)) return false;
+        if (target.symbols.length > 0
+            && !target.symbols.includes(signal.symbol)
+            && !target.symbols.includes(signal.baseAsset)) return false;
+        return true;
+    }
+    
+    /**
+     * Jittered exponential backoff delay
+     * @param {number} attempt - Failed attempts so far (1 = first retry)
+     * @returns {number} Delay in ms
+     */
+    function getBackoffDelay(attempt) {
+        const delay = Math.min(
+            CONFIG.RETRY_MAX_DELAY,
+            CONFIG.RETRY_DELAY * Math.pow(2, Math.max(0, attempt - 1))
+        );
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+    }
+    
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in ms or null when absent / invalid
+     */
+    function parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') return null;
+        
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    /**
+     * Time until the target may send again (rate window and Retry-After)
+     * @param {Object} queue - Target queue
+     * @returns {number} Delay in ms (0 = free to send)
+     */
+    function getRateDelay(queue) {
+        const now = Date.now();
+        queue.sentAt = queue.sentAt.filter(time => now - time < CONFIG.RATE_WINDOW);
+        
+        const windowDelay = queue.sentAt.length >= CONFIG.RATE_LIMIT
+            ? queue.sentAt[0] + CONFIG.RATE_WINDOW - now
+            : 0;
+        return Math.max(windowDelay, queue.blockedUntil - now, 0);
+    }
+    
+    /**
+     * @param {number} ms - Delay
+     * @returns {Promise<void>}
+     */
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    /**
+     * Build the HTTP request for a batch
+     * @param {Object} target - Target
+     * @param {Array} signals - Payload signals
+     * @returns {Object} fetch options
+     */
+    function buildRequest(target, signals) {
+        const template = TEMPLATES[target.template];
+        const body = JSON.stringify(template.build(signals));
+        
+        // Simple request without preflight; the response is opaque
+        if (template.noCors) {
+            return {
+                method: 'POST',
+                mode: 'no-cors',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: `payload=${encodeURIComponent(body)}`
+            };
+        }
+        
+        return {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body
+        };
+    }
+    
+    /**
+     * Single POST with timeout
+     * @param {Object} target - Target
+     * @param {Array} signals - Payload signals
+     * @returns {Promise<Object>} { status, opaque }
+     * @throws {DeliveryError} retryable for timeouts, network errors, 408, 429 and 5xx
+     */
+    async function post(target, signals) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+        
+        let response;
+        try {
+            response = await fetchImpl(target.url, { ...buildRequest(target, signals), signal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new DeliveryError(`Request timed out after ${CONFIG.REQUEST_TIMEOUT}ms`, { retryable: true });
+            }
+            throw new DeliveryError(`Network error: ${error.message}`, { retryable: true });
+        } finally {
+            clearTimeout(timeout);
+        }
+        
+        if (response.type === 'opaque') {
+            return { status: null, opaque: true };
+        }
+        
+        if (!response.ok) {
+            const header = response.headers && typeof response.headers.get === 'function'
+                ? response.headers.get('Retry-After')
+                : null;
+            throw new DeliveryError(`HTTP ${response.status}`, {
+                status: response.status,
+                retryable: response.status >= 500 || response.status === 429 || response.status === 408,
+                retryAfter: parseRetryAfter(header)
+            });
+        }
+        
+        return { status: response.status, opaque: false };
+    }
+    
+    /**
+     * Deliver one batch, retrying transient failures
+     * @param {Object} target - Target
+     * @param {Object} queue - Target queue
+     * @param {Array} signals - Payload signals
+     * @returns {Promise<Object>} Final log entry
+     */
+    async function deliver(target, queue, signals) {
+        const entry = writeLog({
+            time: Date.now(),
+            targetId: target.id,
+            targetName: target.name,
+            template: target.template,
+            count: signals.length,
+            symbols: Array.from(new Set(signals.map(signal => signal.symbol))),
+            status: STATUS.PENDING,
+            attempts: 0,
+            httpStatus: null,
+            opaque: false,
+            error: null
+        });
+        
+        for (;;) {
+            // Wait for a free slot in the rate window
+            let wait = getRateDelay(queue);
+            while (wait > 0) {
+                await sleep(wait);
+                wait = getRateDelay(queue);
+            }
+            
+            queue.sentAt.push(Date.now());
+            entry.attempts++;
+            
+            try {
+                const result = await post(target, signals);
+                entry.status = STATUS.SENT;
+                entry.httpStatus = result.status;
+                entry.opaque = result.opaque;
+                entry.error = null;
+                return writeLog(entry);
+            } catch (error) {
+                entry.httpStatus = error.status || null;
+                entry.error = error.message;
+                
+                if (!error.retryable || entry.attempts > CONFIG.MAX_RETRIES) {
+                    entry.status = STATUS.FAILED;
+                    return writeLog(entry);
+                }
+                
+                const delay = error.retryAfter !== null ? error.retryAfter : getBackoffDelay(entry.attempts);
+                if (error.status === 429) {
+                    queue.blockedUntil = Date.now() + delay;
+                }
+                entry.status = STATUS.RETRYING;
+                entry.nextAttemptAt = Date.now() + delay;
+                writeLog(entry);
+                await sleep(delay);
+            }
+        }
+    }
+    
+    /**
+     * Send pending signals of a target, one batch at a time
+     * @param {string} id - Target id
+     */
+    async function flush(id) {
+        const queue = getQueue(id);
+        queue.timer = null;
+        if (queue.sending) return;
+        
+        const target = targets.find(entry => entry.id === id);
+        if (!target || !target.enabled) {
+            discardQueue(id);
+            return;
+        }
+        
+        queue.sending = true;
+        try {
+            while (queue.pending.length > 0) {
+                const size = Math.min(CONFIG.MAX_BATCH, TEMPLATES[target.template].maxBatch);
+                await deliver(target, queue, queue.pending.splice(0, size));
+                
+                // Target removed or disabled while sending
+                if (!targets.includes(target) || !target.enabled) {
+                    discardQueue(id);
+                }
+            }
+        } finally {
+            queue.sending = false;
+        }
+    }
+    
+    /**
+     * Queue signals for a target and schedule the batch
+     * @param {Object} target - Target
+     * @param {Array} signals - Payload signals
+     * @param {number} delay - Batch delay (ms)
+     */
+    function enqueue(target, signals, delay) {
+        const queue = getQueue(target.id);
+        queue.pending.push(...signals);
+        
+        const overflow = queue.pending.length - CONFIG.MAX_QUEUE;
+        if (overflow > 0) {
+            const dropped = queue.pending.splice(0, overflow);
+            writeLog({
+                time: Date.now(),
+                targetId: target.id,
+                targetName: target.name,
+                template: target.template,
+                count: dropped.length,
+                symbols: Array.from(new Set(dropped.map(signal => signal.symbol))),
+                status: STATUS.DROPPED,
+                attempts: 0,
+                httpStatus: null,
+                opaque: false,
+                error: `Queue limit (${CONFIG.MAX_QUEUE}) exceeded`
+            });
+        }
+        
+        // A running flush picks new signals up when it finishes its batch
+        if (!queue.timer && !queue.sending) {
+            queue.timer = setTimeout(() => flush(target.id), delay);
+        }
+    }
+    
+    /**
+     * Route signals to every enabled target whose filters match
+     * @param {Array} signals - Payload signals (see toPayloadSignal)
+     * @returns {number} Number of (target, signal) deliveries queued
+     */
+    function dispatch(signals) {
+        let queued = 0;
+        
+        targets.forEach(target => {
+            if (!target.enabled) return;
+            
+            const matching = signals.filter(signal => matches(target, signal));
+            if (matching.length === 0) return;
+            
+            enqueue(target, matching, CONFIG.BATCH_DELAY);
+            queued += matching.length;
+        });
+        
+        return queued;
+    }
+    
+    /**
+     * Send a sample signal to a target right away (filters are ignored)
+     * @param {string} id - Target id
+     */
+    function sendTest(id) {
+        const target = findTarget(id);
+        enqueue(target, [{
+            id: `test-${Date.now()}`,
+            symbol: 'BTCUSDT',
+            baseAsset: 'BTC',
+            quoteAsset: 'USDT',
+            type: 'TEST',
+            message: 'Aegis Crypto-Watch webhook test',
+            priority: 0,
+            price: null,
+            priceChangePercent: null,
+            volumeRef: null,
+            openedAt: Date.now()
+        }], 0);
+    }
+    
+    /**
+     * Add a target
+     * @param {Object} definition - { name, url, template: 'json'|'slack'|'discord',
+     *   types: signal types (empty = all), symbols: pairs or base assets (empty = all), enabled }
+     * @returns {Object} Added target
+     */
+    function add(definition) {
+        if (targets.length >= CONFIG.MAX_TARGETS) {
+            throw new Error(`At most ${CONFIG.MAX_TARGETS} webhook targets are allowed`);
+        }
+        
+        const target = normalizeTarget({ ...definition, id: null, createdAt: null });
+        targets.push(target);
+        saveTargets();
+        return { ...target };
+    }
+    
+    /**
+     * Update a target
+     * @param {string} id - Target id
+     * @param {Object} updates - Fields to change
+     * @returns {Object} Updated target
+     */
+    function update(id, updates) {
+        const target = findTarget(id);
+        const next = normalizeTarget({ ...target, ...updates, id: target.id, createdAt: target.createdAt });
+        
+        targets[targets.indexOf(target)] = next;
+        discardQueue(id);
+        saveTargets();
+        return { ...next };
+    }
+    
+    /**
+     * Remove a target
+     * @param {string} id - Target id
+     * @returns {boolean} True if it was removed
+     */
+    function remove(id) {
+        const index = targets.findIndex(target => target.id === id);
+        if (index === -1) return false;
+        
+        targets.splice(index, 1);
+        discardQueue(id);
+        queues.delete(id);
+        saveTargets();
+        return true;
+    }
+    
+    /**
+     * Enable or disable a target
+     * @param {string} id - Target id
+     * @param {boolean} enabled - New state
+     */
+    function setEnabled(id, enabled) {
+        const target = findTarget(id);
+        target.enabled = Boolean(enabled);
+        if (!target.enabled) discardQueue(id);
+        saveTargets();
+    }
+    
+    /**
+     * Get targets
+     * @returns {Array}
+     */
+    function getTargets() {
+        return targets.map(target => ({ ...target, types: target.types.slice(), symbols: target.symbols.slice() }));
+    }
+    
+    /**
+     * Get template names and labels
+     * @returns {Object} { name: label }
+     */
+    function getTemplates() {
+        const templates = {};
+        Object.keys(TEMPLATES).forEach(name => {
+            templates[name] = TEMPLATES[name].label;
+        });
+        return templates;
+    }
+    
+    /**
+     * Request body a template produces (for previews and tests)
+     * @param {string} template - Template name
+     * @param {Array} signals - Payload signals
+     * @returns {Object}
+     */
+    function buildPayload(template, signals) {
+        if (!TEMPLATES[template]) {
+            throw new Error(`Unknown webhook template: ${template}`);
+        }
+        return TEMPLATES[template].build(signals);
+    }
+    
+    /**
+     * Get delivery log (newest first)
+     * @returns {Array}
+     */
+    function getLog() {
+        return log.map(entry => ({ ...entry }));
+    }
+    
+    /**
+     * Clear delivery log
+     */
+    function clearLog() {
+        log.length = 0;
+        $(document).trigger('webhookDelivery', [null]);
+    }
+    
+    /**
+     * Replace the fetch implementation (e.g. to test without a server)
+     * @param {Function|null} implementation - fetch(url, options); null restores window.fetch
+     */
+    function setFetch(implementation) {
+        fetchImpl = implementation || ((url, options) => window.fetch(url, options));
+    }
+    
+    /**
+     * Get dispatcher configuration
+     * @returns {Object}
+     */
+    function getConfig() {
+        return { ...CONFIG };
+    }
+    
+    /**
+     * Get editable settings schema
+     * @returns {Object} { KEY: { label, min, max, integer } }
+     */
+    function getConfigSchema() {
+        return JSON.parse(JSON.stringify(CONFIG_SCHEMA));
+    }
+    
+    /**
+     * Update configuration (applies to the next batch)
+     * @param {Object} updates - Partial config, validated against CONFIG_SCHEMA
+     * @returns {Object} New configuration
+     */
+    function setConfig(updates) {
+        Object.assign(CONFIG, ConfigSchema.merge(CONFIG, CONFIG_SCHEMA, updates, 'webhook'));
+        return getConfig();
+    }
+    
+    /**
+     * Restore default configuration
+     * @returns {Object} Default configuration
+     */
+    function resetConfig() {
+        const editable = {};
+        Object.keys(CONFIG_SCHEMA).forEach(key => {
+            editable[key] = DEFAULT_CONFIG[key];
+        });
+        return setConfig(editable);
+    }
+    
+    loadTargets();
+    
+    // Post newly opened signals of each analysis cycle (replayed recordings are not sent).
+    // The market-wide signal goes out as symbol MARKET, priced by the market index.
+    EngineHost.subscribe(function(message) {
+        if (message.source === 'replay' || targets.length === 0) return;
+        
+        const signals = message.opened
+            .map((record, index) => toPayloadSignal(record, message.newSignals[index]))
+            .concat(message.market.opened.map(record => toPayloadSignal(record, message.market)));
+        
+        if (signals.length > 0) dispatch(signals);
+    });
+    
+    // Public API
+    return {
+        add,
+        update,
+        remove,
+        setEnabled,
+        getTargets,
+        getTemplates,
+        buildPayload,
+        dispatch,
+        sendTest,
+        getLog,
+        clearLog,
+        setFetch,
+        getConfig,
+        getConfigSchema,
+        setConfig,
+        resetConfig
+    };
+})();
+
+// Make WebhookDispatcher available globally
+window.WebhookDispatcher = WebhookDispatcher;
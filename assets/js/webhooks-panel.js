@@ -0,0 +1,186 @@
+/**
+ * Aegis Crypto-Watch - Webhooks Panel
+ *
+ * Responsibilities:
+ * - Add webhook targets (template, signal type / symbol filters)
+ * - List targets with enable, test and remove controls
+ * - Show the delivery log, including failures and pending retries
+ */
+
+const WebhooksPanel = (function() {
+    'use strict';
+    
+    const escapeHtml = UIStream.escapeHtml;
+    
+    // Delivery status badges
+    const STATUS_BADGES = {
+        pending: { label: 'gönderiliyor', className: 'bg-secondary' },
+        retrying: { label: 'yeniden denenecek', className: 'bg-warning text-dark' },
+        sent: { label: 'gönderildi', className: 'bg-success' },
+        failed: { label: 'başarısız', className: 'bg-danger' },
+        dropped: { label: 'atıldı', className: 'bg-danger' }
+    };
+    
+    /**
+     * Render targets table
+     */
+    function renderTargets() {
+        const templates = WebhookDispatcher.getTemplates();
+        const rows = WebhookDispatcher.getTargets().map(target => {
+            const filters = [
+                target.types.length > 0 ? target.types.join(', ') : 'Tüm sinyaller',
+                target.symbols.length > 0 ? target.symbols.join(', ') : 'Tüm semboller'
+            ];
+            
+            return `
+                <tr class="${target.enabled ? '' : 'rule-row-disabled'}" data-webhook-id="${escapeHtml(target.id)}">
+                    <td>
+                        <input type="checkbox" class="form-check-input webhook-toggle" ${target.enabled ? 'checked' : ''}>
+                    </td>
+                    <td>
+                        ${escapeHtml(target.name)}
+                        <br><small class="text-muted text-break">${escapeHtml(target.url)}</small>
+                    </td>
+                    <td>${escapeHtml(templates[target.template])}</td>
+                    <td><small>${filters.map(escapeHtml).join('<br>')}</small></td>
+                    <td class="text-end text-nowrap">
+                        <button class="btn btn-sm btn-outline-secondary webhook-test" title="Test mesajı gönder" ${target.enabled ? '' : 'disabled'}>Test</button>
+                        <button class="btn btn-sm btn-outline-danger webhook-remove" title="Sil">✕</button>
+                    </td>
+                </tr>
+            `;
+        });
+        
+        $('#webhooksTableBody').html(rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="5" class="text-center text-muted">Webhook yok</td></tr>');
+    }
+    
+    /**
+     * Render delivery log
+     */
+    function renderLog() {
+        const rows = WebhookDispatcher.getLog().map(entry => {
+            const badge = STATUS_BADGES[entry.status];
+            let detail = entry.error || '';
+            if (entry.status === 'sent') {
+                detail = entry.opaque ? 'Yanıt okunamadı (no-cors)' : `HTTP ${entry.httpStatus}`;
+            } else if (entry.status === 'retrying' && entry.nextAttemptAt) {
+                detail += ` — ${new Date(entry.nextAttemptAt).toLocaleTimeString('tr-TR')} tekrar`;
+            }
+            
+            return `
+                <tr>
+                    <td><small>${new Date(entry.time).toLocaleTimeString('tr-TR')}</small></td>
+                    <td>${escapeHtml(entry.targetName)}</td>
+                    <td><small>${entry.count} · ${escapeHtml(entry.symbols.slice(0, 3).join(', '))}${entry.symbols.length > 3 ? '…' : ''}</small></td>
+                    <td><span class="badge ${badge.className}">${badge.label}</span></td>
+                    <td>${entry.attempts}</td>
+                    <td><small class="${entry.status === 'sent' ? 'text-muted' : 'text-warning'}">${escapeHtml(detail)}</small></td>
+                </tr>
+            `;
+        });
+        
+        $('#webhookLogBody').html(rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="6" class="text-center text-muted">Henüz teslimat yok</td></tr>');
+    }
+    
+    /**
+     * Show or clear form error
+     * @param {string|null} message - Error message
+     */
+    function showError(message) {
+        $('#webhookError').text(message || '').toggleClass('d-none', !message);
+    }
+    
+    /**
+     * Add target from form values
+     */
+    function submitTarget() {
+        try {
+            WebhookDispatcher.add({
+                name: $('#webhookName').val(),
+                url: $('#webhookUrl').val(),
+                template: $('#webhookTemplate').val(),
+                types: $('#webhookTypes').val(),
+                symbols: $('#webhookSymbols').val()
+            });
+            
+            $('#webhookForm')[0].reset();
+            showError(null);
+            renderTargets();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+    
+    /**
+     * Target id of a table control
+     * @param {Element} element - Control inside a target row
+     * @returns {string}
+     */
+    function targetId(element) {
+        return String($(element).closest('tr').data('webhook-id'));
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        const templates = WebhookDispatcher.getTemplates();
+        $('#webhookTemplate').html(Object.keys(templates)
+            .map(name => `<option value="${name}">${escapeHtml(templates[name])}</option>`)
+            .join(''));
+        
+        $('#webhookForm').on('submit', function(event) {
+            event.preventDefault();
+            submitTarget();
+        });
+        
+        $('#webhooksTableBody').on('change', '.webhook-toggle', function() {
+            WebhookDispatcher.setEnabled(targetId(this), this.checked);
+        });
+        
+        $('#webhooksTableBody').on('click', '.webhook-test', function() {
+            WebhookDispatcher.sendTest(targetId(this));
+        });
+        
+        $('#webhooksTableBody').on('click', '.webhook-remove', function() {
+            WebhookDispatcher.remove(targetId(this));
+        });
+        
+        $('#webhookLogClearBtn').on('click', function() {
+            WebhookDispatcher.clearLog();
+        });
+        
+        $(document).on('webhooksChanged', function() {
+            if ($('#webhooksModal').hasClass('show')) renderTargets();
+        });
+        
+        $(document).on('webhookDelivery', function() {
+            if ($('#webhooksModal').hasClass('show')) renderLog();
+        });
+        
+        $('#webhooksModal').on('show.bs.modal', function() {
+            showError(null);
+            renderTargets();
+            renderLog();
+        });
+    }
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        renderTargets,
+        renderLog,
+        initialize
+    };
+})();
+
+// Make WebhooksPanel available globally
+window.WebhooksPanel = WebhooksPanel;
@@ -0,0 +1,199 @@
+/**
+ * Aegis Crypto-Watch - Whale Tape Panel
+ *
+ * Responsibilities:
+ * - Show whale fills from TradeTape as they happen (side, size, price)
+ * - Show whale buy/sell pressure of the followed symbols
+ * - Edit per-symbol whale sizes (percentile or absolute)
+ */
+
+const WhaleTapePanel = (function() {
+    'use strict';
+    
+    const escapeHtml = UIStream.escapeHtml;
+    const formatNumber = UIStream.formatNumber;
+    const formatPrice = UIStream.formatPrice;
+    const formatLargeNumber = UIStream.formatLargeNumber;
+    
+    const MAX_ROWS = 50;
+    
+    // Side badges
+    const SIDES = {
+        buy: { label: 'ALIŞ', className: 'tape-buy' },
+        sell: { label: 'SATIŞ', className: 'tape-sell' }
+    };
+    
+    // Threshold mode labels
+    const MODES = {
+        percentile: 'Yüzdelik',
+        absolute: 'Sabit (USDT)'
+    };
+    
+    /**
+     * Get one tape row HTML
+     * @param {Object} trade - Whale fill from TradeTape
+     * @returns {string} HTML string
+     */
+    function getTradeRowHTML(trade) {
+        const side = SIDES[trade.side];
+        const pair = SymbolRegistry.parse(trade.symbol);
+        const quote = pair.quoteAsset ? `<small class="coin-quote">/${escapeHtml(pair.quoteAsset)}</small>` : '';
+        
+        return `
+            <tr class="tape-row" data-symbol="${escapeHtml(trade.symbol)}">
+                <td><small>${new Date(trade.time).toLocaleTimeString('tr-TR')}</small></td>
+                <td>${escapeHtml(pair.baseAsset)}${quote}</td>
+                <td><span class="tape-side ${side.className}">${side.label}</span></td>
+                <td class="text-end ${side.className}">${formatLargeNumber(trade.notional)}</td>
+                <td class="text-end">${formatPrice(trade.price)}</td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Render the whole tape
+     */
+    function renderTape() {
+        const trades = TradeTape.getTape(MAX_ROWS);
+        $('#whaleTapeBody').html(trades.length > 0
+            ? trades.map(getTradeRowHTML).join('')
+            : '<tr class="tape-empty"><td colspan="5" class="text-center text-muted"><small>Büyük işlem bekleniyor...</small></td></tr>');
+    }
+    
+    /**
+     * Prepend one whale fill
+     * @param {Object} trade - Whale fill from TradeTape
+     */
+    function addTrade(trade) {
+        $('#whaleTapeBody .tape-empty').remove();
+        $('#whaleTapeBody').prepend(getTradeRowHTML(trade));
+        $('#whaleTapeBody tr').slice(MAX_ROWS).remove();
+    }
+    
+    /**
+     * Render whale pressure of the followed symbols
+     * @param {Array} analyzedData - Analyzed ticker data
+     */
+    function renderPressure(analyzedData) {
+        const chips = analyzedData
+            .filter(item => item.tape && item.tape.whaleTrades > 0)
+            .sort((a, b) => (b.tape.whaleBuyVolume + b.tape.whaleSellVolume) - (a.tape.whaleBuyVolume + a.tape.whaleSellVolume))
+            .map(item => {
+                const pressure = item.tape.whalePressure;
+                const className = pressure > 0 ? 'tape-buy' : (pressure < 0 ? 'tape-sell' : 'text-muted');
+                const title = `Alış ${formatLargeNumber(item.tape.whaleBuyVolume)} (${item.tape.whaleBuys}) / ` +
+                    `Satış ${formatLargeNumber(item.tape.whaleSellVolume)} (${item.tape.whaleSells})`;
+                return `<span class="tape-pressure" title="${escapeHtml(title)}">${escapeHtml(item.baseAsset)} ` +
+                    `<span class="${className}">${pressure > 0 ? '+' : ''}${formatNumber(pressure, 0)}%</span></span>`;
+            });
+        
+        $('#whalePressure').html(chips.length > 0
+            ? chips.join('')
+            : '<small class="text-muted">Whale baskısı yok</small>');
+    }
+    
+    /**
+     * Render user thresholds
+     */
+    function renderThresholds() {
+        const thresholds = TradeTape.getThresholds();
+        const rows = Object.keys(thresholds).sort().map(symbol => {
+            const threshold = thresholds[symbol];
+            const value = threshold.mode === 'percentile'
+                ? `%${formatNumber(threshold.value, 2)}`
+                : formatLargeNumber(threshold.value);
+            return `
+                <li class="d-flex justify-content-between align-items-center" data-symbol="${escapeHtml(symbol)}">
+                    <small>${escapeHtml(symbol)} · ${MODES[threshold.mode]} ${value}</small>
+                    <button type="button" class="btn btn-sm btn-link text-danger p-0 whale-threshold-remove" title="Varsayılana dön">✕</button>
+                </li>
+            `;
+        });
+        
+        $('#whaleThresholdList').html(rows.length > 0
+            ? rows.join('')
+            : `<li><small class="text-muted">Varsayılan: %${formatNumber(TradeTape.getConfig().DEFAULT_PERCENTILE, 2)} yüzdelik</small></li>`);
+    }
+    
+    /**
+     * Show or clear threshold form error
+     * @param {string|null} message - Error message
+     */
+    function showError(message) {
+        $('#whaleThresholdError').text(message || '').toggleClass('d-none', !message);
+    }
+    
+    /**
+     * Save threshold from form values
+     */
+    function submitThreshold() {
+        try {
+            TradeTape.setThreshold($('#whaleThresholdSymbol').val(), {
+                mode: $('#whaleThresholdMode').val(),
+                value: $('#whaleThresholdValue').val()
+            });
+            $('#whaleThresholdForm')[0].reset();
+            showError(null);
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+    
+    /**
+     * Initialize panel
+     */
+    function initialize() {
+        $('#whaleThresholdMode').html(Object.keys(MODES)
+            .map(mode => `<option value="${mode}">${MODES[mode]}</option>`)
+            .join(''));
+        
+        $('#whaleThresholdToggle').on('click', function() {
+            $('#whaleThresholdPanel').toggleClass('d-none');
+        });
+        
+        $('#whaleThresholdForm').on('submit', function(event) {
+            event.preventDefault();
+            submitThreshold();
+        });
+        
+        $('#whaleThresholdList').on('click', '.whale-threshold-remove', function() {
+            TradeTape.clearThreshold(String($(this).closest('li').data('symbol')));
+        });
+        
+        $('#clearWhaleTapeBtn').on('click', function() {
+            TradeTape.clearTape();
+        });
+        
+        $('#whaleTapeBody').on('click', '.tape-row', function() {
+            SymbolDrawer.open(String($(this).data('symbol')));
+        });
+        
+        $(document).on('whaleTrade', function(event, trade) {
+            addTrade(trade);
+        });
+        
+        $(document).on('tradeTapeCleared', renderTape);
+        $(document).on('tradeTapeChanged', renderThresholds);
+        
+        renderTape();
+        renderThresholds();
+    }
+    
+    // Follow analysis results
+    EngineHost.subscribe(message => renderPressure(message.analyzedData));
+    
+    // Initialize on document ready
+    $(document).ready(function() {
+        initialize();
+    });
+    
+    // Public API
+    return {
+        renderTape,
+        renderThresholds,
+        initialize
+    };
+})();
+
+// Make WhaleTapePanel available globally
+window.WhaleTapePanel = WhaleTapePanel;
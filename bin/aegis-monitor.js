@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/**
+ * Aegis Crypto-Watch - Monitor CLI
+ *
+ * Responsibilities:
+ * - Feed live Binance data (stream or polling) or a recorded file through LogicEngine
+ * - Print opened (and optionally closed) signals as a table or as JSON Lines
+ * - Apply engine thresholds and API settings from flags
+ *
+ * Signals go to stdout; status and diagnostics go to stderr, so the output can
+ * be piped (e.g. aegis-monitor --format jsonl >> signals.jsonl).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Flag -> { key, type, describe }; 'engine' / 'api' flags map to a module setting
+const OPTIONS = {
+    '--file': { key: 'file', type: 'string', describe: 'Analyze an Aegis recording file (⏺ Kayıt) instead of live data' },
+    '--speed': { key: 'speed', type: 'number', describe: 'Playback speed for --file (0 = as fast as possible, default 0)' },
+    '--transport': { key: 'transport', type: 'string', values: ['stream', 'polling'], describe: 'Live transport (default stream; polling where WebSocket is unavailable)' },
+    '--format': { key: 'format', type: 'string', values: ['table', 'jsonl'], describe: 'Output format (default table)' },
+    '--quote': { key: 'quote', type: 'string', describe: 'Quote asset: USDT, FDUSD, BTC, TRY, ... or ALL (default USDT)' },
+    '--top': { key: 'TOP_LIMIT', type: 'number', api: true, describe: 'Top N symbols by volume' },
+    '--interval': { key: 'POLL_INTERVAL', type: 'number', api: true, describe: 'Poll interval (ms)' },
+    '--whale-change': { key: 'WHALE_THRESHOLD_PRICE_CHANGE', type: 'number', engine: true, describe: 'Whale min. 24h change (%)' },
+    '--whale-volume': { key: 'WHALE_THRESHOLD_VOLUME', type: 'number', engine: true, describe: 'Whale min. volume (USDT equiv.)' },
+    '--panic-change': { key: 'PANIC_THRESHOLD_PRICE_CHANGE', type: 'number', engine: true, describe: 'Panic max. 24h change (%)' },
+    '--arbitrage-spread': { key: 'ARBITRAGE_SPREAD_PERCENT', type: 'number', engine: true, describe: 'Arbitrage min. spread (%)' },
+    '--cooldown': { key: 'SIGNAL_COOLDOWN_MS', type: 'number', engine: true, describe: 'Signal cooldown (ms)' },
+    '--set': { key: 'set', type: 'list', describe: 'Any engine setting as KEY=VALUE (repeatable, e.g. RSI_PERIOD=21)' },
+    '--types': { key: 'types', type: 'string', describe: 'Only print these signal types (comma separated)' },
+    '--symbols': { key: 'symbols', type: 'string', describe: 'Only print these symbols or base assets (comma separated; market-wide signals always print)' },
+    '--closed': { key: 'closed', type: 'boolean', describe: 'Also print closed signals' },
+    '--verbose': { key: 'verbose', type: 'boolean', describe: 'Show module diagnostics on stderr' },
+    '--help': { key: 'help', type: 'boolean', describe: 'Show this help' }
+};
+
+// Table columns: [header, width, value(row)]
+const TABLE_COLUMNS = [
+    ['TIME (UTC)', 19, row => new Date(row.time).toISOString().replace('T', ' ').slice(0, 19)],
+    ['EVENT', 5, row => row.event.toUpperCase()],
+    ['SYMBOL', 12, row => row.symbol],
+    ['TYPE', 15, row => row.type],
+    ['PRICE', 14, row => formatNumber(row.price)],
+    ['24H %', 8, row => (Number.isFinite(row.priceChangePercent) ? row.priceChangePercent.toFixed(2) : '-')],
+    ['VOLUME', 10, row => formatVolume(row.volumeRef)],
+    ['MESSAGE', 0, row => row.message]
+];
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {Object} { file, speed, transport, format, quote, types, symbols, closed, verbose, help, engine, api }
+ */
+function parseArgs(args) {
+    const options = { speed: 0, transport: 'stream', format: 'table', engine: {}, api: {}, set: [] };
+    
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inline] = args[i].split(/=(.*)/s);
+        const spec = OPTIONS[flag];
+        if (!spec) {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+        
+        if (spec.type === 'boolean') {
+            options[spec.key] = true;
+            continue;
+        }
+        
+        const raw = inline !== undefined ? inline : args[++i];
+        if (raw === undefined) {
+            throw new Error(`${flag} needs a value`);
+        }
+        
+        let value = raw;
+        if (spec.type === 'number') {
+            value = Number(raw);
+            if (raw === '' || !Number.isFinite(value)) {
+                throw new Error(`${flag} must be a number`);
+            }
+        }
+        if (spec.values && !spec.values.includes(value)) {
+            throw new Error(`${flag} must be one of: ${spec.values.join(', ')}`);
+        }
+        
+        if (spec.engine) {
+            options.engine[spec.key] = value;
+        } else if (spec.api) {
+            options.api[spec.key] = value;
+        } else if (spec.type === 'list') {
+            options[spec.key].push(value);
+        } else {
+            options[spec.key] = value;
+        }
+    }
+    
+    options.set.forEach(pair => {
+        const match = /^([A-Z0-9_]+)=(.+)$/.exec(pair);
+        if (!match || !Number.isFinite(Number(match[2]))) {
+            throw new Error(`--set expects KEY=NUMBER, got: ${pair}`);
+        }
+        options.engine[match[1]] = Number(match[2]);
+    });
+    
+    const toList = value => (value ? value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean) : []);
+    options.types = toList(options.types);
+    options.symbols = toList(options.symbols);
+    
+    return options;
+}
+
+/**
+ * Usage text
+ * @returns {string}
+ */
+function usage() {
+    const lines = Object.keys(OPTIONS).map(flag => {
+        const spec = OPTIONS[flag];
+        const name = spec.type === 'boolean' ? flag : `${flag} <${spec.type === 'number' ? 'n' : 'value'}>`;
+        return `  ${name.padEnd(26)} ${spec.describe}`;
+    });
+    
+    return [
+        'Usage: aegis-monitor [options]',
+        '',
+        'Runs the Aegis logic engine on live Binance data or a recording and prints signals.',
+        '',
+        'Options:',
+        ...lines,
+        '',
+        'Examples:',
+        '  aegis-monitor --whale-change 8 --types WHALE_ACTIVITY,PANIC_SELL',
+        '  aegis-monitor --transport polling --interval 10000 --format jsonl >> signals.jsonl',
+        '  aegis-monitor --file aegis-recording.json --closed',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {number} value - Number
+ * @returns {string}
+ */
+function formatNumber(value) {
+    if (!Number.isFinite(value)) return '-';
+    return value.toLocaleString('en-US', { maximumFractionDigits: value >= 1 ? 4 : 8 });
+}
+
+/**
+ * @param {number} value - Volume in USDT
+ * @returns {string} e.g. '12.50M'
+ */
+function formatVolume(value) {
+    if (!Number.isFinite(value)) return '-';
+    if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(2)}K`;
+    return value.toFixed(2);
+}
+
+/**
+ * Output row of a closed signal
+ * @param {Object} record - Closed signal record
+ * @param {Object} item - Analyzed item of the symbol this cycle (if still listed)
+ * @param {number} timestamp - Frame time
+ * @returns {Object}
+ */
+function toCloseRow(record, item, timestamp) {
+    return {
+        event: 'close',
+        time: record.closedAt || timestamp,
+        id: record.id,
+        symbol: record.symbol,
+        baseAsset: record.baseAsset,
+        quoteAsset: record.quoteAsset,
+        type: record.type,
+        price: record.lastPrice,
+        priceChangePercent: item ? item.priceChangePercent : null,
+        volumeRef: item ? item.volumeRef : null,
+        message: `${record.closeReason || 'closed'}, peak ${Number(record.peakMove || 0).toFixed(2)}%`,
+        closeReason: record.closeReason,
+        openedAt: record.openedAt,
+        duration: record.duration,
+        peakMove: record.peakMove
+    };
+}
+
+/**
+ * Output row of an opened signal
+ * @param {Object} record - Signal record
+ * @param {Object} item - Analyzed item at trigger time
+ * @returns {Object}
+ */
+function toOpenRow(record, item) {
+    return {
+        event: 'open',
+        time: record.openedAt,
+        id: record.id,
+        symbol: record.symbol,
+        baseAsset: record.baseAsset,
+        quoteAsset: record.quoteAsset,
+        type: record.type,
+        price: item.price,
+        priceChangePercent: item.priceChangePercent,
+        volumeRef: item.volumeRef,
+        message: record.message,
+        priority: record.priority
+    };
+}
+
+/**
+ * Build the output rows of one analysis result
+ * The market-wide signal (result.market) is not tied to a symbol: --symbols does not filter it.
+ * @param {Object} result - LogicEngine.processData() result
+ * @param {number} timestamp - Frame time
+ * @param {Object} options - Parsed options
+ * @returns {Array<Object>} Rows in output order (closed first, as in the page)
+ */
+function toRows(result, timestamp, options) {
+    const itemsBySymbol = new Map(result.analyzedData.map(item => [item.symbol, item]));
+    const market = result.market;
+    const typeMatches = row => options.types.length === 0 || options.types.includes(row.type);
+    const symbolMatches = row => options.symbols.length === 0 ||
+        options.symbols.includes(row.symbol) || options.symbols.includes(row.baseAsset);
+    
+    const closeRows = options.closed
+        ? result.closed
+            .map(record => toCloseRow(record, itemsBySymbol.get(record.symbol), timestamp))
+            .filter(symbolMatches)
+            .concat(market.closed.map(record => toCloseRow(record, market, timestamp)))
+        : [];
+    const openRows = result.opened
+        .map((record, index) => toOpenRow(record, result.newSignals[index] || {}))
+        .filter(symbolMatches)
+        .concat(market.opened.map(record => toOpenRow(record, market)));
+    
+    return closeRows.concat(openRows).filter(typeMatches);
+}
+
+/**
+ * Create the signal printer for the chosen format
+ * @param {string} format - 'table' or 'jsonl'
+ * @returns {Function} print(rows)
+ */
+function createPrinter(format) {
+    if (format === 'jsonl') {
+        return rows => rows.forEach(row => {
+            process.stdout.write(`${JSON.stringify({ ...row, time: new Date(row.time).toISOString() })}\n`);
+        });
+    }
+    
+    const line = values => values
+        .map((value, index) => {
+            const width = TABLE_COLUMNS[index][1];
+            return width > 0 ? String(value).slice(0, width).padEnd(width) : value;
+        })
+        .join('  ');
+    
+    let headerPrinted = false;
+    return rows => {
+        if (rows.length === 0) return;
+        if (!headerPrinted) {
+            process.stdout.write(`${line(TABLE_COLUMNS.map(column => column[0]))}\n`);
+            headerPrinted = true;
+        }
+        rows.forEach(row => {
+            process.stdout.write(`${line(TABLE_COLUMNS.map(column => column[2](row)))}\n`);
+        });
+    };
+}
+
+/**
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Analyze a recording file frame by frame
+ * @param {Object} core - Core modules (index.js)
+ * @param {Object} options - Parsed options
+ * @param {Function} print - Printer
+ */
+async function runFile(core, options, print) {
+    const recording = core.DataReplay.parseFile(fs.readFileSync(path.resolve(options.file), 'utf8'));
+    const maxGap = core.DataReplay.getConfig().MAX_GAP_MS;
+    let signals = 0;
+    
+    console.error(`Analyzing ${recording.name}: ${recording.frameCount} frames`);
+    
+    for (let index = 0; index < recording.frames.length; index++) {
+        const frame = recording.frames[index];
+        if (options.speed > 0 && index > 0) {
+            const gap = frame.time - recording.frames[index - 1].time;
+            await sleep(Math.min(Math.max(gap, 0), maxGap) / options.speed);
+        }
+        
+        const result = core.LogicEngine.processData(frame.tickers, frame.time, 'file');
+        const rows = toRows(result, frame.time, options);
+        signals += rows.filter(row => row.event === 'open').length;
+        print(rows);
+    }
+    
+    console.error(`Done: ${signals} signal(s) printed`);
+}
+
+/**
+ * Analyze live data until interrupted
+ * @param {Object} core - Core modules (index.js)
+ * @param {Object} options - Parsed options
+ * @param {Function} print - Printer
+ */
+function runLive(core, options, print) {
+    let lastStatus = null;
+    
+    core.EventBus.on('connectionStatusChanged', status => {
+        if (status !== lastStatus) {
+            console.error(`[${new Date().toISOString()}] connection: ${status}`);
+            lastStatus = status;
+        }
+    });
+    
+    core.EventBus.on('tickerDataReceived', (tickers, meta) => {
+        const result = core.LogicEngine.processData(tickers, meta.timestamp, meta.source);
+        print(toRows(result, meta.timestamp, options));
+    });
+    
+    const shutdown = () => {
+        core.APIClient.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
+    core.APIClient.start(options.transport);
+}
+
+/**
+ * CLI entry
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage()}`);
+        process.exitCode = 2;
+        return;
+    }
+    
+    if (options.help) {
+        process.stdout.write(usage());
+        return;
+    }
+    
+    // Keep stdout for signals: module logs go to stderr, or nowhere unless --verbose
+    console.log = options.verbose ? console.error : () => {};
+    console.info = console.log;
+    if (!options.verbose) console.warn = () => {};
+    
+    const core = require('../index.js');
+    
+    try {
+        core.LogicEngine.setConfig(options.engine);
+        core.APIClient.setConfig(options.api);
+        if (options.quote) core.APIClient.setQuoteAsset(options.quote);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+        return;
+    }
+    
+    const print = createPrinter(options.format);
+    
+    if (options.file) {
+        await runFile(core, options, print);
+    } else {
+        runLive(core, options, print);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArgs, toRows, main };
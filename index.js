@@ -0,0 +1,65 @@
+/**
+ * Aegis Crypto-Watch - Node.js Entry
+ *
+ * Responsibilities:
+ * - Load the DOM-free core modules (the same files the page uses) in dependency order
+ * - Provide an in-memory localStorage where the runtime has none
+ *
+ * The modules reference each other as globals, as they do in the page, so each
+ * one is also registered on globalThis before the next is loaded.
+ *
+ * Usage:
+ *   const { APIClient, LogicEngine, EventBus } = require('aegis-crypto-engine');
+ *   EventBus.on('tickerDataReceived', (tickers, meta) => {
+ *       const result = LogicEngine.processData(tickers, meta.timestamp, meta.source);
+ *   });
+ *   APIClient.start('polling');
+ */
+
+'use strict';
+
+// Module name -> file, in load order
+const MODULES = [
+    ['EventBus', 'event-bus'],
+    ['ConfigSchema', 'config-schema'],
+    ['CsvFormat', 'csv-format'],
+    ['SymbolRegistry', 'symbol-registry'],
+    ['ExchangeAdapters', 'exchange-adapters'],
+    ['VenueMonitor', 'venue-monitor'],
+    ['DepthMonitor', 'depth-monitor'],
+    ['TradeTape', 'trade-tape'],
+    ['Watchlist', 'watchlist'],
+    ['APIClient', 'api-client'],
+    ['Indicators', 'indicators'],
+    ['RuleEngine', 'rule-engine'],
+    ['LogicEngine', 'logic-core'],
+    ['Backtester', 'backtest'],
+    ['DataReplay', 'replay']
+];
+
+/**
+ * Minimal in-memory Storage (settings, rules and the watchlist start empty)
+ * @returns {Object} localStorage-compatible object
+ */
+function createMemoryStorage() {
+    const values = new Map();
+    
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear()
+    };
+}
+
+if (typeof globalThis.localStorage === 'undefined') {
+    globalThis.localStorage = createMemoryStorage();
+}
+
+const core = {};
+MODULES.forEach(([name, file]) => {
+    core[name] = require(`./assets/js/${file}.js`);
+    globalThis[name] = core[name];
+});
+
+module.exports = core;
@@ -0,0 +1,252 @@
+/**
+ * Aegis Crypto-Watch - API client stream tests
+ *
+ * The ticker stream runs against WebSocketStandIn, a local in-process socket
+ * passed through the `WebSocket` stream option. Each test scripts what the
+ * "server" does once a connection is made; REST calls (snapshot seed,
+ * exchangeInfo, the polling fallback) are answered from test/fixtures.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { APIClient, EventBus } = require('../index.js');
+
+const BINANCE = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'binance-ticker-24hr.json'), 'utf8'));
+const [FULL_FRAME, PARTIAL_FRAME] = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures', 'binance-ticker-stream.json'), 'utf8')
+);
+
+/**
+ * Local WebSocket stand-in (browser WebSocket handler API)
+ * `WebSocketStandIn.script(socket, index)` plays the server side of every new
+ * connection on the next turn, after the client has attached its handlers.
+ */
+class WebSocketStandIn {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        
+        const index = WebSocketStandIn.sockets.push(this) - 1;
+        setImmediate(() => WebSocketStandIn.script(this, index));
+    }
+    
+    // Server side
+    accept() {
+        this.readyState = 1;
+        if (this.onopen) this.onopen({});
+    }
+    
+    push(payload) {
+        if (this.onmessage) this.onmessage({ data: JSON.stringify(payload) });
+    }
+    
+    drop() {
+        this.readyState = 3;
+        if (this.onclose) this.onclose({ code: 1006 });
+    }
+    
+    // Client side
+    close() {
+        this.readyState = 3;
+    }
+}
+
+/**
+ * Reset the stand-in for a test
+ * @param {Function} script - (socket, index) => void
+ */
+function useStandIn(script) {
+    WebSocketStandIn.sockets = [];
+    WebSocketStandIn.script = script;
+}
+
+/**
+ * Answer the ticker endpoint from the fixture, everything else with 404
+ * @param {Object} t - Test context
+ */
+function mockRest(t) {
+    t.mock.method(globalThis, 'fetch', async url => {
+        const found = url === APIClient.getConfig().API_URL;
+        return {
+            ok: found,
+            status: found ? 200 : 404,
+            headers: { get: () => null },
+            json: async () => BINANCE
+        };
+    });
+    
+    ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+/**
+ * Resolve with the arguments of the next emit of an event
+ * @param {string} name - Event name
+ * @returns {Promise<Array>}
+ */
+function nextEvent(name) {
+    return new Promise(resolve => EventBus.once(name, (...args) => resolve(args)));
+}
+
+/**
+ * Resolve once the stand-in has been connected `count` times
+ * @param {number} count - Number of connections
+ * @returns {Promise<void>}
+ */
+function connections(count) {
+    return new Promise(resolve => {
+        const check = setInterval(() => {
+            if (WebSocketStandIn.sockets.length >= count) {
+                clearInterval(check);
+                resolve();
+            }
+        }, 10);
+    });
+}
+
+const STREAM_OPTIONS = { WebSocket: WebSocketStandIn, url: 'ws://127.0.0.1:9443/ws/!ticker@arr', seed: false };
+
+test('stream merges partial !ticker@arr frames into the snapshot', async t => {
+    mockRest(t);
+    
+    const frames = [];
+    const unsubscribe = EventBus.on('tickerDataReceived', (tickers, meta) => frames.push({ tickers, meta }));
+    
+    useStandIn(socket => {
+        socket.accept();
+        socket.push(FULL_FRAME);
+        socket.push(PARTIAL_FRAME);
+    });
+    
+    try {
+        APIClient.start('stream', STREAM_OPTIONS);
+        await connections(1);
+        await new Promise(resolve => setImmediate(resolve));
+        
+        assert.equal(WebSocketStandIn.sockets[0].url, STREAM_OPTIONS.url);
+        assert.equal(APIClient.getConnectionStatus(), 'streaming');
+        assert.equal(frames.length, 2);
+        
+        const latest = frames[1];
+        const prices = Object.fromEntries(latest.tickers.map(ticker => [ticker.symbol, ticker.lastPrice]));
+        assert.deepEqual(prices, { BTCUSDT: 43100, ETHUSDT: 2250 });
+        assert.equal(latest.meta.source, 'stream');
+    } finally {
+        unsubscribe();
+        APIClient.stop();
+    }
+});
+
+test('a socket that opens and drops at once falls back to polling', { timeout: 10000 }, async t => {
+    mockRest(t);
+    APIClient.setConfig({ STREAM_MAX_RECONNECTS: 1 });
+    
+    useStandIn(socket => {
+        socket.accept();
+        socket.drop();
+    });
+    
+    try {
+        const fallback = nextEvent('transportFallback');
+        const polled = nextEvent('tickerDataReceived');
+        
+        APIClient.start('stream', STREAM_OPTIONS);
+        
+        assert.deepEqual(await fallback, ['polling']);
+        const [tickers, meta] = await polled;
+        
+        assert.equal(WebSocketStandIn.sockets.length, 2);
+        assert.equal(APIClient.getTransport(), 'polling');
+        assert.equal(meta.source, 'polling');
+        assert.deepEqual(tickers.map(ticker => ticker.symbol), ['BTCUSDT', 'ETHUSDT']);
+    } finally {
+        APIClient.stop();
+        APIClient.resetConfig();
+    }
+});
+
+test('a connection that delivers data restores the reconnect budget', { timeout: 10000 }, async t => {
+    mockRest(t);
+    APIClient.setConfig({ STREAM_MAX_RECONNECTS: 1 });
+    
+    let fellBack = false;
+    const unsubscribe = EventBus.on('transportFallback', () => { fellBack = true; });
+    
+    useStandIn((socket, index) => {
+        socket.accept();
+        if (index === 1) socket.push(FULL_FRAME);
+        if (index < 2) socket.drop();
+    });
+    
+    try {
+        APIClient.start('stream', STREAM_OPTIONS);
+        await connections(3);
+        await new Promise(resolve => setImmediate(resolve));
+        
+        assert.equal(fellBack, false);
+        assert.equal(APIClient.getTransport(), 'stream');
+        assert.equal(APIClient.getConnectionStatus(), 'streaming');
+    } finally {
+        unsubscribe();
+        APIClient.stop();
+        APIClient.resetConfig();
+    }
+});
+
+test('switching transports restarts the staleness clock', { timeout: 15000 }, async t => {
+    mockRest(t);
+    APIClient.setConfig({ STALE_AFTER: 2000, POLL_INTERVAL: 1000 });
+    
+    // The polling request never answers, so only the clock decides staleness
+    globalThis.fetch.mock.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    
+    useStandIn(socket => socket.accept());
+    
+    try {
+        const stale = nextEvent('tickerDataStale');
+        APIClient.start('stream', STREAM_OPTIONS);
+        await stale;
+        
+        APIClient.stopStreaming();
+        APIClient.startPolling();
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        
+        assert.equal(APIClient.getConnectionStatus(), 'connecting');
+    } finally {
+        APIClient.stop();
+        APIClient.resetConfig();
+    }
+});
+
+test('a rate-limit backoff is not reported as stale', { timeout: 15000 }, async t => {
+    mockRest(t);
+    APIClient.setConfig({ STALE_AFTER: 2000, POLL_INTERVAL: 1000 });
+    
+    globalThis.fetch.mock.mockImplementation(async () => ({
+        ok: false,
+        status: 429,
+        headers: { get: name => (name === 'Retry-After' ? '4' : null) },
+        json: async () => ({})
+    }));
+    
+    let staleReported = false;
+    const unsubscribe = EventBus.on('tickerDataStale', () => { staleReported = true; });
+    
+    try {
+        APIClient.start('polling');
+        await new Promise(resolve => setTimeout(resolve, 3200));
+        
+        assert.equal(staleReported, false);
+        assert.equal(APIClient.getConnectionStatus(), 'limited');
+    } finally {
+        unsubscribe();
+        APIClient.stop();
+        APIClient.resetConfig();
+    }
+});
@@ -0,0 +1,134 @@
+/**
+ * Aegis Crypto-Watch - Backtester tests
+ *
+ * Runs offline on test/fixtures/TESTUSDT-1h-2024-01-01.csv (Binance kline CSV
+ * layout): 24 flat hours at 100, then two +4% / +6% pumps (WHALE_ACTIVITY)
+ * and two -4% dumps (PANIC_SELL) separated by neutral hours.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { Backtester, LogicEngine } = require('../index.js');
+
+const FIXTURE = 'TESTUSDT-1h-2024-01-01.csv';
+
+/**
+ * Assert two numbers are equal within floating point noise
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+}
+
+/**
+ * Run the fixture with the indicator signals out of reach
+ * (periods longer than the lookback), so only the 24h rules fire.
+ * @param {Array<string>} horizons - Forward-return horizons
+ * @returns {Object} Backtest results
+ */
+function runFixture(horizons) {
+    LogicEngine.setConfig({
+        EMA_PERIOD: 500,
+        RSI_PERIOD: 500,
+        MACD_FAST: 499,
+        MACD_SLOW: 500,
+        MACD_SIGNAL: 500,
+        BOLLINGER_PERIOD: 500,
+        ATR_PERIOD: 500
+    });
+    
+    try {
+        const file = Backtester.parseFile(fs.readFileSync(path.join(__dirname, 'fixtures', FIXTURE), 'utf8'), FIXTURE);
+        return Backtester.run({ ...file, horizons: horizons });
+    } finally {
+        LogicEngine.resetConfig();
+    }
+}
+
+test('fixture file is parsed with symbol and interval from its name', () => {
+    const file = Backtester.parseFile(fs.readFileSync(path.join(__dirname, 'fixtures', FIXTURE), 'utf8'), FIXTURE);
+    
+    assert.equal(file.symbol, 'TESTUSDT');
+    assert.equal(file.interval, '1h');
+    assert.equal(file.candles.length, 40);
+    assert.equal(file.candles[24].close, 104);
+    assert.equal(file.candles[0].quoteVolume, 100000);
+});
+
+test('signal events and their forward outcomes', () => {
+    const results = runFixture(['1h', '3h']);
+    
+    // The first full 24h window ends with candle 23
+    assert.equal(results.steps, 17);
+    assert.deepEqual(
+        results.events.map(event => [event.type, event.price, event.direction]),
+        [
+            ['WHALE_ACTIVITY', 104, 1],
+            ['WHALE_ACTIVITY', 106, 1],
+            ['PANIC_SELL', 96, -1],
+            ['PANIC_SELL', 96, -1]
+        ]
+    );
+    
+    // Long from 104: +1h close 105 (low 103); +3h close 106 (lowest low 101)
+    const first = results.events[0].outcomes;
+    assertClose(first['1h'].return, (1 / 104) * 100);
+    assertClose(first['1h'].drawdown, (1 / 104) * 100);
+    assertClose(first['3h'].return, (2 / 104) * 100);
+    assertClose(first['3h'].drawdown, (3 / 104) * 100);
+    
+    // Short from 96: +1h close 95 (high 98); +3h close 96 (highest high 98)
+    const third = results.events[2].outcomes;
+    assertClose(third['1h'].return, (-1 / 96) * 100);
+    assertClose(third['1h'].drawdown, (2 / 96) * 100);
+    assertClose(third['3h'].return, 0);
+    assertClose(third['3h'].drawdown, (2 / 96) * 100);
+});
+
+test('summary hit rate, average return and drawdown per type', () => {
+    const { summary } = runFixture(['1h', '3h', '12h']);
+    
+    // WHALE_ACTIVITY: 1h +1/104, +1/106 (both hits); 3h +2/104, -10/106 (one hit)
+    const whale = summary.WHALE_ACTIVITY;
+    assert.equal(whale.count, 2);
+    assert.equal(whale.horizons['1h'].samples, 2);
+    assert.equal(whale.horizons['1h'].hitRate, 100);
+    assertClose(whale.horizons['1h'].avgReturn, (100 / 104 + 100 / 106) / 2);
+    assert.equal(whale.horizons['3h'].hitRate, 50);
+    assertClose(whale.horizons['3h'].avgReturn, (200 / 104 - 1000 / 106) / 2);
+    assertClose(whale.horizons['3h'].avgDrawdown, (300 / 104 + 1000 / 106) / 2);
+    
+    // PANIC_SELL (short): 1h -1/96 (hit), +3/96 (miss); 3h 0 and +1.5/96 (no hits)
+    const panic = summary.PANIC_SELL;
+    assert.equal(panic.count, 2);
+    assert.equal(panic.horizons['1h'].hitRate, 50);
+    assertClose(panic.horizons['1h'].avgReturn, (-100 / 96 + 300 / 96) / 2);
+    assertClose(panic.horizons['1h'].avgDrawdown, (200 / 96 + 300 / 96) / 2);
+    assert.equal(panic.horizons['3h'].hitRate, 0);
+    assertClose(panic.horizons['3h'].avgReturn, (0 + 150 / 96) / 2);
+    
+    // Both dumps are less than 12h before the data ends
+    assert.deepEqual(panic.horizons['12h'], { samples: 0, hitRate: null, avgReturn: null, avgDrawdown: null });
+    assert.equal(whale.horizons['12h'].samples, 2);
+});
+
+test('CSV export has one row per event and a column pair per horizon', () => {
+    const results = runFixture(['1h', '3h']);
+    const lines = Backtester.toCSV(results).split('\n');
+    
+    assert.equal(lines.length, results.events.length + 1);
+    assert.ok(lines[0].endsWith('return_1h,drawdown_1h,return_3h,drawdown_3h'));
+    assert.ok(lines[1].startsWith('TESTUSDT,WHALE_ACTIVITY,'));
+    assert.ok(lines[1].endsWith('0.9615,0.9615,1.9231,2.8846'));
+});
+
+test('too few candles for one rolling window is an error', () => {
+    const candles = Backtester.parseCSV(fs.readFileSync(path.join(__dirname, 'fixtures', FIXTURE), 'utf8')).slice(0, 23);
+    assert.throws(() => Backtester.run({ symbol: 'TESTUSDT', candles: candles }), /Not enough candles/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Aegis Crypto-Watch - Config schema tests
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ConfigSchema, LogicEngine } = require('../index.js');
+
+const SCHEMA = {
+    INTERVAL: { label: 'Interval (ms)', min: 1000, max: 60000, integer: true },
+    RATIO: { label: 'Ratio', min: 0, max: 1 }
+};
+
+test('merge returns a new configuration with numeric updates applied', () => {
+    const config = { INTERVAL: 5000, RATIO: 0.5, URL: 'https://example.com' };
+    const next = ConfigSchema.merge(config, SCHEMA, { INTERVAL: '2000', RATIO: 0.25 }, 'test');
+    
+    assert.deepEqual(next, { INTERVAL: 2000, RATIO: 0.25, URL: 'https://example.com' });
+    assert.equal(config.INTERVAL, 5000);
+    assert.deepEqual(ConfigSchema.merge(config, SCHEMA, undefined, 'test'), config);
+});
+
+test('merge rejects unknown keys, non-numbers, fractions and out-of-range values', () => {
+    const config = { INTERVAL: 5000, RATIO: 0.5 };
+    
+    assert.throws(() => ConfigSchema.merge(config, SCHEMA, { URL: 'x' }, 'test'), /^Error: Unknown test setting: URL$/);
+    assert.throws(() => ConfigSchema.merge(config, SCHEMA, { RATIO: 'abc' }, 'test'), /RATIO must be a number/);
+    assert.throws(() => ConfigSchema.merge(config, SCHEMA, { INTERVAL: 1500.5 }, 'test'), /INTERVAL must be an integer/);
+    assert.throws(() => ConfigSchema.merge(config, SCHEMA, { INTERVAL: 999 }, 'test'), /INTERVAL must be between 1000 and 60000/);
+    assert.throws(() => ConfigSchema.merge(config, SCHEMA, { RATIO: 1.01 }, 'test'), /RATIO must be between 0 and 1/);
+});
+
+test('module setConfig validates through the shared schema rules', () => {
+    assert.throws(() => LogicEngine.setConfig({ NOPE: 1 }), /Unknown engine setting: NOPE/);
+    assert.throws(() => LogicEngine.setConfig({ RSI_PERIOD: 1.5 }), /RSI_PERIOD must be an integer/);
+});
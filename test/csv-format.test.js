@@ -0,0 +1,25 @@
+/**
+ * Aegis Crypto-Watch - CSV format tests
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CsvFormat = require('../assets/js/csv-format.js');
+
+test('escapeCell quotes only cells with commas, quotes or line breaks', () => {
+    assert.equal(CsvFormat.escapeCell('BTCUSDT'), 'BTCUSDT');
+    assert.equal(CsvFormat.escapeCell(1.5), '1.5');
+    assert.equal(CsvFormat.escapeCell(0), '0');
+    assert.equal(CsvFormat.escapeCell(null), '');
+    assert.equal(CsvFormat.escapeCell(undefined), '');
+    assert.equal(CsvFormat.escapeCell('a,b'), '"a,b"');
+    assert.equal(CsvFormat.escapeCell('say "hi"'), '"say ""hi"""');
+    assert.equal(CsvFormat.escapeCell('line\nbreak'), '"line\nbreak"');
+});
+
+test('formatRow joins escaped cells', () => {
+    assert.equal(CsvFormat.formatRow(['WHALE', 'Strong, fast', null, 2]), 'WHALE,"Strong, fast",,2');
+});
@@ -0,0 +1,150 @@
+/**
+ * Aegis Crypto-Watch - Depth Monitor tests
+ *
+ * test/fixtures/depth-testusdt.json is a /api/v3/depth payload around a mid of 100:
+ * 100-lot levels every 0.5 (notional ~10K each) with a 2000-lot bid at 98.5
+ * (197K, ~19.8x the median level) and levels out to ±2.5%.
+ * depth-testbtc-shallow.json only reaches ±0.16% and is quoted in BTC.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { DepthMonitor, SymbolRegistry, LogicEngine } = require('../index.js');
+
+/**
+ * Load a JSON fixture
+ * @param {string} name - File name in test/fixtures
+ * @returns {*}
+ */
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+/**
+ * Assert two numbers are equal within floating point noise
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+}
+
+const BOOK = fixture('depth-testusdt.json');
+const SHALLOW = fixture('depth-testbtc-shallow.json');
+
+// BTC quote rate for TESTBTC (a full market ticker array carries both)
+SymbolRegistry.updateRates([
+    { symbol: 'BTCUSDT', lastPrice: '40000' },
+    { symbol: 'TESTBTC', lastPrice: '0.0025' }
+]);
+
+test('mid, spread and spread %', () => {
+    const analysis = DepthMonitor.analyzeBook(BOOK);
+    
+    assert.equal(analysis.bestBid, 99.9);
+    assert.equal(analysis.bestAsk, 100.1);
+    assertClose(analysis.mid, 100);
+    assertClose(analysis.spread, 0.2);
+    assertClose(analysis.spreadPercent, 0.2);
+    assert.equal(analysis.levels, 12);
+});
+
+test('band liquidity and imbalance', () => {
+    const [band1, band2] = DepthMonitor.analyzeBook(BOOK).bands;
+    
+    // ±1%: bids 99.9 / 99.5 / 99.0, asks 100.1 / 100.5 / 101.0
+    assert.equal(band1.percent, 1);
+    assertClose(band1.bid, 9990 + 9950 + 9900);
+    assertClose(band1.ask, 10010 + 10050 + 10100);
+    assertClose(band1.imbalance, ((29840 - 30160) / 60000) * 100);
+    assert.equal(band1.complete, true);
+    
+    // ±2% adds 98.5 (the wall) and 98.0, 101.5 and 102.0; 97.5 / 102.5 are outside
+    assert.equal(band2.percent, 2);
+    assertClose(band2.bid, 29840 + 197000 + 9800);
+    assertClose(band2.ask, 30160 + 10150 + 10200);
+    assertClose(band2.imbalance, ((236640 - 50510) / 287150) * 100);
+    assert.equal(band2.complete, true);
+    
+    // The widest band drives the book imbalance
+    assertClose(DepthMonitor.analyzeBook(BOOK).imbalance, band2.imbalance);
+});
+
+test('a shallow snapshot flags its bands incomplete and converts the quote asset', () => {
+    const analysis = DepthMonitor.ingest('TESTBTC', SHALLOW, 1000);
+    
+    // Zero-quantity levels are dropped
+    assert.equal(analysis.levels, 6);
+    assert.equal(analysis.time, 1000);
+    assert.deepEqual(analysis.bands.map(band => band.complete), [false, false]);
+    
+    // Notional in USDT at 40000 per BTC
+    assertClose(analysis.bands[0].bid, (0.002499 * 400 + 0.002498 * 250 + 0.002496 * 300) * 40000);
+    assertClose(analysis.bands[0].ask, (0.002501 * 200 + 0.002502 * 350 + 0.002503 * 500) * 40000);
+    assertClose(analysis.spreadPercent, 0.08);
+    
+    // Only the returned side reaches the band
+    const asksOnlyDeep = DepthMonitor.analyzeBook({
+        bids: SHALLOW.bids,
+        asks: SHALLOW.asks.concat([['0.00260000', '1']])
+    });
+    assert.deepEqual(asksOnlyDeep.bands.map(band => band.complete), [false, false]);
+});
+
+test('wall detection: median multiple and minimum notional edges', () => {
+    const ratio = 197000 / 9950;
+    const analysis = DepthMonitor.analyzeBook(BOOK);
+    
+    assert.deepEqual(analysis.bidWall, { price: 98.5, notional: 197000, distancePercent: 1.5, ratio: ratio });
+    assert.equal(analysis.askWall, null);
+    
+    // Exactly at the multiplier / minimum is still a wall; just above is not
+    assert.notEqual(DepthMonitor.analyzeBook(BOOK, { wallMultiplier: ratio }).bidWall, null);
+    assert.equal(DepthMonitor.analyzeBook(BOOK, { wallMultiplier: ratio + 0.01 }).bidWall, null);
+    assert.notEqual(DepthMonitor.analyzeBook(BOOK, { wallMinNotional: 197000 }).bidWall, null);
+    assert.equal(DepthMonitor.analyzeBook(BOOK, { wallMinNotional: 197000.01 }).bidWall, null);
+    
+    // Outside the wall band (1.5% away) the level is not searched
+    assert.equal(DepthMonitor.analyzeBook(BOOK, { wallBandPercent: 1 }).bidWall, null);
+    
+    // The same notional in BTC terms
+    assert.equal(DepthMonitor.analyzeBook(BOOK, { rate: 0.5 }).bidWall, null);
+});
+
+test('empty books are not analyzed', () => {
+    assert.equal(DepthMonitor.analyzeBook({ bids: [], asks: BOOK.asks }), null);
+    assert.equal(DepthMonitor.analyzeBook(null), null);
+    
+    DepthMonitor.ingest('TESTUSDT', BOOK, 1000);
+    assert.equal(DepthMonitor.ingest('TESTUSDT', { bids: [], asks: [] }, 2000), null);
+    assert.equal(DepthMonitor.getDepth('TESTUSDT'), null);
+});
+
+test('annotated tickers raise BUY_WALL, or IMBALANCE without a wall', () => {
+    const ticker = () => ({ symbol: 'TESTUSDT', exchange: 'binance', lastPrice: 100, priceChangePercent: 0.5, volume: 1e5, quoteVolume: 1e7 });
+    const context = { indicators: null, volumeSurge: null };
+    
+    DepthMonitor.ingest('TESTUSDT', BOOK, 1000);
+    const [walled] = DepthMonitor.annotate([ticker()], 2000);
+    assert.equal(walled.depth.bidWall.price, 98.5);
+    assert.equal(LogicEngine.analyzeTicker(walled, context).signal.type, 'BUY_WALL');
+    
+    DepthMonitor.setConfig({ WALL_MIN_NOTIONAL: 1e9 });
+    try {
+        DepthMonitor.ingest('TESTUSDT', BOOK, 1000);
+        const [imbalanced] = DepthMonitor.annotate([ticker()], 2000);
+        assert.equal(imbalanced.depth.bidWall, null);
+        assert.equal(LogicEngine.analyzeTicker(imbalanced, context).signal.type, 'IMBALANCE');
+    } finally {
+        DepthMonitor.resetConfig();
+    }
+    
+    // Books older than STALE_AFTER_MS are not attached
+    const [stale] = DepthMonitor.annotate([ticker()], 1000 + DepthMonitor.getConfig().STALE_AFTER_MS + 1);
+    assert.equal(stale.depth, undefined);
+});
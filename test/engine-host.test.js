@@ -0,0 +1,199 @@
+/**
+ * Aegis Crypto-Watch - EngineHost tests
+ *
+ * WorkerStandIn runs the real logic-worker.js in its own vm context (its own
+ * LogicEngine), passing structured clones both ways like a Web Worker. The
+ * page-side EngineHost and LogicEngine are the ones index.js registers.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { LogicEngine, EventBus } = require('../index.js');
+
+const ASSETS = path.join(__dirname, '..', 'assets', 'js');
+
+/**
+ * Web Worker stand-in hosting logic-worker.js
+ * crash() reports an uncaught error the way a failing worker does.
+ */
+class WorkerStandIn {
+    constructor(url) {
+        this.url = url;
+        WorkerStandIn.current = this;
+        
+        const scope = vm.createContext({ console: console });
+        scope.self = scope;
+        scope.importScripts = (...files) => files.forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(ASSETS, file), 'utf8'), scope, { filename: file });
+        });
+        scope.postMessage = message => {
+            const data = structuredClone(message);
+            setImmediate(() => this.onmessage && this.onmessage({ data: data }));
+        };
+        this.scope = scope;
+        
+        vm.runInContext(fs.readFileSync(path.join(ASSETS, 'logic-worker.js'), 'utf8'), scope, { filename: 'logic-worker.js' });
+    }
+    
+    postMessage(message) {
+        const data = structuredClone(message);
+        setImmediate(() => this.scope && this.scope.onmessage({ data: data }));
+    }
+    
+    terminate() {
+        this.scope = null;
+    }
+    
+    crash() {
+        this.onerror({ message: 'worker crashed', preventDefault() {} });
+    }
+}
+
+globalThis.Worker = WorkerStandIn;
+globalThis.window = globalThis;
+
+/**
+ * Load a fresh EngineHost (not started; the page-side LogicEngine is shared)
+ * @returns {Object} EngineHost
+ */
+function loadEngineHost() {
+    const file = require.resolve('../assets/js/engine-host.js');
+    delete require.cache[file];
+    require(file);
+    return globalThis.EngineHost;
+}
+
+/**
+ * Minimal ticker (priceChangePercent drives the panic / pump signals)
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} price - Last price
+ * @param {number} changePercent - 24h change (%)
+ * @returns {Object}
+ */
+function ticker(symbol, price, changePercent) {
+    return {
+        symbol: symbol,
+        lastPrice: String(price),
+        priceChange: String(changePercent),
+        priceChangePercent: String(changePercent),
+        volume: '1000',
+        quoteVolume: String(price * 1000)
+    };
+}
+
+/**
+ * Resolve with the next analysis message
+ * @param {Object} EngineHost - Host to listen to
+ * @returns {Promise<Object>}
+ */
+function nextAnalysis(EngineHost) {
+    return new Promise(resolve => {
+        const unsubscribe = EngineHost.subscribe(message => {
+            unsubscribe();
+            resolve(message);
+        });
+    });
+}
+
+/**
+ * Record the ids of every signalsClosed event (pairs and market)
+ * @param {Object} t - Test context (unsubscribes at the end)
+ * @returns {Array<Array<string>>}
+ */
+function recordClosedEvents(t) {
+    const events = [];
+    const unsubscribe = EventBus.on('signalsClosed', (records, meta) => {
+        events.push(records.concat(meta.market).map(record => record.id));
+    });
+    t.after(unsubscribe);
+    return events;
+}
+
+test('a reset in worker mode reports each closed signal once', async t => {
+    t.mock.method(console, 'log', () => {});
+    const EngineHost = loadEngineHost();
+    const events = recordClosedEvents(t);
+    
+    EngineHost.start();
+    const analyzed = nextAnalysis(EngineHost);
+    EngineHost.process([ticker('FFFUSDT', 50, -12)], Date.UTC(2024, 0, 6), 'stream');
+    const [record] = (await analyzed).opened;
+    
+    EngineHost.reset();
+    // Answered after the worker's reset reply
+    await EngineHost.call('getOpenSignals');
+    
+    assert.deepEqual(events, [[record.id]]);
+    assert.deepEqual(LogicEngine.getOpenSignals(), []);
+});
+
+test('a frame still in the worker at a reset is published but not mirrored', async t => {
+    t.mock.method(console, 'log', () => {});
+    const EngineHost = loadEngineHost();
+    const events = recordClosedEvents(t);
+    
+    EngineHost.start();
+    const analyzed = nextAnalysis(EngineHost);
+    EngineHost.process([ticker('GGGUSDT', 20, -12)], Date.UTC(2024, 0, 7), 'stream');
+    EngineHost.reset();
+    
+    const [record] = (await analyzed).opened;
+    const workerOpen = await EngineHost.call('getOpenSignals');
+    const workerHistory = await EngineHost.call('getHistory', 'GGGUSDT');
+    
+    assert.equal(record.symbol, 'GGGUSDT');
+    assert.deepEqual(events, [[record.id]]);
+    assert.deepEqual([workerOpen, workerHistory], [[], []]);
+    assert.deepEqual([LogicEngine.getOpenSignals(), LogicEngine.getHistory('GGGUSDT')], [[], []]);
+});
+
+test('a worker that fails mid-run hands its history and open signals to the main thread', async t => {
+    ['log', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+    const EngineHost = loadEngineHost();
+    const start = Date.UTC(2024, 0, 5);
+    
+    assert.equal(EngineHost.start(), 'worker');
+    
+    let first = null;
+    for (let i = 0; i < 6; i++) {
+        const analyzed = nextAnalysis(EngineHost);
+        EngineHost.process([ticker('DDDUSDT', 88 - i, -12), ticker('AAAUSDT', 100 + i, 1)], start + i * 5000, 'stream');
+        const message = await analyzed;
+        if (i === 0) first = message;
+    }
+    
+    assert.equal(first.opened.length, 1);
+    const opened = first.opened[0];
+    
+    // The page-side engine followed the worker
+    const workerHistory = await EngineHost.call('getHistory', 'DDDUSDT');
+    assert.equal(workerHistory.length, 6);
+    assert.deepEqual(LogicEngine.getHistory('DDDUSDT'), workerHistory);
+    assert.deepEqual(
+        LogicEngine.getOpenSignals().map(record => [record.id, record.openedAt, record.peakPrice]),
+        [[opened.id, start, 83]]
+    );
+    
+    // A frame still queued when the worker fails is analyzed on the main thread
+    const fallback = nextAnalysis(EngineHost);
+    EngineHost.process([ticker('DDDUSDT', 80, -12), ticker('AAAUSDT', 106, 1), ticker('EEEUSDT', 9, -12)], start + 30000, 'stream');
+    WorkerStandIn.current.crash();
+    const message = await fallback;
+    
+    assert.equal(EngineHost.getState().mode, 'main');
+    assert.equal(LogicEngine.getHistory('DDDUSDT').length, 7);
+    
+    const held = message.analyzedData.find(item => item.symbol === 'DDDUSDT').signal;
+    assert.deepEqual({ id: held.lifecycle.id, openedAt: held.lifecycle.openedAt }, { id: opened.id, openedAt: start });
+    assert.deepEqual(message.closed, []);
+    
+    // Only the new symbol opens, with an id the worker has not used
+    assert.deepEqual(message.opened.map(record => record.symbol), ['EEEUSDT']);
+    assert.notEqual(message.opened[0].id.split('-').pop(), opened.id.split('-').pop());
+});
@@ -0,0 +1,163 @@
+/**
+ * Aegis Crypto-Watch - Exchange adapter tests
+ *
+ * Fixtures in test/fixtures are recorded-shape payloads of the public endpoints
+ * each adapter reads (Binance /api/v3/ticker/24hr, Coinbase /products/{id}/stats
+ * keyed by product, Kraken /0/public/Ticker).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { ExchangeAdapters, SymbolRegistry, LogicEngine } = require('../index.js');
+
+/**
+ * Load a JSON fixture
+ * @param {string} name - File name in test/fixtures
+ * @returns {*}
+ */
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+/**
+ * fetch stand-in answering from a URL -> payload map (404 otherwise)
+ * @param {Object} routes - { url: payload }
+ * @returns {Function}
+ */
+function fakeFetch(routes) {
+    return async url => ({
+        ok: url in routes,
+        status: url in routes ? 200 : 404,
+        json: async () => routes[url]
+    });
+}
+
+const BINANCE = fixture('binance-ticker-24hr.json');
+const COINBASE = fixture('coinbase-product-stats.json');
+const KRAKEN = fixture('kraken-ticker.json');
+
+// BTCUSDT prices the BTC quote asset of ETHBTC
+SymbolRegistry.updateRates(BINANCE);
+
+test('binance: 24hr tickers keep the reported change and convert volume', () => {
+    const [btc, eth, ethBtc] = ExchangeAdapters.get('binance').normalize(BINANCE);
+    
+    assert.deepEqual(btc, {
+        exchange: 'binance',
+        symbol: 'BTCUSDT',
+        baseAsset: 'BTC',
+        quoteAsset: 'USDT',
+        lastPrice: 43000,
+        openPrice: 42000,
+        highPrice: 43500,
+        lowPrice: 41800,
+        priceChange: 1000,
+        priceChangePercent: 2.381,
+        volume: 25000.5,
+        quoteVolume: 1071271500,
+        volumeRef: 1071271500,
+        bidPrice: 42999.99,
+        askPrice: 43000
+    });
+    assert.equal(eth.priceChangePercent, -2.174);
+    
+    // 1580 BTC of quote volume at 43000 USDT
+    assert.equal(ethBtc.baseAsset, 'ETH');
+    assert.equal(ethBtc.quoteAsset, 'BTC');
+    assert.equal(ethBtc.volumeRef, 1580 * 43000);
+    
+    assert.throws(() => ExchangeAdapters.get('binance').normalize({}), /expected a ticker array/);
+});
+
+test('coinbase: stats are valued at the last price and empty products dropped', () => {
+    const tickers = ExchangeAdapters.get('coinbase').normalize(COINBASE);
+    
+    assert.deepEqual(tickers.map(ticker => ticker.symbol), ['BTC-USD', 'ETH-USD']);
+    
+    const btc = tickers[0];
+    assert.equal(btc.baseAsset, 'BTC');
+    assert.equal(btc.quoteAsset, 'USD');
+    assert.equal(btc.lastPrice, 43320);
+    assert.equal(btc.priceChange, 43320 - 42010);
+    assert.equal(btc.priceChangePercent, ((43320 - 42010) / 42010) * 100);
+    assert.equal(btc.quoteVolume, 15234.12345678 * 43320);
+    assert.equal(btc.volumeRef, btc.quoteVolume);
+    assert.equal(btc.bidPrice, null);
+    assert.equal(btc.askPrice, null);
+});
+
+test('kraken: pair names, 24h volume x VWAP, unknown quotes skipped', () => {
+    const tickers = ExchangeAdapters.get('kraken').normalize(KRAKEN);
+    
+    assert.deepEqual(
+        tickers.map(ticker => [ticker.symbol, ticker.baseAsset, ticker.quoteAsset]),
+        [['XXBTZUSD', 'BTC', 'USD'], ['XETHZUSD', 'ETH', 'USD'], ['XXBTZEUR', 'BTC', 'EUR']]
+    );
+    
+    const btc = tickers[0];
+    assert.equal(btc.lastPrice, 43150.2);
+    assert.equal(btc.openPrice, 42650);
+    assert.equal(btc.highPrice, 43480);
+    assert.equal(btc.lowPrice, 41820.1);
+    assert.equal(btc.volume, 3187.55810231);
+    assert.equal(btc.quoteVolume, 3187.55810231 * 42880.5142);
+    assert.equal(btc.bidPrice, 43150.2);
+    assert.equal(btc.askPrice, 43150.3);
+    
+    // No EUR rate is known from the Binance fixture
+    assert.equal(tickers[2].volumeRef, null);
+    
+    assert.throws(() => ExchangeAdapters.get('kraken').normalize({ error: ['EGeneral:Too many requests'], result: {} }), /Too many requests/);
+    assert.deepEqual(ExchangeAdapters.parseKrakenPair('XBTUSDT'), { baseAsset: 'BTC', quoteAsset: 'USDT' });
+    assert.equal(ExchangeAdapters.parseKrakenPair('PAXGXAUT'), null);
+});
+
+test('fetchTickers runs fetch then normalize; Coinbase skips unlisted products', async () => {
+    const routes = {
+        'https://api.exchange.coinbase.com/products/BTC-USD/stats': COINBASE['BTC-USD'],
+        'https://api.exchange.coinbase.com/products/ETH-USD/stats': COINBASE['ETH-USD'],
+        'https://api.kraken.com/0/public/Ticker': KRAKEN
+    };
+    
+    const coinbase = await ExchangeAdapters.fetchTickers('coinbase', ['BTC', 'DOGE', 'ETH'], fakeFetch(routes));
+    assert.deepEqual(coinbase.map(ticker => ticker.symbol), ['BTC-USD', 'ETH-USD']);
+    
+    const kraken = await ExchangeAdapters.fetchTickers('kraken', [], fakeFetch(routes));
+    assert.equal(kraken.length, 3);
+    
+    await assert.rejects(ExchangeAdapters.fetchTickers('binance', [], fakeFetch({})), /status: 404/);
+});
+
+test('ARBITRAGE: spread across the three venues', () => {
+    const last = tickers => Object.fromEntries(tickers.map(ticker => [ticker.symbol, ticker.lastPrice]));
+    const binance = ExchangeAdapters.get('binance').normalize(BINANCE);
+    const coinbase = last(ExchangeAdapters.get('coinbase').normalize(COINBASE));
+    const kraken = last(ExchangeAdapters.get('kraken').normalize(KRAKEN));
+    
+    // Same shape VenueMonitor.annotate attaches (prices in the reference currency)
+    const [btc, eth] = binance;
+    btc.venues = { binance: btc.lastPrice, coinbase: coinbase['BTC-USD'], kraken: kraken.XXBTZUSD };
+    eth.venues = { binance: eth.lastPrice, coinbase: coinbase['ETH-USD'], kraken: kraken.XETHZUSD };
+    
+    // BTC: 43000 (Binance) -> 43320 (Coinbase) = 0.744%
+    const spread = LogicEngine.calculateVenueSpread(btc);
+    assert.equal(spread.count, 3);
+    assert.deepEqual(spread.low, { exchange: 'binance', price: 43000 });
+    assert.deepEqual(spread.high, { exchange: 'coinbase', price: 43320 });
+    assert.ok(Math.abs(spread.spread - (320 / 43000) * 100) < 1e-12);
+    
+    const context = { indicators: null, volumeSurge: null };
+    assert.equal(LogicEngine.analyzeTicker(btc, context).signal.type, 'ARBITRAGE');
+    
+    // ETH: 2249.50 (Kraken) -> 2251.10 (Coinbase) = 0.071%, below ARBITRAGE_SPREAD_PERCENT
+    assert.ok(LogicEngine.calculateVenueSpread(eth).spread < LogicEngine.getConfig().ARBITRAGE_SPREAD_PERCENT);
+    assert.notEqual(LogicEngine.analyzeTicker(eth, context).signal.type, 'ARBITRAGE');
+    
+    // One venue is no spread
+    assert.equal(LogicEngine.calculateVenueSpread({ venues: { binance: 43000 } }), null);
+});
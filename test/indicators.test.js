@@ -0,0 +1,135 @@
+/**
+ * Aegis Crypto-Watch - Indicator tests
+ *
+ * Reference values: SMA/EMA and RSI are the published StockCharts
+ * ChartSchool examples (rounded to 2 decimals there); MACD, Bollinger and ATR
+ * use short series whose results are worked out by hand in the comments.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Indicators = require('../assets/js/indicators.js');
+
+/**
+ * Compare a series against expected values (null = not enough data yet)
+ * @param {Array<number|null>} actual - Computed series
+ * @param {Array<number|null>} expected - Reference series
+ * @param {number} tolerance - Allowed absolute difference
+ */
+function assertSeries(actual, expected, tolerance) {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `index ${i} should be null`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) <= tolerance, `index ${i}: ${actual[i]} vs ${value}`);
+        }
+    });
+}
+
+// StockCharts "Moving Averages - Simple and Exponential" (10-day)
+const MA_CLOSES = [
+    22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+    22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+    23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+
+// StockCharts "Relative Strength Index (RSI)" (14-day, Wilder)
+const RSI_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+    45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64,
+    46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+    43.42, 42.66, 43.13
+];
+
+test('sma averages each full window', () => {
+    assertSeries(Indicators.sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4], 1e-12);
+    
+    const series = Indicators.sma(MA_CLOSES, 10);
+    assertSeries(series.slice(0, 12), [null, null, null, null, null, null, null, null, null, 22.22, 22.21, 22.23], 0.005);
+    assert.ok(Math.abs(Indicators.last(series) - 23.13) <= 0.005);
+});
+
+test('ema is seeded with the first SMA and matches the reference', () => {
+    const series = Indicators.ema(MA_CLOSES, 10);
+    assertSeries(series, [
+        null, null, null, null, null, null, null, null, null, 22.22,
+        22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+        23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+    ], 0.01);
+});
+
+test('ema skips leading nulls of a smoothed series', () => {
+    assertSeries(Indicators.ema([null, null, 2, 4, 6], 2), [null, null, null, 3, 5], 1e-12);
+    assertSeries(Indicators.ema([null, 1], 2), [null, null], 0);
+});
+
+test('rsi uses Wilder smoothing', () => {
+    // Deltas +1, -1, +1, +1 with period 2:
+    //   seed gain 0.5 / loss 0.5 -> 50, then 0.75 / 0.25 -> 75, 0.875 / 0.125 -> 87.5
+    assertSeries(Indicators.rsi([1, 2, 1, 2, 3], 2), [null, null, 50, 75, 87.5], 1e-12);
+    
+    // The reference sheet rounds its first averages to 2 decimals (0.24 / 0.10),
+    // which moves its RSI by up to 0.07 against unrounded math
+    const series = Indicators.rsi(RSI_CLOSES, 14);
+    assertSeries(series, [
+        null, null, null, null, null, null, null, null, null, null,
+        null, null, null, null, 70.53, 66.32, 66.55, 69.41, 66.36, 57.97,
+        62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87, 45.46,
+        37.30, 33.08, 37.77
+    ], 0.1);
+});
+
+test('rsi edge cases: only gains, flat prices, short input', () => {
+    assert.equal(Indicators.last(Indicators.rsi([1, 2, 3, 4, 5], 3)), 100);
+    assert.equal(Indicators.last(Indicators.rsi([5, 5, 5, 5, 5], 3)), 50);
+    assertSeries(Indicators.rsi([1, 2, 3], 3), [null, null, null], 0);
+});
+
+test('macd lines, signal and histogram', () => {
+    // closes 1, 2, 4, 8, 16, 32 with fast 2 / slow 3 / signal 2
+    //   EMA2: 1.5, 19/6, 115/18, 691/54, 4147/162
+    //   EMA3: 7/3, 31/6, 127/12, 511/24
+    //   MACD = EMA2 - EMA3 from index 2: 5/6, 11/9, 239/108, 2791/648
+    //   signal = EMA2 of MACD, seeded at index 3 with (5/6 + 11/9) / 2
+    const result = Indicators.macd([1, 2, 4, 8, 16, 32], 2, 3, 2);
+    const macd = [null, null, 5 / 6, 11 / 9, 239 / 108, 2791 / 648];
+    const seed = (5 / 6 + 11 / 9) / 2;
+    const signal4 = seed + (macd[4] - seed) * 2 / 3;
+    const signal5 = signal4 + (macd[5] - signal4) * 2 / 3;
+    
+    assertSeries(result.macd, macd, 1e-9);
+    assertSeries(result.signal, [null, null, null, seed, signal4, signal5], 1e-9);
+    assertSeries(result.histogram, [null, null, null, macd[3] - seed, macd[4] - signal4, macd[5] - signal5], 1e-9);
+    assert.ok(Math.abs(Indicators.last(result.histogram) - 0.8297) <= 1e-4);
+});
+
+test('bollinger uses the population standard deviation', () => {
+    // mean 5, population SD 2
+    const bands = Indicators.bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+    
+    assertSeries(bands.middle, [null, null, null, null, null, null, null, 5], 1e-12);
+    assertSeries(bands.upper, [null, null, null, null, null, null, null, 9], 1e-12);
+    assertSeries(bands.lower, [null, null, null, null, null, null, null, 1], 1e-12);
+});
+
+test('atr uses true range across gaps and Wilder smoothing', () => {
+    // True ranges: 2, 2, 3, 4 (gap up from 11 to 15), 4 (close 14 -> low 10)
+    //   seed (2 + 2 + 3) / 3 = 7/3, then (prev * 2 + tr) / 3: 26/9, 88/27
+    const highs = [10, 11, 12, 15, 14];
+    const lows = [8, 9, 9, 12, 10];
+    const closes = [9, 10, 11, 14, 10];
+    
+    assertSeries(Indicators.atr(highs, lows, closes, 3), [null, null, 7 / 3, 26 / 9, 88 / 27], 1e-12);
+    assertSeries(Indicators.atr([2], [1], [1.5], 3), [null], 0);
+});
+
+test('last reads from the end of a series', () => {
+    assert.equal(Indicators.last([1, 2, 3]), 3);
+    assert.equal(Indicators.last([1, 2, 3], 2), 1);
+    assert.equal(Indicators.last([1, 2, 3], 3), null);
+    assert.equal(Indicators.last([]), null);
+});
@@ -0,0 +1,147 @@
+/**
+ * Aegis Crypto-Watch - LogicEngine tests
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LogicEngine } = require('../index.js');
+
+/**
+ * Minimal ticker for the history store
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} price - Last price
+ * @returns {Object}
+ */
+function ticker(symbol, price) {
+    return { symbol: symbol, lastPrice: String(price), volume: '1000', quoteVolume: String(price * 1000) };
+}
+
+test('history keeps one point per sample slot with the slot range', () => {
+    LogicEngine.clearHistory();
+    const start = Date.UTC(2024, 0, 1);
+    
+    [100, 103, 98, 101].forEach((price, i) => LogicEngine.recordHistory([ticker('AAAUSDT', price)], start + i * 1000));
+    LogicEngine.recordHistory([ticker('AAAUSDT', 102)], start + 5000);
+    
+    const points = LogicEngine.getHistory('AAAUSDT');
+    assert.equal(points.length, 2);
+    assert.deepEqual(
+        { time: points[0].time, price: points[0].price, high: points[0].high, low: points[0].low },
+        { time: start + 3000, price: 101, high: 103, low: 98 }
+    );
+    
+    const candles = LogicEngine.getCandles('AAAUSDT', 60000);
+    assert.deepEqual(candles, [{ time: start, open: 101, high: 103, low: 98, close: 102 }]);
+});
+
+test('an hour of one-second frames stays within the point cap and feeds every indicator', () => {
+    LogicEngine.clearHistory();
+    const config = LogicEngine.getConfig();
+    const start = Date.UTC(2024, 0, 1);
+    
+    for (let second = 0; second < 3600; second++) {
+        const price = 100 + 5 * Math.sin(second / 300);
+        LogicEngine.recordHistory([ticker('BBBUSDT', price)], start + second * 1000);
+    }
+    
+    const points = LogicEngine.getHistory('BBBUSDT');
+    assert.equal(points.length, Math.ceil(config.HISTORY_RETENTION_MS / config.HISTORY_SAMPLE_MS));
+    assert.ok(points.length <= config.HISTORY_MAX_POINTS);
+    
+    const indicators = LogicEngine.computeIndicators('BBBUSDT');
+    assert.ok(indicators.bars >= config.MACD_SLOW + config.MACD_SIGNAL);
+    assert.notEqual(indicators.macd, null);
+    assert.notEqual(indicators.bollinger, null);
+    assert.notEqual(indicators.atr, null);
+    assert.notEqual(indicators.rsi, null);
+});
+
+test('setConfig rejects a point cap below retention / sample interval', () => {
+    assert.throws(
+        () => LogicEngine.setConfig({ HISTORY_RETENTION_MS: 2 * 60 * 60 * 1000 }),
+        /HISTORY_MAX_POINTS must be at least 1440/
+    );
+    assert.equal(LogicEngine.getConfig().HISTORY_RETENTION_MS, 60 * 60 * 1000);
+    
+    const config = LogicEngine.setConfig({ HISTORY_RETENTION_MS: 2 * 60 * 60 * 1000, HISTORY_SAMPLE_MS: 10000 });
+    assert.equal(config.HISTORY_SAMPLE_MS, 10000);
+    LogicEngine.resetConfig();
+});
+
+test('resetSignalTracking closes open signals with reason reset', () => {
+    LogicEngine.clearHistory();
+    LogicEngine.resetSignalTracking();
+    const start = Date.UTC(2024, 0, 2);
+    const crash = { ...ticker('CCCUSDT', 88), priceChange: '-12', priceChangePercent: '-12' };
+    
+    const result = LogicEngine.processData([crash], start);
+    assert.deepEqual(result.opened.map(record => [record.symbol, record.type]), [['CCCUSDT', 'PANIC_SELL']]);
+    
+    const { closed, market } = LogicEngine.resetSignalTracking(start + 60000);
+    assert.deepEqual(
+        closed.map(record => [record.symbol, record.status, record.closeReason, record.closedAt]),
+        [['CCCUSDT', 'closed', 'reset', start + 60000]]
+    );
+    assert.deepEqual(market, []);
+    assert.deepEqual(LogicEngine.getOpenSignals(), []);
+    
+    // Cooldowns are forgotten as well
+    assert.equal(LogicEngine.processData([crash], start + 61000).opened.length, 1);
+    LogicEngine.resetSignalTracking();
+});
+
+test('the market-wide signal is reported apart from the per-symbol signals', () => {
+    LogicEngine.clearHistory();
+    LogicEngine.resetSignalTracking();
+    const start = Date.UTC(2024, 0, 3);
+    const tickers = Array.from({ length: 20 }, (_, i) => ({
+        ...ticker(`P${i}USDT`, 96), priceChange: '-4', priceChangePercent: '-4'
+    }));
+    
+    const result = LogicEngine.processData(tickers, start);
+    assert.equal(result.opened.length, 20);
+    assert.ok(result.opened.every(record => record.type === 'PANIC_SELL' && record.symbol !== 'MARKET'));
+    assert.deepEqual(result.market.opened.map(record => [record.symbol, record.type]), [['MARKET', 'MARKET_WIDE_SELLOFF']]);
+    assert.deepEqual(result.market.closed, []);
+    assert.ok(LogicEngine.getOpenSignals().every(record => record.symbol !== 'MARKET'));
+    
+    // A pair named like the market keeps its own signal
+    const marketPair = { ...ticker('MARKET', 96), priceChange: '-4', priceChangePercent: '-4' };
+    const next = LogicEngine.processData(tickers.concat(marketPair), start + 1000);
+    assert.deepEqual(next.opened.map(record => [record.symbol, record.type]), [['MARKET', 'PANIC_SELL']]);
+    assert.equal(next.market.signal.lifecycle.id, result.market.opened[0].id);
+    
+    const reset = LogicEngine.resetSignalTracking(start + 2000);
+    assert.equal(reset.closed.length, 21);
+    assert.deepEqual(reset.market.map(record => [record.type, record.closeReason]), [['MARKET_WIDE_SELLOFF', 'reset']]);
+});
+
+test('a signal held back by its cooldown is shown as neutral', () => {
+    LogicEngine.clearHistory();
+    LogicEngine.resetSignalTracking();
+    const start = Date.UTC(2024, 0, 4);
+    const crash = { ...ticker('DDDUSDT', 88), priceChange: '-12', priceChangePercent: '-12' };
+    const recovered = { ...crash, priceChange: '-1', priceChangePercent: '-1' };
+    const cooldown = LogicEngine.getConfig().SIGNAL_COOLDOWN_MS;
+    
+    LogicEngine.processData([crash], start);
+    assert.equal(LogicEngine.processData([recovered], start + 1000).closed.length, 1);
+    
+    const held = LogicEngine.processData([crash], start + 2000);
+    const signal = held.analyzedData[0].signal;
+    assert.equal(held.opened.length, 0);
+    assert.equal(signal.type, 'NEUTRAL');
+    assert.deepEqual(
+        { type: signal.cooldown.type, until: signal.cooldown.until },
+        { type: 'PANIC_SELL', until: start + 1000 + cooldown }
+    );
+    assert.equal(held.market.breadth.panicSignals, 0);
+    
+    const reopened = LogicEngine.processData([crash], start + 1000 + cooldown);
+    assert.equal(reopened.opened.length, 1);
+    assert.equal(reopened.analyzedData[0].signal.cooldown, undefined);
+    LogicEngine.resetSignalTracking();
+});
@@ -0,0 +1,154 @@
+/**
+ * Aegis Crypto-Watch - RuleEngine tests
+ *
+ * Expressions are checked through parse() (AST shape, errors) and through
+ * evaluate() with rules loaded via loadRules(); the shipped WHALE / PANIC rules
+ * run against engine config constants, as LogicEngine passes them.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RuleEngine, LogicEngine } = require('../index.js');
+
+/**
+ * Load one rule and report whether it matches each context
+ * @param {string} expression - Rule expression
+ * @param {Array<Object>} contexts - Field values
+ * @returns {Array<boolean>}
+ */
+function matches(expression, contexts) {
+    RuleEngine.loadRules([{ id: 'test-rule', name: 'Test', type: 'TEST', expression: expression }]);
+    return contexts.map(context => RuleEngine.evaluate(context) !== null);
+}
+
+/**
+ * Parse error of an expression
+ * @param {string} expression - Invalid rule expression
+ * @returns {Object} { message, position }
+ */
+function parseError(expression) {
+    try {
+        RuleEngine.parse(expression);
+    } catch (error) {
+        assert.ok(error instanceof RuleEngine.RuleError);
+        return { message: error.message, position: error.position };
+    }
+    assert.fail(`"${expression}" should not parse`);
+}
+
+test('AND binds tighter than OR, NOT tighter than AND', () => {
+    const ast = RuleEngine.parse('price > 1 OR price < 0 AND NOT rsi > 70');
+    
+    assert.equal(ast.type, 'or');
+    assert.equal(ast.right.type, 'and');
+    assert.equal(ast.right.right.type, 'not');
+    assert.deepEqual(ast.right.right.operand, {
+        type: 'compare',
+        operator: '>',
+        left: { type: 'field', name: 'rsi' },
+        right: { type: 'literal', value: 70 }
+    });
+    
+    assert.deepEqual(
+        matches('price > 10 OR price < 5 AND rsi > 50', [
+            { price: 20, rsi: 10 },
+            { price: 3, rsi: 10 },
+            { price: 3, rsi: 60 }
+        ]),
+        [true, false, true]
+    );
+    assert.deepEqual(
+        matches('(price > 10 OR price < 5) AND rsi > 50', [{ price: 20, rsi: 10 }, { price: 20, rsi: 60 }]),
+        [false, true]
+    );
+});
+
+test('comparisons: numbers, case-insensitive strings, missing values', () => {
+    assert.deepEqual(
+        matches('priceChangePercent >= -3.5 AND quoteVolume > 1e6', [
+            { priceChangePercent: -3.5, quoteVolume: 2e6 },
+            { priceChangePercent: -4, quoteVolume: 2e6 },
+            { priceChangePercent: 0, quoteVolume: null }
+        ]),
+        [true, false, false]
+    );
+    assert.deepEqual(matches('baseAsset = "sol"', [{ baseAsset: 'SOL' }, { baseAsset: 'ETH' }]), [true, false]);
+    // A missing value satisfies neither a comparison nor its negation by itself
+    assert.deepEqual(matches('rsi != 50', [{ rsi: null }, { rsi: 40 }]), [false, true]);
+});
+
+test('IN / NOT IN lists, symbol matching its base asset', () => {
+    const contexts = [
+        { symbol: 'BTCUSDT', baseAsset: 'BTC' },
+        { symbol: 'ETHUSDT', baseAsset: 'ETH' },
+        { symbol: 'SOLUSDT', baseAsset: 'SOL' }
+    ];
+    
+    assert.deepEqual(matches('symbol IN [BTC, "eth"]', contexts), [true, true, false]);
+    assert.deepEqual(matches('symbol NOT IN [BTC, ETH]', contexts), [false, false, true]);
+    assert.deepEqual(matches('NOT symbol IN [SOLUSDT]', contexts), [true, true, false]);
+    assert.deepEqual(matches('venueCount IN [2, 3]', [{ venueCount: 3 }, { venueCount: 1 }]), [true, false]);
+});
+
+test('bare list values may start with digits', () => {
+    assert.deepEqual(RuleEngine.parse('symbol IN [BTC, 1INCH]').list, ['BTC', '1INCH']);
+    assert.deepEqual(RuleEngine.parse('baseAsset IN [1000SATS]').list, ['1000SATS']);
+    assert.deepEqual(RuleEngine.parse('price IN [1, 2.5, -3, 1e3]').list, [1, 2.5, -3, 1000]);
+    
+    assert.deepEqual(
+        matches('symbol IN [1INCH, 1000SATS]', [
+            { symbol: '1INCHUSDT', baseAsset: '1INCH' },
+            { symbol: '1000SATSUSDT', baseAsset: '1000SATS' },
+            { symbol: 'INCHUSDT', baseAsset: 'INCH' }
+        ]),
+        [true, true, false]
+    );
+    
+    // Outside a list, a digit-led word is still a number followed by a stray word
+    assert.deepEqual(parseError('price > 1INCH'), { message: 'Unexpected "INCH" (position 10)', position: 9 });
+});
+
+test('invalid rules report the position of the problem', () => {
+    assert.deepEqual(parseError('price >'), { message: 'Unexpected end of expression (position 8)', position: 7 });
+    assert.deepEqual(parseError('prize > 1'), { message: 'Unknown field "prize" (position 1)', position: 0 });
+    assert.deepEqual(parseError('price # 1'), { message: 'Unexpected character "#" (position 7)', position: 6 });
+    assert.deepEqual(parseError('symbol == "BTC'), { message: 'Unterminated string (position 11)', position: 10 });
+    assert.deepEqual(parseError('price > 1 )'), { message: 'Unexpected ")" (position 11)', position: 10 });
+    assert.deepEqual(parseError('(price > 1'), { message: 'Expected ) but found end of expression (position 11)', position: 10 });
+    assert.deepEqual(parseError('price rsi'), { message: 'Expected comparison operator but found "rsi" (position 7)', position: 6 });
+    assert.deepEqual(parseError('symbol IN BTC'), { message: 'Expected [ but found "BTC" (position 11)', position: 10 });
+    assert.deepEqual(parseError('symbol IN [BTC ETH]'), { message: 'Expected "," or "]" in list (position 16)', position: 15 });
+    
+    assert.deepEqual(RuleEngine.validateExpression(''), { valid: false, error: 'Expression is empty' });
+    assert.throws(
+        () => RuleEngine.addRule({ name: 'Broken', expression: 'price >' }),
+        { name: 'RuleError', message: 'Rule "Broken": Unexpected end of expression (position 8)' }
+    );
+});
+
+test('default WHALE and PANIC rules open and exit with hysteresis', () => {
+    RuleEngine.resetRules();
+    const config = LogicEngine.getConfig();
+    const context = fields => ({ ...config, tapeTrades: 0, whalePressure: null, ...fields });
+    
+    const whale = RuleEngine.evaluate(context({ priceChangePercent: 4, volumeRef: 2e6 }));
+    assert.deepEqual(
+        { type: whale.type, ruleId: whale.ruleId, priority: whale.priority },
+        { type: 'WHALE_ACTIVITY', ruleId: 'whale-activity', priority: 'high' }
+    );
+    // Too little volume, or net whale selling on a followed tape
+    assert.equal(RuleEngine.evaluate(context({ priceChangePercent: 4, volumeRef: 5e5 })), null);
+    assert.equal(RuleEngine.evaluate(context({ priceChangePercent: 4, volumeRef: 2e6, tapeTrades: 12, whalePressure: -10 })), null);
+    
+    const panic = RuleEngine.evaluate(context({ priceChangePercent: -5, volumeRef: 1e3 }));
+    assert.equal(panic.type, 'PANIC_SELL');
+    
+    // Between the exit and entry thresholds the open signal is held
+    assert.equal(RuleEngine.shouldExit('whale-activity', context({ priceChangePercent: 2.5, volumeRef: 2e6 })), false);
+    assert.equal(RuleEngine.shouldExit('whale-activity', context({ priceChangePercent: 1.5, volumeRef: 2e6 })), true);
+    assert.equal(RuleEngine.shouldExit('panic-sell', context({ priceChangePercent: -2.5 })), false);
+    assert.equal(RuleEngine.shouldExit('panic-sell', context({ priceChangePercent: -1 })), true);
+});
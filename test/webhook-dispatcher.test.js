@@ -0,0 +1,201 @@
+/**
+ * Aegis Crypto-Watch - WebhookDispatcher tests
+ *
+ * Deliveries go over HTTP to tools/webhook-receiver.js on a free local port.
+ * The dispatcher is a page module: `$` records the events it triggers and
+ * EngineHost hands its analysis subscriber to the test.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+
+require('../index.js');
+const receiver = require('../tools/webhook-receiver.js');
+
+const triggered = [];
+let analysisListener = null;
+
+globalThis.window = globalThis;
+globalThis.document = {};
+globalThis.$ = () => ({ trigger: (name, args) => triggered.push({ name: name, args: args }) });
+globalThis.EngineHost = { subscribe: listener => { analysisListener = listener; } };
+
+require('../assets/js/webhook-dispatcher.js');
+const { WebhookDispatcher } = globalThis;
+
+/**
+ * Start a receiver on a free port
+ * @param {Object} t - Test context (closes the server at the end)
+ * @param {Array<string>} args - Receiver command line options (--fail, --status, --retry-after)
+ * @returns {Promise<Object>} { url, requests }
+ */
+async function startReceiver(t, args = []) {
+    const requests = [];
+    const server = receiver.start({ ...receiver.parseArgs(args), port: 0, onRequest: request => requests.push(request) });
+    await once(server, 'listening');
+    t.after(() => server.close());
+    
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests: requests };
+}
+
+/**
+ * Add a target for one test (removed at the end)
+ * @param {Object} t - Test context
+ * @param {Object} definition - Target definition
+ * @returns {Object} Target
+ */
+function addTarget(t, definition) {
+    const target = WebhookDispatcher.add(definition);
+    t.after(() => WebhookDispatcher.remove(target.id));
+    return target;
+}
+
+/**
+ * Resolve once a delivery log entry of a target matches
+ * @param {string} targetId - Target id
+ * @param {Function} predicate - (entries, newest first) => boolean
+ * @returns {Promise<Array>} Entries of the target
+ */
+function waitForLog(targetId, predicate) {
+    return new Promise(resolve => {
+        const check = setInterval(() => {
+            const entries = WebhookDispatcher.getLog().filter(entry => entry.targetId === targetId);
+            if (predicate(entries)) {
+                clearInterval(check);
+                resolve(entries);
+            }
+        }, 10);
+    });
+}
+
+/**
+ * Payload signal
+ * @param {string} symbol - Trading pair
+ * @param {string} type - Signal type
+ * @param {number} index - Distinguishes ids
+ * @returns {Object}
+ */
+function signal(symbol, type, index = 0) {
+    return {
+        id: `${symbol}-${type}-${index}`,
+        symbol: symbol,
+        baseAsset: symbol.replace(/USDT$/, ''),
+        quoteAsset: 'USDT',
+        type: type,
+        message: type,
+        priority: 'high',
+        price: 100,
+        priceChangePercent: -5,
+        volumeRef: 1e6,
+        openedAt: Date.UTC(2024, 0, 8)
+    };
+}
+
+/**
+ * Analysis message with newly opened records
+ * @param {Array<Object>} signals - Payload-shaped signals
+ * @param {string} source - Data source
+ * @returns {Object}
+ */
+function analysis(signals, source = 'stream') {
+    return {
+        type: 'analysis',
+        source: source,
+        opened: signals.map(item => ({ ...item, openPrice: item.price })),
+        newSignals: signals.map(item => ({ price: item.price, priceChangePercent: item.priceChangePercent, volumeRef: item.volumeRef })),
+        market: { opened: [] }
+    };
+}
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    WebhookDispatcher.setConfig({ BATCH_DELAY: 0, RETRY_DELAY: 100, MAX_RETRIES: 3 });
+});
+
+test.afterEach(() => {
+    WebhookDispatcher.resetConfig();
+});
+
+test('only signals matching the type and symbol filters are posted; replays are not', async t => {
+    const { url, requests } = await startReceiver(t);
+    const target = addTarget(t, { name: 'Filtered', url: url, types: 'panic_sell', symbols: 'BTC' });
+    
+    analysisListener(analysis([signal('BTCUSDT', 'PANIC_SELL', 1)], 'replay'));
+    analysisListener(analysis([
+        signal('BTCUSDT', 'PANIC_SELL', 2),
+        signal('ETHUSDT', 'PANIC_SELL', 3),
+        signal('BTCUSDT', 'WHALE_ACTIVITY', 4)
+    ]));
+    
+    const [entry] = await waitForLog(target.id, entries => entries.some(item => item.status === 'sent'));
+    
+    assert.deepEqual({ count: entry.count, httpStatus: entry.httpStatus }, { count: 1, httpStatus: 200 });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].contentType, 'application/json');
+    assert.deepEqual(requests[0].payload.signals.map(item => item.id), ['BTCUSDT-PANIC_SELL-2']);
+});
+
+test('signals within the batch delay share one request, up to MAX_BATCH', async t => {
+    WebhookDispatcher.setConfig({ BATCH_DELAY: 200, MAX_BATCH: 4 });
+    const { url, requests } = await startReceiver(t);
+    const target = addTarget(t, { name: 'Batched', url: url });
+    
+    WebhookDispatcher.dispatch([signal('AAAUSDT', 'PANIC_SELL'), signal('BBBUSDT', 'PANIC_SELL')]);
+    WebhookDispatcher.dispatch([signal('CCCUSDT', 'PANIC_SELL'), signal('DDDUSDT', 'PANIC_SELL'), signal('EEEUSDT', 'PANIC_SELL')]);
+    
+    await waitForLog(target.id, entries => entries.filter(item => item.status === 'sent').length === 2);
+    
+    assert.deepEqual(requests.map(request => request.payload.count), [4, 1]);
+    assert.deepEqual(
+        requests.flatMap(request => request.payload.signals.map(item => item.symbol)),
+        ['AAAUSDT', 'BBBUSDT', 'CCCUSDT', 'DDDUSDT', 'EEEUSDT']
+    );
+});
+
+test('discord batches are split at 10 embeds', async t => {
+    const { url, requests } = await startReceiver(t);
+    const target = addTarget(t, { name: 'Discord', url: url, template: 'discord' });
+    
+    WebhookDispatcher.dispatch(Array.from({ length: 15 }, (_, index) => signal('BTCUSDT', 'WHALE_ACTIVITY', index)));
+    
+    await waitForLog(target.id, entries => entries.filter(item => item.status === 'sent').length === 2);
+    
+    assert.deepEqual(requests.map(request => request.payload.embeds.length), [10, 5]);
+    assert.equal(requests[0].payload.embeds[0].title, 'BTCUSDT · WHALE_ACTIVITY');
+});
+
+test('a 503 with Retry-After is retried after the requested delay', { timeout: 10000 }, async t => {
+    const { url, requests } = await startReceiver(t, ['--fail', '1', '--status', '503', '--retry-after', '1']);
+    const target = addTarget(t, { name: 'Retry', url: url });
+    const start = triggered.length;
+    
+    WebhookDispatcher.dispatch([signal('BTCUSDT', 'PANIC_SELL')]);
+    const [entry] = await waitForLog(target.id, entries => entries.some(item => item.status === 'sent'));
+    
+    const statuses = triggered.slice(start)
+        .filter(event => event.name === 'webhookDelivery' && event.args[0].id === entry.id)
+        .map(event => event.args[0].status);
+    assert.deepEqual(statuses, ['pending', 'retrying', 'sent']);
+    assert.deepEqual({ attempts: entry.attempts, httpStatus: entry.httpStatus }, { attempts: 2, httpStatus: 200 });
+    
+    assert.deepEqual(requests.map(request => request.status), [503, 200]);
+    assert.ok(requests[1].time - requests[0].time >= 900, 'waited for Retry-After (1s)');
+});
+
+test('a delivery that keeps failing is logged as failed', { timeout: 10000 }, async t => {
+    WebhookDispatcher.setConfig({ MAX_RETRIES: 1 });
+    const { url, requests } = await startReceiver(t, ['--fail', '5', '--status', '500']);
+    const target = addTarget(t, { name: 'Broken', url: url });
+    
+    WebhookDispatcher.dispatch([signal('ETHUSDT', 'PANIC_SELL')]);
+    const [entry] = await waitForLog(target.id, entries => entries.some(item => item.status === 'failed'));
+    
+    assert.deepEqual(
+        { attempts: entry.attempts, httpStatus: entry.httpStatus, error: entry.error, symbols: entry.symbols },
+        { attempts: 2, httpStatus: 500, error: 'HTTP 500', symbols: ['ETHUSDT'] }
+    );
+    assert.equal(requests.length, 2);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Aegis Crypto-Watch - Webhook Receiver
+ *
+ * Local HTTP stand-in for webhook targets (no dependencies).
+ *
+ * Responsibilities:
+ * - Accept POSTs on any path and print the decoded payload
+ *   (JSON bodies and Slack style 'payload=' form bodies)
+ * - Answer CORS preflights so the dashboard can read responses
+ * - Optionally fail requests to exercise retries and the delivery log
+ *
+ * Usage:
+ *   node tools/webhook-receiver.js [--port 8787] [--fail N] [--status 500] [--retry-after S]
+ *
+ *   --fail N         answer the first N requests with --status (default 500)
+ *   --retry-after S  send a Retry-After header (seconds) with failures
+ */
+
+'use strict';
+
+const http = require('http');
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {Object} { port, fail, status, retryAfter }
+ */
+function parseArgs(args) {
+    const options = { port: 8787, fail: 0, status: 500, retryAfter: null };
+    const names = { '--port': 'port', '--fail': 'fail', '--status': 'status', '--retry-after': 'retryAfter' };
+    
+    for (let i = 0; i < args.length; i += 2) {
+        const key = names[args[i]];
+        const value = Number(args[i + 1]);
+        if (!key || !Number.isFinite(value)) {
+            throw new Error(`Invalid option: ${args[i]} ${args[i + 1] || ''}`.trim());
+        }
+        options[key] = value;
+    }
+    
+    return options;
+}
+
+/**
+ * Decode a request body for printing
+ * @param {string} body - Raw body
+ * @param {string} contentType - Content-Type header
+ * @returns {*} Parsed payload or the raw body
+ */
+function decodeBody(body, contentType) {
+    try {
+        if (/application\/x-www-form-urlencoded/.test(contentType || '')) {
+            return JSON.parse(new URLSearchParams(body).get('payload'));
+        }
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+/**
+ * Start the receiver
+ * @param {Object} options - { port (0 = any free port), fail, status, retryAfter,
+ *   onRequest: optional callback with { url, contentType, payload, status, time } per POST }
+ * @returns {http.Server}
+ */
+function start(options) {
+    let received = 0;
+    
+    const server = http.createServer((request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        
+        if (request.method !== 'POST') {
+            response.writeHead(405, { 'Content-Type': 'text/plain' });
+            response.end('POST only\n');
+            return;
+        }
+        
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            received++;
+            const payload = decodeBody(Buffer.concat(chunks).toString('utf8'), request.headers['content-type']);
+            const failing = received <= options.fail;
+            
+            console.log(`\n#${received} ${new Date().toISOString()} ${request.method} ${request.url}` +
+                (failing ? ` -> ${options.status} (simulated failure)` : ' -> 200'));
+            console.log(JSON.stringify(payload, null, 2));
+            
+            if (options.onRequest) {
+                options.onRequest({
+                    url: request.url,
+                    contentType: request.headers['content-type'] || null,
+                    payload: payload,
+                    status: failing ? options.status : 200,
+                    time: Date.now()
+                });
+            }
+            
+            if (failing) {
+                const headers = { 'Content-Type': 'text/plain' };
+                if (options.retryAfter !== null) headers['Retry-After'] = String(options.retryAfter);
+                response.writeHead(options.status, headers);
+                response.end('simulated failure\n');
+                return;
+            }
+            
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ ok: true, received: received }));
+        });
+    });
+    
+    server.listen(options.port, () => {
+        console.log(`Webhook receiver listening on http://localhost:${server.address().port}/`);
+    });
+    
+    return server;
+}
+
+if (require.main === module) {
+    try {
+        start(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { start, parseArgs, decodeBody };